@@ -0,0 +1,273 @@
+import PropTypes from 'prop-types';
+import { useEffect, useState } from 'react';
+import { FaCircle, FaRobot, FaClipboardCheck } from 'react-icons/fa';
+import { useDispatch, useSelector } from 'react-redux';
+import { io } from 'socket.io-client';
+
+import Alert from './Alert';
+import Loader from './Loader';
+
+import { trackEvent } from '../utils/analytics';
+
+import {
+  applicationApi,
+  useGetApplicationBoardQuery,
+  useUpdateApplicationMutation,
+} from '../features/application/applicationApi';
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:5000';
+
+const STATUS_COLUMN_CLASSES = {
+  applied: 'border-t-blue-500',
+  shortlisted: 'border-t-green-500',
+  hired: 'border-t-teal-500',
+  rejected: 'border-t-red-500',
+};
+
+const ASSESSMENT_LABELS = {
+  pending: 'Assessment sent',
+  in_progress: 'Assessment in progress',
+  expired: 'Assessment expired',
+};
+
+const formatCandidateName = (candidate) =>
+  candidate?.firstName && candidate?.lastName
+    ? `${candidate.firstName} ${candidate.lastName}`
+    : 'Unknown Candidate';
+
+export default function ApplicationBoard({ jobId }) {
+  const dispatch = useDispatch();
+  const { accessToken } = useSelector((state) => state.auth);
+
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [moveError, setMoveError] = useState('');
+  const [isLive, setIsLive] = useState(false);
+
+  const {
+    data: board,
+    isLoading,
+    error,
+    refetch,
+  } = useGetApplicationBoardQuery(jobId, { skip: !jobId });
+
+  const [updateApplication] = useUpdateApplicationMutation();
+
+  // Keep the board in sync with moves made by other recruiters
+  useEffect(() => {
+    if (!jobId || !accessToken) return;
+
+    const socket = io(`${SERVER_URL}/pipeline`, {
+      auth: { token: accessToken },
+    });
+
+    socket.on('connect', () => {
+      socket.emit('join-job', jobId);
+    });
+
+    socket.on('job-joined', () => setIsLive(true));
+    socket.on('disconnect', () => setIsLive(false));
+
+    socket.on('application-moved', ({ data }) => {
+      if (data.jobId !== jobId) return;
+      dispatch(
+        applicationApi.util.updateQueryData(
+          'getApplicationBoard',
+          jobId,
+          (draft) => {
+            const card = draft.applications.find(
+              (application) => application.id === data.applicationId
+            );
+            if (card) {
+              card.stage = data.stage;
+              card.status = data.status;
+            }
+          }
+        )
+      );
+    });
+
+    socket.on('board-changed', ({ data }) => {
+      if (data.jobId === jobId) refetch();
+    });
+
+    return () => {
+      socket.emit('leave-job', jobId);
+      socket.disconnect();
+      setIsLive(false);
+    };
+  }, [jobId, accessToken, dispatch, refetch]);
+
+  if (!jobId) {
+    return (
+      <p className="text-center text-light-text/70 dark:text-dark-text/70">
+        Choose a job to see its pipeline.
+      </p>
+    );
+  }
+
+  if (isLoading) return <Loader />;
+  if (error) return <Alert message={error.data?.message} />;
+  if (!board) return null;
+
+  const { stages, applications } = board;
+  const draggedCard = applications.find(
+    (application) => application.id === draggedId
+  );
+  const allowedStages = draggedCard
+    ? stages.find((stage) => stage.key === draggedCard.stage)?.transitions || []
+    : [];
+
+  const handleDragStart = (e, application) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', application.id);
+    setDraggedId(application.id);
+    setMoveError('');
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, stage) => {
+    if (!allowedStages.includes(stage.key)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(stage.key);
+  };
+
+  const handleDrop = async (e, stage) => {
+    e.preventDefault();
+    const application = draggedCard;
+    handleDragEnd();
+
+    if (!application || !allowedStages.includes(stage.key)) return;
+
+    try {
+      await updateApplication({
+        id: application.id,
+        jobId,
+        applicationData: { stage: stage.key },
+      }).unwrap();
+      trackEvent(
+        'Move Application On Board',
+        'User Action',
+        `User moved application ${application.id} to stage ${stage.key}`
+      );
+    } catch (err) {
+      setMoveError(
+        err?.data?.message ||
+          `Couldn't move ${formatCandidateName(application.candidate)} to "${stage.name}".`
+      );
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-4 flex items-center justify-between">
+        <p className="text-sm text-light-text/70 dark:text-dark-text/70">
+          Drag a candidate to another stage to move their application.
+        </p>
+        <span
+          className={`flex items-center gap-1 text-xs ${
+            isLive ? 'text-green-600' : 'text-gray-400'
+          }`}
+          title={
+            isLive
+              ? 'Moves by other recruiters appear as they happen'
+              : 'Not receiving live updates'
+          }
+        >
+          <FaCircle size={8} />
+          {isLive ? 'Live' : 'Offline'}
+        </span>
+      </div>
+
+      {moveError && <Alert message={moveError} />}
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {stages.map((stage) => {
+          const cards = applications.filter(
+            (application) => application.stage === stage.key
+          );
+          const isAllowed = allowedStages.includes(stage.key);
+
+          return (
+            <div
+              key={stage.key}
+              onDragOver={(e) => handleDragOver(e, stage)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, stage)}
+              className={`flex w-64 min-w-[16rem] flex-col rounded-lg border-t-4 bg-light-surface p-3 shadow transition-all duration-200 dark:bg-dark-surface ${
+                STATUS_COLUMN_CLASSES[stage.status]
+              } ${draggedCard && !isAllowed && draggedCard.stage !== stage.key ? 'opacity-50' : ''} ${
+                dropTarget === stage.key
+                  ? 'ring-2 ring-light-primary dark:ring-dark-primary'
+                  : ''
+              }`}
+            >
+              <div className="mb-3 flex items-center justify-between">
+                <h3 className="font-semibold text-light-text dark:text-dark-text">
+                  {stage.name}
+                </h3>
+                <span className="rounded-full bg-light-background px-2 text-xs text-light-text/70 dark:bg-dark-background dark:text-dark-text/70">
+                  {cards.length}
+                </span>
+              </div>
+
+              <div className="flex min-h-[6rem] flex-col gap-2">
+                {cards.map((application) => (
+                  <div
+                    key={application.id}
+                    draggable={stage.transitions.length > 0}
+                    onDragStart={(e) => handleDragStart(e, application)}
+                    onDragEnd={handleDragEnd}
+                    className={`rounded-lg border border-light-border bg-light-background p-3 text-left dark:border-dark-border dark:bg-dark-background ${
+                      stage.transitions.length > 0
+                        ? 'cursor-grab active:cursor-grabbing'
+                        : ''
+                    } ${draggedId === application.id ? 'opacity-50' : ''}`}
+                  >
+                    <p className="font-medium text-light-text dark:text-dark-text">
+                      {formatCandidateName(application.candidate)}
+                    </p>
+                    <p className="mb-2 truncate text-xs text-light-text/60 dark:text-dark-text/60">
+                      {application.candidate?.email}
+                    </p>
+                    <div className="flex flex-wrap gap-2 text-xs">
+                      <span
+                        className="flex items-center gap-1 rounded bg-indigo-100 px-2 py-0.5 text-indigo-800"
+                        title="AI match score"
+                      >
+                        <FaRobot />
+                        {application.aiMatchScore === null
+                          ? '—'
+                          : `${Math.round(application.aiMatchScore * 100)}%`}
+                      </span>
+                      {application.assessment && (
+                        <span
+                          className="flex items-center gap-1 rounded bg-yellow-100 px-2 py-0.5 text-yellow-800"
+                          title="Pre-assessment"
+                        >
+                          <FaClipboardCheck />
+                          {application.assessment.percentage === null
+                            ? ASSESSMENT_LABELS[application.assessment.status]
+                            : `${application.assessment.percentage}%`}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+ApplicationBoard.propTypes = {
+  jobId: PropTypes.string,
+};
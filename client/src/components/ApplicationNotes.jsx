@@ -0,0 +1,323 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { FaAt, FaPlus, FaReply, FaTimes, FaTrash } from 'react-icons/fa';
+import { useSelector } from 'react-redux';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import InputField from './ui/mainLayout/InputField';
+
+import { trackEvent } from '../utils/analytics';
+
+import {
+  useCreateApplicationNoteMutation,
+  useDeleteApplicationNoteMutation,
+  useGetApplicationNotesQuery,
+  useUpdateApplicationTagsMutation,
+} from '../features/application/applicationApi';
+
+// Mirror the server's limits in utils/applicationNote.utils.js
+const MAX_NOTE_LENGTH = 2000;
+const MAX_APPLICATION_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const formatUserName = (user) =>
+  user?.firstName && user?.lastName
+    ? `${user.firstName} ${user.lastName}`
+    : 'Unknown User';
+
+// The hiring team's private notes and tags on an application; never shown to
+// the candidate
+export default function ApplicationNotes({ applicationId }) {
+  const userInfo = useSelector((state) => state.auth.userInfo);
+
+  const [body, setBody] = useState('');
+  const [mentions, setMentions] = useState([]);
+  const [replyTo, setReplyTo] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const { data, isLoading, error } = useGetApplicationNotesQuery(applicationId);
+  const [createNote, { isLoading: isSavingNote, error: createError }] =
+    useCreateApplicationNoteMutation();
+  const [deleteNote, { error: deleteError }] =
+    useDeleteApplicationNoteMutation();
+  const [updateTags, { isLoading: isSavingTags, error: tagsError }] =
+    useUpdateApplicationTagsMutation();
+
+  if (isLoading) return <Loader />;
+  if (error) return <Alert message={error.data?.message} />;
+
+  const notes = data?.notes || [];
+  const tags = data?.tags || [];
+  const mentionableUsers = (data?.team || []).filter(
+    (member) => member._id !== userInfo?.id
+  );
+
+  const saveTags = async (nextTags) => {
+    try {
+      await updateTags({ id: applicationId, tags: nextTags }).unwrap();
+      trackEvent(
+        'Update Application Tags',
+        'User Action',
+        `User updated tags of application ID: ${applicationId}`
+      );
+    } catch (err) {
+      console.error('Updating application tags failed:', err);
+    }
+  };
+
+  const handleAddTag = () => {
+    const tag = normalizeTag(tagInput);
+    if (!tag) return;
+    if (tag.length > MAX_TAG_LENGTH) {
+      setFormError(`Tags should be at most ${MAX_TAG_LENGTH} characters.`);
+      return;
+    }
+    if (tags.includes(tag)) {
+      setTagInput('');
+      return;
+    }
+    if (tags.length >= MAX_APPLICATION_TAGS) {
+      setFormError(
+        `An application can have at most ${MAX_APPLICATION_TAGS} tags.`
+      );
+      return;
+    }
+    setFormError('');
+    setTagInput('');
+    saveTags([...tags, tag]);
+  };
+
+  const toggleMention = (userId) =>
+    setMentions((prev) =>
+      prev.includes(userId)
+        ? prev.filter((id) => id !== userId)
+        : [...prev, userId]
+    );
+
+  const handleAddNote = async () => {
+    const trimmedBody = body.trim();
+    if (!trimmedBody) {
+      setFormError('Please write a note first.');
+      return;
+    }
+    if (trimmedBody.length > MAX_NOTE_LENGTH) {
+      setFormError(`Notes should be at most ${MAX_NOTE_LENGTH} characters.`);
+      return;
+    }
+    setFormError('');
+
+    try {
+      await createNote({
+        id: applicationId,
+        body: trimmedBody,
+        parentId: replyTo?._id,
+        mentions,
+      }).unwrap();
+      trackEvent(
+        'Add Application Note',
+        'User Action',
+        `User added a note to application ID: ${applicationId} mentioning ${mentions.length} people`
+      );
+      setBody('');
+      setMentions([]);
+      setReplyTo(null);
+    } catch (err) {
+      console.error('Adding application note failed:', err);
+    }
+  };
+
+  const handleDeleteNote = async (note) => {
+    try {
+      await deleteNote({ id: applicationId, noteId: note._id }).unwrap();
+      if (replyTo?._id === note._id) setReplyTo(null);
+    } catch (err) {
+      console.error('Deleting application note failed:', err);
+    }
+  };
+
+  const renderNote = (note, isReply = false) => (
+    <div
+      key={note._id}
+      className={`rounded bg-gray-50 p-3 dark:bg-gray-800 ${isReply ? 'ml-6 mt-2' : ''}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm font-medium text-light-text dark:text-dark-text">
+          {formatUserName(note.author)}
+          <span className="ml-2 font-normal text-gray-500 dark:text-gray-400">
+            {new Date(note.createdAt).toLocaleString()}
+          </span>
+        </p>
+        <div className="flex gap-2 text-sm">
+          {!isReply && (
+            <button
+              type="button"
+              onClick={() => setReplyTo(note)}
+              className="flex items-center gap-1 text-light-primary hover:underline dark:text-dark-primary"
+            >
+              <FaReply />
+              Reply
+            </button>
+          )}
+          {(userInfo?.isAdmin || note.author?._id === userInfo?.id) && (
+            <button
+              type="button"
+              onClick={() => handleDeleteNote(note)}
+              className="flex items-center gap-1 text-red-600 hover:underline dark:text-red-400"
+            >
+              <FaTrash />
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="mt-1 whitespace-pre-wrap break-words text-light-text dark:text-dark-text">
+        {note.body}
+      </p>
+      {note.mentions?.length > 0 && (
+        <p className="mt-1 text-sm text-light-primary dark:text-dark-primary">
+          {note.mentions.map((user) => `@${formatUserName(user)}`).join(' ')}
+        </p>
+      )}
+      {note.replies?.map((reply) => renderNote(reply, true))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {[createError, deleteError, tagsError].map(
+        (mutationError, index) =>
+          mutationError && (
+            <Alert key={index} message={mutationError.data?.message} />
+          )
+      )}
+      {formError && <Alert message={formError} />}
+
+      <div className="border-b border-light-border pb-4 dark:border-dark-border">
+        <p className="mb-2 text-sm text-gray-500 dark:text-gray-400">Tags</p>
+        <div className="mb-2 flex flex-wrap gap-2">
+          {tags.length === 0 && (
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              No tags yet.
+            </span>
+          )}
+          {tags.map((tag) => (
+            <span
+              key={tag}
+              className="flex items-center gap-1 rounded bg-indigo-100 px-2.5 py-0.5 text-xs font-medium text-indigo-800"
+            >
+              {tag}
+              <button
+                type="button"
+                aria-label={`Remove tag ${tag}`}
+                disabled={isSavingTags}
+                onClick={() => saveTags(tags.filter((item) => item !== tag))}
+              >
+                <FaTimes />
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="flex-1">
+            <InputField
+              id="applicationTag"
+              type="text"
+              label="Add Tag"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleAddTag}
+            disabled={isSavingTags}
+            className="mb-6 flex items-center gap-1 rounded bg-light-primary px-3 py-2 text-white hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+          >
+            <FaPlus />
+            Add
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <p className="mb-2 text-sm text-gray-500 dark:text-gray-400">
+          Notes are private to the hiring team and never shown to the candidate.
+        </p>
+        <div className="max-h-80 space-y-2 overflow-y-auto">
+          {notes.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No notes yet.
+            </p>
+          ) : (
+            notes.map((note) => renderNote(note))
+          )}
+        </div>
+      </div>
+
+      <div>
+        {replyTo && (
+          <p className="mb-2 flex items-center gap-2 text-sm text-light-text dark:text-dark-text">
+            Replying to {formatUserName(replyTo.author)}
+            <button
+              type="button"
+              onClick={() => setReplyTo(null)}
+              className="text-gray-500 hover:underline dark:text-gray-400"
+            >
+              Cancel
+            </button>
+          </p>
+        )}
+        <InputField
+          id="applicationNote"
+          type="textarea"
+          label={replyTo ? 'Reply' : 'New Note'}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+        />
+        {mentionableUsers.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              Notify:
+            </span>
+            {mentionableUsers.map((member) => (
+              <button
+                key={member._id}
+                type="button"
+                onClick={() => toggleMention(member._id)}
+                className={`flex items-center gap-1 rounded-full px-3 py-1 text-sm ${
+                  mentions.includes(member._id)
+                    ? 'bg-light-primary text-white dark:bg-dark-primary'
+                    : 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
+                }`}
+              >
+                <FaAt />
+                {formatUserName(member)}
+                <span className="opacity-70">({member.role})</span>
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleAddNote}
+            disabled={isSavingNote}
+            className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+          >
+            <FaPlus />
+            {replyTo ? 'Add Reply' : 'Add Note'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ApplicationNotes.propTypes = {
+  applicationId: PropTypes.string.isRequired,
+};
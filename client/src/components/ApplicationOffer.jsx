@@ -0,0 +1,240 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { FaBan, FaPaperPlane } from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import OfferLetterLink from './OfferLetterLink';
+import InputField from './ui/mainLayout/InputField';
+
+import { trackEvent } from '../utils/analytics';
+import { SALARY_CURRENCIES, SALARY_PERIODS } from '../utils/jobValidation';
+import {
+  EMPTY_OFFER,
+  OFFER_STATUS_STYLES,
+  formatOfferSalary,
+  validateOffer,
+} from '../utils/offers';
+
+import {
+  useCreateOfferMutation,
+  useGetOffersQuery,
+  useRescindOfferMutation,
+} from '../features/offer/offerApi';
+
+// Offers can't be sent once the candidate is out of the running or hired
+const CLOSED_APPLICATION_STATUSES = ['hired', 'rejected', 'withdrawn'];
+
+// The offers sent for an application, and a form to send a new one while
+// none is pending
+export default function ApplicationOffer({ applicationId, applicationStatus }) {
+  const [offerData, setOfferData] = useState(EMPTY_OFFER);
+  const [formError, setFormError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const { data, isLoading, error } = useGetOffersQuery({ applicationId });
+  const [createOffer, { isLoading: isSending, error: createError }] =
+    useCreateOfferMutation();
+  const [rescindOffer, { isLoading: isRescinding, error: rescindError }] =
+    useRescindOfferMutation();
+
+  if (isLoading) return <Loader />;
+  if (error) return <Alert message={error.data?.message} />;
+
+  const offers = data?.offers || [];
+  const hasPendingOffer = offers.some((offer) => offer.status === 'pending');
+  const canSendOffer =
+    !hasPendingOffer &&
+    !CLOSED_APPLICATION_STATUSES.includes(applicationStatus);
+
+  const handleChange = (field) => (e) =>
+    setOfferData((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSendOffer = async () => {
+    const validationError = validateOffer(offerData);
+    setFormError(validationError);
+    setSuccessMessage('');
+    if (validationError) return;
+
+    try {
+      await createOffer({
+        applicationId,
+        salary: {
+          amount: Number(offerData.amount),
+          currency: offerData.currency,
+          period: offerData.period,
+        },
+        startDate: offerData.startDate,
+        expiresAt: new Date(offerData.expiresAt).toISOString(),
+        terms: offerData.terms.trim(),
+      }).unwrap();
+      trackEvent(
+        'Send Offer',
+        'User Action',
+        `User sent an offer for application ID: ${applicationId}`
+      );
+      setOfferData(EMPTY_OFFER);
+      setSuccessMessage('Offer sent. The candidate has been notified.');
+    } catch (err) {
+      console.error('Sending offer failed:', err);
+    }
+  };
+
+  const handleRescindOffer = async (offer) => {
+    if (
+      !window.confirm('Rescind this offer? The candidate will be notified.')
+    ) {
+      return;
+    }
+    setSuccessMessage('');
+
+    try {
+      await rescindOffer(offer._id).unwrap();
+      trackEvent(
+        'Rescind Offer',
+        'User Action',
+        `User rescinded offer ID: ${offer._id}`
+      );
+      setSuccessMessage('Offer rescinded.');
+    } catch (err) {
+      console.error('Rescinding offer failed:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {[createError, rescindError].map(
+        (mutationError, index) =>
+          mutationError && (
+            <Alert key={index} message={mutationError.data?.message} />
+          )
+      )}
+      {successMessage && <Alert message={successMessage} isSuccess />}
+
+      {offers.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No offers sent yet.
+        </p>
+      ) : (
+        offers.map((offer) => (
+          <div
+            key={offer._id}
+            className="rounded bg-gray-50 p-3 dark:bg-gray-800"
+          >
+            <div className="flex flex-wrap items-start justify-between gap-2">
+              <div className="text-sm text-light-text dark:text-dark-text">
+                <p className="font-medium">
+                  {formatOfferSalary(offer.salary)}
+                  <span
+                    className={`ml-2 rounded px-2.5 py-0.5 text-xs font-medium ${OFFER_STATUS_STYLES[offer.status]}`}
+                  >
+                    {offer.status}
+                  </span>
+                </p>
+                <p>
+                  Starts {new Date(offer.startDate).toLocaleDateString()} ·{' '}
+                  {offer.status === 'pending' ? 'Expires' : 'Was open until'}{' '}
+                  {new Date(offer.expiresAt).toLocaleString()}
+                </p>
+                {offer.declineReason && (
+                  <p className="text-gray-500 dark:text-gray-400">
+                    Reason: {offer.declineReason}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <OfferLetterLink offer={offer} />
+                {offer.status === 'pending' && (
+                  <button
+                    type="button"
+                    onClick={() => handleRescindOffer(offer)}
+                    disabled={isRescinding}
+                    className="flex items-center gap-2 rounded bg-red-600 px-3 py-2 text-sm text-white hover:bg-red-700 disabled:opacity-50"
+                  >
+                    <FaBan />
+                    Rescind
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))
+      )}
+
+      {canSendOffer && (
+        <div className="border-t border-light-border pt-4 dark:border-dark-border">
+          {formError && <Alert message={formError} />}
+          <div className="grid grid-cols-1 gap-x-4 md:grid-cols-3">
+            <InputField
+              id="offerSalaryAmount"
+              type="number"
+              label="Salary"
+              value={offerData.amount}
+              onChange={handleChange('amount')}
+              min="1"
+            />
+            <InputField
+              id="offerSalaryCurrency"
+              type="select"
+              label="Currency"
+              value={offerData.currency}
+              onChange={handleChange('currency')}
+              options={SALARY_CURRENCIES.map((code) => ({
+                value: code,
+                label: code,
+              }))}
+            />
+            <InputField
+              id="offerSalaryPeriod"
+              type="select"
+              label="Pay Period"
+              value={offerData.period}
+              onChange={handleChange('period')}
+              options={SALARY_PERIODS}
+            />
+          </div>
+          <div className="grid grid-cols-1 gap-x-4 md:grid-cols-2">
+            <InputField
+              id="offerStartDate"
+              type="date"
+              label="Start Date"
+              value={offerData.startDate}
+              onChange={handleChange('startDate')}
+            />
+            <InputField
+              id="offerExpiresAt"
+              type="datetime-local"
+              label="Respond By"
+              value={offerData.expiresAt}
+              onChange={handleChange('expiresAt')}
+            />
+          </div>
+          <InputField
+            id="offerTerms"
+            type="textarea"
+            label="Terms"
+            value={offerData.terms}
+            onChange={handleChange('terms')}
+            rows={5}
+          />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSendOffer}
+              disabled={isSending}
+              className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+            >
+              <FaPaperPlane />
+              {isSending ? 'Sending...' : 'Send Offer'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ApplicationOffer.propTypes = {
+  applicationId: PropTypes.string.isRequired,
+  applicationStatus: PropTypes.string,
+};
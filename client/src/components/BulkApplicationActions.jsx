@@ -0,0 +1,313 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import {
+  FaArrowRight,
+  FaBan,
+  FaCheck,
+  FaEnvelope,
+  FaTimes,
+} from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import Modal from './Modal';
+import InputField from './ui/mainLayout/InputField';
+
+import { trackEvent } from '../utils/analytics';
+
+import { useBulkUpdateApplicationsMutation } from '../features/application/applicationApi';
+
+const BULK_ACTIONS = [
+  {
+    value: 'shortlist',
+    label: 'Shortlist',
+    icon: FaCheck,
+    className: 'bg-green-500 hover:bg-green-600',
+  },
+  {
+    value: 'reject',
+    label: 'Reject',
+    icon: FaBan,
+    className: 'bg-red-500 hover:bg-red-600',
+  },
+  {
+    value: 'move',
+    label: 'Move Stage',
+    icon: FaArrowRight,
+    className: 'bg-blue-500 hover:bg-blue-600',
+  },
+  {
+    value: 'email',
+    label: 'Email',
+    icon: FaEnvelope,
+    className: 'bg-purple-500 hover:bg-purple-600',
+  },
+];
+
+const EMAIL_PLACEHOLDERS = ['firstName', 'lastName', 'jobTitle', 'company'];
+
+const formatCandidateName = (application) => {
+  const candidate = application?.candidate;
+  return candidate?.firstName && candidate?.lastName
+    ? `${candidate.firstName} ${candidate.lastName}`
+    : 'Unknown Candidate';
+};
+
+export default function BulkApplicationActions({
+  selectedApplications,
+  onClear,
+}) {
+  const [action, setAction] = useState(null);
+  const [stage, setStage] = useState('');
+  const [reason, setReason] = useState('');
+  const [subject, setSubject] = useState('');
+  const [message, setMessage] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const [
+    bulkUpdateApplications,
+    { isLoading, error, data: bulkResult, reset },
+  ] = useBulkUpdateApplicationsMutation();
+
+  if (selectedApplications.length === 0) return null;
+
+  // Applications can be for different jobs, so offer every stage at least one
+  // of them can move to; the others are reported as failed
+  const stageOptions = [];
+  selectedApplications.forEach((application) => {
+    (application.nextStages || []).forEach((nextStage) => {
+      if (!stageOptions.some((option) => option.value === nextStage.key)) {
+        stageOptions.push({ value: nextStage.key, label: nextStage.name });
+      }
+    });
+  });
+
+  const activeAction = BULK_ACTIONS.find((item) => item.value === action);
+  const applicationsById = new Map(
+    selectedApplications.map((application) => [application.id, application])
+  );
+  const failedResults = (bulkResult?.results || []).filter(
+    (result) => !result.success
+  );
+
+  const openAction = (value) => {
+    setAction(value);
+    setStage(stageOptions[0]?.value || '');
+    setReason('');
+    setFormError('');
+    reset();
+  };
+
+  const closeModal = () => {
+    setAction(null);
+    // Once the action has run, the selection has served its purpose
+    if (bulkResult) onClear();
+  };
+
+  const validateForm = () => {
+    if (action === 'move' && !stage) {
+      return 'Please choose the stage to move the applications to.';
+    }
+    if (action === 'email') {
+      const subjectLength = subject.trim().length;
+      const messageLength = message.trim().length;
+      if (subjectLength < 2 || subjectLength > 150) {
+        return 'Subject should be between 2 and 150 characters.';
+      }
+      if (messageLength < 10 || messageLength > 5000) {
+        return 'Message should be between 10 and 5000 characters.';
+      }
+    }
+    return '';
+  };
+
+  const handleSubmit = async () => {
+    const validationError = validateForm();
+    setFormError(validationError);
+    if (validationError) return;
+
+    try {
+      const result = await bulkUpdateApplications({
+        applicationIds: selectedApplications.map(
+          (application) => application.id
+        ),
+        action,
+        ...(action === 'move' && { stage }),
+        ...(action === 'email'
+          ? { email: { subject: subject.trim(), message: message.trim() } }
+          : { reason: reason.trim() || undefined }),
+      }).unwrap();
+      trackEvent(
+        'Bulk Application Action',
+        'User Action',
+        `User ran "${action}" on ${result.summary.total} applications (${result.summary.failed} failed)`
+      );
+    } catch (err) {
+      console.error('Bulk application action failed:', err);
+    }
+  };
+
+  const renderForm = () => (
+    <div className="space-y-4">
+      {error && <Alert message={error.data?.message} />}
+      {formError && <Alert message={formError} />}
+
+      <p className="text-light-text dark:text-dark-text">
+        {activeAction.label} {selectedApplications.length} selected application
+        {selectedApplications.length === 1 ? '' : 's'}.
+        {action !== 'email' &&
+          ' Applications that cannot make this move are skipped and listed afterwards.'}
+      </p>
+
+      {action === 'move' &&
+        (stageOptions.length > 0 ? (
+          <InputField
+            id="bulkStage"
+            type="select"
+            label="Move To"
+            value={stage}
+            onChange={(e) => setStage(e.target.value)}
+            options={stageOptions}
+          />
+        ) : (
+          <Alert message="None of the selected applications can be moved to another stage." />
+        ))}
+
+      {action === 'email' ? (
+        <>
+          <InputField
+            id="bulkEmailSubject"
+            type="text"
+            label="Subject"
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+          />
+          <InputField
+            id="bulkEmailMessage"
+            type="textarea"
+            label="Message"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            rows={6}
+          />
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Personalise the subject and message with{' '}
+            {EMAIL_PLACEHOLDERS.map((placeholder) => `{{${placeholder}}}`).join(
+              ', '
+            )}
+            .
+          </p>
+        </>
+      ) : (
+        <InputField
+          id="bulkReason"
+          type="textarea"
+          label="Reason (optional)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+        />
+      )}
+
+      <div className="flex justify-end space-x-2 pt-4">
+        <button
+          className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+          onClick={closeModal}
+        >
+          <FaTimes />
+          Cancel
+        </button>
+        <button
+          className={`flex items-center gap-2 rounded px-4 py-2 text-white transition-all duration-200 ${activeAction.className}`}
+          onClick={handleSubmit}
+          disabled={action === 'move' && stageOptions.length === 0}
+        >
+          <activeAction.icon />
+          {activeAction.label}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderResults = () => (
+    <div className="space-y-4">
+      <Alert
+        message={bulkResult.message}
+        isSuccess={failedResults.length === 0}
+      />
+
+      {failedResults.length > 0 && (
+        <ul className="max-h-64 space-y-2 overflow-y-auto">
+          {failedResults.map((result) => (
+            <li
+              key={result.id}
+              className="rounded border border-light-border p-3 dark:border-dark-border"
+            >
+              <p className="font-medium text-light-text dark:text-dark-text">
+                {formatCandidateName(applicationsById.get(result.id))}
+              </p>
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {result.message}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end pt-4">
+        <button
+          className="rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+          onClick={closeModal}
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <>
+      <div className="mb-4 flex flex-wrap items-center gap-2 rounded-lg border border-light-border bg-light-surface p-3 dark:border-dark-border dark:bg-dark-surface">
+        <span className="mr-2 font-medium text-light-text dark:text-dark-text">
+          {selectedApplications.length} selected
+        </span>
+        {BULK_ACTIONS.map(({ value, label, icon: Icon, className }) => (
+          <button
+            key={value}
+            onClick={() => openAction(value)}
+            className={`flex items-center gap-1 rounded px-3 py-1 text-white ${className}`}
+          >
+            <Icon />
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={onClear}
+          className="ml-auto flex items-center gap-1 rounded px-3 py-1 text-light-text hover:bg-light-border/30 dark:text-dark-text dark:hover:bg-dark-border/30"
+        >
+          <FaTimes />
+          Clear
+        </button>
+      </div>
+
+      <Modal
+        isOpen={Boolean(activeAction)}
+        onClose={closeModal}
+        title={`${activeAction?.label || ''} Applications`}
+      >
+        {isLoading ? (
+          <Loader />
+        ) : bulkResult ? (
+          renderResults()
+        ) : (
+          activeAction && renderForm()
+        )}
+      </Modal>
+    </>
+  );
+}
+
+BulkApplicationActions.propTypes = {
+  selectedApplications: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onClear: PropTypes.func.isRequired,
+};
@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import { FaCheck, FaTimes } from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import Modal from './Modal';
+import OfferLetterLink from './OfferLetterLink';
+import InputField from './ui/mainLayout/InputField';
+
+import { trackEvent } from '../utils/analytics';
+import {
+  MAX_DECLINE_REASON_LENGTH,
+  OFFER_STATUS_STYLES,
+  formatOfferSalary,
+} from '../utils/offers';
+
+import {
+  useAcceptOfferMutation,
+  useDeclineOfferMutation,
+  useGetOffersQuery,
+} from '../features/offer/offerApi';
+
+// The candidate's job offers, open ones first, with their letters and answers
+export default function CandidateOffers() {
+  const [offerToDecline, setOfferToDecline] = useState(null);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const { data, isLoading, error } = useGetOffersQuery();
+  const [acceptOffer, { isLoading: isAccepting, error: acceptError }] =
+    useAcceptOfferMutation();
+  const [
+    declineOffer,
+    { isLoading: isDeclining, error: declineError, reset: resetDecline },
+  ] = useDeclineOfferMutation();
+
+  if (isLoading) return <Loader />;
+  if (error) return <Alert message={error.data?.message} />;
+
+  const offers = [...(data?.offers || [])].sort(
+    (a, b) => (b.status === 'pending') - (a.status === 'pending')
+  );
+  if (offers.length === 0) return null;
+
+  const handleAccept = async (offer) => {
+    if (
+      !window.confirm(
+        `Accept the offer for "${offer.job?.title}" at ${offer.job?.company}? You can't undo this.`
+      )
+    ) {
+      return;
+    }
+    setSuccessMessage('');
+
+    try {
+      await acceptOffer(offer._id).unwrap();
+      trackEvent(
+        'Accept Offer',
+        'User Action',
+        `User accepted offer ID: ${offer._id}`
+      );
+      setSuccessMessage(
+        `Congratulations! You accepted the offer for "${offer.job?.title}".`
+      );
+    } catch (err) {
+      console.error('Accepting offer failed:', err);
+    }
+  };
+
+  const openDeclineModal = (offer) => {
+    setOfferToDecline(offer);
+    setReason('');
+    setReasonError('');
+    resetDecline();
+  };
+
+  const closeDeclineModal = () => setOfferToDecline(null);
+
+  const confirmDecline = async () => {
+    const trimmedReason = reason.trim();
+    if (trimmedReason.length === 1) {
+      setReasonError('Reason should be at least 2 characters.');
+      return;
+    }
+    if (trimmedReason.length > MAX_DECLINE_REASON_LENGTH) {
+      setReasonError(
+        `Reason should be at most ${MAX_DECLINE_REASON_LENGTH} characters.`
+      );
+      return;
+    }
+    setSuccessMessage('');
+
+    try {
+      await declineOffer({
+        id: offerToDecline._id,
+        reason: trimmedReason || undefined,
+      }).unwrap();
+      trackEvent(
+        'Decline Offer',
+        'User Action',
+        `User declined offer ID: ${offerToDecline._id}`
+      );
+      setOfferToDecline(null);
+      setSuccessMessage('You declined the offer.');
+    } catch (err) {
+      console.error('Declining offer failed:', err);
+    }
+  };
+
+  return (
+    <div className="mt-6 border-t border-light-border pt-6 text-left dark:border-dark-border">
+      <h2 className="mb-4 text-2xl font-bold text-light-text dark:text-dark-text">
+        Your Offers
+      </h2>
+      {acceptError && <Alert message={acceptError.data?.message} />}
+      {successMessage && <Alert message={successMessage} isSuccess />}
+
+      <div className="space-y-4">
+        {offers.map((offer) => (
+          <div
+            key={offer._id}
+            className="rounded-lg border border-light-border p-4 dark:border-dark-border"
+          >
+            <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+              <h3 className="text-lg font-semibold text-light-text dark:text-dark-text">
+                {offer.job?.title} at {offer.job?.company}
+              </h3>
+              <span
+                className={`rounded px-2.5 py-0.5 text-xs font-medium ${OFFER_STATUS_STYLES[offer.status]}`}
+              >
+                {offer.status}
+              </span>
+            </div>
+            <p className="text-light-text dark:text-dark-text">
+              {formatOfferSalary(offer.salary)} · Starts{' '}
+              {new Date(offer.startDate).toLocaleDateString()}
+            </p>
+            {offer.status === 'pending' && (
+              <p className="text-sm text-light-text/70 dark:text-dark-text/70">
+                Respond by {new Date(offer.expiresAt).toLocaleString()}
+              </p>
+            )}
+            <p className="mt-2 whitespace-pre-wrap break-words text-sm text-light-text/70 dark:text-dark-text/70">
+              {offer.terms}
+            </p>
+            <div className="mt-4 flex flex-wrap justify-end gap-2">
+              <OfferLetterLink offer={offer} />
+              {offer.status === 'pending' && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => openDeclineModal(offer)}
+                    className="flex items-center gap-2 rounded bg-red-600 px-3 py-2 text-sm text-white hover:bg-red-700"
+                  >
+                    <FaTimes />
+                    Decline
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleAccept(offer)}
+                    disabled={isAccepting}
+                    className="flex items-center gap-2 rounded bg-light-primary px-3 py-2 text-sm text-white hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                  >
+                    <FaCheck />
+                    Accept
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <Modal
+        isOpen={Boolean(offerToDecline)}
+        onClose={closeDeclineModal}
+        title="Decline Offer"
+      >
+        {isDeclining ? (
+          <Loader />
+        ) : (
+          <div className="text-left">
+            {declineError && <Alert message={declineError.data?.message} />}
+
+            <p className="mb-4 text-light-text dark:text-dark-text">
+              Decline the offer for &quot;{offerToDecline?.job?.title}&quot; at{' '}
+              {offerToDecline?.job?.company}? The recruiter will be notified.
+              You can&apos;t undo this.
+            </p>
+            <InputField
+              id="declineReason"
+              type="textarea"
+              label="Reason (optional)"
+              value={reason}
+              onChange={(e) => {
+                setReason(e.target.value);
+                setReasonError('');
+              }}
+              validationMessage={reasonError}
+              rows={3}
+            />
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={closeDeclineModal}
+              >
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-red-600 px-4 py-2 text-white transition-all duration-200 hover:bg-red-700"
+                onClick={confirmDecline}
+              >
+                <FaTimes /> Decline
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import PropTypes from 'prop-types';
+import { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { FiX } from 'react-icons/fi';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import InputField from './ui/mainLayout/InputField';
+
+import {
+  JOB_STATUS_OPTIONS,
+  SALARY_PERIODS,
+  getWorkModeLabel,
+} from '../utils/jobValidation';
+
+import {
+  useGetJobVersionDiffQuery,
+  useGetJobVersionsQuery,
+} from '../features/job/jobApi';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  requirements: 'Requirements',
+  benefits: 'Benefits',
+  company: 'Company',
+  salary: 'Salary',
+  category: 'Category',
+  workMode: 'Work Mode',
+  locations: 'Locations',
+  location: 'Location Summary',
+  status: 'Status',
+  isClosed: 'Closed',
+  publishAt: 'Publish At',
+  applicationDeadline: 'Application Deadline',
+  screeningQuestions: 'Screening Questions',
+};
+
+const getEditorName = (version) =>
+  version?.editedBy
+    ? `${version.editedBy.firstName} ${version.editedBy.lastName}`
+    : 'System';
+
+const formatFieldValue = (field, value) => {
+  if (
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  ) {
+    return '—';
+  }
+
+  switch (field) {
+    case 'salary': {
+      const period = SALARY_PERIODS.find((p) => p.value === value.period);
+      return `${value.currency} ${Number(value.min).toLocaleString()} - ${Number(value.max).toLocaleString()} (${period?.label || value.period})`;
+    }
+    case 'workMode':
+      return getWorkModeLabel(value);
+    case 'status':
+      return (
+        JOB_STATUS_OPTIONS.find((option) => option.value === value)?.label ||
+        value
+      );
+    case 'isClosed':
+      return value ? 'Yes' : 'No';
+    case 'publishAt':
+    case 'applicationDeadline':
+      return new Date(value).toLocaleString();
+    case 'screeningQuestions':
+      return value.map((question) => `• ${question.question}`).join('\n');
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+};
+
+export default function JobHistoryDrawer({ isOpen, onClose, job }) {
+  const jobId = job?.id || job?._id;
+
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+
+  const {
+    data: versionsData,
+    isLoading: isLoadingVersions,
+    error: versionsError,
+  } = useGetJobVersionsQuery(jobId, { skip: !isOpen || !jobId });
+
+  const versions = versionsData?.versions || [];
+
+  const {
+    data: diffData,
+    isFetching: isFetchingDiff,
+    error: diffError,
+  } = useGetJobVersionDiffQuery(
+    { id: jobId, from, to },
+    { skip: !isOpen || !jobId || !from || !to || from === to }
+  );
+
+  // Start with the latest edit whenever the drawer opens for a job
+  useEffect(() => {
+    const latest = versionsData?.versions?.[0]?.version;
+    if (!isOpen || !latest) return;
+    setTo(latest);
+    setFrom(Math.max(latest - 1, 1));
+  }, [isOpen, versionsData]);
+
+  useEffect(() => {
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEsc);
+    }
+    return () => {
+      document.removeEventListener('keydown', handleEsc);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const versionOptions = versions.map((version) => ({
+    value: version.version,
+    label: `Version ${version.version} · ${new Date(version.createdAt).toLocaleDateString()}`,
+  }));
+
+  const handleSelectVersion = (version) => {
+    setTo(version);
+    setFrom(Math.max(version - 1, 1));
+  };
+
+  const renderDiff = () => {
+    if (versions.length < 2) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          This job has not been edited since it was first saved.
+        </p>
+      );
+    }
+    if (from === to) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Choose two different versions to compare.
+        </p>
+      );
+    }
+    if (isFetchingDiff) return <Loader />;
+    if (diffError) return <Alert message={diffError.data?.message} />;
+    if (!diffData) return null;
+    if (diffData.changes.length === 0) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No differences between these versions.
+        </p>
+      );
+    }
+
+    return (
+      <ul className="space-y-3">
+        {diffData.changes.map((change) => (
+          <li
+            key={change.field}
+            className="rounded-lg bg-light-background p-3 text-sm dark:bg-dark-background"
+          >
+            <p className="mb-2 font-semibold text-light-text dark:text-dark-text">
+              {FIELD_LABELS[change.field] || change.field}
+            </p>
+            {change.added || change.removed ? (
+              <div className="space-y-1">
+                {change.added.map((item) => (
+                  <p
+                    key={`added-${item}`}
+                    className="text-green-700 dark:text-green-400"
+                  >
+                    + {item}
+                  </p>
+                ))}
+                {change.removed.map((item) => (
+                  <p
+                    key={`removed-${item}`}
+                    className="text-red-600 line-through dark:text-red-400"
+                  >
+                    − {item}
+                  </p>
+                ))}
+              </div>
+            ) : (
+              <div className="space-y-1 whitespace-pre-line break-words">
+                <p className="text-red-600 line-through dark:text-red-400">
+                  {formatFieldValue(change.field, change.from)}
+                </p>
+                <p className="text-green-700 dark:text-green-400">
+                  {formatFieldValue(change.field, change.to)}
+                </p>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 z-50">
+      <div className="fixed inset-0 bg-black opacity-50" onClick={onClose} />
+
+      <aside className="fixed inset-y-0 right-0 z-10 flex w-full max-w-lg flex-col bg-light-surface shadow-lg dark:bg-dark-surface">
+        <div className="flex items-center justify-between p-6 pb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-light-text dark:text-dark-text">
+              Edit History
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {job?.title}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close history"
+            className="text-light-text transition-colors hover:text-light-primary dark:text-dark-text dark:hover:text-dark-primary"
+          >
+            <FiX size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 pt-0">
+          {isLoadingVersions ? (
+            <Loader />
+          ) : versionsError ? (
+            <Alert message={versionsError.data?.message} />
+          ) : versions.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No history has been recorded for this job yet. A version is saved
+              on its next edit.
+            </p>
+          ) : (
+            <>
+              <ol className="mb-6 space-y-2">
+                {versions.map((version) => (
+                  <li key={version.version}>
+                    <button
+                      type="button"
+                      onClick={() => handleSelectVersion(version.version)}
+                      className={`w-full rounded-lg border p-3 text-left text-sm transition-colors ${
+                        version.version === to
+                          ? 'border-light-primary dark:border-dark-primary'
+                          : 'border-light-border hover:border-light-primary dark:border-dark-border dark:hover:border-dark-primary'
+                      }`}
+                    >
+                      <p className="font-semibold text-light-text dark:text-dark-text">
+                        Version {version.version}
+                        {version.version === versions[0].version &&
+                          ' (current)'}
+                      </p>
+                      <p className="text-gray-500 dark:text-gray-400">
+                        {getEditorName(version)} ·{' '}
+                        {new Date(version.createdAt).toLocaleString()}
+                      </p>
+                      <p className="text-gray-500 dark:text-gray-400">
+                        {version.changedFields.length > 0
+                          ? `Changed: ${version.changedFields
+                              .map((field) => FIELD_LABELS[field] || field)
+                              .join(', ')}`
+                          : 'Original posting'}
+                      </p>
+                    </button>
+                  </li>
+                ))}
+              </ol>
+
+              {versions.length > 1 && (
+                <div className="grid grid-cols-2 gap-x-4">
+                  <InputField
+                    id="historyFrom"
+                    type="select"
+                    label="Compare"
+                    value={from ?? ''}
+                    onChange={(e) => setFrom(Number(e.target.value))}
+                    options={versionOptions}
+                  />
+                  <InputField
+                    id="historyTo"
+                    type="select"
+                    label="With"
+                    value={to ?? ''}
+                    onChange={(e) => setTo(Number(e.target.value))}
+                    options={versionOptions}
+                  />
+                </div>
+              )}
+
+              {renderDiff()}
+            </>
+          )}
+        </div>
+      </aside>
+    </div>,
+    document.body
+  );
+}
+
+JobHistoryDrawer.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  job: PropTypes.shape({
+    id: PropTypes.string,
+    _id: PropTypes.string,
+    title: PropTypes.string,
+  }),
+};
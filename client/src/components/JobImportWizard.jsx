@@ -0,0 +1,260 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import {
+  FaArrowLeft,
+  FaCheckCircle,
+  FaDownload,
+  FaExclamationTriangle,
+  FaFileImport,
+  FaTimes,
+} from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import Modal from './Modal';
+import InputField from './ui/mainLayout/InputField';
+
+import {
+  CSV_TEMPLATE,
+  MAX_IMPORT_ROWS,
+  getImportFormat,
+  parseImportFile,
+  validateImportRow,
+} from '../utils/jobImport';
+
+import { useImportJobsMutation } from '../features/job/jobApi';
+
+const downloadTemplate = () => {
+  const url = URL.createObjectURL(
+    new Blob([CSV_TEMPLATE], { type: 'text/csv;charset=utf-8' })
+  );
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'ezyjobs-job-import-template.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function JobImportWizard({ isOpen, onClose, onImported }) {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [report, setReport] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [requestError, setRequestError] = useState('');
+
+  const [importJobs, { isLoading }] = useImportJobsMutation();
+
+  const reset = () => {
+    setStep('upload');
+    setFile(null);
+    setRows([]);
+    setReport(null);
+    setFileError('');
+    setRequestError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  // A failed import answers with the same per-row report as a dry run
+  const handleRequestError = (err) => {
+    if (err?.data?.rows) setReport(err.data);
+    setRequestError(
+      err?.data?.message || 'Unable to import jobs. Please try again.'
+    );
+  };
+
+  const runDryRun = async (format, content) => {
+    setRequestError('');
+    try {
+      setReport(await importJobs({ format, content, dryRun: true }).unwrap());
+    } catch (err) {
+      handleRequestError(err);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    const format = getImportFormat(selected.name);
+    if (!format) {
+      setFileError('Please choose a .csv or .json file.');
+      return;
+    }
+
+    const content = await selected.text();
+    let jobs;
+    try {
+      jobs = parseImportFile(format, content);
+    } catch (err) {
+      setFileError(err.message);
+      return;
+    }
+
+    setFileError('');
+    setFile({ name: selected.name, format, content });
+    setRows(jobs.map((job) => ({ job, errors: validateImportRow(job) })));
+    setReport(null);
+    setStep('preview');
+    runDryRun(format, content);
+  };
+
+  const handleImport = async () => {
+    setRequestError('');
+    try {
+      const result = await importJobs({
+        format: file.format,
+        content: file.content,
+        dryRun: false,
+      }).unwrap();
+      onImported(result.message);
+      handleClose();
+    } catch (err) {
+      handleRequestError(err);
+    }
+  };
+
+  // The form's own checks read better, so the server's are shown when those pass
+  const getRowErrors = (index) =>
+    rows[index].errors.length > 0
+      ? rows[index].errors
+      : report?.rows?.[index]?.errors || [];
+
+  const invalidCount = rows.filter(
+    (_, index) => getRowErrors(index).length > 0
+  ).length;
+  const canImport =
+    Boolean(report?.success) && invalidCount === 0 && !isLoading;
+
+  const renderUpload = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Upload a CSV or JSON file with up to {MAX_IMPORT_ROWS} jobs. Every row
+        is checked with the same rules as the Create Job form, and nothing is
+        saved unless all rows are valid.
+      </p>
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        CSV files need a header row. Separate requirements and benefits with
+        commas and locations with semicolons. JSON files hold a list of jobs in
+        the same shape as the API.
+      </p>
+      {fileError && <Alert message={fileError} />}
+      <InputField
+        id="jobImportFile"
+        type="file"
+        label="Import File"
+        value={file?.name || ''}
+        onChange={handleFileChange}
+      />
+      <div className="flex justify-between pt-4">
+        <button
+          type="button"
+          onClick={downloadTemplate}
+          className="flex items-center gap-2 rounded px-4 py-2 text-light-primary transition-all duration-200 hover:bg-light-primary hover:bg-opacity-10 dark:text-dark-primary"
+        >
+          <FaDownload />
+          CSV Template
+        </button>
+        <button
+          type="button"
+          className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+          onClick={handleClose}
+        >
+          <FaTimes />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {file.name} · {rows.length} {rows.length === 1 ? 'job' : 'jobs'}
+        {invalidCount > 0 && ` · ${invalidCount} with errors`}
+      </p>
+      {requestError && <Alert message={requestError} />}
+      {isLoading && !report && <Loader />}
+
+      <ol className="max-h-96 space-y-2 overflow-y-auto">
+        {rows.map(({ job }, index) => {
+          const errors = getRowErrors(index);
+
+          return (
+            <li
+              key={index}
+              className={`rounded-lg border p-3 text-sm ${
+                errors.length > 0
+                  ? 'border-red-400 dark:border-red-500'
+                  : 'border-light-border dark:border-dark-border'
+              }`}
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <p className="font-semibold text-light-text dark:text-dark-text">
+                    {index + 1}. {job.title || 'Untitled job'}
+                  </p>
+                  <p className="text-gray-500 dark:text-gray-400">
+                    {[job.company, job.category].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                {errors.length > 0 ? (
+                  <FaExclamationTriangle className="mt-1 shrink-0 text-red-500" />
+                ) : (
+                  report && (
+                    <FaCheckCircle className="mt-1 shrink-0 text-green-500" />
+                  )
+                )}
+              </div>
+              {errors.length > 0 && (
+                <ul className="mt-2 list-inside list-disc text-red-600 dark:text-red-400">
+                  {errors.map((error) => (
+                    <li key={error}>{error}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="flex justify-end space-x-2 pt-4">
+        <button
+          type="button"
+          className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+          onClick={reset}
+          disabled={isLoading}
+        >
+          <FaArrowLeft />
+          Back
+        </button>
+        <button
+          type="button"
+          className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary disabled:cursor-not-allowed disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+          onClick={handleImport}
+          disabled={!canImport}
+        >
+          <FaFileImport />
+          Import {rows.length} {rows.length === 1 ? 'Job' : 'Jobs'}
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Jobs">
+      {step === 'upload' ? renderUpload() : renderPreview()}
+    </Modal>
+  );
+}
+
+JobImportWizard.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+};
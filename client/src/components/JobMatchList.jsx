@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+import { FaMapMarkerAlt } from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+
+// Skills the candidate has (recommended) or shares with the viewed job (similar)
+const getMatchedSkills = (match) =>
+  match?.matchedSkills || match?.sharedSkills || [];
+
+export default function JobMatchList({
+  title,
+  icon,
+  jobs,
+  isLoading,
+  error,
+  emptyMessage,
+  onSelect,
+}) {
+  if (!isLoading && !error && jobs.length === 0 && !emptyMessage) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8">
+      <h2 className="mb-4 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+        {icon}
+        {title}
+      </h2>
+
+      {isLoading ? (
+        <Loader />
+      ) : error ? (
+        <Alert message={error?.data?.message} />
+      ) : jobs.length === 0 ? (
+        <p className="text-sm text-light-text opacity-70 dark:text-dark-text">
+          {emptyMessage}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          {jobs.map((job) => (
+            <button
+              key={job.id}
+              type="button"
+              onClick={() => onSelect(job)}
+              className="rounded-lg border border-light-border bg-light-surface p-4 text-left transition-all duration-300 hover:shadow-lg dark:border-dark-border dark:bg-dark-surface"
+            >
+              <div className="flex items-start justify-between gap-2">
+                <h3 className="font-semibold text-light-text dark:text-dark-text">
+                  {job.title}
+                </h3>
+                <span className="whitespace-nowrap rounded-full bg-light-primary bg-opacity-10 px-2.5 py-0.5 text-xs font-medium text-light-primary dark:text-dark-primary">
+                  {job.match?.score}% match
+                </span>
+              </div>
+              <p className="mt-1 text-sm text-light-text opacity-70 dark:text-dark-text">
+                {job.company}
+              </p>
+              <div className="mt-2 flex items-center gap-2 text-sm text-light-text opacity-60 dark:text-dark-text">
+                <FaMapMarkerAlt className="text-light-primary dark:text-dark-primary" />{' '}
+                {job.location}
+              </div>
+              {getMatchedSkills(job.match).length > 0 && (
+                <p className="mt-2 text-xs text-light-text opacity-70 dark:text-dark-text">
+                  Matches: {getMatchedSkills(job.match).join(', ')}
+                </p>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+JobMatchList.propTypes = {
+  title: PropTypes.string.isRequired,
+  icon: PropTypes.node,
+  jobs: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      title: PropTypes.string,
+      company: PropTypes.string,
+      location: PropTypes.string,
+      match: PropTypes.shape({
+        score: PropTypes.number,
+        matchedSkills: PropTypes.arrayOf(PropTypes.string),
+        sharedSkills: PropTypes.arrayOf(PropTypes.string),
+      }),
+    })
+  ).isRequired,
+  isLoading: PropTypes.bool,
+  error: PropTypes.object,
+  emptyMessage: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
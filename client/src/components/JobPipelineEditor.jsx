@@ -0,0 +1,365 @@
+import PropTypes from 'prop-types';
+import { useEffect, useState } from 'react';
+import {
+  FaArrowDown,
+  FaArrowUp,
+  FaPlus,
+  FaSave,
+  FaTrash,
+  FaUndo,
+} from 'react-icons/fa';
+
+import Alert from './Alert';
+import Loader from './Loader';
+import Modal from './Modal';
+import InputField from './ui/mainLayout/InputField';
+
+import {
+  useGetJobPipelineQuery,
+  useUpdateJobPipelineMutation,
+} from '../features/job/jobApi';
+
+const MAX_PIPELINE_STAGES = 15;
+
+const STAGE_STATUS_OPTIONS = [
+  { value: 'applied', label: 'Applied' },
+  { value: 'shortlisted', label: 'Shortlisted' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'hired', label: 'Hired' },
+];
+
+const slugifyStageName = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+
+// Stages are tracked by a local id while editing, since new stages only get
+// a key (derived from their name) when the pipeline is saved
+const toFormStages = (stages) =>
+  stages.map((stage) => ({
+    id: stage.key,
+    key: stage.key,
+    name: stage.name,
+    status: stage.status,
+    transitions: [...stage.transitions],
+    createAssessment: Boolean(stage.automation?.createAssessment),
+    applicationCount: stage.applicationCount || 0,
+  }));
+
+const buildPipelinePayload = (stages) => {
+  const keys = {};
+  stages.forEach((stage) => {
+    if (stage.key) {
+      keys[stage.id] = stage.key;
+      return;
+    }
+    const base = slugifyStageName(stage.name) || 'stage';
+    let key = base;
+    for (let n = 2; Object.values(keys).includes(key); n += 1) {
+      key = `${base}-${n}`;
+    }
+    keys[stage.id] = key;
+  });
+
+  return stages.map((stage) => ({
+    key: keys[stage.id],
+    name: stage.name.trim(),
+    status: stage.status,
+    transitions: stage.transitions
+      .filter((id) => keys[id])
+      .map((id) => keys[id]),
+    automation: {
+      createAssessment:
+        stage.status === 'shortlisted' && stage.createAssessment,
+    },
+  }));
+};
+
+export default function JobPipelineEditor({ isOpen, onClose, job }) {
+  const jobId = job?.id || job?._id;
+
+  const [stages, setStages] = useState([]);
+  const [newStageCount, setNewStageCount] = useState(0);
+
+  const {
+    data: pipelineData,
+    isLoading,
+    error: pipelineError,
+  } = useGetJobPipelineQuery(jobId, { skip: !isOpen || !jobId });
+
+  const [
+    updateJobPipeline,
+    { data: updateData, error: updateError, isLoading: isSaving, reset },
+  ] = useUpdateJobPipelineMutation();
+
+  useEffect(() => {
+    if (isOpen && pipelineData?.stages) {
+      setStages(toFormStages(pipelineData.stages));
+    }
+  }, [isOpen, pipelineData]);
+
+  useEffect(() => {
+    if (!isOpen) reset();
+  }, [isOpen, reset]);
+
+  const updateStage = (index, changes) => {
+    setStages(
+      stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage))
+    );
+  };
+
+  const handleMoveStage = (index, offset) => {
+    const reordered = [...stages];
+    const [stage] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, stage);
+    setStages(reordered);
+  };
+
+  const handleRemoveStage = (index) => {
+    const { id } = stages[index];
+    setStages(
+      stages
+        .filter((_, i) => i !== index)
+        .map((stage) => ({
+          ...stage,
+          transitions: stage.transitions.filter(
+            (transition) => transition !== id
+          ),
+        }))
+    );
+  };
+
+  const handleAddStage = () => {
+    setStages([
+      ...stages,
+      {
+        id: `new-${newStageCount}`,
+        key: '',
+        name: '',
+        status: 'shortlisted',
+        transitions: [],
+        createAssessment: false,
+        applicationCount: 0,
+      },
+    ]);
+    setNewStageCount(newStageCount + 1);
+  };
+
+  const handleToggleTransition = (index, id) => {
+    const { transitions } = stages[index];
+    updateStage(index, {
+      transitions: transitions.includes(id)
+        ? transitions.filter((transition) => transition !== id)
+        : [...transitions, id],
+    });
+  };
+
+  const handleResetToDefault = () => {
+    const counts = Object.fromEntries(
+      stages.map((stage) => [stage.key, stage.applicationCount])
+    );
+    setStages(
+      toFormStages(
+        pipelineData.defaultStages.map((stage) => ({
+          ...stage,
+          applicationCount: counts[stage.key] || 0,
+        }))
+      )
+    );
+  };
+
+  const handleSave = async () => {
+    try {
+      const result = await updateJobPipeline({
+        id: jobId,
+        stages: buildPipelinePayload(stages),
+      }).unwrap();
+      setStages(toFormStages(result.stages));
+    } catch (error) {
+      console.error('Failed to save pipeline:', error);
+    }
+  };
+
+  const renderStages = () => {
+    if (isLoading) return <Loader />;
+    if (pipelineError) return <Alert message={pipelineError.data?.message} />;
+
+    return (
+      <div className="space-y-4">
+        {stages.map((stage, index) => {
+          const id = `pipeline-${stage.id}`;
+          const otherStages = stages.filter((other) => other.id !== stage.id);
+
+          return (
+            <div
+              key={stage.id}
+              className="rounded-lg bg-light-background p-4 dark:bg-dark-background"
+            >
+              <div className="mb-2 flex items-center justify-between">
+                <span className="text-sm font-semibold text-light-text dark:text-dark-text">
+                  Stage {index + 1}
+                  {index === 0 && ' · New applications start here'}
+                </span>
+                <div className="flex items-center gap-3">
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {stage.applicationCount} application
+                    {stage.applicationCount === 1 ? '' : 's'}
+                  </span>
+                  <button
+                    type="button"
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 dark:text-gray-400"
+                    onClick={() => handleMoveStage(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${stage.name || 'stage'} up`}
+                  >
+                    <FaArrowUp />
+                  </button>
+                  <button
+                    type="button"
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 dark:text-gray-400"
+                    onClick={() => handleMoveStage(index, 1)}
+                    disabled={index === stages.length - 1}
+                    aria-label={`Move ${stage.name || 'stage'} down`}
+                  >
+                    <FaArrowDown />
+                  </button>
+                  <button
+                    type="button"
+                    className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                    onClick={() => handleRemoveStage(index)}
+                    disabled={stage.applicationCount > 0}
+                    title={
+                      stage.applicationCount > 0
+                        ? 'Move its applications to another stage first'
+                        : undefined
+                    }
+                    aria-label={`Remove ${stage.name || 'stage'}`}
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+                <InputField
+                  id={`${id}-name`}
+                  type="text"
+                  label="Name"
+                  placeholder="e.g. Phone Screen"
+                  value={stage.name}
+                  onChange={(e) => updateStage(index, { name: e.target.value })}
+                />
+                <InputField
+                  id={`${id}-status`}
+                  type="select"
+                  label="Counts as"
+                  value={stage.status}
+                  onChange={(e) =>
+                    updateStage(index, { status: e.target.value })
+                  }
+                  options={STAGE_STATUS_OPTIONS}
+                />
+              </div>
+              {otherStages.length > 0 && (
+                <div className="mb-4">
+                  <p className="mb-2 text-sm font-medium text-light-text dark:text-dark-text">
+                    Can move to
+                  </p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2">
+                    {otherStages.map((other) => (
+                      <InputField
+                        key={other.id}
+                        id={`${id}-to-${other.id}`}
+                        type="checkbox"
+                        label={other.name || 'Untitled stage'}
+                        checked={stage.transitions.includes(other.id)}
+                        onChange={() => handleToggleTransition(index, other.id)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+              {stage.status === 'shortlisted' && (
+                <InputField
+                  id={`${id}-createAssessment`}
+                  type="checkbox"
+                  label="Create an assessment for applications entering this stage"
+                  checked={stage.createAssessment}
+                  onChange={(e) =>
+                    updateStage(index, { createAssessment: e.target.checked })
+                  }
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={job ? `Pipeline · ${job.title}` : 'Pipeline'}
+    >
+      <div className="text-left">
+        <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+          Define the stages applications to this job move through, and which
+          stage each one can move to next. &quot;Counts as&quot; decides what
+          candidates see and how the stage is filtered.
+        </p>
+
+        {updateError && <Alert message={updateError.data?.message} />}
+        {updateData && <Alert message={updateData.message} isSuccess={true} />}
+
+        {renderStages()}
+
+        {!isLoading && !pipelineError && (
+          <div className="mt-6 flex flex-wrap justify-between gap-2">
+            <div className="flex gap-2">
+              <button
+                type="button"
+                className="flex items-center gap-2 rounded bg-gray-500 px-3 py-2 text-sm text-white hover:bg-gray-600 disabled:opacity-50"
+                onClick={handleAddStage}
+                disabled={stages.length >= MAX_PIPELINE_STAGES}
+              >
+                <FaPlus />
+                Add Stage
+              </button>
+              <button
+                type="button"
+                className="flex items-center gap-2 rounded bg-gray-500 px-3 py-2 text-sm text-white hover:bg-gray-600"
+                onClick={handleResetToDefault}
+              >
+                <FaUndo />
+                Reset to Default
+              </button>
+            </div>
+            <button
+              type="button"
+              className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+              onClick={handleSave}
+              disabled={isSaving}
+            >
+              <FaSave />
+              {isSaving ? 'Saving...' : 'Save Pipeline'}
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+JobPipelineEditor.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  job: PropTypes.shape({
+    id: PropTypes.string,
+    _id: PropTypes.string,
+    title: PropTypes.string,
+  }),
+};
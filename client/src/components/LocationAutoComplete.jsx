@@ -1,3 +1,4 @@
+import PropTypes from 'prop-types';
 import { useEffect, useMemo, useRef, useState } from 'react';
 
 import pakistanCities from '../data/pakistanCities.json';
@@ -11,6 +12,7 @@ export default function LocationAutoComplete({
   label = 'Job Location',
   placeholder = 'Start typing a Pakistani city...',
   value = '',
+  required = true,
   onChange,
   onValidationChange,
 }) {
@@ -85,9 +87,10 @@ export default function LocationAutoComplete({
 
   const validateInput = (input) => {
     if (!input || !input.trim()) {
-      setError('Location is required.');
-      onValidationChange?.('Location is required.');
-      return false;
+      const requiredError = required ? 'Location is required.' : '';
+      setError(requiredError);
+      onValidationChange?.(requiredError);
+      return !required;
     }
 
     const normalizedValue = normalize(input);
@@ -152,8 +155,9 @@ export default function LocationAutoComplete({
     );
 
     if (!inputValue || !inputValue.trim()) {
-      setError('Location is required.');
-      onValidationChange?.('Location is required.');
+      const requiredError = required ? 'Location is required.' : '';
+      setError(requiredError);
+      onValidationChange?.(requiredError);
       onChange?.('');
     } else if (!exactMatch) {
       // Invalid city - show error but don't clear input
@@ -240,3 +244,12 @@ export default function LocationAutoComplete({
   );
 }
 
+LocationAutoComplete.propTypes = {
+  id: PropTypes.string,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  value: PropTypes.string,
+  required: PropTypes.bool,
+  onChange: PropTypes.func,
+  onValidationChange: PropTypes.func,
+};
@@ -0,0 +1,87 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { FaMapMarkerAlt, FaTimes } from 'react-icons/fa';
+
+import LocationAutoComplete from './LocationAutoComplete';
+
+import { MAX_JOB_LOCATIONS } from '../utils/jobValidation';
+
+export default function LocationMultiSelect({
+  id = 'job-locations',
+  label = 'Job Locations',
+  placeholder = 'Start typing a city (e.g., Karachi)',
+  locations,
+  onChange,
+  validationMessage,
+}) {
+  // Remounts the autocomplete so its input clears after each city is added
+  const [inputKey, setInputKey] = useState(0);
+
+  const handleSelectCity = (city) => {
+    if (!city) return;
+    if (!locations.includes(city) && locations.length < MAX_JOB_LOCATIONS) {
+      onChange([...locations, city]);
+    }
+    setInputKey((key) => key + 1);
+  };
+
+  const handleRemoveCity = (city) => {
+    onChange(locations.filter((location) => location !== city));
+  };
+
+  return (
+    <div className="w-full">
+      {locations.length > 0 && (
+        <div className="mb-2 flex flex-wrap gap-2">
+          {locations.map((city) => (
+            <span
+              key={city}
+              className="flex items-center gap-1 rounded-full bg-light-primary bg-opacity-10 px-3 py-1 text-sm font-medium text-light-primary dark:text-dark-primary"
+            >
+              <FaMapMarkerAlt />
+              {city}
+              <button
+                type="button"
+                onClick={() => handleRemoveCity(city)}
+                className="ml-1 hover:text-red-500"
+                aria-label={`Remove ${city}`}
+              >
+                <FaTimes />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {locations.length < MAX_JOB_LOCATIONS ? (
+        <LocationAutoComplete
+          key={inputKey}
+          id={id}
+          label={locations.length > 0 ? `${label} (add another city)` : label}
+          placeholder={placeholder}
+          required={false}
+          onChange={handleSelectCity}
+        />
+      ) : (
+        <p className="mb-6 text-sm text-gray-500 dark:text-gray-400">
+          You can list up to {MAX_JOB_LOCATIONS} cities.
+        </p>
+      )}
+
+      {validationMessage && (
+        <p className="-mt-4 mb-6 text-sm text-red-600 dark:text-red-400">
+          {validationMessage}
+        </p>
+      )}
+    </div>
+  );
+}
+
+LocationMultiSelect.propTypes = {
+  id: PropTypes.string,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  locations: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  validationMessage: PropTypes.string,
+};
@@ -0,0 +1,63 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import { FaDownload } from 'react-icons/fa';
+
+import { trackEvent } from '../utils/analytics';
+
+import { useDownloadOfferLetterMutation } from '../features/offer/offerApi';
+
+// Downloads an offer's PDF letter, which the server renders from the stored
+// offer
+export default function OfferLetterLink({ offer, className }) {
+  const [downloadError, setDownloadError] = useState('');
+  const [downloadOfferLetter, { isLoading }] = useDownloadOfferLetterMutation();
+
+  const handleDownload = async () => {
+    setDownloadError('');
+    try {
+      const url = await downloadOfferLetter(offer._id).unwrap();
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `EZYJobs_Offer_${(offer.job?.title || 'Letter').replace(/\s+/g, '_')}_${offer._id}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      trackEvent(
+        'Download Offer Letter',
+        'User Action',
+        `User downloaded the offer letter for offer ID: ${offer._id}`
+      );
+    } catch (error) {
+      console.error('Offer letter download failed:', error);
+      setDownloadError("Couldn't download the offer letter.");
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <button
+        type="button"
+        onClick={handleDownload}
+        disabled={isLoading}
+        className={
+          className ||
+          'flex items-center gap-2 rounded bg-green-600 px-3 py-2 text-sm text-white hover:bg-green-700 disabled:opacity-50'
+        }
+      >
+        <FaDownload />
+        {isLoading ? 'Preparing PDF...' : 'Offer Letter'}
+      </button>
+      {downloadError && (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          {downloadError}
+        </p>
+      )}
+    </div>
+  );
+}
+
+OfferLetterLink.propTypes = {
+  offer: PropTypes.object.isRequired,
+  className: PropTypes.string,
+};
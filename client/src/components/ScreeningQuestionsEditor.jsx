@@ -0,0 +1,235 @@
+import PropTypes from 'prop-types';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+import InputField from './ui/mainLayout/InputField';
+
+import {
+  EMPTY_SCREENING_QUESTION,
+  MAX_SCREENING_QUESTIONS,
+  SCREENING_QUESTION_TYPES,
+  parseScreeningOptions,
+} from '../utils/jobValidation';
+
+const YES_NO_OPTIONS = [
+  { value: 'yes', label: 'Yes' },
+  { value: 'no', label: 'No' },
+];
+
+export default function ScreeningQuestionsEditor({
+  idPrefix = 'screening',
+  questions,
+  onChange,
+  validationMessage,
+}) {
+  const updateQuestion = (index, changes) => {
+    onChange(
+      questions.map((question, i) =>
+        i === index ? { ...question, ...changes } : question
+      )
+    );
+  };
+
+  const handleAddQuestion = () => {
+    onChange([...questions, { ...EMPTY_SCREENING_QUESTION }]);
+  };
+
+  const handleRemoveQuestion = (index) => {
+    onChange(questions.filter((_, i) => i !== index));
+  };
+
+  const handleToggleAcceptedOption = (index, option) => {
+    const { acceptedOptions } = questions[index];
+    updateQuestion(index, {
+      acceptedOptions: acceptedOptions.includes(option)
+        ? acceptedOptions.filter((accepted) => accepted !== option)
+        : [...acceptedOptions, option],
+    });
+  };
+
+  const renderKnockoutFields = (question, index) => {
+    const id = `${idPrefix}-${index}`;
+
+    switch (question.type) {
+      case 'yes_no':
+        return (
+          <InputField
+            id={`${id}-expectedAnswer`}
+            type="select"
+            label="Required answer"
+            value={question.expectedAnswer}
+            onChange={(e) =>
+              updateQuestion(index, { expectedAnswer: e.target.value })
+            }
+            options={YES_NO_OPTIONS}
+          />
+        );
+      case 'number':
+        return (
+          <div className="grid grid-cols-2 gap-x-4">
+            <InputField
+              id={`${id}-min`}
+              type="number"
+              label="Minimum accepted"
+              value={question.min}
+              onChange={(e) => updateQuestion(index, { min: e.target.value })}
+            />
+            <InputField
+              id={`${id}-max`}
+              type="number"
+              label="Maximum accepted"
+              value={question.max}
+              onChange={(e) => updateQuestion(index, { max: e.target.value })}
+            />
+          </div>
+        );
+      case 'single_choice': {
+        const options = parseScreeningOptions(question.options);
+        return options.length === 0 ? (
+          <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+            Add options to choose which answers pass.
+          </p>
+        ) : (
+          <div className="mb-4">
+            <p className="mb-2 text-sm font-medium text-light-text dark:text-dark-text">
+              Accepted options
+            </p>
+            {options.map((option, optionIndex) => (
+              <InputField
+                key={option}
+                id={`${id}-accepted-${optionIndex}`}
+                type="checkbox"
+                label={option}
+                checked={question.acceptedOptions.includes(option)}
+                onChange={() => handleToggleAcceptedOption(index, option)}
+              />
+            ))}
+          </div>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-light-border p-4 dark:border-dark-border">
+      <div className="mb-4 flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-light-text dark:text-dark-text">
+            Screening Questions
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Applicants who fail a knockout question are rejected automatically.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="flex items-center gap-2 rounded bg-light-primary px-3 py-2 text-sm text-white transition-all duration-200 hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+          onClick={handleAddQuestion}
+          disabled={questions.length >= MAX_SCREENING_QUESTIONS}
+        >
+          <FaPlus />
+          Add
+        </button>
+      </div>
+
+      {validationMessage && (
+        <p className="mb-4 text-sm text-red-600 dark:text-red-400">
+          {validationMessage}
+        </p>
+      )}
+
+      <div className="space-y-4">
+        {questions.map((question, index) => {
+          const id = `${idPrefix}-${index}`;
+
+          return (
+            <div
+              key={question._id || index}
+              className="rounded-lg bg-light-background p-4 dark:bg-dark-background"
+            >
+              <div className="mb-2 flex items-center justify-between">
+                <span className="text-sm font-semibold text-light-text dark:text-dark-text">
+                  Question {index + 1}
+                </span>
+                <button
+                  type="button"
+                  className="text-red-500 hover:text-red-700"
+                  onClick={() => handleRemoveQuestion(index)}
+                  aria-label={`Remove question ${index + 1}`}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+              <InputField
+                id={`${id}-question`}
+                type="text"
+                label="Question"
+                placeholder="e.g. Do you have a valid work permit?"
+                value={question.question}
+                onChange={(e) =>
+                  updateQuestion(index, { question: e.target.value })
+                }
+              />
+              <InputField
+                id={`${id}-type`}
+                type="select"
+                label="Answer type"
+                value={question.type}
+                onChange={(e) =>
+                  updateQuestion(index, {
+                    type: e.target.value,
+                    knockoutEnabled:
+                      e.target.value !== 'text' && question.knockoutEnabled,
+                  })
+                }
+                options={SCREENING_QUESTION_TYPES}
+              />
+              {question.type === 'single_choice' && (
+                <InputField
+                  id={`${id}-options`}
+                  type="textarea"
+                  label="Options (one per line)"
+                  rows={3}
+                  value={question.options}
+                  onChange={(e) =>
+                    updateQuestion(index, { options: e.target.value })
+                  }
+                />
+              )}
+              <InputField
+                id={`${id}-required`}
+                type="checkbox"
+                label="Answer required"
+                checked={question.isRequired || question.knockoutEnabled}
+                onChange={(e) =>
+                  updateQuestion(index, { isRequired: e.target.checked })
+                }
+              />
+              {question.type !== 'text' && (
+                <InputField
+                  id={`${id}-knockout`}
+                  type="checkbox"
+                  label="Knockout question (reject applicants who fail it)"
+                  checked={question.knockoutEnabled}
+                  onChange={(e) =>
+                    updateQuestion(index, { knockoutEnabled: e.target.checked })
+                  }
+                />
+              )}
+              {question.knockoutEnabled &&
+                renderKnockoutFields(question, index)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+ScreeningQuestionsEditor.propTypes = {
+  idPrefix: PropTypes.string,
+  questions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onChange: PropTypes.func.isRequired,
+  validationMessage: PropTypes.string,
+};
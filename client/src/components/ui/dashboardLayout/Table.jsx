@@ -12,7 +12,13 @@ import {
   FaTimes,
 } from 'react-icons/fa';
 
-export default function Table({ columns, data, actions }) {
+export default function Table({
+  columns,
+  data,
+  actions,
+  serverPagination,
+  selection,
+}) {
   // FIXED: Initialize state with safe defaults to prevent crashes
   // CRASH CAUSE: Component received undefined/null data prop causing .filter/.map errors
   // SOLUTION: Normalize data to always be an array, validate props exist
@@ -21,7 +27,10 @@ export default function Table({ columns, data, actions }) {
   const [sortConfig, setSortConfig] = useState({ key: null, direction: null });
 
   const PAGE_SIZE = 10;
-  
+
+  // With serverPagination, `data` is a single page and paging/sorting happen on the server
+  const isServerPaged = Boolean(serverPagination);
+
   // FIXED: Ensure data is always an array to prevent undefined access errors
   // CRASH PREVENTION: Default to empty array if data is undefined/null/invalid
   const safeData = Array.isArray(data) ? data : [];
@@ -32,12 +41,26 @@ export default function Table({ columns, data, actions }) {
   const enhancedColumns = useMemo(() => {
     return safeColumns.map((column) => ({
       ...column,
-      sortable:
-        column.sortable !== false &&
-        !column.render?.toString().includes('button') &&
-        !column.render?.toString().includes('onClick'),
+      sortable: isServerPaged
+        ? Boolean(column.sortKey) && column.sortable !== false
+        : column.sortable !== false &&
+          !column.render?.toString().includes('button') &&
+          !column.render?.toString().includes('onClick'),
     }));
-  }, [safeColumns]);
+  }, [safeColumns, isServerPaged]);
+
+  // Server sorts are `field` or `-field`; map them back to the column showing that field
+  const activeSortConfig = useMemo(() => {
+    if (!isServerPaged) return sortConfig;
+
+    const sort = serverPagination.sort || '';
+    const column = enhancedColumns.find(
+      (col) => col.sortKey && col.sortKey === sort.replace(/^-/, '')
+    );
+    return column
+      ? { key: column.key, direction: sort.startsWith('-') ? 'desc' : 'asc' }
+      : { key: null, direction: null };
+  }, [isServerPaged, serverPagination, sortConfig, enhancedColumns]);
 
   // Search functionality - searches across all columns
   // FIXED: Use safeData instead of data to prevent crashes
@@ -65,7 +88,7 @@ export default function Table({ columns, data, actions }) {
 
   // Sorting functionality with intelligent type detection
   const sortedData = useMemo(() => {
-    if (!sortConfig.key) return filteredData;
+    if (isServerPaged || !sortConfig.key) return filteredData;
 
     return [...filteredData].sort((a, b) => {
       const column = enhancedColumns.find((col) => col.key === sortConfig.key);
@@ -111,29 +134,57 @@ export default function Table({ columns, data, actions }) {
       if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
       return 0;
     });
-  }, [filteredData, sortConfig, enhancedColumns]);
+  }, [filteredData, sortConfig, enhancedColumns, isServerPaged]);
 
   // Pagination logic
-  const totalPages = Math.ceil(sortedData.length / PAGE_SIZE);
-  const startIndex = (currentPage - 1) * PAGE_SIZE;
-  const endIndex = startIndex + PAGE_SIZE;
-  const paginatedData = sortedData.slice(startIndex, endIndex);
+  const pageSize = isServerPaged ? serverPagination.pageSize : PAGE_SIZE;
+  const activePage = isServerPaged ? serverPagination.page : currentPage;
+  const totalRecords = isServerPaged
+    ? serverPagination.total
+    : sortedData.length;
+  const totalPages = Math.ceil(totalRecords / pageSize);
+  const startIndex = (activePage - 1) * pageSize;
+  const endIndex = isServerPaged
+    ? startIndex + safeData.length
+    : startIndex + PAGE_SIZE;
+  const paginatedData = isServerPaged
+    ? sortedData
+    : sortedData.slice(startIndex, endIndex);
+  const hasNextPage = isServerPaged
+    ? serverPagination.hasNextPage
+    : activePage < totalPages;
 
   // Pagination helpers
   const goToPage = (page) => {
     setCurrentPage(Math.max(1, Math.min(page, totalPages)));
   };
 
-  const goToFirstPage = () => goToPage(1);
+  const goToFirstPage = () =>
+    isServerPaged ? serverPagination.onFirstPage() : goToPage(1);
   const goToLastPage = () => goToPage(totalPages);
-  const goToPreviousPage = () => goToPage(currentPage - 1);
-  const goToNextPage = () => goToPage(currentPage + 1);
+  const goToPreviousPage = () =>
+    isServerPaged
+      ? serverPagination.onPreviousPage()
+      : goToPage(currentPage - 1);
+  const goToNextPage = () =>
+    isServerPaged ? serverPagination.onNextPage() : goToPage(currentPage + 1);
 
   // Sorting handler
   const handleSort = (columnKey) => {
     const column = enhancedColumns.find((col) => col.key === columnKey);
     if (!column.sortable) return;
 
+    // The server always applies some sort, so columns toggle between asc and desc
+    if (isServerPaged) {
+      const { key, direction } = activeSortConfig;
+      serverPagination.onSortChange(
+        key === columnKey && direction === 'asc'
+          ? `-${column.sortKey}`
+          : column.sortKey
+      );
+      return;
+    }
+
     setSortConfig((prevConfig) => {
       if (prevConfig.key === columnKey) {
         if (prevConfig.direction === 'asc')
@@ -150,8 +201,8 @@ export default function Table({ columns, data, actions }) {
     const column = enhancedColumns.find((col) => col.key === columnKey);
     if (!column.sortable) return null;
 
-    if (sortConfig.key === columnKey) {
-      return sortConfig.direction === 'asc' ? (
+    if (activeSortConfig.key === columnKey) {
+      return activeSortConfig.direction === 'asc' ? (
         <FaSortUp className="text-light-primary dark:text-dark-primary" />
       ) : (
         <FaSortDown className="text-light-primary dark:text-dark-primary" />
@@ -165,6 +216,49 @@ export default function Table({ columns, data, actions }) {
     setCurrentPage(1);
   }, [searchTerm]);
 
+  // Row selection for bulk actions. Selected rows are kept by the parent, so a
+  // selection can span pages.
+  const selectedIds = new Set(
+    (selection?.selectedRows || []).map((row) => row.id)
+  );
+  const isRowSelectable = (row) =>
+    selection?.isSelectable ? selection.isSelectable(row) : true;
+  const selectablePageRows = selection
+    ? paginatedData.filter(isRowSelectable)
+    : [];
+  const isPageSelected =
+    selectablePageRows.length > 0 &&
+    selectablePageRows.every((row) => selectedIds.has(row.id));
+
+  const toggleRow = (row) => {
+    selection.onChange(
+      selectedIds.has(row.id)
+        ? selection.selectedRows.filter((selected) => selected.id !== row.id)
+        : [...selection.selectedRows, row]
+    );
+  };
+
+  const togglePage = () => {
+    const pageIds = new Set(selectablePageRows.map((row) => row.id));
+    const otherRows = selection.selectedRows.filter(
+      (selected) => !pageIds.has(selected.id)
+    );
+    selection.onChange(
+      isPageSelected ? otherRows : [...otherRows, ...selectablePageRows]
+    );
+  };
+
+  const renderSelectCheckbox = (row) =>
+    isRowSelectable(row) ? (
+      <input
+        type="checkbox"
+        checked={selectedIds.has(row.id)}
+        onChange={() => toggleRow(row)}
+        className="form-checkbox h-4 w-4 cursor-pointer text-light-primary dark:text-dark-primary"
+        aria-label="Select row"
+      />
+    ) : null;
+
   // Generate smart page numbers for pagination
   const getPageNumbers = () => {
     const pages = [];
@@ -202,6 +296,12 @@ export default function Table({ columns, data, actions }) {
       className="mb-4 animate-slideUp rounded-lg border border-light-border bg-light-background p-4 shadow-sm dark:border-dark-border dark:bg-dark-background"
       style={{ animationDelay: `${rowIndex * 0.05}s` }}
     >
+      {selection && isRowSelectable(row) && (
+        <label className="mb-2 flex items-center gap-2 text-xs font-semibold uppercase text-light-text/70 dark:text-dark-text/70">
+          {renderSelectCheckbox(row)}
+          Select
+        </label>
+      )}
       {enhancedColumns.map((col) => (
         <div key={col.key} className="mb-2 flex flex-col py-1">
           <span className="text-xs font-semibold uppercase text-light-text/70 dark:text-dark-text/70">
@@ -233,7 +333,11 @@ export default function Table({ columns, data, actions }) {
           </div>
           <input
             type="text"
-            placeholder="Search across all fields..."
+            placeholder={
+              isServerPaged
+                ? 'Search this page...'
+                : 'Search across all fields...'
+            }
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="block w-full rounded-lg border border-light-border bg-light-background py-2.5 pl-10 pr-3 text-sm text-light-text placeholder-light-text/50 transition-all duration-200 focus:border-transparent focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-background dark:text-dark-text dark:placeholder-dark-text/50 dark:focus:ring-dark-primary"
@@ -263,6 +367,18 @@ export default function Table({ columns, data, actions }) {
           <table className="min-w-full divide-y divide-light-border dark:divide-dark-border">
             <thead className="sticky top-0 z-10 bg-light-surface dark:bg-dark-surface">
               <tr>
+                {selection && (
+                  <th className="w-10 px-4 py-4">
+                    <input
+                      type="checkbox"
+                      checked={isPageSelected}
+                      onChange={togglePage}
+                      disabled={selectablePageRows.length === 0}
+                      className="form-checkbox h-4 w-4 cursor-pointer text-light-primary dark:text-dark-primary"
+                      aria-label="Select all rows on this page"
+                    />
+                  </th>
+                )}
                 {enhancedColumns.map((col) => (
                   <th
                     key={col.key}
@@ -293,6 +409,11 @@ export default function Table({ columns, data, actions }) {
                     className="animate-slideUp transition-colors duration-200 hover:bg-light-surface/50 hover:dark:bg-dark-surface/50"
                     style={{ animationDelay: `${rowIndex * 0.05}s` }}
                   >
+                    {selection && (
+                      <td className="w-10 px-4 py-4">
+                        {renderSelectCheckbox(row)}
+                      </td>
+                    )}
                     {enhancedColumns.map((col) => (
                       <td
                         key={col.key}
@@ -321,7 +442,11 @@ export default function Table({ columns, data, actions }) {
                 <tr>
                   <td
                     className="px-6 py-16 text-center text-light-text dark:text-dark-text"
-                    colSpan={enhancedColumns.length + (actions ? 1 : 0)}
+                    colSpan={
+                      enhancedColumns.length +
+                      (actions ? 1 : 0) +
+                      (selection ? 1 : 0)
+                    }
                   >
                     <div className="flex flex-col items-center justify-center space-y-3">
                       <div className="flex h-16 w-16 items-center justify-center rounded-full bg-light-surface dark:bg-dark-surface">
@@ -386,12 +511,14 @@ export default function Table({ columns, data, actions }) {
               <span className="hidden sm:inline"> to </span>
               <span className="sm:hidden">-</span>
               <span className="font-medium text-light-text dark:text-dark-text">
-                {Math.min(endIndex, sortedData.length)}
+                {isServerPaged
+                  ? endIndex
+                  : Math.min(endIndex, sortedData.length)}
               </span>
               <span className="hidden sm:inline"> of </span>
               <span className="sm:hidden">/</span>
               <span className="font-medium text-light-text dark:text-dark-text">
-                {sortedData.length}
+                {totalRecords}
               </span>
               {searchTerm && (
                 <span className="ml-2 text-xs font-medium text-light-primary dark:text-dark-primary">
@@ -405,7 +532,7 @@ export default function Table({ columns, data, actions }) {
               {/* First Page - Hidden on small screens */}
               <button
                 onClick={goToFirstPage}
-                disabled={currentPage === 1}
+                disabled={activePage === 1}
                 className="hidden rounded-lg border border-light-border p-2 text-light-text transition-all duration-200 hover:border-light-primary hover:bg-light-surface disabled:cursor-not-allowed disabled:opacity-30 dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface sm:block"
                 title="First page"
               >
@@ -415,34 +542,40 @@ export default function Table({ columns, data, actions }) {
               {/* Previous Page */}
               <button
                 onClick={goToPreviousPage}
-                disabled={currentPage === 1}
+                disabled={activePage === 1}
                 className="rounded-lg border border-light-border p-2 text-light-text transition-all duration-200 hover:border-light-primary hover:bg-light-surface disabled:cursor-not-allowed disabled:opacity-30 dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface"
                 title="Previous page"
               >
                 <FaChevronLeft className="h-3 w-3" />
               </button>
 
-              {/* Page Numbers */}
-              <div className="flex items-center space-x-1">
-                {getPageNumbers().map((pageNum) => (
-                  <button
-                    key={pageNum}
-                    onClick={() => goToPage(pageNum)}
-                    className={`rounded-lg border px-3 py-1.5 text-sm font-medium transition-all duration-200 ${
-                      currentPage === pageNum
-                        ? 'border-light-primary bg-light-primary text-white shadow-sm dark:border-dark-primary dark:bg-dark-primary'
-                        : 'border-light-border text-light-text hover:border-light-primary hover:bg-light-surface dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface'
-                    }`}
-                  >
-                    {pageNum}
-                  </button>
-                ))}
-              </div>
+              {/* Page Numbers - cursor paging can only step one page at a time */}
+              {isServerPaged ? (
+                <span className="px-3 py-1.5 text-sm font-medium text-light-text dark:text-dark-text">
+                  Page {activePage} of {totalPages}
+                </span>
+              ) : (
+                <div className="flex items-center space-x-1">
+                  {getPageNumbers().map((pageNum) => (
+                    <button
+                      key={pageNum}
+                      onClick={() => goToPage(pageNum)}
+                      className={`rounded-lg border px-3 py-1.5 text-sm font-medium transition-all duration-200 ${
+                        currentPage === pageNum
+                          ? 'border-light-primary bg-light-primary text-white shadow-sm dark:border-dark-primary dark:bg-dark-primary'
+                          : 'border-light-border text-light-text hover:border-light-primary hover:bg-light-surface dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface'
+                      }`}
+                    >
+                      {pageNum}
+                    </button>
+                  ))}
+                </div>
+              )}
 
               {/* Next Page */}
               <button
                 onClick={goToNextPage}
-                disabled={currentPage === totalPages}
+                disabled={!hasNextPage}
                 className="rounded-lg border border-light-border p-2 text-light-text transition-all duration-200 hover:border-light-primary hover:bg-light-surface disabled:cursor-not-allowed disabled:opacity-30 dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface"
                 title="Next page"
               >
@@ -450,14 +583,16 @@ export default function Table({ columns, data, actions }) {
               </button>
 
               {/* Last Page - Hidden on small screens */}
-              <button
-                onClick={goToLastPage}
-                disabled={currentPage === totalPages}
-                className="hidden rounded-lg border border-light-border p-2 text-light-text transition-all duration-200 hover:border-light-primary hover:bg-light-surface disabled:cursor-not-allowed disabled:opacity-30 dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface sm:block"
-                title="Last page"
-              >
-                <FaAngleDoubleRight className="h-3 w-3" />
-              </button>
+              {!isServerPaged && (
+                <button
+                  onClick={goToLastPage}
+                  disabled={currentPage === totalPages}
+                  className="hidden rounded-lg border border-light-border p-2 text-light-text transition-all duration-200 hover:border-light-primary hover:bg-light-surface disabled:cursor-not-allowed disabled:opacity-30 dark:border-dark-border dark:text-dark-text dark:hover:border-dark-primary dark:hover:bg-dark-surface sm:block"
+                  title="Last page"
+                >
+                  <FaAngleDoubleRight className="h-3 w-3" />
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -481,6 +616,7 @@ Table.propTypes = {
       label: PropTypes.string.isRequired,
       render: PropTypes.func,
       sortable: PropTypes.bool,
+      sortKey: PropTypes.string,
     })
   ).isRequired,
   data: PropTypes.arrayOf(PropTypes.object).isRequired,
@@ -490,4 +626,20 @@ Table.propTypes = {
       render: PropTypes.func.isRequired,
     })
   ),
+  serverPagination: PropTypes.shape({
+    page: PropTypes.number.isRequired,
+    pageSize: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired,
+    hasNextPage: PropTypes.bool.isRequired,
+    sort: PropTypes.string,
+    onNextPage: PropTypes.func.isRequired,
+    onPreviousPage: PropTypes.func.isRequired,
+    onFirstPage: PropTypes.func.isRequired,
+    onSortChange: PropTypes.func.isRequired,
+  }),
+  selection: PropTypes.shape({
+    selectedRows: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onChange: PropTypes.func.isRequired,
+    isSelectable: PropTypes.func,
+  }),
 };
@@ -5,13 +5,21 @@ import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
 const ENDPOINTS = {
   APPLICATIONS: '/applications',
   APPLICATION_DETAIL: (id) => `/applications/${id}`,
+  BULK_APPLICATIONS: '/applications/bulk',
   APPLICATIONS_BY_JOB: (jobId) => `/applications/job/${jobId}`,
+  APPLICATION_BOARD: (jobId) => `/applications/job/${jobId}/board`,
+  WITHDRAW_APPLICATION: (id) => `/applications/${id}/withdraw`,
+  APPLICATION_ATTACHMENT: (id, attachmentId) =>
+    `/applications/${id}/attachments/${attachmentId}`,
+  APPLICATION_NOTES: (id) => `/applications/${id}/notes`,
+  APPLICATION_NOTE: (id, noteId) => `/applications/${id}/notes/${noteId}`,
+  APPLICATION_TAGS: (id) => `/applications/${id}/tags`,
 };
 
 export const applicationApi = createApi({
   reducerPath: 'applicationApi',
   baseQuery: axiosBaseQueryWithReauth,
-  tagTypes: ['Applications'],
+  tagTypes: ['Applications', 'ApplicationNotes'],
   endpoints: (builder) => ({
     getAllApplications: builder.query({
       query: (params = {}) => ({
@@ -35,6 +43,22 @@ export const applicationApi = createApi({
       }),
       providesTags: ['Applications'],
     }),
+    getApplicationBoard: builder.query({
+      query: (jobId) => ({
+        url: ENDPOINTS.APPLICATION_BOARD(jobId),
+        method: 'GET',
+      }),
+      providesTags: ['Applications'],
+    }),
+    // Resolves to an object URL for the file; revoke it once it's used
+    downloadApplicationAttachment: builder.mutation({
+      query: ({ id, attachmentId }) => ({
+        url: ENDPOINTS.APPLICATION_ATTACHMENT(id, attachmentId),
+        method: 'GET',
+        responseType: 'blob',
+      }),
+      transformResponse: (file) => URL.createObjectURL(file),
+    }),
     createApplication: builder.mutation({
       query: (applicationData) => ({
         url: ENDPOINTS.APPLICATIONS,
@@ -49,8 +73,94 @@ export const applicationApi = createApi({
         method: 'PATCH',
         data: applicationData,
       }),
+      // Moves made from a job's board show up there right away, and are
+      // rolled back if the server rejects them
+      async onQueryStarted(
+        { id, jobId, applicationData },
+        { dispatch, queryFulfilled }
+      ) {
+        if (!jobId || !applicationData?.stage) return;
+
+        const patchResult = dispatch(
+          applicationApi.util.updateQueryData(
+            'getApplicationBoard',
+            jobId,
+            (board) => {
+              const card = board.applications.find(
+                (application) => application.id === id
+              );
+              const stage = board.stages.find(
+                (boardStage) => boardStage.key === applicationData.stage
+              );
+              if (card && stage) {
+                card.stage = stage.key;
+                card.status = stage.status;
+              }
+            }
+          )
+        );
+
+        try {
+          await queryFulfilled;
+        } catch {
+          patchResult.undo();
+        }
+      },
+      invalidatesTags: ['Applications'],
+    }),
+    bulkUpdateApplications: builder.mutation({
+      query: (bulkData) => ({
+        url: ENDPOINTS.BULK_APPLICATIONS,
+        method: 'POST',
+        data: bulkData,
+      }),
+      invalidatesTags: ['Applications'],
+    }),
+    withdrawApplication: builder.mutation({
+      query: ({ id, reason }) => ({
+        url: ENDPOINTS.WITHDRAW_APPLICATION(id),
+        method: 'PATCH',
+        data: { reason },
+      }),
       invalidatesTags: ['Applications'],
     }),
+    getApplicationNotes: builder.query({
+      query: (id) => ({
+        url: ENDPOINTS.APPLICATION_NOTES(id),
+        method: 'GET',
+      }),
+      providesTags: (result, error, id) => [{ type: 'ApplicationNotes', id }],
+    }),
+    createApplicationNote: builder.mutation({
+      query: ({ id, ...noteData }) => ({
+        url: ENDPOINTS.APPLICATION_NOTES(id),
+        method: 'POST',
+        data: noteData,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'ApplicationNotes', id },
+      ],
+    }),
+    deleteApplicationNote: builder.mutation({
+      query: ({ id, noteId }) => ({
+        url: ENDPOINTS.APPLICATION_NOTE(id, noteId),
+        method: 'DELETE',
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'ApplicationNotes', id },
+      ],
+    }),
+    updateApplicationTags: builder.mutation({
+      query: ({ id, tags }) => ({
+        url: ENDPOINTS.APPLICATION_TAGS(id),
+        method: 'PUT',
+        data: { tags },
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        'Applications',
+        { type: 'ApplicationNotes', id },
+      ],
+    }),
     deleteApplication: builder.mutation({
       query: (id) => ({
         url: ENDPOINTS.APPLICATION_DETAIL(id),
@@ -65,7 +175,15 @@ export const {
   useGetAllApplicationsQuery,
   useGetApplicationByIdQuery,
   useGetApplicationsByJobIdQuery,
+  useGetApplicationBoardQuery,
+  useDownloadApplicationAttachmentMutation,
   useCreateApplicationMutation,
   useUpdateApplicationMutation,
+  useBulkUpdateApplicationsMutation,
+  useWithdrawApplicationMutation,
+  useGetApplicationNotesQuery,
+  useCreateApplicationNoteMutation,
+  useDeleteApplicationNoteMutation,
+  useUpdateApplicationTagsMutation,
   useDeleteApplicationMutation,
 } = applicationApi;
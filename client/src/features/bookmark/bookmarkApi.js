@@ -0,0 +1,44 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+
+import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
+
+const ENDPOINTS = {
+  BOOKMARKS: '/bookmarks',
+  BOOKMARK_DETAIL: (jobId) => `/bookmarks/${jobId}`,
+};
+
+export const bookmarkApi = createApi({
+  reducerPath: 'bookmarkApi',
+  baseQuery: axiosBaseQueryWithReauth,
+  tagTypes: ['Bookmarks'],
+  endpoints: (builder) => ({
+    getMyBookmarks: builder.query({
+      query: () => ({
+        url: ENDPOINTS.BOOKMARKS,
+        method: 'GET',
+      }),
+      providesTags: ['Bookmarks'],
+    }),
+    createBookmark: builder.mutation({
+      query: (jobId) => ({
+        url: ENDPOINTS.BOOKMARKS,
+        method: 'POST',
+        data: { jobId },
+      }),
+      invalidatesTags: ['Bookmarks'],
+    }),
+    deleteBookmark: builder.mutation({
+      query: (jobId) => ({
+        url: ENDPOINTS.BOOKMARK_DETAIL(jobId),
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['Bookmarks'],
+    }),
+  }),
+});
+
+export const {
+  useGetMyBookmarksQuery,
+  useCreateBookmarkMutation,
+  useDeleteBookmarkMutation,
+} = bookmarkApi;
@@ -0,0 +1,72 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+
+import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
+
+const ENDPOINTS = {
+  CATEGORIES: '/categories',
+  ALL_CATEGORIES: '/categories/all',
+  REORDER_CATEGORIES: '/categories/reorder',
+  CATEGORY_DETAIL: (id) => `/categories/${id}`,
+};
+
+export const categoryApi = createApi({
+  reducerPath: 'categoryApi',
+  baseQuery: axiosBaseQueryWithReauth,
+  tagTypes: ['Categories'],
+  endpoints: (builder) => ({
+    getCategories: builder.query({
+      query: () => ({
+        url: ENDPOINTS.CATEGORIES,
+        method: 'GET',
+      }),
+      providesTags: ['Categories'],
+    }),
+    getAllCategories: builder.query({
+      query: () => ({
+        url: ENDPOINTS.ALL_CATEGORIES,
+        method: 'GET',
+      }),
+      providesTags: ['Categories'],
+    }),
+    createCategory: builder.mutation({
+      query: (categoryData) => ({
+        url: ENDPOINTS.CATEGORIES,
+        method: 'POST',
+        data: categoryData,
+      }),
+      invalidatesTags: ['Categories'],
+    }),
+    reorderCategories: builder.mutation({
+      query: (categoryIds) => ({
+        url: ENDPOINTS.REORDER_CATEGORIES,
+        method: 'PATCH',
+        data: { categoryIds },
+      }),
+      invalidatesTags: ['Categories'],
+    }),
+    updateCategory: builder.mutation({
+      query: ({ id, categoryData }) => ({
+        url: ENDPOINTS.CATEGORY_DETAIL(id),
+        method: 'PATCH',
+        data: categoryData,
+      }),
+      invalidatesTags: ['Categories'],
+    }),
+    deleteCategory: builder.mutation({
+      query: (id) => ({
+        url: ENDPOINTS.CATEGORY_DETAIL(id),
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['Categories'],
+    }),
+  }),
+});
+
+export const {
+  useGetCategoriesQuery,
+  useGetAllCategoriesQuery,
+  useCreateCategoryMutation,
+  useReorderCategoriesMutation,
+  useUpdateCategoryMutation,
+  useDeleteCategoryMutation,
+} = categoryApi;
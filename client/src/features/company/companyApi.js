@@ -0,0 +1,82 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+
+import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
+
+const ENDPOINTS = {
+  COMPANIES: '/companies',
+  MY_COMPANIES: '/companies/mine',
+  COMPANY_DETAIL: (id) => `/companies/${id}`,
+  COMPANY_OWNERS: (id) => `/companies/${id}/owners`,
+  COMPANY_OWNER: (id, userId) => `/companies/${id}/owners/${userId}`,
+};
+
+export const companyApi = createApi({
+  reducerPath: 'companyApi',
+  baseQuery: axiosBaseQueryWithReauth,
+  tagTypes: ['Companies'],
+  endpoints: (builder) => ({
+    getCompanies: builder.query({
+      query: (params) => ({
+        url: ENDPOINTS.COMPANIES,
+        method: 'GET',
+        params,
+      }),
+      providesTags: ['Companies'],
+    }),
+    getMyCompanies: builder.query({
+      query: () => ({
+        url: ENDPOINTS.MY_COMPANIES,
+        method: 'GET',
+      }),
+      providesTags: ['Companies'],
+    }),
+    getCompanyBySlug: builder.query({
+      query: (slug) => ({
+        url: ENDPOINTS.COMPANY_DETAIL(slug),
+        method: 'GET',
+      }),
+      providesTags: ['Companies'],
+    }),
+    createCompany: builder.mutation({
+      query: (companyData) => ({
+        url: ENDPOINTS.COMPANIES,
+        method: 'POST',
+        data: companyData,
+      }),
+      invalidatesTags: ['Companies'],
+    }),
+    updateCompany: builder.mutation({
+      query: ({ id, companyData }) => ({
+        url: ENDPOINTS.COMPANY_DETAIL(id),
+        method: 'PATCH',
+        data: companyData,
+      }),
+      invalidatesTags: ['Companies'],
+    }),
+    addCompanyOwner: builder.mutation({
+      query: ({ id, email }) => ({
+        url: ENDPOINTS.COMPANY_OWNERS(id),
+        method: 'POST',
+        data: { email },
+      }),
+      invalidatesTags: ['Companies'],
+    }),
+    removeCompanyOwner: builder.mutation({
+      query: ({ id, userId }) => ({
+        url: ENDPOINTS.COMPANY_OWNER(id, userId),
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['Companies'],
+    }),
+  }),
+});
+
+export const {
+  useGetCompaniesQuery,
+  useGetMyCompaniesQuery,
+  useGetCompanyBySlugQuery,
+  useCreateCompanyMutation,
+  useUpdateCompanyMutation,
+  useAddCompanyOwnerMutation,
+  useRemoveCompanyOwnerMutation,
+} = companyApi;
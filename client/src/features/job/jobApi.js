@@ -5,12 +5,30 @@ import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
 const ENDPOINTS = {
   JOBS: '/jobs',
   JOB_DETAIL: (id) => `/jobs/${id}`,
+  JOB_BY_SLUG: (slug) => `/jobs/slug/${slug}`,
+  JOB_SIMILAR: (id) => `/jobs/${id}/similar`,
+  JOB_RECOMMENDED: '/jobs/recommended',
+  JOB_EVENTS: (id) => `/jobs/${id}/events`,
+  JOB_ANALYTICS: (id) => `/jobs/${id}/analytics`,
+  JOB_IMPORT: '/jobs/import',
+  JOB_VERSIONS: (id) => `/jobs/${id}/versions`,
+  JOB_VERSION_DIFF: (id) => `/jobs/${id}/versions/diff`,
+  JOB_MODERATION: '/jobs/moderation',
+  JOB_MODERATION_SETTINGS: '/jobs/moderation/settings',
+  JOB_REVIEW: (id) => `/jobs/${id}/moderation`,
+  JOB_PIPELINE: (id) => `/jobs/${id}/pipeline`,
 };
 
 export const jobApi = createApi({
   reducerPath: 'jobApi',
   baseQuery: axiosBaseQueryWithReauth,
-  tagTypes: ['Jobs'],
+  tagTypes: [
+    'Jobs',
+    'JobVersions',
+    'JobAnalytics',
+    'JobModeration',
+    'JobPipeline',
+  ],
   endpoints: (builder) => ({
     getAllJobs: builder.query({
       query: (data) => ({
@@ -27,6 +45,103 @@ export const jobApi = createApi({
       }),
       providesTags: ['Jobs'],
     }),
+    getJobBySlug: builder.query({
+      query: (slug) => ({
+        url: ENDPOINTS.JOB_BY_SLUG(slug),
+        method: 'GET',
+      }),
+      providesTags: ['Jobs'],
+    }),
+    getSimilarJobs: builder.query({
+      query: (id) => ({
+        url: ENDPOINTS.JOB_SIMILAR(id),
+        method: 'GET',
+      }),
+      providesTags: ['Jobs'],
+    }),
+    getRecommendedJobs: builder.query({
+      query: () => ({
+        url: ENDPOINTS.JOB_RECOMMENDED,
+        method: 'GET',
+      }),
+      providesTags: ['Jobs'],
+    }),
+    getJobVersions: builder.query({
+      query: (id) => ({
+        url: ENDPOINTS.JOB_VERSIONS(id),
+        method: 'GET',
+      }),
+      providesTags: ['JobVersions'],
+    }),
+    getJobVersionDiff: builder.query({
+      query: ({ id, from, to }) => ({
+        url: ENDPOINTS.JOB_VERSION_DIFF(id),
+        method: 'GET',
+        params: { from, to },
+      }),
+      providesTags: ['JobVersions'],
+    }),
+    getJobAnalytics: builder.query({
+      query: ({ id, days }) => ({
+        url: ENDPOINTS.JOB_ANALYTICS(id),
+        method: 'GET',
+        params: { days },
+      }),
+      providesTags: ['JobAnalytics'],
+    }),
+    getModerationQueue: builder.query({
+      query: (params) => ({
+        url: ENDPOINTS.JOB_MODERATION,
+        method: 'GET',
+        params,
+      }),
+      providesTags: ['Jobs'],
+    }),
+    getModerationSettings: builder.query({
+      query: () => ({
+        url: ENDPOINTS.JOB_MODERATION_SETTINGS,
+        method: 'GET',
+      }),
+      providesTags: ['JobModeration'],
+    }),
+    updateModerationSettings: builder.mutation({
+      query: (settings) => ({
+        url: ENDPOINTS.JOB_MODERATION_SETTINGS,
+        method: 'PATCH',
+        data: settings,
+      }),
+      invalidatesTags: ['JobModeration', 'Jobs'],
+    }),
+    reviewJob: builder.mutation({
+      query: ({ id, ...review }) => ({
+        url: ENDPOINTS.JOB_REVIEW(id),
+        method: 'PATCH',
+        data: review,
+      }),
+      invalidatesTags: ['Jobs'],
+    }),
+    getJobPipeline: builder.query({
+      query: (id) => ({
+        url: ENDPOINTS.JOB_PIPELINE(id),
+        method: 'GET',
+      }),
+      providesTags: ['JobPipeline'],
+    }),
+    updateJobPipeline: builder.mutation({
+      query: ({ id, stages }) => ({
+        url: ENDPOINTS.JOB_PIPELINE(id),
+        method: 'PUT',
+        data: { stages },
+      }),
+      invalidatesTags: ['JobPipeline', 'Jobs'],
+    }),
+    recordJobEvent: builder.mutation({
+      query: ({ id, ...eventData }) => ({
+        url: ENDPOINTS.JOB_EVENTS(id),
+        method: 'POST',
+        data: eventData,
+      }),
+    }),
     createJob: builder.mutation({
       query: (jobData) => ({
         url: ENDPOINTS.JOBS,
@@ -35,13 +150,22 @@ export const jobApi = createApi({
       }),
       invalidatesTags: ['Jobs'],
     }),
+    importJobs: builder.mutation({
+      query: (importData) => ({
+        url: ENDPOINTS.JOB_IMPORT,
+        method: 'POST',
+        data: importData,
+      }),
+      // Dry runs only validate, so the job list is unchanged
+      invalidatesTags: (result, error, { dryRun }) => (dryRun ? [] : ['Jobs']),
+    }),
     updateJobById: builder.mutation({
       query: ({ id, jobData }) => ({
         url: ENDPOINTS.JOB_DETAIL(id),
         method: 'PATCH',
         data: jobData,
       }),
-      invalidatesTags: ['Jobs'],
+      invalidatesTags: ['Jobs', 'JobVersions'],
     }),
     deleteJobById: builder.mutation({
       query: (id) => ({
@@ -56,7 +180,21 @@ export const jobApi = createApi({
 export const {
   useGetAllJobsQuery,
   useGetJobByIdQuery,
+  useGetJobBySlugQuery,
+  useGetSimilarJobsQuery,
+  useGetRecommendedJobsQuery,
+  useGetJobVersionsQuery,
+  useGetJobVersionDiffQuery,
+  useGetJobAnalyticsQuery,
+  useGetModerationQueueQuery,
+  useGetModerationSettingsQuery,
+  useUpdateModerationSettingsMutation,
+  useReviewJobMutation,
+  useGetJobPipelineQuery,
+  useUpdateJobPipelineMutation,
+  useRecordJobEventMutation,
   useCreateJobMutation,
+  useImportJobsMutation,
   useUpdateJobByIdMutation,
   useDeleteJobByIdMutation,
 } = jobApi;
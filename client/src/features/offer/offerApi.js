@@ -0,0 +1,99 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+
+import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
+
+import { applicationApi } from '../application/applicationApi';
+
+const ENDPOINTS = {
+  OFFERS: '/offers',
+  OFFER_DETAIL: (id) => `/offers/${id}`,
+  OFFER_LETTER: (id) => `/offers/${id}/letter`,
+  ACCEPT_OFFER: (id) => `/offers/${id}/accept`,
+  DECLINE_OFFER: (id) => `/offers/${id}/decline`,
+  RESCIND_OFFER: (id) => `/offers/${id}/rescind`,
+};
+
+// Sending and accepting offers move applications through their pipeline, so
+// the application lists are refreshed too
+const refreshApplications = async (arg, { dispatch, queryFulfilled }) => {
+  try {
+    await queryFulfilled;
+    dispatch(applicationApi.util.invalidateTags(['Applications']));
+  } catch {
+    // The mutation's error is handled by its caller
+  }
+};
+
+export const offerApi = createApi({
+  reducerPath: 'offerApi',
+  baseQuery: axiosBaseQueryWithReauth,
+  tagTypes: ['Offers'],
+  endpoints: (builder) => ({
+    getOffers: builder.query({
+      query: (params) => ({
+        url: ENDPOINTS.OFFERS,
+        method: 'GET',
+        params,
+      }),
+      providesTags: ['Offers'],
+    }),
+    getOfferById: builder.query({
+      query: (id) => ({
+        url: ENDPOINTS.OFFER_DETAIL(id),
+        method: 'GET',
+      }),
+      providesTags: ['Offers'],
+    }),
+    // Resolves to an object URL for the PDF; revoke it once it's used
+    downloadOfferLetter: builder.mutation({
+      query: (id) => ({
+        url: ENDPOINTS.OFFER_LETTER(id),
+        method: 'GET',
+        responseType: 'blob',
+      }),
+      transformResponse: (file) => URL.createObjectURL(file),
+    }),
+    createOffer: builder.mutation({
+      query: (offerData) => ({
+        url: ENDPOINTS.OFFERS,
+        method: 'POST',
+        data: offerData,
+      }),
+      onQueryStarted: refreshApplications,
+      invalidatesTags: ['Offers'],
+    }),
+    acceptOffer: builder.mutation({
+      query: (id) => ({
+        url: ENDPOINTS.ACCEPT_OFFER(id),
+        method: 'PATCH',
+      }),
+      onQueryStarted: refreshApplications,
+      invalidatesTags: ['Offers'],
+    }),
+    declineOffer: builder.mutation({
+      query: ({ id, reason }) => ({
+        url: ENDPOINTS.DECLINE_OFFER(id),
+        method: 'PATCH',
+        data: { reason },
+      }),
+      invalidatesTags: ['Offers'],
+    }),
+    rescindOffer: builder.mutation({
+      query: (id) => ({
+        url: ENDPOINTS.RESCIND_OFFER(id),
+        method: 'PATCH',
+      }),
+      invalidatesTags: ['Offers'],
+    }),
+  }),
+});
+
+export const {
+  useGetOffersQuery,
+  useGetOfferByIdQuery,
+  useDownloadOfferLetterMutation,
+  useCreateOfferMutation,
+  useAcceptOfferMutation,
+  useDeclineOfferMutation,
+  useRescindOfferMutation,
+} = offerApi;
@@ -0,0 +1,62 @@
+import { createApi } from '@reduxjs/toolkit/query/react';
+
+import axiosBaseQueryWithReauth from '../../api/axiosBaseQueryWithReauth';
+
+const ENDPOINTS = {
+  SAVED_SEARCHES: '/saved-searches',
+  SAVED_SEARCH_DETAIL: (id) => `/saved-searches/${id}`,
+  UNSUBSCRIBE: (token) => `/saved-searches/unsubscribe/${token}`,
+};
+
+export const savedSearchApi = createApi({
+  reducerPath: 'savedSearchApi',
+  baseQuery: axiosBaseQueryWithReauth,
+  tagTypes: ['SavedSearches'],
+  endpoints: (builder) => ({
+    getMySavedSearches: builder.query({
+      query: () => ({
+        url: ENDPOINTS.SAVED_SEARCHES,
+        method: 'GET',
+      }),
+      providesTags: ['SavedSearches'],
+    }),
+    createSavedSearch: builder.mutation({
+      query: (savedSearchData) => ({
+        url: ENDPOINTS.SAVED_SEARCHES,
+        method: 'POST',
+        data: savedSearchData,
+      }),
+      invalidatesTags: ['SavedSearches'],
+    }),
+    updateSavedSearch: builder.mutation({
+      query: ({ id, savedSearchData }) => ({
+        url: ENDPOINTS.SAVED_SEARCH_DETAIL(id),
+        method: 'PUT',
+        data: savedSearchData,
+      }),
+      invalidatesTags: ['SavedSearches'],
+    }),
+    deleteSavedSearch: builder.mutation({
+      query: (id) => ({
+        url: ENDPOINTS.SAVED_SEARCH_DETAIL(id),
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['SavedSearches'],
+    }),
+    unsubscribeSavedSearch: builder.mutation({
+      query: (token) => ({
+        url: ENDPOINTS.UNSUBSCRIBE(token),
+        method: 'POST',
+      }),
+      invalidatesTags: ['SavedSearches'],
+    }),
+  }),
+});
+
+export const {
+  useGetMySavedSearchesQuery,
+  useCreateSavedSearchMutation,
+  useUpdateSavedSearchMutation,
+  useDeleteSavedSearchMutation,
+  useUnsubscribeSavedSearchMutation,
+} = savedSearchApi;
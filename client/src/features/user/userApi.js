@@ -45,9 +45,10 @@ export const userApi = createApi({
       invalidatesTags: ['User'],
     }),
     getAllUsers: builder.query({
-      query: () => ({
+      query: (params = {}) => ({
         url: ENDPOINTS.GET_ALL_USERS,
         method: 'GET',
+        params,
       }),
       providesTags: ['User'],
     }),
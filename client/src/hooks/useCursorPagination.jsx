@@ -0,0 +1,69 @@
+import { useCallback, useMemo, useState } from 'react';
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Tracks the cursors of visited pages so a server-paged list can step back
+const useCursorPagination = ({
+  pageSize = DEFAULT_PAGE_SIZE,
+  defaultSort,
+} = {}) => {
+  const [cursors, setCursors] = useState([null]);
+  const [sort, setSort] = useState(defaultSort);
+
+  const cursor = cursors[cursors.length - 1];
+
+  const params = useMemo(
+    () => ({
+      limit: pageSize,
+      ...(sort ? { sort } : {}),
+      ...(cursor ? { cursor } : {}),
+    }),
+    [pageSize, sort, cursor]
+  );
+
+  const goToNextPage = useCallback((nextCursor) => {
+    if (nextCursor) setCursors((prev) => [...prev, nextCursor]);
+  }, []);
+
+  const goToPreviousPage = useCallback(() => {
+    setCursors((prev) => (prev.length > 1 ? prev.slice(0, -1) : prev));
+  }, []);
+
+  const reset = useCallback(() => setCursors([null]), []);
+
+  // Cursors are tied to the sort they were issued for, so start over
+  const changeSort = useCallback(
+    (nextSort) => {
+      setSort(nextSort || defaultSort);
+      setCursors([null]);
+    },
+    [defaultSort]
+  );
+
+  // Props for Table's `serverPagination`, from the list response's `pagination`
+  const getTableProps = (pagination) => ({
+    page: cursors.length,
+    pageSize,
+    total: pagination?.total ?? 0,
+    hasNextPage: Boolean(pagination?.hasNextPage),
+    sort: sort || defaultSort,
+    onNextPage: () => goToNextPage(pagination?.nextCursor),
+    onPreviousPage: goToPreviousPage,
+    onFirstPage: reset,
+    onSortChange: changeSort,
+  });
+
+  return {
+    params,
+    page: cursors.length,
+    pageSize,
+    sort: sort || defaultSort,
+    goToNextPage,
+    goToPreviousPage,
+    reset,
+    changeSort,
+    getTableProps,
+  };
+};
+
+export default useCursorPagination;
@@ -0,0 +1,34 @@
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+
+import { useRecordJobEventMutation } from '../features/job/jobApi';
+
+import { getAnalyticsSessionId, getUtmParams } from '../utils/analytics';
+
+// Reports job views and apply clicks for the recruiter's funnel. Recruiters and
+// admins browsing postings are left out so they don't inflate the numbers.
+const useJobEventTracker = () => {
+  const user = useSelector((state) => state.auth.userInfo);
+  const [recordJobEvent] = useRecordJobEventMutation();
+
+  const isTracked = !user?.isRecruiter && !user?.isAdmin;
+
+  return useCallback(
+    (jobId, type) => {
+      if (!isTracked || !jobId) return;
+
+      // Analytics must never get in the way of browsing or applying
+      recordJobEvent({
+        id: jobId,
+        type,
+        sessionId: getAnalyticsSessionId(),
+        utm: getUtmParams(),
+      })
+        .unwrap()
+        .catch(() => {});
+    },
+    [isTracked, recordJobEvent]
+  );
+};
+
+export default useJobEventTracker;
@@ -7,6 +7,7 @@ import {
   FaFileContract,
   FaRobot,
   FaStar,
+  FaTags,
   FaTachometerAlt,
   FaUsers,
 } from 'react-icons/fa';
@@ -22,6 +23,7 @@ const AdminLayout = () => {
     { label: 'Dashboard', path: '/admin/dashboard', icon: <FaTachometerAlt /> },
     { label: 'Users', path: '/admin/users', icon: <FaUsers /> },
     { label: 'Jobs', path: '/admin/jobs', icon: <FaBriefcase /> },
+    { label: 'Categories', path: '/admin/categories', icon: <FaTags /> },
     {
       label: 'Applications',
       path: '/admin/applications',
@@ -1,4 +1,5 @@
 import {
+  FaBell,
   FaBriefcase,
   FaCalendarAlt,
   FaEnvelope,
@@ -29,6 +30,7 @@ function CandidateLayout() {
       path: '/candidate/interviews',
       icon: <FaCalendarAlt />,
     },
+    { label: 'Alerts', path: '/candidate/alerts', icon: <FaBell /> },
   ];
 
   return (
@@ -1,5 +1,6 @@
 import {
   FaBriefcase,
+  FaBuilding,
   FaCalendarAlt,
   FaComments,
   FaEnvelopeOpenText,
@@ -26,6 +27,11 @@ function RecruiterLayout() {
       path: '/recruiter/jobs',
       icon: <FaBriefcase />,
     },
+    {
+      label: 'Companies',
+      path: '/recruiter/companies',
+      icon: <FaBuilding />,
+    },
 
     {
       label: 'Chats',
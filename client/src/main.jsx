@@ -5,7 +5,7 @@ import { Provider } from 'react-redux';
 import { RouterProvider } from 'react-router-dom';
 
 import ThemeProvider from './providers/ThemeProvider.jsx';
-import { initGA } from './utils/analytics.js';
+import { captureUtmParams, initGA } from './utils/analytics.js';
 
 import './index.css';
 import router from './router.jsx';
@@ -17,6 +17,8 @@ if (GA_TRACKING_ID) {
   initGA(GA_TRACKING_ID);
 }
 
+captureUtmParams();
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <HelmetProvider>
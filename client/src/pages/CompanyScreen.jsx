@@ -0,0 +1,218 @@
+import { useEffect } from 'react';
+import { Helmet } from 'react-helmet-async';
+import {
+  FaArrowLeft,
+  FaBriefcase,
+  FaBuilding,
+  FaDollarSign,
+  FaGlobe,
+  FaIndustry,
+  FaLaptopHouse,
+  FaMapMarkerAlt,
+  FaUsers,
+} from 'react-icons/fa';
+import { Link, useLocation, useParams } from 'react-router-dom';
+
+import Alert from '../components/Alert';
+import Loader from '../components/Loader';
+
+import { useGetCompanyBySlugQuery } from '../features/company/companyApi';
+
+import { trackEvent, trackPageView } from '../utils/analytics';
+import { getJobLocations, getWorkModeLabel } from '../utils/jobValidation';
+
+const META_DESCRIPTION_LENGTH = 160;
+
+const truncate = (text, length) =>
+  text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '';
+
+export default function CompanyScreen() {
+  const { slug } = useParams();
+  const routeLocation = useLocation();
+
+  const { data, isLoading, error } = useGetCompanyBySlugQuery(slug);
+  const company = data?.company;
+  const jobs = data?.jobs || [];
+
+  const pageUrl = `${window.location.origin}/companies/${company?.slug || slug}`;
+
+  useEffect(() => {
+    trackPageView(routeLocation.pathname);
+  }, [routeLocation.pathname]);
+
+  if (isLoading) {
+    return (
+      <section className="flex min-h-screen items-center justify-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        <Loader />
+      </section>
+    );
+  }
+
+  if (error || !company) {
+    return (
+      <>
+        <Helmet>
+          <title>Company Not Found - EZYjobs</title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <section className="flex min-h-screen flex-col items-center justify-center bg-light-background px-4 py-24 dark:bg-dark-background">
+          <div className="w-full max-w-lg">
+            <Alert
+              message={
+                error?.data?.message || 'This company profile does not exist.'
+              }
+            />
+          </div>
+          <Link
+            to="/jobs"
+            className="mt-4 flex items-center gap-2 text-light-primary hover:underline dark:text-dark-primary"
+          >
+            <FaArrowLeft /> Browse all jobs
+          </Link>
+        </section>
+      </>
+    );
+  }
+
+  const metaDescription = truncate(
+    company.description ||
+      `${company.name} has ${jobs.length} open job${jobs.length === 1 ? '' : 's'} on EZYjobs.`,
+    META_DESCRIPTION_LENGTH
+  );
+
+  const details = [
+    company.industry && { icon: <FaIndustry />, label: company.industry },
+    company.size && { icon: <FaUsers />, label: `${company.size} employees` },
+  ].filter(Boolean);
+
+  return (
+    <>
+      <Helmet>
+        <title>{`Jobs at ${company.name} - EZYjobs`}</title>
+        <meta name="description" content={metaDescription} />
+        <meta
+          name="keywords"
+          content={`${company.name} Jobs, ${company.name} Careers, ${company.industry || 'Hiring'}, EZYjobs`}
+        />
+        <link rel="canonical" href={pageUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={`Jobs at ${company.name}`} />
+        <meta property="og:description" content={metaDescription} />
+        <meta property="og:url" content={pageUrl} />
+        {company.logoUrl && (
+          <meta property="og:image" content={company.logoUrl} />
+        )}
+      </Helmet>
+      <section className="relative flex min-h-screen animate-fadeIn flex-col items-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        <div className="mx-auto w-full max-w-4xl animate-slideUp">
+          <Link
+            to="/jobs"
+            className="mb-6 flex items-center gap-2 text-sm text-light-primary hover:underline dark:text-dark-primary"
+          >
+            <FaArrowLeft /> Browse all jobs
+          </Link>
+
+          <div className="rounded-lg border border-light-border bg-light-surface p-6 shadow-lg dark:border-dark-border dark:bg-dark-surface">
+            <div className="flex flex-wrap items-center gap-4">
+              {company.logoUrl ? (
+                <img
+                  src={company.logoUrl}
+                  alt={`${company.name} logo`}
+                  className="h-16 w-16 rounded-lg object-contain"
+                />
+              ) : (
+                <span className="flex h-16 w-16 items-center justify-center rounded-lg bg-light-primary bg-opacity-10 text-2xl text-light-primary dark:text-dark-primary">
+                  <FaBuilding />
+                </span>
+              )}
+              <div>
+                <h1 className="text-3xl font-bold text-light-text dark:text-dark-text">
+                  {company.name}
+                </h1>
+                <div className="mt-2 flex flex-wrap items-center gap-2">
+                  {details.map(({ icon, label }) => (
+                    <span
+                      key={label}
+                      className="flex items-center gap-1 rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary"
+                    >
+                      {icon} {label}
+                    </span>
+                  ))}
+                  {company.website && (
+                    <a
+                      href={company.website}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={() =>
+                        trackEvent(
+                          'Company Website',
+                          'User Action',
+                          company.name
+                        )
+                      }
+                      className="flex items-center gap-1 text-sm text-light-primary hover:underline dark:text-dark-primary"
+                    >
+                      <FaGlobe /> Website
+                    </a>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {company.description && (
+              <p className="mt-6 whitespace-pre-wrap text-light-text dark:text-dark-text">
+                {company.description}
+              </p>
+            )}
+          </div>
+
+          <div className="mt-8">
+            <h2 className="mb-4 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+              <FaBriefcase className="text-light-primary dark:text-dark-primary" />
+              Open jobs ({jobs.length})
+            </h2>
+
+            {jobs.length === 0 ? (
+              <p className="text-sm text-light-text opacity-70 dark:text-dark-text">
+                {company.name} has no open jobs right now. Check back soon.
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                {jobs.map((job) => (
+                  <Link
+                    key={job.id}
+                    to={`/jobs/${job.seo?.slug || job.id}`}
+                    className="rounded-lg border border-light-border bg-light-surface p-4 transition-all duration-300 hover:shadow-lg dark:border-dark-border dark:bg-dark-surface"
+                  >
+                    <h3 className="font-semibold text-light-text dark:text-dark-text">
+                      {job.title}
+                    </h3>
+                    <p className="mt-1 text-sm text-light-text opacity-70 dark:text-dark-text">
+                      {job.category}
+                    </p>
+                    <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-light-text opacity-60 dark:text-dark-text">
+                      <span className="flex items-center gap-1">
+                        <FaMapMarkerAlt className="text-light-primary dark:text-dark-primary" />
+                        {getJobLocations(job).join(', ') || job.location}
+                      </span>
+                      <span className="flex items-center gap-1">
+                        <FaLaptopHouse className="text-light-primary dark:text-dark-primary" />
+                        {getWorkModeLabel(job.workMode)}
+                      </span>
+                      {job.salaryRange && (
+                        <span className="flex items-center gap-1">
+                          <FaDollarSign className="text-light-primary dark:text-dark-primary" />
+                          {job.salaryRange}
+                        </span>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,368 @@
+import { useEffect } from 'react';
+import { Helmet } from 'react-helmet-async';
+import {
+  FaArrowLeft,
+  FaBriefcase,
+  FaCalendarAlt,
+  FaClock,
+  FaDollarSign,
+  FaLaptopHouse,
+  FaMapMarkerAlt,
+} from 'react-icons/fa';
+import { useSelector } from 'react-redux';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+
+import Alert from '../components/Alert';
+import JobMatchList from '../components/JobMatchList';
+import Loader from '../components/Loader';
+
+import useJobEventTracker from '../hooks/useJobEventTracker';
+
+import {
+  useGetJobBySlugQuery,
+  useGetSimilarJobsQuery,
+} from '../features/job/jobApi';
+
+import { trackEvent, trackPageView } from '../utils/analytics';
+import { getJobLocations, getWorkModeLabel } from '../utils/jobValidation';
+
+// schema.org unitText values for the stored salary period
+const SALARY_UNIT_TEXT = {
+  hour: 'HOUR',
+  month: 'MONTH',
+  year: 'YEAR',
+};
+
+const META_DESCRIPTION_LENGTH = 160;
+
+const truncate = (text, length) =>
+  text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '';
+
+// Builds the schema.org JobPosting structured data for search engines
+const buildJobPostingSchema = (job, company, pageUrl) => {
+  const locations = getJobLocations(job);
+
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: job.company,
+      value: job.id,
+    },
+    datePosted: job.publishedAt || job.createdAt,
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.company,
+      ...(company?.logoUrl && { logo: company.logoUrl }),
+    },
+    industry: job.category,
+    url: pageUrl,
+  };
+
+  if (locations.length > 0) {
+    schema.jobLocation = locations.map((city) => ({
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: city,
+        addressCountry: 'PK',
+      },
+    }));
+  }
+
+  if (job.workMode === 'remote') {
+    schema.jobLocationType = 'TELECOMMUTE';
+    schema.applicantLocationRequirements = {
+      '@type': 'Country',
+      name: 'Pakistan',
+    };
+  }
+
+  if (job.applicationDeadline) {
+    schema.validThrough = job.applicationDeadline;
+  }
+
+  if (job.salary) {
+    schema.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: job.salary.currency,
+      value: {
+        '@type': 'QuantitativeValue',
+        minValue: job.salary.min,
+        maxValue: job.salary.max,
+        unitText: SALARY_UNIT_TEXT[job.salary.period],
+      },
+    };
+  }
+
+  return schema;
+};
+
+export default function JobDetailsScreen() {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const routeLocation = useLocation();
+
+  const user = useSelector((state) => state.auth.userInfo);
+
+  const { data, isLoading, error } = useGetJobBySlugQuery(slug);
+  const job = data?.job;
+  const companyProfile = data?.companyProfile;
+
+  const {
+    data: similarData,
+    isLoading: isSimilarLoading,
+    error: similarError,
+  } = useGetSimilarJobsQuery(job?.id, { skip: !job });
+
+  const pageUrl = `${window.location.origin}/jobs/${job?.seo?.slug || slug}`;
+
+  const trackJobEvent = useJobEventTracker();
+
+  useEffect(() => {
+    trackPageView(routeLocation.pathname);
+  }, [routeLocation.pathname]);
+
+  useEffect(() => {
+    trackJobEvent(job?.id, 'view');
+  }, [job?.id, trackJobEvent]);
+
+  const handleApply = () => {
+    trackEvent(
+      'Job Page Apply',
+      'User Action',
+      `User clicked apply on ${job.title}`
+    );
+    trackJobEvent(job.id, 'apply_click');
+
+    if (!user) {
+      navigate('/auth/login');
+    } else if (user.isCandidate) {
+      navigate(`/candidate/apply/${job.id}`);
+    } else {
+      navigate('/jobs');
+    }
+  };
+
+  const handleSimilarJobClick = (similarJob) => {
+    trackEvent(
+      'Similar Job',
+      'User Action',
+      `User opened similar job ${similarJob.title} from ${job.title}`
+    );
+    navigate(`/jobs/${similarJob.seo?.slug || similarJob.id}`);
+  };
+
+  const renderBulletPoints = (text) => {
+    if (!text) return null;
+    return (
+      <ul className="list-disc space-y-1 pl-5 text-light-text dark:text-dark-text">
+        {text.split(',').map((item, index) => (
+          <li key={index} className="text-light-text dark:text-dark-text">
+            {item.trim()}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <section className="flex min-h-screen items-center justify-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        <Loader />
+      </section>
+    );
+  }
+
+  if (error || !job) {
+    return (
+      <>
+        <Helmet>
+          <title>Job Not Found - EZYjobs</title>
+          <meta name="robots" content="noindex" />
+        </Helmet>
+        <section className="flex min-h-screen flex-col items-center justify-center bg-light-background px-4 py-24 dark:bg-dark-background">
+          <div className="w-full max-w-lg">
+            <Alert
+              message={
+                error?.data?.message ||
+                'This job posting no longer exists or has been removed.'
+              }
+            />
+          </div>
+          <Link
+            to="/jobs"
+            className="mt-4 flex items-center gap-2 text-light-primary hover:underline dark:text-dark-primary"
+          >
+            <FaArrowLeft /> Browse all jobs
+          </Link>
+        </section>
+      </>
+    );
+  }
+
+  const metaDescription = truncate(
+    `${job.title} at ${job.company} in ${job.location}. ${job.description}`,
+    META_DESCRIPTION_LENGTH
+  );
+
+  return (
+    <>
+      <Helmet>
+        <title>{`${job.title} at ${job.company} - EZYjobs`}</title>
+        <meta name="description" content={metaDescription} />
+        <meta
+          name="keywords"
+          content={`${job.title}, ${job.company}, ${job.category} Jobs, Jobs in ${job.location}, EZYjobs`}
+        />
+        <link rel="canonical" href={pageUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={`${job.title} at ${job.company}`} />
+        <meta property="og:description" content={metaDescription} />
+        <meta property="og:url" content={pageUrl} />
+        <meta name="twitter:card" content="summary" />
+        <meta name="twitter:title" content={`${job.title} at ${job.company}`} />
+        <meta name="twitter:description" content={metaDescription} />
+        {!job.isAcceptingApplications && (
+          <meta name="robots" content="noindex" />
+        )}
+        {job.isAcceptingApplications && (
+          <script type="application/ld+json">
+            {JSON.stringify(
+              buildJobPostingSchema(job, companyProfile, pageUrl)
+            )}
+          </script>
+        )}
+      </Helmet>
+      <section className="relative flex min-h-screen animate-fadeIn flex-col items-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        <div className="mx-auto w-full max-w-4xl animate-slideUp">
+          <Link
+            to="/jobs"
+            className="mb-6 flex items-center gap-2 text-sm text-light-primary hover:underline dark:text-dark-primary"
+          >
+            <FaArrowLeft /> Browse all jobs
+          </Link>
+
+          {!job.isAcceptingApplications && (
+            <Alert message="This job posting is closed and no longer accepting applications." />
+          )}
+
+          <div className="rounded-lg border border-light-border bg-light-surface p-6 shadow-lg dark:border-dark-border dark:bg-dark-surface">
+            <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <h1 className="text-3xl font-bold text-light-text dark:text-dark-text">
+                  {job.title}
+                </h1>
+                <div className="mt-2 flex items-center gap-2">
+                  {companyProfile ? (
+                    <Link
+                      to={`/companies/${companyProfile.slug}`}
+                      className="flex items-center gap-2 font-medium text-light-secondary hover:underline dark:text-dark-secondary"
+                    >
+                      {companyProfile.logoUrl && (
+                        <img
+                          src={companyProfile.logoUrl}
+                          alt=""
+                          className="h-6 w-6 rounded object-contain"
+                        />
+                      )}
+                      {job.company}
+                    </Link>
+                  ) : (
+                    <span className="font-medium text-light-secondary dark:text-dark-secondary">
+                      {job.company}
+                    </span>
+                  )}
+                  <span className="text-light-text opacity-60 dark:text-dark-text">
+                    •
+                  </span>
+                  <span className="flex items-center gap-1 text-sm text-light-text opacity-60 dark:text-dark-text">
+                    <FaMapMarkerAlt />{' '}
+                    {getJobLocations(job).join(', ') || job.location}
+                  </span>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <span className="flex items-center rounded-full bg-light-primary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-primary dark:text-dark-primary">
+                  <FaDollarSign className="mr-1" /> {job.salaryRange}
+                </span>
+                <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+                  <FaClock className="mr-1" /> {job.category}
+                </span>
+                <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+                  <FaLaptopHouse className="mr-1" />{' '}
+                  {getWorkModeLabel(job.workMode)}
+                </span>
+                {job.applicationDeadline && (
+                  <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+                    <FaCalendarAlt className="mr-1" /> Apply by{' '}
+                    {new Date(job.applicationDeadline).toLocaleDateString()}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-6">
+              <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                <h2 className="mb-3 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+                  <FaBriefcase className="text-light-primary dark:text-dark-primary" />
+                  Description
+                </h2>
+                <p className="whitespace-pre-wrap text-light-text dark:text-dark-text">
+                  {job.description}
+                </p>
+              </div>
+
+              <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                <h2 className="mb-3 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+                  <FaMapMarkerAlt className="text-light-primary dark:text-dark-primary" />
+                  Requirements
+                </h2>
+                {job.requirements
+                  ? renderBulletPoints(job.requirements)
+                  : 'No requirements listed'}
+              </div>
+
+              <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                <h2 className="mb-3 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+                  <FaDollarSign className="text-light-primary dark:text-dark-primary" />
+                  Benefits
+                </h2>
+                {job.benefits
+                  ? renderBulletPoints(job.benefits)
+                  : 'No benefits listed'}
+              </div>
+            </div>
+
+            {job.isAcceptingApplications && (
+              <button
+                className="mt-6 w-full transform rounded-lg bg-light-primary py-3 font-medium text-white transition-all duration-300 hover:-translate-y-1 hover:bg-light-secondary hover:shadow-lg dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={handleApply}
+              >
+                {user ? 'Apply Now' : 'Sign in to Apply'}
+              </button>
+            )}
+          </div>
+
+          <JobMatchList
+            title={
+              job.isAcceptingApplications
+                ? 'Similar jobs'
+                : 'Similar jobs still accepting applications'
+            }
+            icon={
+              <FaBriefcase className="text-light-primary dark:text-dark-primary" />
+            }
+            jobs={similarData?.jobs || []}
+            isLoading={isSimilarLoading}
+            error={similarError}
+            onSelect={handleSimilarJobClick}
+          />
+        </div>
+      </section>
+    </>
+  );
+}
@@ -1,4 +1,4 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import {
   FaBriefcase,
@@ -8,33 +8,103 @@ import {
   FaSearch,
 } from 'react-icons/fa';
 import { useSelector } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 
 import Alert from '../components/Alert';
 import Loader from '../components/Loader';
 
+import useJobEventTracker from '../hooks/useJobEventTracker';
+
 import { useGetAllJobsQuery } from '../features/job/jobApi';
 
 import { trackEvent, trackPageView } from '../utils/analytics';
+import { SALARY_CURRENCIES } from '../utils/jobValidation';
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+const FACET_GROUPS = [
+  { key: 'category', label: 'Category' },
+  { key: 'location', label: 'Location' },
+  { key: 'company', label: 'Company' },
+];
 
 export default function JobsScreen() {
   const [displayJobs, setDisplayJobs] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [location, setLocation] = useState('');
+  const [category, setCategory] = useState('');
+  const [company, setCompany] = useState('');
+  const [minSalary, setMinSalary] = useState('');
+  const [maxSalary, setMaxSalary] = useState('');
+  const [currency, setCurrency] = useState('PKR');
+  const [debouncedFilters, setDebouncedFilters] = useState({
+    search: '',
+    location: '',
+    minSalary: '',
+    maxSalary: '',
+  });
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
   const [selectedJob, setSelectedJob] = useState(null);
 
   const navigate = useNavigate();
 
   const user = useSelector((state) => state.auth.userInfo);
+  const trackJobEvent = useJobEventTracker();
+
+  const queryParams = useMemo(() => {
+    const params = {};
+    if (debouncedFilters.search) params.search = debouncedFilters.search;
+    if (debouncedFilters.location) params.location = debouncedFilters.location;
+    if (category) params.category = category;
+    if (company) params.company = company;
+    if (debouncedFilters.minSalary || debouncedFilters.maxSalary) {
+      if (debouncedFilters.minSalary) {
+        params.minSalary = debouncedFilters.minSalary;
+      }
+      if (debouncedFilters.maxSalary) {
+        params.maxSalary = debouncedFilters.maxSalary;
+      }
+      params.currency = currency;
+    }
+    return params;
+  }, [debouncedFilters, category, company, currency]);
 
-  const { data: jobsData, isLoading, error } = useGetAllJobsQuery();
+  const {
+    data: jobsData,
+    isLoading,
+    isFetching,
+    error,
+  } = useGetAllJobsQuery(queryParams);
+
+  const facetValues = {
+    category,
+    location,
+    company,
+  };
+
+  const handleFacetClick = (key, value) => {
+    const nextValue = facetValues[key] === value ? '' : value;
+
+    if (key === 'category') setCategory(nextValue);
+    if (key === 'company') setCompany(nextValue);
+    if (key === 'location') {
+      setLocation(nextValue);
+      setDebouncedFilters((prev) => ({ ...prev, location: nextValue }));
+    }
+
+    trackEvent(
+      'Job Filter',
+      'User Action',
+      `User ${nextValue ? 'applied' : 'cleared'} ${key} filter ${value}`
+    );
+  };
 
   const handleJobClick = (job) => {
     if (!user) {
       navigate('/auth/login');
     } else {
       setSelectedJob(job);
+      trackJobEvent(job.id, 'view');
     }
     trackEvent('Job Clicked', {
       jobId: job.id,
@@ -67,12 +137,28 @@ export default function JobsScreen() {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedFilters({
+        search: searchTerm.trim(),
+        location: location.trim(),
+        minSalary: minSalary > 0 ? minSalary : '',
+        maxSalary: maxSalary > 0 ? maxSalary : '',
+      });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [searchTerm, location, minSalary, maxSalary]);
+
   useEffect(() => {
     if (jobsData && jobsData.jobs && jobsData.jobs.length > 0) {
       const topThreeJobs = jobsData.jobs.slice(0, 3);
       setDisplayJobs(topThreeJobs);
 
       setSelectedJob(topThreeJobs[0]);
+    } else if (jobsData) {
+      setDisplayJobs([]);
+      setSelectedJob(null);
     }
   }, [jobsData]);
 
@@ -93,6 +179,54 @@ export default function JobsScreen() {
     );
   };
 
+  const renderFacetChips = () => {
+    const facets = jobsData?.facets;
+    if (!facets) return null;
+
+    return (
+      <div className="mx-auto mb-12 flex max-w-4xl flex-col gap-3 text-left">
+        {FACET_GROUPS.map(({ key, label }) =>
+          facets[key]?.length > 0 ? (
+            <div key={key} className="flex flex-wrap items-center gap-2">
+              <span className="mr-1 text-sm font-medium text-light-text/70 dark:text-dark-text/70">
+                {label}:
+              </span>
+              {facets[key].map((bucket) => {
+                const isActive =
+                  facetValues[key].toLowerCase() ===
+                  String(bucket.value).toLowerCase();
+
+                return (
+                  <button
+                    key={bucket.value}
+                    type="button"
+                    onClick={() => handleFacetClick(key, bucket.value)}
+                    className={`flex items-center gap-1.5 rounded-full px-3 py-1 text-xs font-medium transition-all duration-300 ${
+                      isActive
+                        ? 'bg-light-primary text-white dark:bg-dark-primary dark:text-dark-background'
+                        : 'bg-light-primary bg-opacity-10 text-light-primary hover:bg-opacity-20 dark:text-dark-primary'
+                    }`}
+                  >
+                    {bucket.value}
+                    <span
+                      className={`rounded-full px-1.5 ${
+                        isActive
+                          ? 'bg-white/20'
+                          : 'bg-light-surface dark:bg-dark-surface'
+                      }`}
+                    >
+                      {bucket.count}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          ) : null
+        )}
+      </div>
+    );
+  };
+
   const renderDetailedJobCard = (job) => (
     <div
       key={job.id}
@@ -189,13 +323,12 @@ export default function JobsScreen() {
             Explore thousands of opportunities and find the perfect match for
             your skills and aspirations.
           </p>
-          <div className="mx-auto mb-12 flex max-w-4xl flex-col gap-4 md:flex-row">
+          <div className="mx-auto mb-6 flex max-w-4xl flex-col gap-4 md:flex-row">
             <div className="relative flex-1">
               <FaSearch className="absolute left-4 top-1/2 -translate-y-1/2 transform text-light-primary dark:text-dark-primary" />
               <input
                 type="text"
                 placeholder="Search jobs..."
-                disabled
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
@@ -206,16 +339,52 @@ export default function JobsScreen() {
               <input
                 type="text"
                 placeholder="Location..."
-                disabled
                 value={location}
                 onChange={(e) => setLocation(e.target.value)}
                 className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
               />
             </div>
           </div>
+          <div className="mx-auto mb-6 flex max-w-4xl flex-col gap-4 md:flex-row">
+            <div className="relative flex-1">
+              <FaDollarSign className="absolute left-4 top-1/2 -translate-y-1/2 transform text-light-primary dark:text-dark-primary" />
+              <input
+                type="number"
+                min={0}
+                placeholder="Min monthly salary"
+                value={minSalary}
+                onChange={(e) => setMinSalary(e.target.value)}
+                className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+              />
+            </div>
+            <div className="relative flex-1">
+              <FaDollarSign className="absolute left-4 top-1/2 -translate-y-1/2 transform text-light-primary dark:text-dark-primary" />
+              <input
+                type="number"
+                min={0}
+                placeholder="Max monthly salary"
+                value={maxSalary}
+                onChange={(e) => setMaxSalary(e.target.value)}
+                className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+              />
+            </div>
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              aria-label="Salary currency"
+              className="rounded-lg border border-light-border bg-light-surface px-4 py-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+            >
+              {SALARY_CURRENCIES.map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </select>
+          </div>
+          {renderFacetChips()}
         </div>
 
-        {isLoading ? (
+        {isLoading || isFetching ? (
           <div className="relative w-full max-w-sm animate-fadeIn sm:max-w-md">
             <Loader />
           </div>
@@ -271,7 +440,12 @@ export default function JobsScreen() {
                     <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
                       <div>
                         <h2 className="text-2xl font-bold text-light-text dark:text-dark-text">
-                          {selectedJob.title}
+                          <Link
+                            to={`/jobs/${selectedJob.seo?.slug || selectedJob.id}`}
+                            className="hover:underline"
+                          >
+                            {selectedJob.title}
+                          </Link>
                         </h2>
                         <div className="mt-2 flex items-center gap-2">
                           <span className="font-medium text-light-secondary dark:text-dark-secondary">
@@ -335,7 +509,10 @@ export default function JobsScreen() {
                     {user && (
                       <button
                         className="mt-6 w-full transform rounded-lg bg-light-primary py-3 font-medium text-white transition-all duration-300 hover:-translate-y-1 hover:bg-light-secondary hover:shadow-lg dark:bg-dark-primary dark:hover:bg-dark-secondary"
-                        onClick={() => navigate(`/apply/${selectedJob.id}`)}
+                        onClick={() => {
+                          trackJobEvent(selectedJob.id, 'apply_click');
+                          navigate(`/apply/${selectedJob.id}`);
+                        }}
                       >
                         Apply Now
                       </button>
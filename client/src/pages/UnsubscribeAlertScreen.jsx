@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { FaArrowLeft } from 'react-icons/fa';
+import { Link, useLocation, useParams } from 'react-router-dom';
+
+import Alert from '../components/Alert';
+import Loader from '../components/Loader';
+
+import { useUnsubscribeSavedSearchMutation } from '../features/savedSearch/savedSearchApi';
+
+import { trackEvent, trackPageView } from '../utils/analytics';
+
+export default function UnsubscribeAlertScreen() {
+  const { token } = useParams();
+  const routeLocation = useLocation();
+
+  const [unsubscribe, { data, error, isLoading, isUninitialized }] =
+    useUnsubscribeSavedSearchMutation();
+
+  // Guards against the effect running twice in StrictMode
+  const requestedToken = useRef(null);
+
+  useEffect(() => {
+    trackPageView(routeLocation.pathname);
+  }, [routeLocation.pathname]);
+
+  useEffect(() => {
+    if (requestedToken.current === token) return;
+    requestedToken.current = token;
+
+    unsubscribe(token);
+    trackEvent(
+      'Unsubscribe Job Alert',
+      'User Action',
+      'User unsubscribed from a job alert via email link'
+    );
+  }, [token, unsubscribe]);
+
+  return (
+    <>
+      <Helmet>
+        <title>Unsubscribe from Job Alert - EZYjobs</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+      <section className="flex min-h-screen flex-col items-center justify-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        <div className="w-full max-w-lg animate-slideUp">
+          <h1 className="mb-6 text-center text-3xl font-bold text-light-text dark:text-dark-text">
+            Job{' '}
+            <span className="text-light-primary dark:text-dark-primary">
+              Alerts
+            </span>
+          </h1>
+
+          {isLoading || isUninitialized ? (
+            <Loader />
+          ) : (
+            <Alert
+              message={
+                error
+                  ? error.data?.message ||
+                    'We could not process your unsubscribe request. Please try again later.'
+                  : data?.message
+              }
+              isSuccess={!error}
+            />
+          )}
+
+          <div className="mt-4 flex flex-wrap justify-center gap-6">
+            <Link
+              to="/candidate/alerts"
+              className="text-light-primary hover:underline dark:text-dark-primary"
+            >
+              Manage job alerts
+            </Link>
+            <Link
+              to="/jobs"
+              className="flex items-center gap-2 text-light-primary hover:underline dark:text-dark-primary"
+            >
+              <FaArrowLeft /> Browse all jobs
+            </Link>
+          </div>
+        </div>
+      </section>
+    </>
+  );
+}
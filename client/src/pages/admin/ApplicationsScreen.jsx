@@ -1,14 +1,23 @@
 import { useEffect, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { FaPencilAlt, FaSave, FaTimes, FaTrash } from 'react-icons/fa';
+import {
+  FaPencilAlt,
+  FaSave,
+  FaStickyNote,
+  FaTimes,
+  FaTrash,
+} from 'react-icons/fa';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import ApplicationNotes from '../../components/ApplicationNotes';
+import BulkApplicationActions from '../../components/BulkApplicationActions';
 import Loader from '../../components/Loader';
 import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
 
 import {
@@ -20,18 +29,22 @@ import {
 export default function ApplicationsScreen() {
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showNotesModal, setShowNotesModal] = useState(false);
   const [selectedApplication, setSelectedApplication] = useState(null);
+  const [selectedApplications, setSelectedApplications] = useState([]);
 
   const [status, setStatus] = useState('');
 
   const routeLocation = useLocation();
 
+  const paging = useCursorPagination({ defaultSort: '-applicationDate' });
+
   const {
     data: applicationsData,
     isLoading,
     error,
     refetch,
-  } = useGetAllApplicationsQuery();
+  } = useGetAllApplicationsQuery(paging.params);
   const [
     updateApplication,
     { isLoading: isUpdating, error: updateError, data: updateData },
@@ -61,6 +74,16 @@ export default function ApplicationsScreen() {
     );
   };
 
+  const handleNotes = (application) => {
+    setSelectedApplication(application);
+    setShowNotesModal(true);
+    trackEvent(
+      'View Application Notes',
+      'User Action',
+      `User viewed notes of application ID: ${application.id}`
+    );
+  };
+
   const handleDelete = (application) => {
     setSelectedApplication(application);
     setShowDeleteModal(true);
@@ -152,6 +175,7 @@ export default function ApplicationsScreen() {
     {
       key: 'status',
       label: 'Status',
+      sortKey: 'status',
       render: (application) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
@@ -176,12 +200,22 @@ export default function ApplicationsScreen() {
     {
       key: 'applicationDate',
       label: 'Applied On',
+      sortKey: 'applicationDate',
       render: (application) =>
         new Date(application.applicationDate).toLocaleDateString(),
     },
   ];
 
   const actions = [
+    {
+      onClick: handleNotes,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-purple-500 px-3 py-1 text-white hover:bg-purple-600">
+          <FaStickyNote />
+          Notes
+        </button>
+      ),
+    },
     {
       onClick: handleEdit,
       render: () => (
@@ -268,10 +302,22 @@ export default function ApplicationsScreen() {
               />
             )}
 
+            <BulkApplicationActions
+              selectedApplications={selectedApplications}
+              onClear={() => setSelectedApplications([])}
+            />
+
             <Table
               columns={columns}
               data={applicationsData?.applications || []}
+              serverPagination={paging.getTableProps(
+                applicationsData?.pagination
+              )}
               actions={actions}
+              selection={{
+                selectedRows: selectedApplications,
+                onChange: setSelectedApplications,
+              }}
             />
           </div>
         )}
@@ -323,6 +369,17 @@ export default function ApplicationsScreen() {
         )}
       </Modal>
 
+      {/* Notes Modal */}
+      <Modal
+        isOpen={showNotesModal}
+        onClose={() => setShowNotesModal(false)}
+        title="Team Notes"
+      >
+        {showNotesModal && selectedApplication && (
+          <ApplicationNotes applicationId={selectedApplication.id} />
+        )}
+      </Modal>
+
       {/* Delete Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -0,0 +1,468 @@
+import { useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import {
+  FaArrowDown,
+  FaArrowUp,
+  FaBan,
+  FaCheck,
+  FaPencilAlt,
+  FaPlus,
+  FaSave,
+  FaTimes,
+  FaTrash,
+} from 'react-icons/fa';
+import { useLocation } from 'react-router-dom';
+
+import Alert from '../../components/Alert';
+import Loader from '../../components/Loader';
+import Modal from '../../components/Modal';
+import Table from '../../components/ui/dashboardLayout/Table';
+import InputField from '../../components/ui/mainLayout/InputField';
+
+import { trackEvent, trackPageView } from '../../utils/analytics';
+
+import {
+  useCreateCategoryMutation,
+  useDeleteCategoryMutation,
+  useGetAllCategoriesQuery,
+  useReorderCategoriesMutation,
+  useUpdateCategoryMutation,
+} from '../../features/category/categoryApi';
+
+const TOP_LEVEL = 'none';
+
+// Lists each top-level category followed by its sub-categories, remembering
+// the siblings of every row so it can be moved up or down among them
+const flattenCategories = (categories = []) => {
+  const topLevelIds = categories.map((category) => category._id);
+
+  return categories.flatMap((category, index) => {
+    const childIds = category.children.map((child) => child._id);
+
+    return [
+      { ...category, siblingIds: topLevelIds, position: index },
+      ...category.children.map((child, childIndex) => ({
+        ...child,
+        parentName: category.name,
+        siblingIds: childIds,
+        position: childIndex,
+      })),
+    ];
+  });
+};
+
+export default function CategoriesScreen() {
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [name, setName] = useState('');
+  const [parent, setParent] = useState(TOP_LEVEL);
+  const [assessmentKey, setAssessmentKey] = useState('');
+  const [isActive, setIsActive] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const location = useLocation();
+
+  const { data, isLoading, error } = useGetAllCategoriesQuery();
+
+  const [createCategory, { isLoading: isCreating, error: createError }] =
+    useCreateCategoryMutation();
+  const [updateCategory, { isLoading: isUpdating, error: updateError }] =
+    useUpdateCategoryMutation();
+  const [reorderCategories, { error: reorderError }] =
+    useReorderCategoriesMutation();
+  const [deleteCategory, { isLoading: isDeleting, error: deleteError }] =
+    useDeleteCategoryMutation();
+
+  const categories = data?.categories || [];
+  const rows = flattenCategories(categories);
+  const isSaving = isCreating || isUpdating;
+  const formError = selectedCategory ? updateError : createError;
+
+  useEffect(() => {
+    trackPageView(location.pathname);
+  }, [location.pathname]);
+
+  const openForm = (category) => {
+    setSelectedCategory(category);
+    setName(category?.name || '');
+    setParent(category?.parent || TOP_LEVEL);
+    setAssessmentKey(category?.assessmentKey || '');
+    setIsActive(category ? category.isActive : true);
+    setShowFormModal(true);
+  };
+
+  const handleCreate = () => {
+    openForm(null);
+    trackEvent(
+      'Create Category',
+      'User Action',
+      'Admin clicked on create category'
+    );
+  };
+
+  const handleEdit = (category) => {
+    openForm(category);
+    trackEvent('Edit Category', 'User Action', `Admin edited ${category.name}`);
+  };
+
+  const handleDelete = (category) => {
+    setSelectedCategory(category);
+    setShowDeleteModal(true);
+    trackEvent(
+      'Delete Category',
+      'User Action',
+      `Admin clicked on delete for ${category.name}`
+    );
+  };
+
+  const handleToggleActive = async (category) => {
+    try {
+      const result = await updateCategory({
+        id: category._id,
+        categoryData: { isActive: !category.isActive },
+      }).unwrap();
+      setMessage(result.message);
+      trackEvent(
+        category.isActive ? 'Deactivate Category' : 'Activate Category',
+        'User Action',
+        category.name
+      );
+    } catch (err) {
+      console.error('Category update failed:', err);
+    }
+  };
+
+  const handleMove = (offset) => async (category) => {
+    const target = category.position + offset;
+    if (target < 0 || target >= category.siblingIds.length) return;
+
+    const categoryIds = [...category.siblingIds];
+    [categoryIds[category.position], categoryIds[target]] = [
+      categoryIds[target],
+      categoryIds[category.position],
+    ];
+
+    try {
+      const result = await reorderCategories(categoryIds).unwrap();
+      setMessage(result.message);
+    } catch (err) {
+      console.error('Category reorder failed:', err);
+    }
+  };
+
+  const saveCategory = async () => {
+    const categoryData = {
+      name,
+      parent: parent === TOP_LEVEL ? null : parent,
+      assessmentKey,
+      isActive,
+    };
+
+    try {
+      const result = selectedCategory
+        ? await updateCategory({
+            id: selectedCategory._id,
+            categoryData,
+          }).unwrap()
+        : await createCategory(categoryData).unwrap();
+      setMessage(result.message);
+      setShowFormModal(false);
+      trackEvent(
+        selectedCategory ? 'Category Updated' : 'Category Created',
+        'User Action',
+        name
+      );
+    } catch (err) {
+      console.error('Category save failed:', err);
+    }
+  };
+
+  const confirmDelete = async () => {
+    try {
+      const result = await deleteCategory(selectedCategory._id).unwrap();
+      setMessage(result.message);
+      setShowDeleteModal(false);
+      trackEvent(
+        'Delete Category Confirmed',
+        'User Action',
+        selectedCategory.name
+      );
+    } catch (err) {
+      console.error('Category deletion failed:', err);
+    }
+  };
+
+  // Sub-categories are one level deep, so only other top-level categories can be parents
+  const parentOptions = [
+    { value: TOP_LEVEL, label: 'None (top-level category)' },
+    ...categories
+      .filter((category) => category._id !== selectedCategory?._id)
+      .map((category) => ({ value: category._id, label: category.name })),
+  ];
+
+  const columns = [
+    {
+      key: 'name',
+      label: 'Name',
+      sortable: false,
+      render: (category) =>
+        category.parentName ? (
+          <span className="pl-6">
+            <span className="text-gray-400">{category.parentName} › </span>
+            {category.name}
+          </span>
+        ) : (
+          <span className="font-semibold">{category.name}</span>
+        ),
+    },
+    {
+      key: 'assessmentKey',
+      label: 'Assessment',
+      sortable: false,
+      render: (category) =>
+        category.assessmentKey ||
+        (category.parentName ? 'Same as parent' : 'general'),
+    },
+    {
+      key: 'jobCount',
+      label: 'Jobs',
+      sortable: false,
+    },
+    {
+      key: 'isActive',
+      label: 'Status',
+      sortable: false,
+      render: (category) =>
+        category.isActive ? (
+          <span className="rounded bg-green-100 px-2.5 py-0.5 text-xs font-medium text-green-800">
+            Active
+          </span>
+        ) : (
+          <span className="rounded bg-gray-200 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+            Inactive
+          </span>
+        ),
+    },
+  ];
+
+  const actions = [
+    {
+      onClick: handleMove(-1),
+      render: (category) => (
+        <button
+          className="flex items-center rounded bg-gray-200 px-2 py-1 text-gray-800 hover:bg-gray-300 disabled:opacity-40 dark:bg-gray-600 dark:text-gray-200"
+          disabled={category.position === 0}
+          aria-label={`Move ${category.name} up`}
+        >
+          <FaArrowUp />
+        </button>
+      ),
+    },
+    {
+      onClick: handleMove(1),
+      render: (category) => (
+        <button
+          className="flex items-center rounded bg-gray-200 px-2 py-1 text-gray-800 hover:bg-gray-300 disabled:opacity-40 dark:bg-gray-600 dark:text-gray-200"
+          disabled={category.position === category.siblingIds.length - 1}
+          aria-label={`Move ${category.name} down`}
+        >
+          <FaArrowDown />
+        </button>
+      ),
+    },
+    {
+      onClick: handleEdit,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-blue-500 px-3 py-1 text-white hover:bg-blue-600">
+          <FaPencilAlt />
+          Edit
+        </button>
+      ),
+    },
+    {
+      onClick: handleToggleActive,
+      render: (category) =>
+        category.isActive ? (
+          <button className="flex items-center gap-1 rounded bg-yellow-500 px-3 py-1 text-white hover:bg-yellow-600">
+            <FaBan />
+            Deactivate
+          </button>
+        ) : (
+          <button className="flex items-center gap-1 rounded bg-green-600 px-3 py-1 text-white hover:bg-green-700">
+            <FaCheck />
+            Activate
+          </button>
+        ),
+    },
+    {
+      onClick: handleDelete,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-red-600 px-3 py-1 text-white hover:bg-red-700">
+          <FaTrash />
+          Delete
+        </button>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Helmet>
+        <title>
+          Job Categories [Admin] - EZYJOBS | Manage the Job Category Taxonomy
+        </title>
+        <meta
+          name="description"
+          content="EZYJOBS Job Categories - Manage the categories and sub-categories recruiters can file jobs under."
+        />
+        <meta
+          name="keywords"
+          content="EZYJOBS Job Categories, Admin Categories, Job Taxonomy, Recruitment Platform"
+        />
+      </Helmet>
+
+      <section className="flex min-h-screen animate-fadeIn flex-col items-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        {isLoading ? (
+          <div className="relative w-full max-w-sm animate-fadeIn sm:max-w-md">
+            <Loader />
+          </div>
+        ) : (
+          <div className="mx-auto w-full max-w-7xl animate-slideUp">
+            <h1 className="mb-6 text-center text-3xl font-bold text-light-text dark:text-dark-text sm:text-4xl md:text-5xl">
+              Manage{' '}
+              <span className="text-light-primary dark:text-dark-primary">
+                Categories
+              </span>
+            </h1>
+            <p className="mb-8 text-center text-lg text-light-text/70 dark:text-dark-text/70">
+              Organize the categories recruiters file jobs under. Deactivate a
+              category to hide it from new jobs while existing jobs keep it.
+            </p>
+
+            {error && <Alert message={error.data?.message} />}
+            {reorderError && <Alert message={reorderError.data?.message} />}
+            {message && <Alert message={message} isSuccess />}
+
+            <div className="mb-4 flex justify-end">
+              <button
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={handleCreate}
+              >
+                <FaPlus />
+                Add Category
+              </button>
+            </div>
+
+            <Table columns={columns} data={rows} actions={actions} />
+          </div>
+        )}
+      </section>
+
+      {/* Create / Edit Category Modal */}
+      <Modal
+        isOpen={showFormModal}
+        onClose={() => setShowFormModal(false)}
+        title={selectedCategory ? 'Edit Category' : 'Add Category'}
+      >
+        {isSaving ? (
+          <Loader />
+        ) : (
+          <div className="space-y-4">
+            {formError && <Alert message={formError.data?.message} />}
+
+            <InputField
+              id="categoryName"
+              type="text"
+              label="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <InputField
+              id="categoryParent"
+              type="select"
+              label="Parent Category"
+              value={parent}
+              onChange={(e) => setParent(e.target.value)}
+              options={parentOptions}
+            />
+            <InputField
+              id="categoryAssessmentKey"
+              type="text"
+              label="Assessment Question Bank (optional)"
+              placeholder="e.g. it"
+              value={assessmentKey}
+              onChange={(e) => setAssessmentKey(e.target.value)}
+            />
+            <InputField
+              id="categoryIsActive"
+              type="checkbox"
+              label="Active"
+              value="isActive"
+              checked={isActive}
+              onChange={(e) => setIsActive(e.target.checked)}
+            />
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowFormModal(false)}
+                disabled={isSaving}
+              >
+                <FaTimes />
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={saveCategory}
+                disabled={isSaving}
+              >
+                <FaSave />
+                {selectedCategory ? 'Save Changes' : 'Add Category'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Delete Category Modal */}
+      <Modal
+        isOpen={showDeleteModal}
+        onClose={() => setShowDeleteModal(false)}
+        title="Delete Category"
+      >
+        {isDeleting ? (
+          <Loader />
+        ) : (
+          <div className="space-y-4">
+            {deleteError && <Alert message={deleteError.data?.message} />}
+
+            <p className="text-light-text dark:text-dark-text">
+              Are you sure you want to delete the category &quot;
+              {selectedCategory?.name}&quot;? Categories that are still used by
+              jobs or have sub-categories cannot be deleted; deactivate them
+              instead.
+            </p>
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowDeleteModal(false)}
+                disabled={isDeleting}
+              >
+                <FaTimes />
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-red-600 px-4 py-2 text-white transition-all duration-200 hover:bg-red-700"
+                onClick={confirmDelete}
+                disabled={isDeleting}
+              >
+                <FaTrash />
+                Delete
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+}
@@ -9,6 +9,7 @@ import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
 
 import {
@@ -28,12 +29,14 @@ export default function ContractsScreen() {
 
   const routeLocation = useLocation();
 
+  const paging = useCursorPagination({ defaultSort: '-createdAt' });
+
   const {
     data: contractsData,
     isLoading,
     error,
     refetch,
-  } = useGetAllContractsQuery();
+  } = useGetAllContractsQuery(paging.params);
   const [
     updateContractById,
     { isLoading: isUpdating, error: updateError, data: updateData },
@@ -155,11 +158,13 @@ export default function ContractsScreen() {
     {
       key: 'agreedPrice',
       label: 'Agreed Price',
+      sortKey: 'agreedPrice',
       render: (contract) => `$${contract.agreedPrice}`,
     },
     {
       key: 'status',
       label: 'Status',
+      sortKey: 'status',
       render: (contract) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
@@ -182,6 +187,7 @@ export default function ContractsScreen() {
     {
       key: 'paymentStatus',
       label: 'Payment Status',
+      sortKey: 'paymentStatus',
       render: (contract) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
@@ -204,6 +210,7 @@ export default function ContractsScreen() {
     {
       key: 'createdAt',
       label: 'Created At',
+      sortKey: 'createdAt',
       render: (contract) => new Date(contract.createdAt).toLocaleDateString(),
     },
   ];
@@ -302,6 +309,7 @@ export default function ContractsScreen() {
             <Table
               columns={columns}
               data={contractsData?.contracts || []}
+              serverPagination={paging.getTableProps(contractsData?.pagination)}
               actions={actions}
             />
           </div>
@@ -9,6 +9,7 @@ import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
 
 import {
@@ -29,12 +30,14 @@ export default function InterviewsScreen() {
 
   const routeLocation = useLocation();
 
+  const paging = useCursorPagination({ defaultSort: '-scheduledTime' });
+
   const {
     data: interviewsData,
     isLoading,
     error,
     refetch,
-  } = useGetAllInterviewsQuery();
+  } = useGetAllInterviewsQuery(paging.params);
 
   const [
     updateInterview,
@@ -148,11 +151,13 @@ export default function InterviewsScreen() {
     {
       key: 'scheduledTime',
       label: 'Scheduled Time',
+      sortKey: 'scheduledTime',
       render: (interview) => new Date(interview.scheduledTime).toLocaleString(),
     },
     {
       key: 'status',
       label: 'Status',
+      sortKey: 'status',
       render: (interview) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
@@ -175,6 +180,7 @@ export default function InterviewsScreen() {
     {
       key: 'createdAt',
       label: 'Created At',
+      sortKey: 'createdAt',
       render: (interview) => new Date(interview.createdAt).toLocaleDateString(),
     },
   ];
@@ -269,6 +275,9 @@ export default function InterviewsScreen() {
             <Table
               columns={columns}
               data={interviewsData?.interviews || []}
+              serverPagination={paging.getTableProps(
+                interviewsData?.pagination
+              )}
               actions={actions}
             />
           </div>
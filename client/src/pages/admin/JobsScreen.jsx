@@ -1,39 +1,108 @@
 import { useEffect, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { FaPencilAlt, FaSave, FaTimes, FaTrash } from 'react-icons/fa';
+import {
+  FaBan,
+  FaCheck,
+  FaHistory,
+  FaPencilAlt,
+  FaSave,
+  FaTimes,
+  FaTrash,
+} from 'react-icons/fa';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import JobHistoryDrawer from '../../components/JobHistoryDrawer';
 import Loader from '../../components/Loader';
 import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
+import {
+  EMPTY_SALARY,
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  getCategoryOptions,
+} from '../../utils/jobValidation';
 
+import { useGetCategoriesQuery } from '../../features/category/categoryApi';
 import {
   useDeleteJobByIdMutation,
   useGetAllJobsQuery,
+  useGetModerationQueueQuery,
+  useGetModerationSettingsQuery,
+  useReviewJobMutation,
   useUpdateJobByIdMutation,
+  useUpdateModerationSettingsMutation,
 } from '../../features/job/jobApi';
 
+const MODERATION_BADGES = {
+  pending: {
+    label: 'Pending review',
+    className: 'bg-yellow-100 text-yellow-800',
+  },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+};
+
+const QUEUE_TABS = [
+  { value: 'pending', label: 'Pending review' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
 export default function JobsScreen() {
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showRejectModal, setShowRejectModal] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [queueStatus, setQueueStatus] = useState('pending');
   const [selectedJob, setSelectedJob] = useState(null);
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [company, setCompany] = useState('');
   const [requirements, setRequirements] = useState('');
   const [benefits, setBenefits] = useState('');
-  const [salaryRange, setSalaryRange] = useState('');
+  const [salary, setSalary] = useState(EMPTY_SALARY);
   const [category, setCategory] = useState('');
   const [location, setLocation] = useState('');
   const [isClosed, setIsClosed] = useState(false);
 
   const routeLocation = useLocation();
 
-  const { data: jobs, isLoading, error, refetch } = useGetAllJobsQuery();
+  const paging = useCursorPagination({ defaultSort: '-createdAt' });
+
+  const {
+    data: jobs,
+    isLoading,
+    error,
+    refetch,
+  } = useGetAllJobsQuery(paging.params);
+
+  const queuePaging = useCursorPagination({ defaultSort: 'submittedAt' });
+
+  const { data: queue, error: queueError } = useGetModerationQueueQuery({
+    ...queuePaging.params,
+    status: queueStatus,
+  });
+
+  const { data: moderationSettings } = useGetModerationSettingsQuery();
+  const isModerationEnabled = Boolean(moderationSettings?.enabled);
+
+  const { data: categoriesData } = useGetCategoriesQuery();
+
+  // A job being edited keeps its category even after it has been deactivated
+  const categoryOptions = getCategoryOptions(categoriesData?.categories);
+  if (
+    selectedJob?.category &&
+    !categoryOptions.some((option) => option.value === selectedJob.category)
+  ) {
+    categoryOptions.unshift({
+      value: selectedJob.category,
+      label: selectedJob.category,
+    });
+  }
 
   const [
     updateJob,
@@ -55,6 +124,26 @@ export default function JobsScreen() {
     },
   ] = useDeleteJobByIdMutation();
 
+  const [
+    updateModerationSettings,
+    {
+      isLoading: isTogglingModeration,
+      error: moderationSettingsError,
+      isSuccess: moderationSettingsSuccess,
+      data: moderationSettingsData,
+    },
+  ] = useUpdateModerationSettingsMutation();
+
+  const [
+    reviewJob,
+    {
+      isLoading: isReviewing,
+      error: reviewError,
+      isSuccess: reviewSuccess,
+      data: reviewData,
+    },
+  ] = useReviewJobMutation();
+
   useEffect(() => {
     trackPageView(routeLocation.pathname);
   }, [routeLocation.pathname]);
@@ -66,7 +155,16 @@ export default function JobsScreen() {
       setCompany(selectedJob.company || '');
       setRequirements(selectedJob.requirements || '');
       setBenefits(selectedJob.benefits || '');
-      setSalaryRange(selectedJob.salaryRange || '');
+      setSalary(
+        selectedJob.salary
+          ? {
+              min: selectedJob.salary.min ?? '',
+              max: selectedJob.salary.max ?? '',
+              currency: selectedJob.salary.currency || 'PKR',
+              period: selectedJob.salary.period || 'month',
+            }
+          : EMPTY_SALARY
+      );
       setCategory(selectedJob.category || '');
       setLocation(selectedJob.location || '');
       setIsClosed(selectedJob.isClosed || false);
@@ -79,6 +177,16 @@ export default function JobsScreen() {
     trackEvent('Edit Job', 'User Action', 'User clicked on edit job button');
   };
 
+  const handleHistory = (job) => {
+    setSelectedJob(job);
+    setShowHistory(true);
+    trackEvent(
+      'Job History',
+      'User Action',
+      'User clicked on job history button'
+    );
+  };
+
   const handleDelete = (job) => {
     setSelectedJob(job);
     setShowDeleteModal(true);
@@ -89,6 +197,68 @@ export default function JobsScreen() {
     );
   };
 
+  const toggleModeration = async (enabled) => {
+    if (isTogglingModeration) return;
+
+    try {
+      await updateModerationSettings({ enabled }).unwrap();
+      trackEvent(
+        'Toggle Job Moderation',
+        'User Action',
+        `User turned job moderation ${enabled ? 'on' : 'off'}`
+      );
+    } catch (err) {
+      console.error('Updating moderation settings failed:', err);
+    }
+  };
+
+  const changeQueueStatus = (status) => {
+    setQueueStatus(status);
+    queuePaging.reset();
+  };
+
+  const handleApprove = async (job) => {
+    try {
+      await reviewJob({ id: job.id, status: 'approved' }).unwrap();
+      trackEvent(
+        'Approve Job',
+        'User Action',
+        `User approved job ${job.title}`
+      );
+    } catch (err) {
+      console.error('Approval failed:', err);
+    }
+  };
+
+  const handleReject = (job) => {
+    setSelectedJob(job);
+    setRejectionReason('');
+    setShowRejectModal(true);
+    trackEvent(
+      'Reject Job',
+      'User Action',
+      'User clicked on reject job button'
+    );
+  };
+
+  const confirmReject = async () => {
+    try {
+      await reviewJob({
+        id: selectedJob.id,
+        status: 'rejected',
+        reason: rejectionReason,
+      }).unwrap();
+      setShowRejectModal(false);
+      trackEvent(
+        'Reject Job Confirmed',
+        'User Action',
+        `User rejected job ${selectedJob.title}`
+      );
+    } catch (err) {
+      console.error('Rejection failed:', err);
+    }
+  };
+
   const confirmDelete = async () => {
     try {
       await deleteJob(selectedJob.id).unwrap();
@@ -119,7 +289,12 @@ export default function JobsScreen() {
           company,
           requirements,
           benefits,
-          salaryRange,
+          salary: {
+            min: Number(salary.min),
+            max: Number(salary.max),
+            currency: salary.currency,
+            period: salary.period,
+          },
           category,
           location,
           isClosed,
@@ -147,41 +322,134 @@ export default function JobsScreen() {
     {
       key: 'title',
       label: 'Job Title',
+      sortKey: 'title',
     },
     {
       key: 'company',
       label: 'Company',
+      sortKey: 'company',
     },
     {
       key: 'category',
       label: 'Category',
+      sortKey: 'category',
     },
     {
       key: 'location',
       label: 'Location',
+      sortKey: 'location',
     },
     {
       key: 'salaryRange',
       label: 'Salary Range',
+      sortKey: 'salary',
     },
     {
       key: 'status',
       label: 'Status',
-      render: (job) => (
-        <span
-          className={`${job.isClosed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'} rounded px-2.5 py-0.5 text-xs font-medium`}
-        >
-          {job.isClosed ? 'Closed' : 'Open'}
-        </span>
-      ),
+      render: (job) => {
+        const moderationBadge = MODERATION_BADGES[job.moderation?.status];
+
+        return (
+          <div className="flex flex-wrap gap-1">
+            <span
+              className={`${job.isClosed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'} rounded px-2.5 py-0.5 text-xs font-medium`}
+            >
+              {job.isClosed ? 'Closed' : 'Open'}
+            </span>
+            {moderationBadge && (
+              <span
+                className={`${moderationBadge.className} rounded px-2.5 py-0.5 text-xs font-medium`}
+              >
+                {moderationBadge.label}
+              </span>
+            )}
+          </div>
+        );
+      },
     },
     {
       key: 'createdAt',
       label: 'Created At',
+      sortKey: 'createdAt',
       render: (job) => new Date(job.createdAt).toLocaleDateString(),
     },
   ];
 
+  const queueColumns = [
+    {
+      key: 'title',
+      label: 'Job Title',
+      sortKey: 'title',
+    },
+    {
+      key: 'company',
+      label: 'Company',
+      sortKey: 'company',
+    },
+    {
+      key: 'recruiter',
+      label: 'Recruiter',
+      render: (job) =>
+        job.recruiterId
+          ? `${job.recruiterId.firstName} ${job.recruiterId.lastName}`
+          : '-',
+    },
+    queueStatus === 'pending'
+      ? {
+          key: 'submittedAt',
+          label: 'Submitted',
+          sortKey: 'submittedAt',
+          render: (job) =>
+            job.moderation?.submittedAt
+              ? new Date(job.moderation.submittedAt).toLocaleString()
+              : '-',
+        }
+      : {
+          key: 'reason',
+          label: 'Reason',
+          render: (job) => job.moderation?.reason || '-',
+        },
+  ];
+
+  const queueActions = [
+    {
+      onClick: handleApprove,
+      render: () => (
+        <button
+          className="flex items-center gap-1 rounded bg-green-600 px-3 py-1 text-white hover:bg-green-700"
+          disabled={isReviewing}
+        >
+          <FaCheck /> Approve
+        </button>
+      ),
+    },
+    ...(queueStatus === 'pending'
+      ? [
+          {
+            onClick: handleReject,
+            render: () => (
+              <button
+                className="flex items-center gap-1 rounded bg-red-600 px-3 py-1 text-white hover:bg-red-700"
+                disabled={isReviewing}
+              >
+                <FaBan /> Reject
+              </button>
+            ),
+          },
+        ]
+      : []),
+    {
+      onClick: handleHistory,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-gray-500 px-3 py-1 text-white hover:bg-gray-600">
+          <FaHistory />
+          Changes
+        </button>
+      ),
+    },
+  ];
+
   const actions = [
     {
       onClick: handleEdit,
@@ -192,6 +460,15 @@ export default function JobsScreen() {
         </button>
       ),
     },
+    {
+      onClick: handleHistory,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-gray-500 px-3 py-1 text-white hover:bg-gray-600">
+          <FaHistory />
+          History
+        </button>
+      ),
+    },
     {
       onClick: handleDelete,
       render: () => (
@@ -236,16 +513,35 @@ export default function JobsScreen() {
               standards for optimal recruitment outcomes.
             </p>
 
-            {(error || updateError || deleteError) && (
+            {(error ||
+              updateError ||
+              deleteError ||
+              queueError ||
+              moderationSettingsError ||
+              reviewError) && (
               <Alert
                 message={
                   error?.data?.message ||
                   updateError?.data?.message ||
-                  deleteError?.data?.message
+                  deleteError?.data?.message ||
+                  queueError?.data?.message ||
+                  moderationSettingsError?.data?.message ||
+                  reviewError?.data?.message
                 }
               />
             )}
 
+            {moderationSettingsSuccess && moderationSettingsData?.message && (
+              <Alert
+                message={moderationSettingsData.message}
+                isSuccess={moderationSettingsSuccess}
+              />
+            )}
+
+            {reviewSuccess && reviewData?.message && (
+              <Alert message={reviewData.message} isSuccess={reviewSuccess} />
+            )}
+
             {updateSuccess && updateData?.data?.message && (
               <Alert
                 message={updateData?.data?.message}
@@ -260,9 +556,73 @@ export default function JobsScreen() {
               />
             )}
 
+            <div className="mb-8 rounded-lg border border-light-border bg-light-surface p-6 shadow-lg dark:border-dark-border dark:bg-dark-surface">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                  <h2 className="text-xl font-semibold text-light-text dark:text-dark-text">
+                    Review Queue
+                    {queue?.pendingCount > 0 && (
+                      <span className="ml-2 rounded-full bg-yellow-100 px-2.5 py-0.5 text-sm font-medium text-yellow-800">
+                        {queue.pendingCount} pending
+                      </span>
+                    )}
+                  </h2>
+                  <p className="text-sm text-light-text/70 dark:text-dark-text/70">
+                    {isModerationEnabled
+                      ? 'New jobs and edits to their title, description, requirements, benefits, company, category or screening questions wait here for approval.'
+                      : 'Approval mode is off, so new jobs go live right away.'}
+                  </p>
+                </div>
+                <InputField
+                  id="moderationEnabled"
+                  type="checkbox"
+                  label="Require approval for new jobs"
+                  checked={isModerationEnabled}
+                  value={isModerationEnabled}
+                  onChange={(e) => toggleModeration(e.target.checked)}
+                />
+              </div>
+
+              <div className="mt-4 flex gap-2">
+                {QUEUE_TABS.map((tab) => (
+                  <button
+                    key={tab.value}
+                    className={`rounded px-3 py-1 text-sm font-medium ${
+                      queueStatus === tab.value
+                        ? 'bg-light-primary text-white dark:bg-dark-primary'
+                        : 'bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200'
+                    }`}
+                    onClick={() => changeQueueStatus(tab.value)}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="mt-4">
+                {queue?.jobs?.length ? (
+                  <Table
+                    columns={queueColumns}
+                    data={queue.jobs}
+                    serverPagination={queuePaging.getTableProps(
+                      queue.pagination
+                    )}
+                    actions={queueActions}
+                  />
+                ) : (
+                  <p className="text-sm text-light-text/70 dark:text-dark-text/70">
+                    {queueStatus === 'pending'
+                      ? 'No jobs are waiting for review.'
+                      : 'No rejected jobs.'}
+                  </p>
+                )}
+              </div>
+            </div>
+
             <Table
               columns={columns}
               data={jobs?.jobs || []}
+              serverPagination={paging.getTableProps(jobs?.pagination)}
               actions={actions}
             />
           </div>
@@ -315,28 +675,54 @@ export default function JobsScreen() {
               value={benefits}
               onChange={(e) => setBenefits(e.target.value)}
             />
-            <InputField
-              id="salaryRange"
-              type="text"
-              label="Salary Range"
-              placeholder="$30k - $50k"
-              value={salaryRange}
-              onChange={(e) => setSalaryRange(e.target.value)}
-            />
+            <div className="grid grid-cols-2 gap-x-4">
+              <InputField
+                id="salaryMin"
+                type="number"
+                label="Minimum Salary"
+                min={1}
+                value={salary.min}
+                onChange={(e) => setSalary({ ...salary, min: e.target.value })}
+              />
+              <InputField
+                id="salaryMax"
+                type="number"
+                label="Maximum Salary"
+                min={1}
+                value={salary.max}
+                onChange={(e) => setSalary({ ...salary, max: e.target.value })}
+              />
+              <InputField
+                id="salaryCurrency"
+                type="select"
+                label="Currency"
+                value={salary.currency}
+                onChange={(e) =>
+                  setSalary({ ...salary, currency: e.target.value })
+                }
+                options={SALARY_CURRENCIES.map((code) => ({
+                  value: code,
+                  label: code,
+                }))}
+              />
+              <InputField
+                id="salaryPeriod"
+                type="select"
+                label="Pay Period"
+                value={salary.period}
+                onChange={(e) =>
+                  setSalary({ ...salary, period: e.target.value })
+                }
+                options={SALARY_PERIODS}
+              />
+            </div>
             <InputField
               id="category"
               type="select"
               label="Category"
               value={category}
               onChange={(e) => setCategory(e.target.value)}
-              options={[
-                { value: 'IT', label: 'IT' },
-                { value: 'Engineering', label: 'Engineering' },
-                { value: 'Sales', label: 'Sales' },
-                { value: 'Marketing', label: 'Marketing' },
-                { value: 'Finance', label: 'Finance' },
-                { value: 'Other', label: 'Other' },
-              ]}
+              options={categoryOptions}
             />
             <InputField
               id="location"
@@ -375,6 +761,56 @@ export default function JobsScreen() {
         )}
       </Modal>
 
+      <JobHistoryDrawer
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        job={selectedJob}
+      />
+
+      {/* Reject Modal */}
+      <Modal
+        isOpen={showRejectModal}
+        onClose={() => setShowRejectModal(false)}
+        title="Reject Job Posting"
+      >
+        {isReviewing ? (
+          <Loader />
+        ) : (
+          <div className="space-y-4">
+            {reviewError && <Alert message={reviewError.data.message} />}
+            <p className="text-light-text dark:text-dark-text">
+              &quot;{selectedJob?.title}&quot; will stay hidden from candidates.
+              The recruiter is emailed your reason and can edit the job to send
+              it for review again.
+            </p>
+            <InputField
+              id="rejectionReason"
+              type="textarea"
+              label="Reason"
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+              placeholder="e.g. The salary range is missing and the description links to an external site."
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                className="rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowRejectModal(false)}
+                disabled={isReviewing}
+              >
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-red-600 px-4 py-2 text-white transition-all duration-200 hover:bg-red-700"
+                onClick={confirmReject}
+                disabled={isReviewing || rejectionReason.trim().length < 10}
+              >
+                <FaBan /> Reject
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
       {/* Delete Modal */}
       <Modal
         isOpen={showDeleteModal}
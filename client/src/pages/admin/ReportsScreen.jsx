@@ -783,6 +783,7 @@ const ReportPDF = ({ reportData, startDate, endDate }) => {
                 safeReportData?.summary?.jobsByCategory || [],
                 [
                   { key: 'category', label: 'Job Category' },
+                  { key: 'parentCategory', label: 'Parent Category' },
                   { key: 'jobCount', label: 'Total Jobs' },
                 ]
               )}
@@ -1463,6 +1464,7 @@ export default function ReportsScreen() {
             title: 'Jobs by Category',
             columns: [
               { key: 'category', label: 'Category' },
+              { key: 'parentCategory', label: 'Parent Category' },
               { key: 'jobCount', label: 'Job Count' },
             ],
             data: summary.jobsByCategory,
@@ -16,6 +16,7 @@ import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
 
 import {
@@ -34,12 +35,14 @@ export default function TransactionsScreen() {
 
   const routeLocation = useLocation();
 
+  const paging = useCursorPagination({ defaultSort: '-transactionDate' });
+
   const {
     data: transactionsData,
     isLoading,
     error,
     refetch,
-  } = useGetAllTransactionsQuery();
+  } = useGetAllTransactionsQuery(paging.params);
   const [
     updateTransaction,
     { isLoading: isUpdating, error: updateError, data: updateData },
@@ -178,6 +181,7 @@ export default function TransactionsScreen() {
     {
       key: 'amount',
       label: 'Amount',
+      sortKey: 'amount',
       render: (tx) => (
         <span className="flex items-center gap-1">
           <FaDollarSign /> {tx.amount}
@@ -207,6 +211,7 @@ export default function TransactionsScreen() {
     {
       key: 'status',
       label: 'Status',
+      sortKey: 'status',
       render: (tx) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
@@ -228,6 +233,7 @@ export default function TransactionsScreen() {
     {
       key: 'transactionDate',
       label: 'Date',
+      sortKey: 'transactionDate',
       render: (tx) => (
         <span className="flex items-center gap-1">
           <FaCalendarAlt /> {new Date(tx.transactionDate).toLocaleDateString()}
@@ -326,6 +332,9 @@ export default function TransactionsScreen() {
             <Table
               columns={columns}
               data={transactionsData?.transactions || []}
+              serverPagination={paging.getTableProps(
+                transactionsData?.pagination
+              )}
               actions={actions}
             />
           </div>
@@ -16,6 +16,7 @@ import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
+import useCursorPagination from '../../hooks/useCursorPagination';
 import { trackEvent, trackPageView } from '../../utils/analytics';
 
 import {
@@ -58,7 +59,14 @@ export default function UsersScreen() {
 
   const location = useLocation();
 
-  const { data: users, isLoading, error, refetch } = useGetAllUsersQuery();
+  const paging = useCursorPagination({ defaultSort: '-createdAt' });
+
+  const {
+    data: users,
+    isLoading,
+    error,
+    refetch,
+  } = useGetAllUsersQuery(paging.params);
 
   const [
     updateUser,
@@ -272,6 +280,7 @@ export default function UsersScreen() {
     {
       key: 'email',
       label: 'Email',
+      sortKey: 'email',
     },
     {
       key: 'phone',
@@ -309,6 +318,7 @@ export default function UsersScreen() {
     {
       key: 'createdAt',
       label: 'Created At',
+      sortKey: 'createdAt',
       render: (user) => new Date(user.createdAt).toLocaleDateString(),
     },
   ];
@@ -403,6 +413,7 @@ export default function UsersScreen() {
             <Table
               columns={columns}
               data={users?.users || []}
+              serverPagination={paging.getTableProps(users?.pagination)}
               actions={actions}
             />
           </div>
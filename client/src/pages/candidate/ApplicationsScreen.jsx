@@ -1,14 +1,24 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
+import { FaSignOutAlt } from 'react-icons/fa';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
 import Loader from '../../components/Loader';
+import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
+import InputField from '../../components/ui/mainLayout/InputField';
 
-import { trackPageView } from '../../utils/analytics';
+import { trackEvent, trackPageView } from '../../utils/analytics';
 
-import { useGetAllApplicationsQuery } from '../../features/application/applicationApi';
+import {
+  useGetAllApplicationsQuery,
+  useWithdrawApplicationMutation,
+} from '../../features/application/applicationApi';
+
+// Hired and rejected applications are settled and can't be withdrawn
+const WITHDRAWABLE_STATUSES = ['applied', 'shortlisted'];
+const MAX_WITHDRAWAL_REASON_LENGTH = 500;
 
 export default function CandidateApplicationsScreen() {
   const location = useLocation();
@@ -21,6 +31,54 @@ export default function CandidateApplicationsScreen() {
     role: 'candidate',
   });
 
+  const [
+    withdrawApplication,
+    { isLoading: isWithdrawing, error: withdrawError, reset: resetWithdraw },
+  ] = useWithdrawApplicationMutation();
+
+  const [selectedApplication, setSelectedApplication] = useState(null);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState('');
+
+  const handleWithdraw = (application) => {
+    if (!WITHDRAWABLE_STATUSES.includes(application.status)) return;
+    setSelectedApplication(application);
+    setReason('');
+    setReasonError('');
+    resetWithdraw();
+  };
+
+  const closeWithdrawModal = () => setSelectedApplication(null);
+
+  const confirmWithdraw = async () => {
+    const trimmedReason = reason.trim();
+    if (trimmedReason.length === 1) {
+      setReasonError('Reason should be at least 2 characters.');
+      return;
+    }
+    if (trimmedReason.length > MAX_WITHDRAWAL_REASON_LENGTH) {
+      setReasonError(
+        `Reason should be at most ${MAX_WITHDRAWAL_REASON_LENGTH} characters.`
+      );
+      return;
+    }
+
+    try {
+      await withdrawApplication({
+        id: selectedApplication.id,
+        reason: trimmedReason || undefined,
+      }).unwrap();
+      trackEvent(
+        'Withdraw Application',
+        'User Action',
+        `User withdrew application ID: ${selectedApplication.id}`
+      );
+      setSelectedApplication(null);
+    } catch (err) {
+      console.error('Withdraw application failed:', err);
+    }
+  };
+
   useEffect(() => {
     trackPageView(location.pathname);
   }, [location.pathname]);
@@ -68,7 +126,9 @@ export default function CandidateApplicationsScreen() {
                   ? 'bg-teal-100 text-teal-800'
                   : application.status === 'rejected'
                     ? 'bg-red-100 text-red-800'
-                    : 'bg-gray-100 text-gray-800'
+                    : application.status === 'withdrawn'
+                      ? 'bg-yellow-100 text-yellow-800'
+                      : 'bg-gray-100 text-gray-800'
           }`}
         >
           {application.status.charAt(0).toUpperCase() +
@@ -87,6 +147,19 @@ export default function CandidateApplicationsScreen() {
     },
   ];
 
+  const actions = [
+    {
+      onClick: handleWithdraw,
+      render: (application) =>
+        WITHDRAWABLE_STATUSES.includes(application.status) ? (
+          <button className="flex items-center gap-1 rounded bg-red-500 px-3 py-1 text-white hover:bg-red-600">
+            <FaSignOutAlt />
+            Withdraw
+          </button>
+        ) : null,
+    },
+  ];
+
   return (
     <>
       <Helmet>
@@ -121,10 +194,62 @@ export default function CandidateApplicationsScreen() {
 
             {error && <Alert message={error.data?.message} />}
 
-            <Table columns={columns} data={applications?.applications || []} />
+            <Table
+              columns={columns}
+              data={applications?.applications || []}
+              actions={actions}
+            />
           </div>
         )}
       </section>
+
+      <Modal
+        isOpen={Boolean(selectedApplication)}
+        onClose={closeWithdrawModal}
+        title="Withdraw Application"
+      >
+        {isWithdrawing ? (
+          <Loader />
+        ) : (
+          <div className="text-left">
+            {withdrawError && <Alert message={withdrawError.data?.message} />}
+
+            <p className="mb-4 text-light-text dark:text-dark-text">
+              Withdraw your application for &quot;
+              {selectedApplication?.job?.title}&quot; at{' '}
+              {selectedApplication?.job?.company}? The recruiter will be
+              notified, any pending assessment or upcoming interview for it will
+              be cancelled and an open offer declined. You can&apos;t undo this.
+            </p>
+            <InputField
+              id="withdrawReason"
+              type="textarea"
+              label="Reason (optional)"
+              value={reason}
+              onChange={(e) => {
+                setReason(e.target.value);
+                setReasonError('');
+              }}
+              validationMessage={reasonError}
+              rows={3}
+            />
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={closeWithdrawModal}
+              >
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-red-600 px-4 py-2 text-white transition-all duration-200 hover:bg-red-700"
+                onClick={confirmWithdraw}
+              >
+                <FaSignOutAlt /> Withdraw
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
     </>
   );
 }
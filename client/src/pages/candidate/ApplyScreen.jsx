@@ -5,6 +5,7 @@ import {
   FaBriefcase,
   FaBuilding,
   FaCalendarAlt,
+  FaClipboardCheck,
   FaClipboardList,
   FaClock,
   FaDollarSign,
@@ -13,6 +14,7 @@ import {
   FaHeading,
   FaIndustry,
   FaMapMarkerAlt,
+  FaPaperclip,
   FaRegAddressCard,
   FaSave,
   FaTimes,
@@ -26,7 +28,20 @@ import Alert from '../../components/Alert';
 import Loader from '../../components/Loader';
 import InputField from '../../components/ui/mainLayout/InputField';
 
-import { trackEvent, trackPageView } from '../../utils/analytics';
+import {
+  getAnalyticsSessionId,
+  trackEvent,
+  trackPageView,
+} from '../../utils/analytics';
+import {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_COVER_LETTER_LENGTH,
+  formatFileSize,
+  readAttachment,
+  validateAttachmentFile,
+  validateCoverLetter,
+} from '../../utils/attachments';
 import {
   validateAchievements,
   validateAvailability,
@@ -70,6 +85,12 @@ export default function ApplyScreen() {
   const [editAdditional, setEditAdditional] = useState(false);
   const [errors, setErrors] = useState({});
   const [agreed, setAgreed] = useState(false);
+  const [screeningAnswers, setScreeningAnswers] = useState({});
+  const [screeningErrors, setScreeningErrors] = useState({});
+  const [coverLetter, setCoverLetter] = useState('');
+  const [coverLetterError, setCoverLetterError] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState('');
 
   const { jobId } = useParams();
   const navigate = useNavigate();
@@ -344,15 +365,93 @@ export default function ApplyScreen() {
     trackEvent('Resume', 'User Action', 'Additional Details Reset');
   };
 
+  const screeningQuestions = jobData?.job?.screeningQuestions || [];
+
+  const handleScreeningAnswerChange = (questionId) => (e) => {
+    const value = e.target.value;
+    setScreeningAnswers((prev) => ({ ...prev, [questionId]: value }));
+    setScreeningErrors((prev) => ({ ...prev, [questionId]: '' }));
+  };
+
+  const validateScreeningAnswers = () => {
+    const nextErrors = {};
+    screeningQuestions.forEach((question) => {
+      const answer = String(screeningAnswers[question._id] ?? '').trim();
+      if (question.isRequired && !answer) {
+        nextErrors[question._id] = 'Please answer this question.';
+      } else if (
+        question.type === 'number' &&
+        answer &&
+        !Number.isFinite(Number(answer))
+      ) {
+        nextErrors[question._id] = 'Please enter a valid number.';
+      }
+    });
+    setScreeningErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0;
+  };
+
+  const handleAttachmentChange = async (e) => {
+    const file = e.target.files[0];
+    // Clear the input so the same file can be picked again after removing it
+    e.target.value = '';
+    if (!file) return;
+
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      setAttachmentError(`You can attach at most ${MAX_ATTACHMENTS} files.`);
+      return;
+    }
+
+    const fileError = validateAttachmentFile(file);
+    if (fileError) {
+      setAttachmentError(fileError);
+      return;
+    }
+
+    try {
+      const attachment = await readAttachment(file);
+      setAttachments((prev) => [...prev, attachment]);
+      setAttachmentError('');
+    } catch (error) {
+      setAttachmentError(error.message);
+    }
+  };
+
+  const handleRemoveAttachment = (index) => {
+    setAttachments((prev) => prev.filter((_, i) => i !== index));
+    setAttachmentError('');
+  };
+
   const handleApply = async () => {
     if (!agreed) return;
+    if (!validateScreeningAnswers()) return;
+    const nextCoverLetterError = validateCoverLetter(coverLetter);
+    setCoverLetterError(nextCoverLetterError);
+    if (nextCoverLetterError) return;
     try {
       trackEvent(
         'Job Applied',
         'User Action',
         `Candidate applied for job: ${jobData?.job?.title || jobId}`
       );
-      await createApplication({ jobId }).unwrap();
+      await createApplication({
+        jobId,
+        sessionId: getAnalyticsSessionId(),
+        screeningAnswers: screeningQuestions
+          .filter((question) =>
+            String(screeningAnswers[question._id] ?? '').trim()
+          )
+          .map((question) => ({
+            questionId: question._id,
+            answer: screeningAnswers[question._id],
+          })),
+        coverLetter: coverLetter.trim() || undefined,
+        attachments: attachments.map(({ name, contentType, data }) => ({
+          name,
+          contentType,
+          data,
+        })),
+      }).unwrap();
 
       navigate(`/candidate/apply/${jobId}/success`);
       trackEvent('Job Applied', 'User Action', `Job application successful`);
@@ -1083,6 +1182,135 @@ export default function ApplyScreen() {
               </div>
             </div>
 
+            {/* Screening Questions */}
+            {screeningQuestions.length > 0 && (
+              <div className="mt-10 animate-slideIn rounded-lg bg-light-surface p-6 shadow-lg dark:bg-dark-surface">
+                <h3 className="mb-2 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+                  <FaClipboardCheck className="text-light-primary dark:text-dark-primary" />
+                  Screening Questions
+                </h3>
+                <p className="mb-6 text-sm text-gray-500 dark:text-gray-400">
+                  The recruiter asks every applicant these questions.
+                </p>
+                {screeningQuestions.map((question) => {
+                  const label = question.isRequired
+                    ? `${question.question} *`
+                    : question.question;
+                  const commonProps = {
+                    id: `screening-${question._id}`,
+                    label,
+                    value: screeningAnswers[question._id] ?? '',
+                    onChange: handleScreeningAnswerChange(question._id),
+                    validationMessage: screeningErrors[question._id],
+                  };
+
+                  switch (question.type) {
+                    case 'yes_no':
+                      return (
+                        <InputField
+                          key={question._id}
+                          {...commonProps}
+                          type="select"
+                          options={[
+                            { value: 'yes', label: 'Yes' },
+                            { value: 'no', label: 'No' },
+                          ]}
+                        />
+                      );
+                    case 'number':
+                      return (
+                        <InputField
+                          key={question._id}
+                          {...commonProps}
+                          type="number"
+                        />
+                      );
+                    case 'single_choice':
+                      return (
+                        <InputField
+                          key={question._id}
+                          {...commonProps}
+                          type="select"
+                          options={question.options.map((option) => ({
+                            value: option,
+                            label: option,
+                          }))}
+                        />
+                      );
+                    default:
+                      return (
+                        <InputField
+                          key={question._id}
+                          {...commonProps}
+                          type="textarea"
+                          rows={3}
+                        />
+                      );
+                  }
+                })}
+              </div>
+            )}
+
+            {/* Cover Letter & Attachments */}
+            <div className="mt-10 animate-slideIn rounded-lg bg-light-surface p-6 shadow-lg dark:bg-dark-surface">
+              <h3 className="mb-2 flex items-center gap-2 text-lg font-semibold text-light-text dark:text-dark-text">
+                <FaPaperclip className="text-light-primary dark:text-dark-primary" />
+                Cover Letter & Attachments
+              </h3>
+              <p className="mb-6 text-sm text-gray-500 dark:text-gray-400">
+                Optional. Attach up to {MAX_ATTACHMENTS} PDF, Word, PNG or JPEG
+                files of 5 MB or less, such as a CV or portfolio samples.
+              </p>
+              <InputField
+                id="coverLetter"
+                type="textarea"
+                label={`Cover Letter (${coverLetter.length}/${MAX_COVER_LETTER_LENGTH})`}
+                value={coverLetter}
+                onChange={(e) => {
+                  setCoverLetter(e.target.value);
+                  setCoverLetterError('');
+                }}
+                validationMessage={coverLetterError}
+                rows={6}
+              />
+              {attachments.length < MAX_ATTACHMENTS && (
+                <InputField
+                  id="applicationAttachment"
+                  type="file"
+                  label="Attachment"
+                  value=""
+                  onChange={handleAttachmentChange}
+                />
+              )}
+              {attachmentError && <Alert message={attachmentError} />}
+              {attachments.length > 0 && (
+                <ul className="mt-4 space-y-2">
+                  {attachments.map((attachment, index) => (
+                    <li
+                      key={`${attachment.name}-${index}`}
+                      className="flex items-center justify-between rounded-lg border border-light-border px-4 py-2 dark:border-dark-border"
+                    >
+                      <span className="truncate text-light-text dark:text-dark-text">
+                        {attachment.name}
+                        <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                          {ATTACHMENT_TYPES[attachment.contentType]},{' '}
+                          {formatFileSize(attachment.size)}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveAttachment(index)}
+                        className="ml-4 text-red-500 hover:text-red-700"
+                        aria-label={`Remove ${attachment.name}`}
+                      >
+                        <FaTimes />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
             {/* Agreement and Apply Button */}
             <div className="mt-10 flex items-center text-center">
               <label className="inline-flex cursor-pointer items-center space-x-2">
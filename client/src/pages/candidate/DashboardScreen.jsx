@@ -4,6 +4,8 @@ import { useLocation } from 'react-router-dom';
 
 import Logo from '../../assets/images/logo.png';
 
+import CandidateOffers from '../../components/CandidateOffers';
+
 import { trackPageView } from '../../utils/analytics';
 
 export default function DashboardScreen() {
@@ -48,6 +50,7 @@ export default function DashboardScreen() {
               Please select an option from the menu to get started.
             </p>
           </div>
+          <CandidateOffers />
         </div>
       </section>
     </>
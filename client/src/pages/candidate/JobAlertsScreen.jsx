@@ -0,0 +1,574 @@
+import { useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import {
+  FaBell,
+  FaBellSlash,
+  FaPencilAlt,
+  FaPlus,
+  FaSave,
+  FaTimes,
+  FaTrash,
+} from 'react-icons/fa';
+import { useLocation } from 'react-router-dom';
+
+import Alert from '../../components/Alert';
+import Loader from '../../components/Loader';
+import Modal from '../../components/Modal';
+import Table from '../../components/ui/dashboardLayout/Table';
+import InputField from '../../components/ui/mainLayout/InputField';
+
+import { trackEvent, trackPageView } from '../../utils/analytics';
+import {
+  SALARY_CURRENCIES,
+  getCategoryOptions,
+} from '../../utils/jobValidation';
+
+import {
+  useCreateSavedSearchMutation,
+  useDeleteSavedSearchMutation,
+  useGetMySavedSearchesQuery,
+  useUpdateSavedSearchMutation,
+} from '../../features/savedSearch/savedSearchApi';
+import { useGetCategoriesQuery } from '../../features/category/categoryApi';
+
+const ANY_CATEGORY = 'all';
+
+const FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+];
+
+const EMPTY_ALERT = {
+  name: '',
+  search: '',
+  category: ANY_CATEGORY,
+  location: '',
+  minSalary: '',
+  maxSalary: '',
+  currency: 'PKR',
+  frequency: 'weekly',
+};
+
+// Short summary of the filters an alert matches on
+const describeFilters = (savedSearch) => {
+  const parts = [];
+  if (savedSearch.search) parts.push(`"${savedSearch.search}"`);
+  if (savedSearch.category) parts.push(savedSearch.category);
+  if (savedSearch.location) parts.push(savedSearch.location);
+  if (savedSearch.minSalary != null || savedSearch.maxSalary != null) {
+    const range = [savedSearch.minSalary, savedSearch.maxSalary]
+      .map((amount) => (amount != null ? amount.toLocaleString() : 'any'))
+      .join(' - ');
+    parts.push(`${savedSearch.currency || ''} ${range} / month`.trim());
+  }
+  return parts.length > 0 ? parts.join(' • ') : 'All new jobs';
+};
+
+const validateAlert = (alert) => {
+  const errors = {};
+
+  if (!alert.name.trim() || alert.name.trim().length < 2) {
+    errors.name = 'Alert name must be at least 2 characters.';
+  } else if (alert.name.trim().length > 100) {
+    errors.name = 'Alert name must not exceed 100 characters.';
+  }
+
+  if (alert.search.length > 200) {
+    errors.search = 'Keywords must not exceed 200 characters.';
+  }
+
+  if (alert.location.length > 100) {
+    errors.location = 'Location must not exceed 100 characters.';
+  }
+
+  const min = alert.minSalary === '' ? null : Number(alert.minSalary);
+  const max = alert.maxSalary === '' ? null : Number(alert.maxSalary);
+  if (min !== null && (!Number.isFinite(min) || min < 0)) {
+    errors.salary = 'Please enter a valid minimum salary.';
+  } else if (max !== null && (!Number.isFinite(max) || max < 0)) {
+    errors.salary = 'Please enter a valid maximum salary.';
+  } else if (min !== null && max !== null && max < min) {
+    errors.salary =
+      'Maximum salary must be greater than or equal to minimum salary.';
+  }
+
+  return { errors, isValid: Object.keys(errors).length === 0 };
+};
+
+export default function CandidateJobAlertsScreen() {
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [selectedAlert, setSelectedAlert] = useState(null);
+  const [alert, setAlert] = useState(EMPTY_ALERT);
+  const [errors, setErrors] = useState({});
+
+  const location = useLocation();
+
+  const {
+    data: savedSearchesData,
+    isLoading: isSavedSearchesLoading,
+    error: savedSearchesError,
+  } = useGetMySavedSearchesQuery();
+  const { data: categoriesData } = useGetCategoriesQuery();
+
+  // Keep an alert's category selectable even after it has been deactivated
+  const categoryOptions = getCategoryOptions(categoriesData?.categories);
+  if (
+    alert.category !== ANY_CATEGORY &&
+    !categoryOptions.some((option) => option.value === alert.category)
+  ) {
+    categoryOptions.unshift({ value: alert.category, label: alert.category });
+  }
+  categoryOptions.unshift({ value: ANY_CATEGORY, label: 'All categories' });
+
+  const [
+    createSavedSearch,
+    {
+      isLoading: isCreating,
+      error: createError,
+      isSuccess: isCreateSuccess,
+      data: createData,
+      reset: resetCreate,
+    },
+  ] = useCreateSavedSearchMutation();
+
+  const [
+    updateSavedSearch,
+    {
+      isLoading: isUpdating,
+      error: updateError,
+      isSuccess: isUpdateSuccess,
+      data: updateData,
+      reset: resetUpdate,
+    },
+  ] = useUpdateSavedSearchMutation();
+
+  const [
+    deleteSavedSearch,
+    {
+      isLoading: isDeleting,
+      error: deleteError,
+      isSuccess: isDeleteSuccess,
+      data: deleteData,
+    },
+  ] = useDeleteSavedSearchMutation();
+
+  useEffect(() => {
+    trackPageView(location.pathname);
+  }, [location.pathname]);
+
+  const handleFieldChange = (field) => (e) => {
+    setAlert((current) => ({ ...current, [field]: e.target.value }));
+  };
+
+  const openCreateModal = () => {
+    resetCreate();
+    setSelectedAlert(null);
+    setAlert(EMPTY_ALERT);
+    setErrors({});
+    setShowFormModal(true);
+    trackEvent('Create Job Alert', 'User Action', 'User opened job alert form');
+  };
+
+  const openEditModal = (savedSearch) => {
+    resetUpdate();
+    setSelectedAlert(savedSearch);
+    setAlert({
+      name: savedSearch.name,
+      search: savedSearch.search || '',
+      category: savedSearch.category || ANY_CATEGORY,
+      location: savedSearch.location || '',
+      minSalary: savedSearch.minSalary ?? '',
+      maxSalary: savedSearch.maxSalary ?? '',
+      currency: savedSearch.currency || 'PKR',
+      frequency: savedSearch.frequency,
+    });
+    setErrors({});
+    setShowFormModal(true);
+    trackEvent(
+      'Edit Job Alert',
+      'User Action',
+      `User opened job alert ${savedSearch.name}`
+    );
+  };
+
+  const buildPayload = () => {
+    const hasSalary = alert.minSalary !== '' || alert.maxSalary !== '';
+    return {
+      name: alert.name.trim(),
+      search: alert.search.trim(),
+      category: alert.category === ANY_CATEGORY ? '' : alert.category,
+      location: alert.location.trim(),
+      minSalary: alert.minSalary === '' ? null : Number(alert.minSalary),
+      maxSalary: alert.maxSalary === '' ? null : Number(alert.maxSalary),
+      // Currency only narrows results when a salary range is set
+      currency: hasSalary ? alert.currency : '',
+      frequency: alert.frequency,
+    };
+  };
+
+  const saveAlert = async () => {
+    const { errors: validationErrors, isValid } = validateAlert(alert);
+    setErrors(validationErrors);
+
+    if (!isValid) {
+      return;
+    }
+
+    try {
+      if (selectedAlert) {
+        await updateSavedSearch({
+          id: selectedAlert._id,
+          savedSearchData: buildPayload(),
+        }).unwrap();
+        trackEvent(
+          'Update Job Alert',
+          'User Action',
+          `User updated job alert ${alert.name}`
+        );
+      } else {
+        await createSavedSearch(buildPayload()).unwrap();
+        trackEvent(
+          'Create Job Alert',
+          'User Action',
+          `User created job alert ${alert.name}`
+        );
+      }
+      setShowFormModal(false);
+    } catch (err) {
+      console.error('Save job alert failed:', err);
+    }
+  };
+
+  const toggleAlert = async (savedSearch) => {
+    try {
+      await updateSavedSearch({
+        id: savedSearch._id,
+        savedSearchData: { isActive: !savedSearch.isActive },
+      }).unwrap();
+      trackEvent(
+        savedSearch.isActive ? 'Pause Job Alert' : 'Resume Job Alert',
+        'User Action',
+        `User toggled job alert ${savedSearch.name}`
+      );
+    } catch (err) {
+      console.error('Toggle job alert failed:', err);
+    }
+  };
+
+  const handleDelete = (savedSearch) => {
+    setSelectedAlert(savedSearch);
+    setShowDeleteModal(true);
+  };
+
+  const confirmDelete = async () => {
+    try {
+      await deleteSavedSearch(selectedAlert._id).unwrap();
+      setShowDeleteModal(false);
+      trackEvent(
+        'Delete Job Alert',
+        'User Action',
+        `User deleted job alert ${selectedAlert.name}`
+      );
+    } catch (err) {
+      console.error('Delete job alert failed:', err);
+    }
+  };
+
+  const columns = [
+    {
+      key: 'name',
+      label: 'Alert',
+      render: (savedSearch) => (
+        <span className="font-medium text-light-text dark:text-dark-text">
+          {savedSearch.name}
+        </span>
+      ),
+    },
+    {
+      key: 'filters',
+      label: 'Matches',
+      render: (savedSearch) => (
+        <span className="text-light-text/70 dark:text-dark-text/70">
+          {describeFilters(savedSearch)}
+        </span>
+      ),
+    },
+    {
+      key: 'frequency',
+      label: 'Frequency',
+      render: (savedSearch) => (
+        <span className="capitalize text-light-text/70 dark:text-dark-text/70">
+          {savedSearch.frequency}
+        </span>
+      ),
+    },
+    {
+      key: 'lastSentAt',
+      label: 'Last Sent',
+      render: (savedSearch) => (
+        <span className="text-light-text/70 dark:text-dark-text/70">
+          {savedSearch.lastSentAt
+            ? new Date(savedSearch.lastSentAt).toLocaleDateString()
+            : 'Not yet'}
+        </span>
+      ),
+    },
+    {
+      key: 'isActive',
+      label: 'Status',
+      render: (savedSearch) => (
+        <span
+          className={`rounded px-2.5 py-0.5 text-xs font-medium ${
+            savedSearch.isActive
+              ? 'bg-green-100 text-green-800'
+              : 'bg-gray-100 text-gray-800'
+          }`}
+        >
+          {savedSearch.isActive ? 'Active' : 'Paused'}
+        </span>
+      ),
+    },
+  ];
+
+  const actions = [
+    {
+      onClick: toggleAlert,
+      render: (savedSearch) => (
+        <button
+          className="flex items-center gap-1 rounded bg-yellow-500 px-3 py-1 text-white hover:bg-yellow-600"
+          disabled={isUpdating}
+        >
+          {savedSearch.isActive ? <FaBellSlash /> : <FaBell />}
+          {savedSearch.isActive ? 'Pause' : 'Resume'}
+        </button>
+      ),
+    },
+    {
+      onClick: openEditModal,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-blue-500 px-3 py-1 text-white hover:bg-blue-600">
+          <FaPencilAlt />
+          Edit
+        </button>
+      ),
+    },
+    {
+      onClick: handleDelete,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-red-500 px-3 py-1 text-white hover:bg-red-600">
+          <FaTrash />
+          Delete
+        </button>
+      ),
+    },
+  ];
+
+  const formError = selectedAlert ? updateError : createError;
+
+  return (
+    <>
+      <Helmet>
+        <title>Job Alerts - EZYJOBS | Get New Jobs by Email</title>
+        <meta
+          name="description"
+          content="Save your job searches on EZYJOBS and get new matching jobs delivered to your inbox daily or weekly."
+        />
+        <meta
+          name="keywords"
+          content="EZYJOBS Job Alerts, Saved Searches, Job Notifications, Email Job Alerts"
+        />
+      </Helmet>
+
+      <section className="flex min-h-screen animate-fadeIn flex-col items-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        {isSavedSearchesLoading ? (
+          <div className="relative w-full max-w-sm animate-fadeIn sm:max-w-md">
+            <Loader />
+          </div>
+        ) : (
+          <div className="mx-auto w-full max-w-7xl animate-slideUp">
+            <h1 className="mb-6 text-center text-3xl font-bold text-light-text dark:text-dark-text sm:text-4xl md:text-5xl">
+              Job{' '}
+              <span className="text-light-primary dark:text-dark-primary">
+                Alerts
+              </span>
+            </h1>
+            <p className="mb-8 text-center text-lg text-light-text/70 dark:text-dark-text/70">
+              Save a search and we will email you new matching jobs daily or
+              weekly.
+            </p>
+
+            {savedSearchesError && (
+              <Alert message={savedSearchesError.data?.message} />
+            )}
+
+            {isCreateSuccess && createData?.message && (
+              <Alert message={createData.message} isSuccess={true} />
+            )}
+
+            {isUpdateSuccess && updateData?.message && (
+              <Alert message={updateData.message} isSuccess={true} />
+            )}
+
+            {isDeleteSuccess && deleteData?.message && (
+              <Alert message={deleteData.message} isSuccess={true} />
+            )}
+
+            <button
+              onClick={openCreateModal}
+              className="mb-4 flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+              disabled={isCreating}
+            >
+              <FaPlus /> New Alert
+            </button>
+
+            <Table
+              columns={columns}
+              data={savedSearchesData?.savedSearches || []}
+              actions={actions}
+            />
+          </div>
+        )}
+      </section>
+
+      <Modal
+        isOpen={showFormModal}
+        onClose={() => setShowFormModal(false)}
+        title={selectedAlert ? 'Edit Job Alert' : 'New Job Alert'}
+      >
+        {isCreating || isUpdating ? (
+          <Loader />
+        ) : (
+          <div className="space-y-4">
+            {formError && <Alert message={formError.data?.message} />}
+            <InputField
+              id="alertName"
+              type="text"
+              label="Alert Name"
+              placeholder="e.g. React jobs in Lahore"
+              value={alert.name}
+              onChange={handleFieldChange('name')}
+              validationMessage={errors.name}
+            />
+            <InputField
+              id="alertSearch"
+              type="text"
+              label="Keywords"
+              placeholder="e.g. react developer"
+              value={alert.search}
+              onChange={handleFieldChange('search')}
+              validationMessage={errors.search}
+            />
+            <InputField
+              id="alertCategory"
+              type="select"
+              label="Category"
+              value={alert.category}
+              onChange={handleFieldChange('category')}
+              options={categoryOptions}
+            />
+            <InputField
+              id="alertLocation"
+              type="text"
+              label="Location"
+              placeholder="e.g. Karachi"
+              value={alert.location}
+              onChange={handleFieldChange('location')}
+              validationMessage={errors.location}
+            />
+            <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-3">
+              <InputField
+                id="alertMinSalary"
+                type="number"
+                label="Min Monthly Salary"
+                min="0"
+                value={alert.minSalary}
+                onChange={handleFieldChange('minSalary')}
+                validationMessage={errors.salary}
+              />
+              <InputField
+                id="alertMaxSalary"
+                type="number"
+                label="Max Monthly Salary"
+                min="0"
+                value={alert.maxSalary}
+                onChange={handleFieldChange('maxSalary')}
+              />
+              <InputField
+                id="alertCurrency"
+                type="select"
+                label="Currency"
+                value={alert.currency}
+                onChange={handleFieldChange('currency')}
+                options={SALARY_CURRENCIES.map((code) => ({
+                  value: code,
+                  label: code,
+                }))}
+              />
+            </div>
+            <InputField
+              id="alertFrequency"
+              type="select"
+              label="Email Frequency"
+              value={alert.frequency}
+              onChange={handleFieldChange('frequency')}
+              options={FREQUENCY_OPTIONS}
+            />
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowFormModal(false)}
+              >
+                <FaTimes />
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={saveAlert}
+                disabled={isCreating || isUpdating}
+              >
+                {selectedAlert ? <FaSave /> : <FaPlus />}
+                {selectedAlert ? 'Save Changes' : 'Create Alert'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={showDeleteModal}
+        onClose={() => setShowDeleteModal(false)}
+        title="Delete Job Alert"
+      >
+        {isDeleting ? (
+          <Loader />
+        ) : (
+          <div>
+            {deleteError && <Alert message={deleteError.data?.message} />}
+
+            <p className="mb-6 text-light-text dark:text-dark-text">
+              Are you sure you want to delete the job alert &quot;
+              {selectedAlert?.name}&quot;? You will stop receiving its emails.
+            </p>
+            <div className="flex justify-end space-x-2">
+              <button
+                className="rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowDeleteModal(false)}
+                disabled={isDeleting}
+              >
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-red-600 px-4 py-2 text-white transition-all duration-200 hover:bg-red-700"
+                onClick={confirmDelete}
+                disabled={isDeleting}
+              >
+                <FaTrash /> Delete
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+}
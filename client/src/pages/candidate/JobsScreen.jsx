@@ -1,42 +1,229 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import {
+  FaBookmark,
   FaBriefcase,
   FaClock,
   FaDollarSign,
+  FaLaptopHouse,
   FaMapMarkerAlt,
+  FaRegBookmark,
   FaSearch,
+  FaStar,
 } from 'react-icons/fa';
 import { useSelector } from 'react-redux';
 import { useLocation, useNavigate } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import JobMatchList from '../../components/JobMatchList';
 import Loader from '../../components/Loader';
 
+import pakistanCities from '../../data/pakistanCities.json';
+
+import useJobEventTracker from '../../hooks/useJobEventTracker';
+
 import { trackEvent, trackPageView } from '../../utils/analytics';
+import {
+  SALARY_CURRENCIES,
+  WORK_MODE_OPTIONS,
+  getJobLocations,
+  getWorkModeLabel,
+} from '../../utils/jobValidation';
+
+import {
+  useCreateBookmarkMutation,
+  useDeleteBookmarkMutation,
+  useGetMyBookmarksQuery,
+} from '../../features/bookmark/bookmarkApi';
+import {
+  useGetAllJobsQuery,
+  useGetRecommendedJobsQuery,
+  useGetSimilarJobsQuery,
+} from '../../features/job/jobApi';
 
-import { useGetAllJobsQuery } from '../../features/job/jobApi';
+const FILTER_DEBOUNCE_MS = 400;
+
+const RADIUS_OPTIONS = [10, 25, 50, 100, 250];
+
+const JOB_SORT_OPTIONS = [
+  { value: '', label: 'Newest first' },
+  { value: 'distance', label: 'Nearest first' },
+];
+
+const findCity = (value) =>
+  pakistanCities.find((city) => city.toLowerCase() === value.toLowerCase());
+
+const JOB_TABS = [
+  { value: 'all', label: 'All Jobs' },
+  { value: 'saved', label: 'Saved' },
+];
 
 export default function JobsScreen() {
   const [filteredJobs, setFilteredJobs] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [location, setLocation] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [workMode, setWorkMode] = useState('');
+  const [radius, setRadius] = useState('');
+  const [sortBy, setSortBy] = useState('');
+  const [minSalary, setMinSalary] = useState('');
+  const [maxSalary, setMaxSalary] = useState('');
+  const [currency, setCurrency] = useState('PKR');
+  const [salaryFilter, setSalaryFilter] = useState({
+    minSalary: '',
+    maxSalary: '',
+  });
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
   const [selectedJob, setSelectedJob] = useState(null);
+  const [jobTab, setJobTab] = useState('all');
+  const [bookmarkError, setBookmarkError] = useState('');
 
   const navigate = useNavigate();
   const routeLocation = useLocation();
 
   const user = useSelector((state) => state.auth.userInfo);
+  const trackJobEvent = useJobEventTracker();
+
+  // Radius searches and the distance sort measure from the typed city when it
+  // is one we know, otherwise from the city on the candidate's resume
+  const isDistanceSearch = Boolean(radius) || sortBy === 'distance';
+  const nearCity = isDistanceSearch ? findCity(locationFilter) : undefined;
+
+  const queryParams = useMemo(() => {
+    const params = { isClosed: false };
+    if (salaryFilter.minSalary || salaryFilter.maxSalary) {
+      if (salaryFilter.minSalary) params.minSalary = salaryFilter.minSalary;
+      if (salaryFilter.maxSalary) params.maxSalary = salaryFilter.maxSalary;
+      params.currency = currency;
+    }
+    if (nearCity) params.near = nearCity;
+    else if (locationFilter) params.location = locationFilter;
+    if (radius) params.radius = radius;
+    if (sortBy) params.sort = sortBy;
+    if (workMode) params.workMode = workMode;
+    return params;
+  }, [
+    salaryFilter,
+    currency,
+    locationFilter,
+    nearCity,
+    radius,
+    sortBy,
+    workMode,
+  ]);
 
   const {
     data: jobsData,
     isLoading,
     error,
-  } = useGetAllJobsQuery({ isClosed: false });
+  } = useGetAllJobsQuery(queryParams);
+
+  const { data: bookmarksData, isLoading: isBookmarksLoading } =
+    useGetMyBookmarksQuery(undefined, { skip: !user });
+
+  const {
+    data: recommendedData,
+    isLoading: isRecommendedLoading,
+    error: recommendedError,
+  } = useGetRecommendedJobsQuery(undefined, { skip: !user?.isCandidate });
+
+  const {
+    data: similarData,
+    isFetching: isSimilarLoading,
+    error: similarError,
+  } = useGetSimilarJobsQuery(selectedJob?.id, { skip: !selectedJob });
+
+  const [createBookmark, { isLoading: isSaving }] = useCreateBookmarkMutation();
+  const [deleteBookmark, { isLoading: isUnsaving }] =
+    useDeleteBookmarkMutation();
+
+  const savedJobIds = useMemo(
+    () =>
+      new Set(
+        (bookmarksData?.bookmarks || []).map((bookmark) =>
+          String(bookmark.jobId)
+        )
+      ),
+    [bookmarksData]
+  );
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSalaryFilter({
+        minSalary: minSalary > 0 ? minSalary : '',
+        maxSalary: maxSalary > 0 ? maxSalary : '',
+      });
+    }, FILTER_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [minSalary, maxSalary]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setLocationFilter(location.trim());
+    }, FILTER_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [location]);
+
+  const handleWorkModeChange = (e) => {
+    setWorkMode(e.target.value);
+    trackEvent(
+      'Work Mode Filter',
+      'User Action',
+      `User filtered jobs by work mode: ${e.target.value || 'all'}`
+    );
+  };
+
+  const handleRadiusChange = (e) => {
+    setRadius(e.target.value);
+    trackEvent(
+      'Radius Filter',
+      'User Action',
+      `User filtered jobs within: ${e.target.value ? `${e.target.value} km` : 'any distance'}`
+    );
+  };
+
+  const handleSortChange = (e) => {
+    setSortBy(e.target.value);
+    trackEvent(
+      'Job Sort',
+      'User Action',
+      `User sorted jobs by: ${e.target.value || 'newest'}`
+    );
+  };
+
+  const handleJobTabChange = (tab) => {
+    setJobTab(tab);
+    setSelectedJob(null);
+    trackEvent('Job Tab', 'User Action', `User switched to ${tab} jobs`);
+  };
+
+  const handleToggleSaved = async (job) => {
+    const isSaved = savedJobIds.has(String(job.id));
+    setBookmarkError('');
+
+    try {
+      if (isSaved) {
+        await deleteBookmark(job.id).unwrap();
+      } else {
+        await createBookmark(job.id).unwrap();
+      }
+      trackEvent(
+        isSaved ? 'Unsave Job' : 'Save Job',
+        'User Action',
+        `User ${isSaved ? 'unsaved' : 'saved'} job: ${job.title}`
+      );
+    } catch (err) {
+      setBookmarkError(
+        err?.data?.message || 'Unable to update your saved jobs.'
+      );
+    }
+  };
 
   const handleJobClick = (job) => {
     setSelectedJob(job);
+    trackJobEvent(job.id, 'view');
 
     trackEvent(
       'Job Selection',
@@ -45,30 +232,56 @@ export default function JobsScreen() {
     );
   };
 
+  // Small screens list full job cards, so open the job's own page instead
+  const handleMatchClick = (job) => {
+    if (isMobile) {
+      navigate(`/jobs/${job.seo?.slug || job.id}`);
+    } else {
+      handleJobClick(job);
+    }
+  };
+
   useEffect(() => {
     // FIXED: Added safety checks to prevent crashes when jobs array is undefined
     // CRASH CAUSE: jobsData.jobs might be undefined or null
     // SOLUTION: Validate array exists before filtering
-    if (jobsData && Array.isArray(jobsData.jobs)) {
-      const filtered = jobsData.jobs.filter((job) => {
+    const sourceJobs =
+      jobTab === 'saved'
+        ? (bookmarksData?.bookmarks || []).map((bookmark) => bookmark.job)
+        : jobsData?.jobs;
+
+    if (Array.isArray(sourceJobs)) {
+      const filtered = sourceJobs.filter((job) => {
         // Skip invalid jobs
         if (!job) return false;
         
         const jobTitle = (job.title || '').toLowerCase();
-        const jobLocation = (job.location || '').toLowerCase();
+        const jobLocation = [job.location, ...getJobLocations(job)]
+          .join(' ')
+          .toLowerCase();
         const search = searchTerm.toLowerCase();
-        const loc = location.toLowerCase();
+        // Jobs in nearby cities match a radius search around the typed city
+        const loc = nearCity ? '' : location.toLowerCase();
 
         return (
           (jobTitle.includes(search) || jobLocation.includes(search)) &&
-          (jobLocation.includes(loc) || jobTitle.includes(loc))
+          (jobLocation.includes(loc) || jobTitle.includes(loc)) &&
+          (!workMode || (job.workMode || 'onsite') === workMode)
         );
       });
       setFilteredJobs(filtered);
     } else {
       setFilteredJobs([]);
     }
-  }, [jobsData, searchTerm, location]);
+  }, [
+    jobsData,
+    bookmarksData,
+    jobTab,
+    searchTerm,
+    location,
+    nearCity,
+    workMode,
+  ]);
 
   useEffect(() => {
     if (!user) {
@@ -101,6 +314,43 @@ export default function JobsScreen() {
     );
   };
 
+  const renderSaveButton = (job) => {
+    const isSaved = savedJobIds.has(String(job.id));
+
+    return (
+      <button
+        type="button"
+        onClick={() => handleToggleSaved(job)}
+        disabled={isSaving || isUnsaving}
+        aria-pressed={isSaved}
+        className="flex items-center rounded-full border border-light-primary px-3 py-1 text-xs font-medium text-light-primary transition-all duration-300 hover:bg-light-primary hover:bg-opacity-10 dark:border-dark-primary dark:text-dark-primary"
+      >
+        {isSaved ? (
+          <FaBookmark className="mr-1" />
+        ) : (
+          <FaRegBookmark className="mr-1" />
+        )}
+        {isSaved ? 'Saved' : 'Save'}
+      </button>
+    );
+  };
+
+  // Saved jobs may have closed since they were saved
+  const isJobClosed = (job) => job.isAcceptingApplications === false;
+
+  const formatJobLocations = (job) =>
+    getJobLocations(job).join(', ') || job.location;
+
+  // Only distance searches return distanceKm; remote jobs have none
+  const formatDistance = (job) =>
+    typeof job.distanceKm === 'number' ? ` · ${job.distanceKm} km away` : '';
+
+  const renderWorkModeBadge = (job) => (
+    <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+      <FaLaptopHouse className="mr-1" /> {getWorkModeLabel(job.workMode)}
+    </span>
+  );
+
   const renderDetailedJobCard = (job) => (
     <div
       key={job.id}
@@ -119,7 +369,8 @@ export default function JobsScreen() {
               •
             </span>
             <span className="flex items-center gap-1 text-sm text-light-text opacity-60 dark:text-dark-text">
-              <FaMapMarkerAlt /> {job.location}
+              <FaMapMarkerAlt /> {formatJobLocations(job)}
+              {formatDistance(job)}
             </span>
           </div>
         </div>
@@ -130,6 +381,8 @@ export default function JobsScreen() {
           <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
             <FaClock className="mr-1" /> {job.category}
           </span>
+          {renderWorkModeBadge(job)}
+          {renderSaveButton(job)}
         </div>
       </div>
 
@@ -169,10 +422,17 @@ export default function JobsScreen() {
         </div>
       </div>
 
-      {user && (
+      {isJobClosed(job) && (
+        <p className="mt-6 text-center font-medium text-red-500">
+          This job is no longer accepting applications.
+        </p>
+      )}
+
+      {user && !isJobClosed(job) && (
         <button
           className="mt-6 w-full transform rounded-lg bg-light-primary py-3 font-medium text-white transition-all duration-300 hover:-translate-y-1 hover:bg-light-secondary hover:shadow-lg dark:bg-dark-primary dark:hover:bg-dark-secondary"
           onClick={() => {
+            trackJobEvent(job.id, 'apply_click');
             navigate(`/candidate/apply/${job.id}`);
             trackEvent(
               'Job Application',
@@ -236,11 +496,134 @@ export default function JobsScreen() {
               />
             </div>
           </div>
+
+          <div className="mx-auto -mt-8 mb-12 flex max-w-4xl flex-col gap-4 md:flex-row">
+            <div className="relative flex-1">
+              <FaDollarSign className="absolute left-4 top-1/2 -translate-y-1/2 transform text-light-primary dark:text-dark-primary" />
+              <input
+                type="number"
+                min={0}
+                placeholder="Min monthly salary"
+                value={minSalary}
+                onChange={(e) => setMinSalary(e.target.value)}
+                className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+              />
+            </div>
+            <div className="relative flex-1">
+              <FaDollarSign className="absolute left-4 top-1/2 -translate-y-1/2 transform text-light-primary dark:text-dark-primary" />
+              <input
+                type="number"
+                min={0}
+                placeholder="Max monthly salary"
+                value={maxSalary}
+                onChange={(e) => setMaxSalary(e.target.value)}
+                className="w-full rounded-lg border border-light-border bg-light-surface py-4 pl-12 pr-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+              />
+            </div>
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              aria-label="Salary currency"
+              className="rounded-lg border border-light-border bg-light-surface px-4 py-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+            >
+              {SALARY_CURRENCIES.map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </select>
+            <select
+              value={workMode}
+              onChange={handleWorkModeChange}
+              aria-label="Work mode"
+              className="rounded-lg border border-light-border bg-light-surface px-4 py-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+            >
+              <option value="">All work modes</option>
+              {WORK_MODE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mx-auto -mt-8 mb-12 flex max-w-4xl flex-col gap-4 md:flex-row md:items-center">
+            <select
+              value={radius}
+              onChange={handleRadiusChange}
+              aria-label="Distance"
+              className="rounded-lg border border-light-border bg-light-surface px-4 py-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+            >
+              <option value="">Any distance</option>
+              {RADIUS_OPTIONS.map((km) => (
+                <option key={km} value={km}>
+                  Within {km} km
+                </option>
+              ))}
+            </select>
+            <select
+              value={sortBy}
+              onChange={handleSortChange}
+              aria-label="Sort jobs"
+              className="rounded-lg border border-light-border bg-light-surface px-4 py-4 text-light-text transition-all duration-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-surface dark:text-dark-text dark:focus:ring-dark-primary"
+            >
+              {JOB_SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {isDistanceSearch && (
+              <p className="text-left text-sm text-light-text/70 dark:text-dark-text/70">
+                {nearCity
+                  ? `Measuring from ${nearCity}.`
+                  : 'Measuring from the city on your resume. Type a city in Location to search around it instead.'}
+                {sortBy === 'distance' &&
+                  ' Nearest first lists jobs with a known city only.'}
+              </p>
+            )}
+          </div>
         </div>
 
+        <div className="mx-auto mb-8 flex w-full max-w-7xl flex-wrap gap-2">
+          {JOB_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              type="button"
+              onClick={() => handleJobTabChange(tab.value)}
+              className={`flex items-center gap-2 rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-300 ${
+                jobTab === tab.value
+                  ? 'bg-light-primary text-white dark:bg-dark-primary dark:text-dark-background'
+                  : 'bg-light-primary bg-opacity-10 text-light-primary hover:bg-opacity-20 dark:text-dark-primary'
+              }`}
+            >
+              {tab.value === 'saved' && <FaBookmark />}
+              {tab.label}
+              {tab.value === 'saved' && ` (${savedJobIds.size})`}
+            </button>
+          ))}
+        </div>
+
+        {user?.isCandidate && jobTab === 'all' && (
+          <div className="mx-auto -mt-8 mb-8 w-full max-w-7xl">
+            <JobMatchList
+              title="Recommended for you"
+              icon={
+                <FaStar className="text-light-primary dark:text-dark-primary" />
+              }
+              jobs={recommendedData?.jobs || []}
+              isLoading={isRecommendedLoading}
+              error={recommendedError}
+              emptyMessage={recommendedData?.message}
+              onSelect={handleMatchClick}
+            />
+          </div>
+        )}
+
         {error && <Alert message={error?.data?.message} />}
+        {bookmarkError && <Alert message={bookmarkError} />}
 
-        {isLoading ? (
+        {isLoading || (jobTab === 'saved' && isBookmarksLoading) ? (
           <div className="relative w-full max-w-sm animate-fadeIn sm:max-w-md">
             <Loader />
           </div>
@@ -256,7 +639,8 @@ export default function JobsScreen() {
               <div className="hidden animate-slideInLeft space-y-4 md:block md:border-r md:border-light-border md:pr-8 dark:md:border-dark-border">
                 <h2 className="mb-4 flex items-center text-xl font-bold text-light-text dark:text-dark-text">
                   <FaBriefcase className="mr-2 text-light-primary dark:text-dark-primary" />
-                  Available Positions ({filteredJobs.length})
+                  {jobTab === 'saved' ? 'Saved Jobs' : 'Available Positions'} (
+                  {filteredJobs.length})
                 </h2>
                 {filteredJobs.map((job, index) => (
                   <div
@@ -278,11 +662,25 @@ export default function JobsScreen() {
                     <div className="mt-2 flex items-center gap-2 text-sm text-light-text opacity-60 dark:text-dark-text">
                       <FaMapMarkerAlt className="text-light-primary dark:text-dark-primary" />{' '}
                       {job.location}
+                      {formatDistance(job)}
                     </div>
                     <div className="mt-3 flex flex-wrap gap-2">
                       <span className="rounded-full bg-light-primary bg-opacity-10 px-2.5 py-0.5 text-xs font-medium text-light-primary dark:text-dark-primary">
                         {job.category}
                       </span>
+                      <span className="rounded-full bg-light-secondary bg-opacity-10 px-2.5 py-0.5 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+                        {getWorkModeLabel(job.workMode)}
+                      </span>
+                      {savedJobIds.has(String(job.id)) && (
+                        <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-2.5 py-0.5 text-xs font-medium text-light-secondary dark:text-dark-secondary">
+                          <FaBookmark className="mr-1" /> Saved
+                        </span>
+                      )}
+                      {isJobClosed(job) && (
+                        <span className="rounded-full bg-red-100 px-2.5 py-0.5 text-xs font-medium text-red-800">
+                          Closed
+                        </span>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -303,7 +701,7 @@ export default function JobsScreen() {
                             •
                           </span>
                           <span className="flex items-center gap-1 text-sm text-light-text opacity-60 dark:text-dark-text">
-                            <FaMapMarkerAlt /> {selectedJob.location}
+                            <FaMapMarkerAlt /> {formatJobLocations(selectedJob)}
                           </span>
                         </div>
                       </div>
@@ -315,6 +713,8 @@ export default function JobsScreen() {
                         <span className="flex items-center rounded-full bg-light-secondary bg-opacity-10 px-3 py-1 text-xs font-medium text-light-secondary dark:text-dark-secondary">
                           <FaClock className="mr-1" /> {selectedJob.category}
                         </span>
+                        {renderWorkModeBadge(selectedJob)}
+                        {renderSaveButton(selectedJob)}
                       </div>
                     </div>
 
@@ -354,16 +754,34 @@ export default function JobsScreen() {
                       </div>
                     </div>
 
-                    {user && (
+                    {isJobClosed(selectedJob) && (
+                      <p className="mt-6 text-center font-medium text-red-500">
+                        This job is no longer accepting applications.
+                      </p>
+                    )}
+
+                    {user && !isJobClosed(selectedJob) && (
                       <button
                         className="mt-6 w-full transform rounded-lg bg-light-primary py-3 font-medium text-white transition-all duration-300 hover:-translate-y-1 hover:bg-light-secondary hover:shadow-lg dark:bg-dark-primary dark:hover:bg-dark-secondary"
-                        onClick={() =>
-                          navigate(`/candidate/apply/${selectedJob.id}`)
-                        }
+                        onClick={() => {
+                          trackJobEvent(selectedJob.id, 'apply_click');
+                          navigate(`/candidate/apply/${selectedJob.id}`);
+                        }}
                       >
                         Apply Now
                       </button>
                     )}
+
+                    <JobMatchList
+                      title="Similar jobs"
+                      icon={
+                        <FaBriefcase className="text-light-primary dark:text-dark-primary" />
+                      }
+                      jobs={similarData?.jobs || []}
+                      isLoading={isSimilarLoading}
+                      error={similarError}
+                      onSelect={handleJobClick}
+                    />
                   </div>
                 ) : (
                   <div className="flex h-64 animate-pulse items-center justify-center rounded-lg border border-light-border bg-light-surface text-light-text opacity-50 dark:border-dark-border dark:bg-dark-surface dark:text-dark-text">
@@ -376,10 +794,12 @@ export default function JobsScreen() {
         ) : (
           <div className="mx-auto w-full max-w-lg animate-slideUp rounded-lg border border-light-border bg-light-surface p-8 text-center shadow-md dark:border-dark-border dark:bg-dark-surface">
             <p className="text-xl font-semibold text-light-primary dark:text-dark-primary">
-              No jobs found
+              {jobTab === 'saved' ? 'No saved jobs' : 'No jobs found'}
             </p>
             <p className="mt-2 text-light-text opacity-70 dark:text-dark-text">
-              Try adjusting your search criteria
+              {jobTab === 'saved'
+                ? 'Save jobs you are interested in to find them here later'
+                : 'Try adjusting your search criteria'}
             </p>
           </div>
         )}
@@ -1,10 +1,11 @@
 import { useEffect, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { FaCalendarAlt, FaSave, FaTimes } from 'react-icons/fa';
+import { FaCalendarAlt, FaSave, FaStickyNote, FaTimes } from 'react-icons/fa';
 import { useSelector } from 'react-redux';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import ApplicationNotes from '../../components/ApplicationNotes';
 import Loader from '../../components/Loader';
 import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
@@ -17,6 +18,7 @@ import { useCreateInterviewMutation } from '../../features/interview/interviewAp
 
 export default function ApplicationsScreen() {
   const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [showNotesModal, setShowNotesModal] = useState(false);
   const [selectedApplication, setSelectedApplication] = useState(null);
   const [interviewDate, setInterviewDate] = useState('');
   const [interviewTime, setInterviewTime] = useState('');
@@ -52,6 +54,16 @@ export default function ApplicationsScreen() {
     }
   }, [selectedApplication]);
 
+  const handleNotes = (application) => {
+    setSelectedApplication(application);
+    setShowNotesModal(true);
+    trackEvent(
+      'View Application Notes',
+      'User Action',
+      `User viewed notes of application ID: ${application.id}`
+    );
+  };
+
   const handleSchedule = (application) => {
     setSelectedApplication(application);
     setShowScheduleModal(true);
@@ -159,6 +171,15 @@ export default function ApplicationsScreen() {
   ];
 
   const actions = [
+    {
+      onClick: handleNotes,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-purple-500 px-3 py-1 text-white hover:bg-purple-600">
+          <FaStickyNote className="text-lg" />
+          Notes
+        </button>
+      ),
+    },
     {
       onClick: handleSchedule,
       render: () => (
@@ -226,6 +247,17 @@ export default function ApplicationsScreen() {
         )}
       </section>
 
+      {/* Notes Modal */}
+      <Modal
+        isOpen={showNotesModal}
+        onClose={() => setShowNotesModal(false)}
+        title="Team Notes"
+      >
+        {showNotesModal && selectedApplication && (
+          <ApplicationNotes applicationId={selectedApplication.id} />
+        )}
+      </Modal>
+
       {/* Schedule Interview Modal */}
       <Modal
         isOpen={showScheduleModal}
@@ -1,37 +1,79 @@
 import { useEffect, useRef, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { FaCalendarAlt, FaPencilAlt, FaSave, FaTimes } from 'react-icons/fa';
+import {
+  FaArrowRight,
+  FaCalendarAlt,
+  FaClipboardCheck,
+  FaDownload,
+  FaSave,
+  FaTimes,
+} from 'react-icons/fa';
 import { useSelector } from 'react-redux';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import ApplicationBoard from '../../components/ApplicationBoard';
+import ApplicationNotes from '../../components/ApplicationNotes';
+import ApplicationOffer from '../../components/ApplicationOffer';
+import BulkApplicationActions from '../../components/BulkApplicationActions';
 import Loader from '../../components/Loader';
 import Modal from '../../components/Modal';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
 import { trackEvent, trackPageView } from '../../utils/analytics';
+import { ATTACHMENT_TYPES, formatFileSize } from '../../utils/attachments';
 
 import {
+  useDownloadApplicationAttachmentMutation,
   useGetAllApplicationsQuery,
   useUpdateApplicationMutation,
 } from '../../features/application/applicationApi';
 import { useCreateInterviewMutation } from '../../features/interview/interviewApi';
+import { useGetAllJobsQuery } from '../../features/job/jobApi';
 import { useGetInterviewersQuery } from '../../features/user/userApi';
 
+const STATUS_BADGE_CLASSES = {
+  applied: 'bg-blue-100 text-blue-800',
+  shortlisted: 'bg-green-100 text-green-800',
+  hired: 'bg-teal-100 text-teal-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+const VIEW_TABS = [
+  { value: 'table', label: 'Table' },
+  { value: 'board', label: 'Board' },
+];
+
+const capitalize = (text) =>
+  text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+
 export default function CandidateApplicationsScreen() {
+  const [view, setView] = useState('table');
+  const [boardJobId, setBoardJobId] = useState('');
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [downloadError, setDownloadError] = useState('');
   const [selectedApplication, setSelectedApplication] = useState(null);
+  const [selectedApplications, setSelectedApplications] = useState([]);
   // FIXED: Use ref to persist application data even if state updates
   const selectedApplicationRef = useRef(null);
-  const [status, setStatus] = useState('');
+  const [stage, setStage] = useState('');
+  const [reason, setReason] = useState('');
   // Interview scheduling form state
   const [scheduledDate, setScheduledDate] = useState('');
   const [scheduledTime, setScheduledTime] = useState('');
   const [interviewerId, setInterviewerId] = useState('');
   const [meetingType, setMeetingType] = useState('Online');
   const [notes, setNotes] = useState('');
+  // Tag and note filters, sent once the recruiter stops typing
+  const [tagFilter, setTagFilter] = useState('');
+  const [noteSearch, setNoteSearch] = useState('');
+  const [debouncedFilters, setDebouncedFilters] = useState({
+    tags: '',
+    noteSearch: '',
+  });
 
   const location = useLocation();
   const { userInfo } = useSelector((state) => state.auth);
@@ -43,9 +85,20 @@ export default function CandidateApplicationsScreen() {
     refetch,
   } = useGetAllApplicationsQuery({
     role: 'recruiter',
+    ...(debouncedFilters.tags && { tags: debouncedFilters.tags }),
+    ...(debouncedFilters.noteSearch && {
+      noteSearch: debouncedFilters.noteSearch,
+    }),
   });
   // Backend automatically filters by recruiter's jobs - no need to pass recruiterId
 
+  // The board shows one job at a time
+  const { data: jobsData } = useGetAllJobsQuery({}, { skip: view !== 'board' });
+  const jobOptions = (jobsData?.jobs || []).map((job) => ({
+    value: job.id || job._id,
+    label: `${job.title} · ${job.company}`,
+  }));
+
   const [
     updateApplication,
     {
@@ -56,6 +109,9 @@ export default function CandidateApplicationsScreen() {
     },
   ] = useUpdateApplicationMutation();
 
+  const [downloadAttachment, { isLoading: downloadingAttachment }] =
+    useDownloadApplicationAttachmentMutation();
+
   // Fetch interviewers for dropdown using the new endpoint
   const { 
     data: interviewersData, 
@@ -84,13 +140,24 @@ export default function CandidateApplicationsScreen() {
     trackPageView(location.pathname);
   }, [location.pathname]);
 
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedFilters({
+        tags: tagFilter.trim(),
+        noteSearch: noteSearch.trim(),
+      });
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [tagFilter, noteSearch]);
+
   // REMOVED: This useEffect was causing the update modal to open automatically
   // whenever selectedApplication changed, which interfered with the schedule modal.
   // Now the update modal only opens when handleUpdateStatus is explicitly called.
 
   const handleUpdateStatus = (application) => {
     setSelectedApplication(application);
-    setStatus(application.status);
+    setStage(application.nextStages?.[0]?.key || '');
+    setReason('');
     setShowUpdateModal(true);
     trackEvent(
       'Open Update Status Modal',
@@ -99,6 +166,47 @@ export default function CandidateApplicationsScreen() {
     );
   };
 
+  const handleViewDetails = (application) => {
+    setSelectedApplication(application);
+    setDownloadError('');
+    setShowDetailsModal(true);
+    trackEvent(
+      'View Application Details',
+      'User Action',
+      `User viewed details for application ID: ${application.id}`
+    );
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    setDownloadError('');
+    try {
+      const url = await downloadAttachment({
+        id: selectedApplication.id,
+        attachmentId: attachment._id,
+      }).unwrap();
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      trackEvent(
+        'Download Application Attachment',
+        'User Action',
+        `User downloaded attachment ${attachment._id} of application ID: ${selectedApplication.id}`
+      );
+    } catch (error) {
+      console.error('Attachment download failed:', error);
+      setDownloadError(`Couldn't download "${attachment.name}".`);
+    }
+  };
+
+  const formatScreeningAnswer = (entry) => {
+    if (entry.type === 'yes_no') return entry.answer ? 'Yes' : 'No';
+    return String(entry.answer);
+  };
+
   const handleScheduleInterview = (application) => {
     // FIXED: Store the application properly and ensure update modal is closed
     console.log('Opening schedule modal for application:', application);
@@ -231,7 +339,7 @@ export default function CandidateApplicationsScreen() {
     try {
       await updateApplication({
         id: selectedApplication.id,
-        applicationData: { status },
+        applicationData: { stage, reason },
       }).unwrap();
 
       setShowUpdateModal(false);
@@ -240,7 +348,7 @@ export default function CandidateApplicationsScreen() {
       trackEvent(
         'Update Application Status',
         'User Action',
-        `User updated application status to ${status}`
+        `User moved application to stage ${stage}`
       );
     } catch (err) {
       console.error('Update failed:', err);
@@ -293,22 +401,31 @@ export default function CandidateApplicationsScreen() {
       render: (application) => (
         <span
           className={`rounded px-2.5 py-0.5 text-xs font-medium ${
-            application.status === 'applied'
-              ? 'bg-blue-100 text-blue-800'
-              : application.status === 'shortlisted'
-                ? 'bg-green-100 text-green-800'
-                : application.status === 'hired'
-                  ? 'bg-teal-100 text-teal-800'
-                  : application.status === 'rejected'
-                    ? 'bg-red-100 text-red-800'
-                    : 'bg-gray-100 text-gray-800'
+            STATUS_BADGE_CLASSES[application.status] ||
+            'bg-gray-100 text-gray-800'
           }`}
         >
-          {application.status.charAt(0).toUpperCase() +
-            application.status.slice(1).toLowerCase()}
+          {application.stageName || capitalize(application.status)}
+          {application.isKnockedOut && ' (Knocked out)'}
         </span>
       ),
     },
+    {
+      key: 'tags',
+      label: 'Tags',
+      render: (application) => (
+        <div className="flex flex-wrap gap-1">
+          {application.tags?.map((tag) => (
+            <span
+              key={tag}
+              className="rounded bg-indigo-100 px-2 py-0.5 text-xs font-medium text-indigo-800"
+            >
+              {tag}
+            </span>
+          ))}
+        </div>
+      ),
+    },
     {
       key: 'applicationDate',
       label: 'Applied On',
@@ -321,12 +438,21 @@ export default function CandidateApplicationsScreen() {
   ];
 
   const actions = [
+    {
+      onClick: handleViewDetails,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-purple-500 px-3 py-1 text-white hover:bg-purple-600">
+          <FaClipboardCheck />
+          Details
+        </button>
+      ),
+    },
     {
       onClick: handleUpdateStatus,
       render: () => (
         <button className="flex items-center gap-1 rounded bg-blue-500 px-3 py-1 text-white hover:bg-blue-600">
-          <FaPencilAlt />
-          Update Status
+          <FaArrowRight />
+          Move Stage
         </button>
       ),
     },
@@ -380,20 +506,79 @@ export default function CandidateApplicationsScreen() {
               matches for your job openings.
             </p>
 
-            {error && <Alert message={error.data?.message} />}
-            {updateError && <Alert message={updateError.data?.message} />}
-            {isSuccess && (
-              <Alert
-                message={updatedApplication?.message}
-                isSuccess={isSuccess}
-              />
-            )}
+            <div className="mb-4 flex flex-wrap gap-2">
+              {VIEW_TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  type="button"
+                  onClick={() => setView(tab.value)}
+                  className={`rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-300 ${
+                    view === tab.value
+                      ? 'bg-light-primary text-white dark:bg-dark-primary dark:text-dark-background'
+                      : 'bg-light-primary bg-opacity-10 text-light-primary hover:bg-opacity-20 dark:text-dark-primary'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
 
-            <Table
-              columns={columns}
-              actions={actions}
-              data={applications?.applications || []}
-            />
+            {view === 'board' ? (
+              <>
+                <InputField
+                  id="boardJob"
+                  type="select"
+                  label="Job"
+                  value={boardJobId}
+                  onChange={(e) => setBoardJobId(e.target.value)}
+                  options={jobOptions}
+                />
+                <ApplicationBoard jobId={boardJobId} />
+              </>
+            ) : (
+              <>
+                {error && <Alert message={error.data?.message} />}
+                {updateError && <Alert message={updateError.data?.message} />}
+                {isSuccess && (
+                  <Alert
+                    message={updatedApplication?.message}
+                    isSuccess={isSuccess}
+                  />
+                )}
+
+                <div className="grid gap-x-4 sm:grid-cols-2">
+                  <InputField
+                    id="tagFilter"
+                    type="text"
+                    label="Filter by Tags (comma separated)"
+                    value={tagFilter}
+                    onChange={(e) => setTagFilter(e.target.value)}
+                  />
+                  <InputField
+                    id="noteSearch"
+                    type="text"
+                    label="Search Notes"
+                    value={noteSearch}
+                    onChange={(e) => setNoteSearch(e.target.value)}
+                  />
+                </div>
+
+                <BulkApplicationActions
+                  selectedApplications={selectedApplications}
+                  onClear={() => setSelectedApplications([])}
+                />
+
+                <Table
+                  columns={columns}
+                  actions={actions}
+                  data={applications?.applications || []}
+                  selection={{
+                    selectedRows: selectedApplications,
+                    onChange: setSelectedApplications,
+                  }}
+                />
+              </>
+            )}
           </div>
         )}
       </section>
@@ -404,7 +589,7 @@ export default function CandidateApplicationsScreen() {
           setShowUpdateModal(false);
           setSelectedApplication(null);
         }}
-        title="Update Application Status"
+        title="Move Application"
       >
         {isUpdating ? (
           <Loader />
@@ -412,10 +597,7 @@ export default function CandidateApplicationsScreen() {
           <div className="space-y-4">
             {updateError && <Alert message={updateError.data?.message} />}
             {isSuccess && (
-              <Alert
-                type="success"
-                message="Application status updated successfully!"
-              />
+              <Alert type="success" message="Application moved successfully!" />
             )}
 
             {selectedApplication && (
@@ -433,22 +615,74 @@ export default function CandidateApplicationsScreen() {
                     ? `${selectedApplication.candidate.firstName} ${selectedApplication.candidate.lastName}`
                     : 'Unknown Candidate'}
                 </p>
+                <p className="text-light-text/70 dark:text-dark-text/70">
+                  <span className="font-medium">Current stage:</span>{' '}
+                  {selectedApplication.stageName ||
+                    capitalize(selectedApplication.status)}
+                </p>
               </div>
             )}
 
-            <InputField
-              id="status"
-              type="select"
-              label="Status"
-              value={status}
-              onChange={(e) => setStatus(e.target.value)}
-              options={[
-                { value: 'applied', label: 'Applied' },
-                { value: 'shortlisted', label: 'Shortlisted' },
-                { value: 'rejected', label: 'Rejected' },
-                { value: 'hired', label: 'Hired' },
-              ]}
-            />
+            {selectedApplication?.nextStages?.length ? (
+              <>
+                <InputField
+                  id="stage"
+                  type="select"
+                  label="Move to"
+                  value={stage}
+                  onChange={(e) => setStage(e.target.value)}
+                  options={selectedApplication.nextStages.map((next) => ({
+                    value: next.key,
+                    label: `${next.name} (${capitalize(next.status)})`,
+                  }))}
+                />
+                <InputField
+                  id="reason"
+                  type="textarea"
+                  label="Reason (Optional)"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={3}
+                  placeholder="Why is this application moving on?"
+                />
+              </>
+            ) : (
+              <p className="text-light-text/70 dark:text-dark-text/70">
+                This stage is the end of the job&apos;s pipeline, so the
+                application can&apos;t be moved.
+              </p>
+            )}
+
+            {selectedApplication?.stageHistory?.length > 0 && (
+              <div>
+                <h3 className="mb-2 text-sm font-semibold text-light-text dark:text-dark-text">
+                  History
+                </h3>
+                <ol className="space-y-2 border-l border-light-border pl-4 dark:border-dark-border">
+                  {[...selectedApplication.stageHistory]
+                    .reverse()
+                    .map((entry) => (
+                      <li
+                        key={`${entry.toStage}-${entry.changedAt}`}
+                        className="text-sm text-light-text dark:text-dark-text"
+                      >
+                        <span className="font-medium">
+                          {entry.toStageName || entry.toStage}
+                        </span>{' '}
+                        <span className="text-light-text/60 dark:text-dark-text/60">
+                          {new Date(entry.changedAt).toLocaleString()}
+                          {entry.actorType === 'system' && ' · automatic'}
+                        </span>
+                        {entry.reason && (
+                          <p className="text-light-text/70 dark:text-dark-text/70">
+                            {entry.reason}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                </ol>
+              </div>
+            )}
 
             <div className="flex justify-end space-x-2 pt-4">
               <button
@@ -465,16 +699,127 @@ export default function CandidateApplicationsScreen() {
               <button
                 className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
                 onClick={updateApplicationStatus}
-                disabled={isUpdating}
+                disabled={isUpdating || !stage}
               >
                 <FaSave />
-                Update Status
+                Move Application
               </button>
             </div>
           </div>
         )}
       </Modal>
 
+      {/* Application Details Modal */}
+      <Modal
+        isOpen={showDetailsModal}
+        onClose={() => {
+          setShowDetailsModal(false);
+          setSelectedApplication(null);
+        }}
+        title="Application Details"
+      >
+        {selectedApplication && (
+          <div className="space-y-4 text-left">
+            <div className="rounded bg-gray-50 p-4 dark:bg-gray-800">
+              <p className="font-medium text-light-text dark:text-dark-text">
+                <span className="text-light-primary dark:text-dark-primary">
+                  Job:
+                </span>{' '}
+                {selectedApplication.job?.title}
+              </p>
+              <p className="text-light-text/70 dark:text-dark-text/70">
+                <span className="font-medium">Candidate:</span>{' '}
+                {selectedApplication.candidate?.firstName &&
+                selectedApplication.candidate?.lastName
+                  ? `${selectedApplication.candidate.firstName} ${selectedApplication.candidate.lastName}`
+                  : 'Unknown Candidate'}
+              </p>
+            </div>
+
+            {selectedApplication.isKnockedOut && (
+              <Alert message="This application was rejected automatically because an answer failed a knockout question." />
+            )}
+
+            {selectedApplication.coverLetter && (
+              <div className="border-b border-light-border pb-4 dark:border-dark-border">
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Cover Letter
+                </p>
+                <p className="whitespace-pre-wrap break-words text-light-text dark:text-dark-text">
+                  {selectedApplication.coverLetter}
+                </p>
+              </div>
+            )}
+
+            {selectedApplication.attachments?.length > 0 && (
+              <div className="border-b border-light-border pb-4 dark:border-dark-border">
+                <p className="mb-2 text-sm text-gray-500 dark:text-gray-400">
+                  Attachments
+                </p>
+                {downloadError && <Alert message={downloadError} />}
+                <ul className="space-y-2">
+                  {selectedApplication.attachments.map((attachment) => (
+                    <li
+                      key={attachment._id}
+                      className="flex items-center justify-between gap-4"
+                    >
+                      <span className="truncate text-light-text dark:text-dark-text">
+                        {attachment.name}
+                        <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                          {ATTACHMENT_TYPES[attachment.contentType]},{' '}
+                          {formatFileSize(attachment.size)}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleDownloadAttachment(attachment)}
+                        disabled={downloadingAttachment}
+                        className="flex items-center gap-1 rounded bg-light-primary px-3 py-1 text-white hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                      >
+                        <FaDownload />
+                        Download
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {selectedApplication.screeningAnswers?.map((entry) => (
+              <div
+                key={entry.questionId}
+                className="border-b border-light-border pb-4 dark:border-dark-border"
+              >
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {entry.question}
+                </p>
+                <p className="whitespace-pre-wrap break-words text-lg font-medium text-light-text dark:text-dark-text">
+                  {formatScreeningAnswer(entry)}
+                </p>
+                {entry.failedKnockout && (
+                  <span className="mt-1 inline-block rounded bg-red-100 px-2.5 py-0.5 text-xs font-medium text-red-800">
+                    Failed knockout
+                  </span>
+                )}
+              </div>
+            ))}
+
+            <h3 className="text-lg font-semibold text-light-text dark:text-dark-text">
+              Offer
+            </h3>
+            <ApplicationOffer
+              applicationId={selectedApplication.id}
+              applicationStatus={selectedApplication.status}
+            />
+
+            <h3 className="text-lg font-semibold text-light-text dark:text-dark-text">
+              Team Notes
+            </h3>
+            <ApplicationNotes applicationId={selectedApplication.id} />
+          </div>
+        )}
+      </Modal>
+
       {/* Schedule Interview Modal */}
       <Modal
         isOpen={showScheduleModal}
@@ -0,0 +1,444 @@
+import { useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import {
+  FaExternalLinkAlt,
+  FaPencilAlt,
+  FaPlus,
+  FaSave,
+  FaTimes,
+  FaTrash,
+  FaUserPlus,
+  FaUsers,
+} from 'react-icons/fa';
+import { useSelector } from 'react-redux';
+import { Link, useLocation } from 'react-router-dom';
+
+import Alert from '../../components/Alert';
+import Loader from '../../components/Loader';
+import Modal from '../../components/Modal';
+import Table from '../../components/ui/dashboardLayout/Table';
+import InputField from '../../components/ui/mainLayout/InputField';
+
+import { trackEvent, trackPageView } from '../../utils/analytics';
+
+import {
+  useAddCompanyOwnerMutation,
+  useCreateCompanyMutation,
+  useGetMyCompaniesQuery,
+  useRemoveCompanyOwnerMutation,
+  useUpdateCompanyMutation,
+} from '../../features/company/companyApi';
+
+const COMPANY_SIZES = [
+  '1-10',
+  '11-50',
+  '51-200',
+  '201-500',
+  '501-1000',
+  '1000+',
+];
+
+const EMPTY_COMPANY = {
+  name: '',
+  logoUrl: '',
+  description: '',
+  size: '',
+  industry: '',
+  website: '',
+};
+
+export default function CompaniesScreen() {
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [showOwnersModal, setShowOwnersModal] = useState(false);
+  const [selectedCompanyId, setSelectedCompanyId] = useState(null);
+  const [companyForm, setCompanyForm] = useState(EMPTY_COMPANY);
+  const [ownerEmail, setOwnerEmail] = useState('');
+  const [message, setMessage] = useState('');
+
+  const location = useLocation();
+  const userId = useSelector((state) => state.auth.userInfo.id);
+
+  const { data, isLoading, error } = useGetMyCompaniesQuery();
+
+  const [createCompany, { isLoading: isCreating, error: createError }] =
+    useCreateCompanyMutation();
+  const [updateCompany, { isLoading: isUpdating, error: updateError }] =
+    useUpdateCompanyMutation();
+  const [addCompanyOwner, { isLoading: isAddingOwner, error: addOwnerError }] =
+    useAddCompanyOwnerMutation();
+  const [removeCompanyOwner, { error: removeOwnerError }] =
+    useRemoveCompanyOwnerMutation();
+
+  const companies = data?.companies || [];
+  // Read from the query so the owners list refreshes after each change
+  const selectedCompany = companies.find(
+    (company) => company._id === selectedCompanyId
+  );
+  const isSaving = isCreating || isUpdating;
+  const formError = selectedCompanyId ? updateError : createError;
+
+  useEffect(() => {
+    trackPageView(location.pathname);
+  }, [location.pathname]);
+
+  const handleFieldChange = (field) => (e) =>
+    setCompanyForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const openForm = (company) => {
+    setSelectedCompanyId(company?._id || null);
+    setCompanyForm(
+      company
+        ? Object.fromEntries(
+            Object.keys(EMPTY_COMPANY).map((field) => [
+              field,
+              company[field] || '',
+            ])
+          )
+        : EMPTY_COMPANY
+    );
+    setShowFormModal(true);
+  };
+
+  const handleCreate = () => {
+    openForm(null);
+    trackEvent('Create Company', 'User Action', 'User clicked on add company');
+  };
+
+  const handleEdit = (company) => {
+    openForm(company);
+    trackEvent('Edit Company', 'User Action', `User edited ${company.name}`);
+  };
+
+  const handleManageOwners = (company) => {
+    setSelectedCompanyId(company._id);
+    setOwnerEmail('');
+    setShowOwnersModal(true);
+    trackEvent(
+      'Manage Company Owners',
+      'User Action',
+      `User opened the owners of ${company.name}`
+    );
+  };
+
+  const saveCompany = async () => {
+    try {
+      const result = selectedCompanyId
+        ? await updateCompany({
+            id: selectedCompanyId,
+            companyData: companyForm,
+          }).unwrap()
+        : await createCompany(companyForm).unwrap();
+      setMessage(result.message);
+      setShowFormModal(false);
+      trackEvent(
+        selectedCompanyId ? 'Company Updated' : 'Company Created',
+        'User Action',
+        companyForm.name
+      );
+    } catch (err) {
+      console.error('Company save failed:', err);
+    }
+  };
+
+  const addOwner = async () => {
+    try {
+      const result = await addCompanyOwner({
+        id: selectedCompanyId,
+        email: ownerEmail,
+      }).unwrap();
+      setMessage(result.message);
+      setOwnerEmail('');
+      trackEvent('Company Owner Added', 'User Action', selectedCompany.name);
+    } catch (err) {
+      console.error('Adding company owner failed:', err);
+    }
+  };
+
+  const removeOwner = async (owner) => {
+    try {
+      const result = await removeCompanyOwner({
+        id: selectedCompanyId,
+        userId: owner._id,
+      }).unwrap();
+      setMessage(result.message);
+      // Leaving a company removes it from this list
+      if (owner._id === userId) setShowOwnersModal(false);
+      trackEvent('Company Owner Removed', 'User Action', selectedCompany.name);
+    } catch (err) {
+      console.error('Removing company owner failed:', err);
+    }
+  };
+
+  const columns = [
+    {
+      key: 'name',
+      label: 'Company',
+      sortable: false,
+      render: (company) => (
+        <span className="flex items-center gap-3">
+          {company.logoUrl && (
+            <img
+              src={company.logoUrl}
+              alt=""
+              className="h-8 w-8 rounded object-contain"
+            />
+          )}
+          <span className="font-semibold">{company.name}</span>
+        </span>
+      ),
+    },
+    {
+      key: 'industry',
+      label: 'Industry',
+      sortable: false,
+      render: (company) => company.industry || '—',
+    },
+    {
+      key: 'size',
+      label: 'Size',
+      sortable: false,
+      render: (company) => (company.size ? `${company.size} employees` : '—'),
+    },
+    {
+      key: 'owners',
+      label: 'Owners',
+      sortable: false,
+      render: (company) => company.owners.length,
+    },
+    {
+      key: 'slug',
+      label: 'Public Page',
+      sortable: false,
+      render: (company) => (
+        <Link
+          to={`/companies/${company.slug}`}
+          className="flex items-center gap-1 text-light-primary hover:underline dark:text-dark-primary"
+        >
+          View
+          <FaExternalLinkAlt className="h-3 w-3" />
+        </Link>
+      ),
+    },
+  ];
+
+  const actions = [
+    {
+      onClick: handleEdit,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-blue-500 px-3 py-1 text-white hover:bg-blue-600">
+          <FaPencilAlt />
+          Edit
+        </button>
+      ),
+    },
+    {
+      onClick: handleManageOwners,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-gray-500 px-3 py-1 text-white hover:bg-gray-600">
+          <FaUsers />
+          Owners
+        </button>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Helmet>
+        <title>Companies [Recruiter] - EZYJOBS | Manage Company Profiles</title>
+        <meta
+          name="description"
+          content="EZYJOBS Companies - Manage the company profiles you post jobs for and the recruiters who share them."
+        />
+        <meta
+          name="keywords"
+          content="EZYJOBS Companies, Company Profile, Employer Branding, Recruitment Platform"
+        />
+      </Helmet>
+
+      <section className="flex min-h-screen animate-fadeIn flex-col items-center bg-light-background px-4 py-24 dark:bg-dark-background">
+        {isLoading ? (
+          <div className="relative w-full max-w-sm animate-fadeIn sm:max-w-md">
+            <Loader />
+          </div>
+        ) : (
+          <div className="mx-auto w-full max-w-7xl animate-slideUp">
+            <h1 className="mb-6 text-center text-3xl font-bold text-light-text dark:text-dark-text sm:text-4xl md:text-5xl">
+              Manage{' '}
+              <span className="text-light-primary dark:text-dark-primary">
+                Companies
+              </span>
+            </h1>
+            <p className="mb-8 text-center text-lg text-light-text/70 dark:text-dark-text/70">
+              Keep your company profiles up to date and add the recruiters you
+              hire with. Every owner can edit the profile and post jobs for it.
+            </p>
+
+            {error && <Alert message={error.data?.message} />}
+            {message && <Alert message={message} isSuccess />}
+
+            <div className="mb-4 flex justify-end">
+              <button
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={handleCreate}
+              >
+                <FaPlus />
+                Add Company
+              </button>
+            </div>
+
+            {companies.length === 0 ? (
+              <p className="text-center text-light-text/70 dark:text-dark-text/70">
+                You don&apos;t own any companies yet. Add one, or post a job
+                under a new company name to create its profile.
+              </p>
+            ) : (
+              <Table columns={columns} data={companies} actions={actions} />
+            )}
+          </div>
+        )}
+      </section>
+
+      {/* Create / Edit Company Modal */}
+      <Modal
+        isOpen={showFormModal}
+        onClose={() => setShowFormModal(false)}
+        title={selectedCompanyId ? 'Edit Company' : 'Add Company'}
+      >
+        {isSaving ? (
+          <Loader />
+        ) : (
+          <div className="space-y-4">
+            {formError && <Alert message={formError.data?.message} />}
+
+            <InputField
+              id="companyName"
+              type="text"
+              label="Name"
+              value={companyForm.name}
+              onChange={handleFieldChange('name')}
+            />
+            <InputField
+              id="companyLogoUrl"
+              type="text"
+              label="Logo URL (optional)"
+              placeholder="https://"
+              value={companyForm.logoUrl}
+              onChange={handleFieldChange('logoUrl')}
+            />
+            <InputField
+              id="companyWebsite"
+              type="text"
+              label="Website (optional)"
+              placeholder="https://"
+              value={companyForm.website}
+              onChange={handleFieldChange('website')}
+            />
+            <InputField
+              id="companyIndustry"
+              type="text"
+              label="Industry (optional)"
+              value={companyForm.industry}
+              onChange={handleFieldChange('industry')}
+            />
+            <InputField
+              id="companySize"
+              type="select"
+              label="Company Size (optional)"
+              value={companyForm.size}
+              onChange={handleFieldChange('size')}
+              options={COMPANY_SIZES.map((size) => ({
+                value: size,
+                label: `${size} employees`,
+              }))}
+            />
+            <InputField
+              id="companyDescription"
+              type="textarea"
+              label="About the Company (optional)"
+              rows={5}
+              value={companyForm.description}
+              onChange={handleFieldChange('description')}
+            />
+            <div className="flex justify-end space-x-2 pt-4">
+              <button
+                className="flex items-center gap-2 rounded bg-gray-300 px-4 py-2 text-gray-800 transition-all duration-200 hover:bg-gray-400 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                onClick={() => setShowFormModal(false)}
+                disabled={isSaving}
+              >
+                <FaTimes />
+                Cancel
+              </button>
+              <button
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                onClick={saveCompany}
+                disabled={isSaving}
+              >
+                <FaSave />
+                {selectedCompanyId ? 'Save Changes' : 'Add Company'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Company Owners Modal */}
+      <Modal
+        isOpen={showOwnersModal && Boolean(selectedCompany)}
+        onClose={() => setShowOwnersModal(false)}
+        title={`${selectedCompany?.name || 'Company'} Owners`}
+      >
+        <div className="space-y-4">
+          {addOwnerError && <Alert message={addOwnerError.data?.message} />}
+          {removeOwnerError && (
+            <Alert message={removeOwnerError.data?.message} />
+          )}
+
+          <ul className="divide-y divide-light-border dark:divide-dark-border">
+            {selectedCompany?.owners.map((owner) => (
+              <li
+                key={owner._id}
+                className="flex items-center justify-between py-2 text-light-text dark:text-dark-text"
+              >
+                <span>
+                  {owner.firstName} {owner.lastName}
+                  {owner._id === userId && ' (you)'}
+                  <span className="block text-sm text-light-text/60 dark:text-dark-text/60">
+                    {owner.email}
+                  </span>
+                </span>
+                <button
+                  className="flex items-center gap-1 rounded bg-red-600 px-3 py-1 text-white hover:bg-red-700 disabled:opacity-40"
+                  onClick={() => removeOwner(owner)}
+                  disabled={selectedCompany.owners.length === 1}
+                  aria-label={`Remove ${owner.firstName} ${owner.lastName}`}
+                >
+                  <FaTrash />
+                  {owner._id === userId ? 'Leave' : 'Remove'}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <InputField
+            id="ownerEmail"
+            type="email"
+            label="Recruiter Email"
+            value={ownerEmail}
+            onChange={(e) => setOwnerEmail(e.target.value)}
+          />
+          <div className="flex justify-end">
+            <button
+              className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition-all duration-200 hover:bg-light-secondary disabled:opacity-50 dark:bg-dark-primary dark:hover:bg-dark-secondary"
+              onClick={addOwner}
+              disabled={isAddingOwner || !ownerEmail.trim()}
+            >
+              <FaUserPlus />
+              Add Owner
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+}
@@ -7,6 +7,7 @@ import {
   FaChartLine,
   FaEnvelopeOpenText,
   FaFileContract,
+  FaFilter,
   FaHandshake,
   FaStar,
 } from 'react-icons/fa';
@@ -38,7 +39,10 @@ import { trackPageView } from '../../utils/analytics';
 import { useGetAllApplicationsQuery } from '../../features/application/applicationApi';
 import { useGetAllInterviewsQuery } from '../../features/interview/interviewApi';
 import { useGetAllRatingsQuery } from '../../features/interviewerRating/interviewerRatingApi';
-import { useGetAllJobsQuery } from '../../features/job/jobApi';
+import {
+  useGetAllJobsQuery,
+  useGetJobAnalyticsQuery,
+} from '../../features/job/jobApi';
 import { useGetAllContractsQuery } from '../../features/contract/contractApi';
 
 const COLORS = [
@@ -51,6 +55,11 @@ const COLORS = [
   '#8884d8', // purple accent
 ];
 
+const ANALYTICS_PERIODS = [7, 30, 90];
+
+const formatSourceLabel = (source) =>
+  [source.source, source.medium, source.campaign].filter(Boolean).join(' / ');
+
 // Custom tooltip component for consistency
 const CustomTooltip = ({ active, payload, label }) => {
   if (active && payload && payload.length) {
@@ -90,6 +99,8 @@ export default function DashboardScreen() {
   const [applicationTrend, setApplicationTrend] = useState([]);
   const [contractStatus, setContractStatus] = useState([]);
   const [contractsByMonth, setContractsByMonth] = useState([]);
+  const [analyticsJobId, setAnalyticsJobId] = useState('');
+  const [analyticsDays, setAnalyticsDays] = useState(30);
 
   const location = useLocation();
   const { userInfo } = useSelector((state) => state.auth);
@@ -135,6 +146,35 @@ export default function DashboardScreen() {
     recruiterId,
   });
 
+  // Show the funnel of the most recent job until another one is picked
+  const selectedAnalyticsJobId =
+    analyticsJobId || jobs?.jobs?.[0]?._id || jobs?.jobs?.[0]?.id;
+
+  const {
+    data: jobAnalytics,
+    isFetching: loadingJobAnalytics,
+    error: errorJobAnalytics,
+  } = useGetJobAnalyticsQuery(
+    { id: selectedAnalyticsJobId, days: analyticsDays },
+    { skip: !selectedAnalyticsJobId }
+  );
+
+  const funnelData = jobAnalytics
+    ? [
+        { stage: 'Views', count: jobAnalytics.funnel.views, fill: COLORS[0] },
+        {
+          stage: 'Apply Clicks',
+          count: jobAnalytics.funnel.applyClicks,
+          fill: COLORS[2],
+        },
+        {
+          stage: 'Applications',
+          count: jobAnalytics.funnel.applications,
+          fill: COLORS[3],
+        },
+      ]
+    : [];
+
   useEffect(() => {
     trackPageView(location.pathname);
   }, [location.pathname]);
@@ -552,6 +592,226 @@ export default function DashboardScreen() {
               </div>
             </div>
 
+            {/* Per-job funnel */}
+            {selectedAnalyticsJobId && (
+              <div className="mb-8 rounded-xl bg-light-surface p-6 shadow-md transition-all hover:shadow-lg dark:bg-dark-surface">
+                <div className="mb-4 flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+                  <h3 className="flex items-center text-xl font-bold text-light-text dark:text-dark-text">
+                    <FaFilter className="mr-2 text-light-primary" /> Job
+                    Performance
+                  </h3>
+                  <div className="flex flex-col gap-2 sm:flex-row">
+                    <select
+                      value={selectedAnalyticsJobId}
+                      onChange={(e) => setAnalyticsJobId(e.target.value)}
+                      aria-label="Job"
+                      className="rounded-lg border border-light-border bg-light-background px-3 py-2 text-sm text-light-text focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-background dark:text-dark-text dark:focus:ring-dark-primary"
+                    >
+                      {jobs.jobs.map((job) => (
+                        <option
+                          key={job._id || job.id}
+                          value={job._id || job.id}
+                        >
+                          {job.title}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={analyticsDays}
+                      onChange={(e) => setAnalyticsDays(Number(e.target.value))}
+                      aria-label="Period"
+                      className="rounded-lg border border-light-border bg-light-background px-3 py-2 text-sm text-light-text focus:outline-none focus:ring-2 focus:ring-light-primary dark:border-dark-border dark:bg-dark-background dark:text-dark-text dark:focus:ring-dark-primary"
+                    >
+                      {ANALYTICS_PERIODS.map((days) => (
+                        <option key={days} value={days}>
+                          Last {days} days
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {errorJobAnalytics && (
+                  <Alert message={errorJobAnalytics?.data?.message} />
+                )}
+
+                {loadingJobAnalytics ? (
+                  <Loader />
+                ) : (
+                  jobAnalytics && (
+                    <>
+                      <div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+                        <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                          <p className="text-sm font-medium text-light-text/70 dark:text-dark-text/70">
+                            Views
+                          </p>
+                          <p className="text-2xl font-bold text-light-text dark:text-dark-text">
+                            {jobAnalytics.funnel.views}
+                          </p>
+                          <p className="text-xs text-light-text/60 dark:text-dark-text/60">
+                            Unique visits to the posting
+                          </p>
+                        </div>
+                        <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                          <p className="text-sm font-medium text-light-text/70 dark:text-dark-text/70">
+                            Apply Clicks
+                          </p>
+                          <p className="text-2xl font-bold text-light-text dark:text-dark-text">
+                            {jobAnalytics.funnel.applyClicks}
+                          </p>
+                          <p className="text-xs text-light-text/60 dark:text-dark-text/60">
+                            {jobAnalytics.funnel.clickRate}% of views
+                          </p>
+                        </div>
+                        <div className="rounded-lg bg-light-background p-4 dark:bg-dark-background">
+                          <p className="text-sm font-medium text-light-text/70 dark:text-dark-text/70">
+                            Applications
+                          </p>
+                          <p className="text-2xl font-bold text-light-text dark:text-dark-text">
+                            {jobAnalytics.funnel.applications}
+                          </p>
+                          <p className="text-xs text-light-text/60 dark:text-dark-text/60">
+                            {jobAnalytics.funnel.conversionRate}% of views
+                          </p>
+                        </div>
+                      </div>
+
+                      <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+                        <div className="h-80 lg:col-span-2">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart
+                              data={jobAnalytics.daily}
+                              margin={{
+                                top: 10,
+                                right: 30,
+                                left: 0,
+                                bottom: 20,
+                              }}
+                            >
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke="#eaeaea"
+                              />
+                              <XAxis
+                                dataKey="date"
+                                stroke="#888"
+                                tick={{ fill: '#888' }}
+                                tickFormatter={(date) => date.slice(5)}
+                              />
+                              <YAxis
+                                allowDecimals={false}
+                                stroke="#888"
+                                tick={{ fill: '#888' }}
+                              />
+                              <Tooltip content={<CustomTooltip />} />
+                              <Legend />
+                              <Line
+                                type="monotone"
+                                dataKey="views"
+                                name="Views"
+                                stroke={COLORS[0]}
+                                dot={false}
+                              />
+                              <Line
+                                type="monotone"
+                                dataKey="applyClicks"
+                                name="Apply Clicks"
+                                stroke={COLORS[2]}
+                                dot={false}
+                              />
+                              <Line
+                                type="monotone"
+                                dataKey="applications"
+                                name="Applications"
+                                stroke={COLORS[3]}
+                                dot={false}
+                              />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+
+                        <div className="h-80">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart
+                              data={funnelData}
+                              margin={{
+                                top: 10,
+                                right: 10,
+                                left: 0,
+                                bottom: 20,
+                              }}
+                            >
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke="#eaeaea"
+                              />
+                              <XAxis dataKey="stage" stroke="#888" />
+                              <YAxis allowDecimals={false} stroke="#888" />
+                              <Tooltip content={<CustomTooltip />} />
+                              <Bar
+                                dataKey="count"
+                                name="Count"
+                                radius={[4, 4, 0, 0]}
+                              >
+                                {funnelData.map((entry) => (
+                                  <Cell key={entry.stage} fill={entry.fill} />
+                                ))}
+                              </Bar>
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+
+                      <h4 className="mb-3 mt-6 font-semibold text-light-text dark:text-dark-text">
+                        Referral Sources
+                      </h4>
+                      {jobAnalytics.sources.length === 0 ? (
+                        <p className="text-sm text-light-text/70 dark:text-dark-text/70">
+                          No visits recorded in this period.
+                        </p>
+                      ) : (
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-left text-sm text-light-text dark:text-dark-text">
+                            <thead className="border-b border-light-border dark:border-dark-border">
+                              <tr>
+                                <th className="py-2 pr-4">Source</th>
+                                <th className="py-2 pr-4">Views</th>
+                                <th className="py-2 pr-4">Apply Clicks</th>
+                                <th className="py-2 pr-4">Applications</th>
+                                <th className="py-2">Conversion</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {jobAnalytics.sources.map((source) => (
+                                <tr
+                                  key={formatSourceLabel(source)}
+                                  className="border-b border-light-border last:border-0 dark:border-dark-border"
+                                >
+                                  <td className="py-2 pr-4">
+                                    {formatSourceLabel(source)}
+                                  </td>
+                                  <td className="py-2 pr-4">{source.views}</td>
+                                  <td className="py-2 pr-4">
+                                    {source.applyClicks}
+                                  </td>
+                                  <td className="py-2 pr-4">
+                                    {source.applications}
+                                  </td>
+                                  <td className="py-2">
+                                    {source.conversionRate}%
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </>
+                  )
+                )}
+              </div>
+            )}
+
             {/* Updated Charts Layout */}
             <div className="mb-8 grid grid-cols-1 gap-8">
               {/* First row - Full width application trend */}
@@ -3,14 +3,18 @@ import { Helmet } from 'react-helmet-async';
 import {
   FaAlignLeft,
   FaBriefcase,
+  FaCalendarAlt,
   FaCheckCircle,
   FaClipboardList,
   FaClock,
   FaDollarSign,
   FaExclamationTriangle,
+  FaFileImport,
+  FaHistory,
   FaMapMarkerAlt,
   FaPencilAlt,
   FaPlus,
+  FaProjectDiagram,
   FaSave,
   FaTimes,
 } from 'react-icons/fa';
@@ -18,9 +22,13 @@ import { useSelector } from 'react-redux';
 import { useLocation } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
+import JobHistoryDrawer from '../../components/JobHistoryDrawer';
+import JobImportWizard from '../../components/JobImportWizard';
+import JobPipelineEditor from '../../components/JobPipelineEditor';
 import Loader from '../../components/Loader';
-import LocationAutoComplete from '../../components/LocationAutoComplete';
+import LocationMultiSelect from '../../components/LocationMultiSelect';
 import Modal from '../../components/Modal';
+import ScreeningQuestionsEditor from '../../components/ScreeningQuestionsEditor';
 import Table from '../../components/ui/dashboardLayout/Table';
 import InputField from '../../components/ui/mainLayout/InputField';
 
@@ -31,38 +39,103 @@ import {
   validateCompany,
   validateRequirements,
   validateBenefits,
-  validateSalaryRange,
+  validateSalary,
+  validatePublishAt,
+  validateApplicationDeadline,
+  EMPTY_SALARY,
+  JOB_STATUS_OPTIONS,
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
   validateCategory,
-  validateLocation,
+  getCategoryOptions,
+  validateLocations,
+  getJobLocations,
+  getWorkModeLabel,
+  WORK_MODE_OPTIONS,
   validateAllFields,
+  validateScreeningQuestions,
+  toScreeningQuestionsForm,
+  buildScreeningQuestionsPayload,
 } from '../../utils/jobValidation';
 
 import {
   useCheckAiServiceStatusQuery,
   useShortlistCandidatesMutation,
 } from '../../features/ai/aiApi';
+import { useGetCategoriesQuery } from '../../features/category/categoryApi';
+import { useGetMyCompaniesQuery } from '../../features/company/companyApi';
 import {
   useCreateJobMutation,
   useGetAllJobsQuery,
   useUpdateJobByIdMutation,
 } from '../../features/job/jobApi';
 
+const JOB_STATUS_TABS = [
+  { value: 'all', label: 'All' },
+  { value: 'published', label: 'Published' },
+  { value: 'draft', label: 'Drafts' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'closed', label: 'Closed' },
+];
+
+const JOB_STATUS_BADGES = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  scheduled: { label: 'Scheduled', className: 'bg-yellow-100 text-yellow-800' },
+  published: { label: 'Open', className: 'bg-green-100 text-green-800' },
+  closed: { label: 'Closed', className: 'bg-red-100 text-red-800' },
+};
+
+// Shown next to the status while an admin reviews the job
+const MODERATION_BADGES = {
+  pending: {
+    label: 'Pending review',
+    className: 'bg-yellow-100 text-yellow-800',
+  },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+};
+
+// Select value that switches the company field to a free-text name
+const NEW_COMPANY_OPTION = '__new__';
+
+// Jobs created before the lifecycle fields existed only carry isClosed
+const getJobStatus = (job) =>
+  job.status || (job.isClosed ? 'closed' : 'published');
+
+// Formats a date for a datetime-local input (local time, minute precision)
+const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString() : 'Not set';
+
 export default function JobsScreen() {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showPipeline, setShowPipeline] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [importMessage, setImportMessage] = useState('');
   const [selectedJob, setSelectedJob] = useState(null);
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [company, setCompany] = useState('');
+  const [isNewCompany, setIsNewCompany] = useState(false);
   const [requirements, setRequirements] = useState('');
   const [benefits, setBenefits] = useState('');
-  const [salaryRange, setSalaryRange] = useState('');
+  const [salary, setSalary] = useState(EMPTY_SALARY);
   const [category, setCategory] = useState('');
-  const [location, setLocation] = useState('');
-  const [customCategory, setCustomCategory] = useState('');
-  const [isClosed, setIsClosed] = useState(false);
-  const [locationError, setLocationError] = useState('');
+  const [workMode, setWorkMode] = useState('onsite');
+  const [locations, setLocations] = useState([]);
+  const [jobStatus, setJobStatus] = useState('published');
+  const [publishAt, setPublishAt] = useState('');
+  const [applicationDeadline, setApplicationDeadline] = useState('');
+  const [screeningQuestions, setScreeningQuestions] = useState([]);
+  const [statusTab, setStatusTab] = useState('all');
 
   // Validation errors state
   const [errors, setErrors] = useState({
@@ -71,12 +144,16 @@ export default function JobsScreen() {
     company: '',
     requirements: '',
     benefits: '',
-    salaryRange: '',
+    salary: '',
     category: '',
-    customCategory: '',
     location: '',
+    publishAt: '',
+    applicationDeadline: '',
+    screeningQuestions: '',
   });
 
+  const isClosed = jobStatus === 'closed';
+
   const routeLocation = useLocation();
 
   const {
@@ -84,9 +161,41 @@ export default function JobsScreen() {
     isLoading: isJobsLoading,
     error,
     refetch,
-  } = useGetAllJobsQuery({});
+  } = useGetAllJobsQuery(statusTab === 'all' ? {} : { status: statusTab });
   // Backend automatically filters by recruiterId for recruiters
 
+  const { data: categoriesData } = useGetCategoriesQuery();
+  const { data: companiesData, refetch: refetchCompanies } =
+    useGetMyCompaniesQuery();
+
+  // Jobs are posted for one of the recruiter's companies; typing a new name
+  // creates a company profile they own
+  const companyOptions = (companiesData?.companies || []).map(({ name }) => ({
+    value: name,
+    label: name,
+  }));
+  if (
+    selectedJob?.company &&
+    !companyOptions.some((option) => option.value === selectedJob.company)
+  ) {
+    companyOptions.unshift({
+      value: selectedJob.company,
+      label: selectedJob.company,
+    });
+  }
+
+  // A job being edited keeps its category even after it has been deactivated
+  const categoryOptions = getCategoryOptions(categoriesData?.categories);
+  if (
+    selectedJob?.category &&
+    !categoryOptions.some((option) => option.value === selectedJob.category)
+  ) {
+    categoryOptions.unshift({
+      value: selectedJob.category,
+      label: selectedJob.category,
+    });
+  }
+
   const {
     data: aiServiceStatus,
     isLoading: isAiServiceLoading,
@@ -128,39 +237,46 @@ export default function JobsScreen() {
     trackPageView(routeLocation.pathname);
   }, [routeLocation.pathname]);
 
-  const PRESET_CATEGORIES = ['IT', 'Engineering', 'Sales', 'Marketing', 'Finance'];
-
   useEffect(() => {
     if (selectedJob) {
       setTitle(selectedJob.title || '');
       setDescription(selectedJob.description || '');
       setCompany(selectedJob.company || '');
+      setIsNewCompany(false);
       setRequirements(selectedJob.requirements || '');
       setBenefits(selectedJob.benefits || '');
-      setSalaryRange(selectedJob.salaryRange || '');
-
-      // If the saved category isn't one of our presets, treat it as a custom category
-      if (selectedJob.category && !PRESET_CATEGORIES.includes(selectedJob.category)) {
-        setCategory('Other');
-        setCustomCategory(selectedJob.category);
-      } else {
-        setCategory(selectedJob.category || '');
-        setCustomCategory('');
-      }
+      setSalary(
+        selectedJob.salary
+          ? {
+              min: selectedJob.salary.min ?? '',
+              max: selectedJob.salary.max ?? '',
+              currency: selectedJob.salary.currency || 'PKR',
+              period: selectedJob.salary.period || 'month',
+            }
+          : EMPTY_SALARY
+      );
 
-      setLocation(selectedJob.location || '');
-      setIsClosed(selectedJob.isClosed || false);
-      setLocationError('');
+      setCategory(selectedJob.category || '');
+      setWorkMode(selectedJob.workMode || 'onsite');
+      setLocations(getJobLocations(selectedJob));
+      setJobStatus(getJobStatus(selectedJob));
+      setPublishAt(toDateTimeLocal(selectedJob.publishAt));
+      setApplicationDeadline(toDateTimeLocal(selectedJob.applicationDeadline));
+      setScreeningQuestions(
+        toScreeningQuestionsForm(selectedJob.screeningQuestions)
+      );
       setErrors({
         title: '',
         description: '',
         company: '',
         requirements: '',
         benefits: '',
-        salaryRange: '',
+        salary: '',
         category: '',
-        customCategory: '',
         location: '',
+        publishAt: '',
+        applicationDeadline: '',
+        screeningQuestions: '',
       });
     }
   }, [selectedJob]);
@@ -171,30 +287,47 @@ export default function JobsScreen() {
     trackEvent('Edit Job', 'User Action', 'User clicked on edit job button');
   };
 
+  const handleImportJobs = () => {
+    setImportMessage('');
+    setShowImportWizard(true);
+    trackEvent('Import Jobs', 'User Action', 'User opened the job import');
+  };
+
+  const handleJobsImported = (message) => {
+    setImportMessage(message);
+    refetchCompanies();
+    trackEvent('Import Jobs', 'User Action', message);
+  };
+
   const handleCreateJob = () => {
     setShowCreateModal(true);
     setSelectedJob(null);
     setTitle('');
     setDescription('');
     setCompany('');
+    setIsNewCompany(false);
     setRequirements('');
     setBenefits('');
-    setSalaryRange('');
+    setSalary(EMPTY_SALARY);
     setCategory('');
-    setLocation('');
-    setCustomCategory('');
-    setLocationError('');
-    setIsClosed(false);
+    setWorkMode('onsite');
+    setLocations([]);
+    setJobStatus('published');
+    setPublishAt('');
+    setApplicationDeadline('');
+    setScreeningQuestions([]);
     setErrors({
       title: '',
       description: '',
       company: '',
       requirements: '',
       benefits: '',
-      salaryRange: '',
+      salary: '',
       category: '',
-      customCategory: '',
       location: '',
+      publishAt: '',
+      applicationDeadline: '',
+      screeningQuestions: '',
     });
     trackEvent(
       'Create Job',
@@ -203,18 +336,45 @@ export default function JobsScreen() {
     );
   };
 
-  const handleLocationChange = (selectedLocation) => {
-    setLocation(selectedLocation);
-    const error = validateLocation(selectedLocation);
-    setErrors((prev) => ({ ...prev, location: error }));
-    setLocationError(error);
+  const handleWorkModeChange = (e) => {
+    const value = e.target.value;
+    setWorkMode(value);
+    setErrors((prev) => ({
+      ...prev,
+      location: validateLocations(value, locations),
+    }));
   };
 
-  const handleLocationValidationChange = (error) => {
-    setLocationError(error);
-    setErrors((prev) => ({ ...prev, location: error }));
+  const handleLocationsChange = (nextLocations) => {
+    setLocations(nextLocations);
+    setErrors((prev) => ({
+      ...prev,
+      location: validateLocations(workMode, nextLocations),
+    }));
   };
 
+  const renderLocationFields = (idSuffix = '') => (
+    <>
+      <InputField
+        id={`workMode${idSuffix}`}
+        type="select"
+        label="Work Mode"
+        value={workMode}
+        onChange={handleWorkModeChange}
+        options={WORK_MODE_OPTIONS}
+      />
+      <LocationMultiSelect
+        id={`job-locations${idSuffix}`}
+        label={
+          workMode === 'remote' ? 'Job Locations (optional)' : 'Job Locations'
+        }
+        locations={locations}
+        onChange={handleLocationsChange}
+        validationMessage={errors.location}
+      />
+    </>
+  );
+
   const handleTitleChange = (e) => {
     const value = e.target.value;
     setTitle(value);
@@ -236,6 +396,16 @@ export default function JobsScreen() {
     setErrors((prev) => ({ ...prev, company: error }));
   };
 
+  const handleCompanySelect = (e) => {
+    if (e.target.value === NEW_COMPANY_OPTION) {
+      setIsNewCompany(true);
+      setCompany('');
+      return;
+    }
+    setIsNewCompany(false);
+    handleCompanyChange(e);
+  };
+
   const handleRequirementsChange = (e) => {
     const value = e.target.value;
     setRequirements(value);
@@ -250,71 +420,211 @@ export default function JobsScreen() {
     setErrors((prev) => ({ ...prev, benefits: error }));
   };
 
-  const handleSalaryRangeChange = (e) => {
+  const handleSalaryChange = (field) => (e) => {
     const value = e.target.value;
-    
-    // Real-time validation: reject negative numbers immediately
-    const salaryPattern = /(\d+)/g;
-    const numbers = value.match(salaryPattern);
-    let error = '';
-    
-    if (numbers) {
-      for (const num of numbers) {
-        const numValue = parseInt(num, 10);
-        if (numValue < 0) {
-          error = 'Salary cannot be negative.';
-          break;
-        }
-        if (numValue === 0 && value.trim() !== '') {
-          error = 'Salary must be greater than 0.';
-          break;
-        }
-      }
-    }
-    
-    // If no negative found, run full validation
-    if (!error) {
-      error = validateSalaryRange(value);
-    }
-    
-    setSalaryRange(value);
-    setErrors((prev) => ({ ...prev, salaryRange: error }));
+    const nextSalary = { ...salary, [field]: value };
+    setSalary(nextSalary);
+    setErrors((prev) => ({ ...prev, salary: validateSalary(nextSalary) }));
   };
 
-  const handleCategoryChange = (val) => {
-    setCategory(val);
-    if (val !== 'Other') {
-      setCustomCategory('');
-      setErrors((prev) => ({ ...prev, category: '', customCategory: '' }));
-    } else {
-      const error = validateCategory(val, customCategory);
-      setErrors((prev) => ({ ...prev, category: error }));
-    }
+  const renderCompanyFields = (idSuffix = '') =>
+    companyOptions.length === 0 ? (
+      <InputField
+        id={`company${idSuffix}`}
+        type="text"
+        label="Company"
+        value={company}
+        onChange={handleCompanyChange}
+        validationMessage={errors.company}
+      />
+    ) : (
+      <>
+        <InputField
+          id={`company${idSuffix}`}
+          type="select"
+          label="Company"
+          value={isNewCompany ? NEW_COMPANY_OPTION : company}
+          onChange={handleCompanySelect}
+          options={[
+            ...companyOptions,
+            { value: NEW_COMPANY_OPTION, label: '+ Add a new company' },
+          ]}
+          validationMessage={isNewCompany ? '' : errors.company}
+        />
+        {isNewCompany && (
+          <InputField
+            id={`newCompany${idSuffix}`}
+            type="text"
+            label="New Company Name"
+            value={company}
+            onChange={handleCompanyChange}
+            validationMessage={errors.company}
+          />
+        )}
+      </>
+    );
+
+  const renderSalaryFields = (idSuffix = '') => (
+    <div className="grid grid-cols-2 gap-x-4">
+      <InputField
+        id={`salaryMin${idSuffix}`}
+        type="number"
+        label="Minimum Salary"
+        min={1}
+        value={salary.min}
+        onChange={handleSalaryChange('min')}
+        validationMessage={errors.salary}
+      />
+      <InputField
+        id={`salaryMax${idSuffix}`}
+        type="number"
+        label="Maximum Salary"
+        min={1}
+        value={salary.max}
+        onChange={handleSalaryChange('max')}
+      />
+      <InputField
+        id={`salaryCurrency${idSuffix}`}
+        type="select"
+        label="Currency"
+        value={salary.currency}
+        onChange={handleSalaryChange('currency')}
+        options={SALARY_CURRENCIES.map((code) => ({
+          value: code,
+          label: code,
+        }))}
+      />
+      <InputField
+        id={`salaryPeriod${idSuffix}`}
+        type="select"
+        label="Pay Period"
+        value={salary.period}
+        onChange={handleSalaryChange('period')}
+        options={SALARY_PERIODS}
+      />
+    </div>
+  );
+
+  const handleCategoryChange = (e) => {
+    const value = e.target.value;
+    setCategory(value);
+    const error = validateCategory(value);
+    setErrors((prev) => ({ ...prev, category: error }));
+  };
+
+  const handleJobStatusChange = (e) => {
+    const value = e.target.value;
+    setJobStatus(value);
+    setErrors((prev) => ({
+      ...prev,
+      publishAt: validatePublishAt(value, publishAt),
+      applicationDeadline: validateApplicationDeadline(
+        value,
+        publishAt,
+        applicationDeadline
+      ),
+    }));
+  };
+
+  const handlePublishAtChange = (e) => {
+    const value = e.target.value;
+    setPublishAt(value);
+    setErrors((prev) => ({
+      ...prev,
+      publishAt: validatePublishAt(jobStatus, value),
+      applicationDeadline: validateApplicationDeadline(
+        jobStatus,
+        value,
+        applicationDeadline
+      ),
+    }));
   };
 
-  const handleCustomCategoryChange = (e) => {
+  const handleApplicationDeadlineChange = (e) => {
     const value = e.target.value;
-    setCustomCategory(value);
-    const error = validateCategory(category, value);
-    setErrors((prev) => ({ ...prev, customCategory: error, category: error }));
+    setApplicationDeadline(value);
+    setErrors((prev) => ({
+      ...prev,
+      applicationDeadline: validateApplicationDeadline(
+        jobStatus,
+        publishAt,
+        value
+      ),
+    }));
+  };
+
+  const handleScreeningQuestionsChange = (questions) => {
+    setScreeningQuestions(questions);
+    setErrors((prev) => ({
+      ...prev,
+      screeningQuestions: validateScreeningQuestions(questions),
+    }));
   };
 
+  const buildLifecyclePayload = () => ({
+    status: jobStatus,
+    ...(jobStatus === 'scheduled' && {
+      publishAt: new Date(publishAt).toISOString(),
+    }),
+    applicationDeadline: applicationDeadline
+      ? new Date(applicationDeadline).toISOString()
+      : null,
+  });
+
+  const handleStatusTabChange = (value) => {
+    setStatusTab(value);
+    trackEvent('Job Status Tab', 'User Action', `User viewed ${value} jobs`);
+  };
+
+  const renderLifecycleFields = (idSuffix = '', statusOptions) => (
+    <>
+      <InputField
+        id={`jobStatus${idSuffix}`}
+        type="select"
+        label="Status"
+        value={jobStatus}
+        onChange={handleJobStatusChange}
+        options={statusOptions}
+      />
+      {jobStatus === 'scheduled' && (
+        <InputField
+          id={`publishAt${idSuffix}`}
+          type="datetime-local"
+          label="Publish Date"
+          value={publishAt}
+          onChange={handlePublishAtChange}
+          validationMessage={errors.publishAt}
+        />
+      )}
+      <InputField
+        id={`applicationDeadline${idSuffix}`}
+        type="datetime-local"
+        label="Application Deadline (optional)"
+        value={applicationDeadline}
+        onChange={handleApplicationDeadlineChange}
+        validationMessage={errors.applicationDeadline}
+      />
+    </>
+  );
+
   const createNewJob = async () => {
-    const finalCategory = category === 'Other' ? (customCategory || 'Other') : category;
     const { errors: validationErrors, isValid } = validateAllFields({
       title,
       description,
       company,
       requirements,
       benefits,
-      salaryRange,
-      category: finalCategory,
-      customCategory,
-      location,
+      salary,
+      category,
+      workMode,
+      locations,
+      status: jobStatus,
+      publishAt,
+      applicationDeadline,
+      screeningQuestions,
     });
 
     setErrors(validationErrors);
-    setLocationError(validationErrors.location);
 
     if (!isValid) {
       return;
@@ -327,13 +637,21 @@ export default function JobsScreen() {
         company,
         requirements,
         benefits,
-        salaryRange,
-        category: finalCategory,
-        location,
-        isClosed,
+        salary: {
+          min: Number(salary.min),
+          max: Number(salary.max),
+          currency: salary.currency,
+          period: salary.period,
+        },
+        category,
+        workMode,
+        locations,
+        ...buildLifecyclePayload(),
+        screeningQuestions: buildScreeningQuestionsPayload(screeningQuestions),
       }).unwrap();
       setShowCreateModal(false);
       refetch();
+      refetchCompanies();
       refetchAiServiceStatus();
       trackEvent('Create Job', 'User Action', `User created job ${title}`);
     } catch (err) {
@@ -347,21 +665,23 @@ export default function JobsScreen() {
   };
 
   const saveJobChanges = async () => {
-    const finalCategory = category === 'Other' ? (customCategory || 'Other') : category;
     const { errors: validationErrors, isValid } = validateAllFields({
       title,
       description,
       company,
       requirements,
       benefits,
-      salaryRange,
-      category: finalCategory,
-      customCategory,
-      location,
+      salary,
+      category,
+      workMode,
+      locations,
+      status: jobStatus,
+      publishAt,
+      applicationDeadline,
+      screeningQuestions,
     });
 
     setErrors(validationErrors);
-    setLocationError(validationErrors.location);
 
     if (!isValid) {
       return;
@@ -376,10 +696,18 @@ export default function JobsScreen() {
           company,
           requirements,
           benefits,
-          salaryRange,
-          category: finalCategory,
-          location,
-          isClosed,
+          salary: {
+            min: Number(salary.min),
+            max: Number(salary.max),
+            currency: salary.currency,
+            period: salary.period,
+          },
+          category,
+          workMode,
+          locations,
+          ...buildLifecyclePayload(),
+          screeningQuestions:
+            buildScreeningQuestionsPayload(screeningQuestions),
         },
       }).unwrap();
 
@@ -394,6 +722,7 @@ export default function JobsScreen() {
 
       setShowEditModal(false);
       refetch();
+      refetchCompanies();
       refetchAiServiceStatus();
       trackEvent(
         'Update Job',
@@ -420,6 +749,26 @@ export default function JobsScreen() {
     );
   };
 
+  const handleViewHistory = (job) => {
+    setSelectedJob(job);
+    setShowHistory(true);
+    trackEvent(
+      'View Job History',
+      'User Action',
+      `User opened the edit history for ${job.title}`
+    );
+  };
+
+  const handleEditPipeline = (job) => {
+    setSelectedJob(job);
+    setShowPipeline(true);
+    trackEvent(
+      'Edit Job Pipeline',
+      'User Action',
+      `User opened the pipeline editor for ${job.title}`
+    );
+  };
+
   const handleShortlistCandidates = async (job) => {
     if (!aiServiceStatus?.data?.model_trained) {
       trackEvent(
@@ -478,6 +827,14 @@ export default function JobsScreen() {
     {
       key: 'location',
       label: 'Location',
+      render: (job) => (
+        <span>
+          {job.location}
+          <span className="ml-2 rounded bg-gray-100 px-2 py-0.5 text-xs font-medium text-gray-800">
+            {getWorkModeLabel(job.workMode)}
+          </span>
+        </span>
+      ),
     },
     {
       key: 'salaryRange',
@@ -486,13 +843,41 @@ export default function JobsScreen() {
     {
       key: 'status',
       label: 'Status',
-      render: (job) => (
-        <span
-          className={`${job.isClosed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'} rounded px-2.5 py-0.5 text-xs font-medium`}
-        >
-          {job.isClosed ? 'Closed' : 'Open'}
-        </span>
-      ),
+      render: (job) => {
+        const badge = JOB_STATUS_BADGES[getJobStatus(job)];
+        const moderationBadge =
+          getJobStatus(job) !== 'draft' &&
+          MODERATION_BADGES[job.moderation?.status];
+        return (
+          <div className="flex flex-col items-start gap-1">
+            <span
+              className={`${badge.className} rounded px-2.5 py-0.5 text-xs font-medium`}
+            >
+              {badge.label}
+            </span>
+            {moderationBadge && (
+              <span
+                className={`${moderationBadge.className} rounded px-2.5 py-0.5 text-xs font-medium`}
+              >
+                {moderationBadge.label}
+              </span>
+            )}
+            {job.moderation?.status === 'rejected' && job.moderation.reason && (
+              <span className="max-w-xs text-xs text-red-700 dark:text-red-400">
+                {job.moderation.reason}
+              </span>
+            )}
+          </div>
+        );
+      },
+    },
+    {
+      key: 'applicationDeadline',
+      label: 'Deadline',
+      render: (job) =>
+        job.applicationDeadline
+          ? new Date(job.applicationDeadline).toLocaleDateString()
+          : '—',
     },
     {
       key: 'createdAt',
@@ -529,6 +914,24 @@ export default function JobsScreen() {
         </button>
       ),
     },
+    {
+      onClick: handleViewHistory,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-gray-500 px-3 py-1 text-white hover:bg-gray-600">
+          <FaHistory />
+          History
+        </button>
+      ),
+    },
+    {
+      onClick: handleEditPipeline,
+      render: () => (
+        <button className="flex items-center gap-1 rounded bg-purple-500 px-3 py-1 text-white hover:bg-purple-600">
+          <FaProjectDiagram />
+          Pipeline
+        </button>
+      ),
+    },
   ];
 
   const isLoading =
@@ -657,13 +1060,42 @@ export default function JobsScreen() {
               <Alert message={shortlistData?.data?.message} isSuccess={true} />
             )}
 
-            <button
-              onClick={handleCreateJob}
-              className="mb-4 flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
-              disabled={isCreating}
-            >
-              <FaPlus /> Create Job
-            </button>
+            {importMessage && (
+              <Alert message={importMessage} isSuccess={true} />
+            )}
+
+            <div className="mb-4 flex flex-wrap gap-2">
+              <button
+                onClick={handleCreateJob}
+                className="flex items-center gap-2 rounded bg-light-primary px-4 py-2 text-white transition hover:bg-light-secondary dark:bg-dark-primary dark:hover:bg-dark-secondary"
+                disabled={isCreating}
+              >
+                <FaPlus /> Create Job
+              </button>
+              <button
+                onClick={handleImportJobs}
+                className="flex items-center gap-2 rounded border border-light-primary px-4 py-2 text-light-primary transition hover:bg-light-primary hover:text-white dark:border-dark-primary dark:text-dark-primary dark:hover:bg-dark-primary dark:hover:text-dark-background"
+              >
+                <FaFileImport /> Import Jobs
+              </button>
+            </div>
+
+            <div className="mb-4 flex flex-wrap gap-2">
+              {JOB_STATUS_TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  type="button"
+                  onClick={() => handleStatusTabChange(tab.value)}
+                  className={`rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-300 ${
+                    statusTab === tab.value
+                      ? 'bg-light-primary text-white dark:bg-dark-primary dark:text-dark-background'
+                      : 'bg-light-primary bg-opacity-10 text-light-primary hover:bg-opacity-20 dark:text-dark-primary'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
 
             <Table
               columns={columns}
@@ -674,6 +1106,12 @@ export default function JobsScreen() {
         )}
       </section>
 
+      <JobImportWizard
+        isOpen={showImportWizard}
+        onClose={() => setShowImportWizard(false)}
+        onImported={handleJobsImported}
+      />
+
       {/* Create Modal */}
       <Modal
         isOpen={showCreateModal}
@@ -696,14 +1134,7 @@ export default function JobsScreen() {
               onChange={handleTitleChange}
               validationMessage={errors.title}
             />
-            <InputField
-              id="company"
-              type="text"
-              label="Company"
-              value={company}
-              onChange={handleCompanyChange}
-              validationMessage={errors.company}
-            />
+            {renderCompanyFields()}
             <InputField
               id="description"
               type="textarea"
@@ -728,47 +1159,25 @@ export default function JobsScreen() {
               onChange={handleBenefitsChange}
               validationMessage={errors.benefits}
             />
-            <InputField
-              id="salaryRange"
-              type="text"
-              label="Salary Range"
-              placeholder="$30k - $50k"
-              value={salaryRange}
-              onChange={handleSalaryRangeChange}
-              validationMessage={errors.salaryRange}
-            />
+            {renderSalaryFields()}
             <InputField
               id="category"
               type="select"
               label="Category"
               value={category}
-              onChange={(e) => handleCategoryChange(e.target.value)}
+              onChange={handleCategoryChange}
               validationMessage={errors.category}
-              options={[
-                { value: 'IT', label: 'IT' },
-                { value: 'Engineering', label: 'Engineering' },
-                { value: 'Sales', label: 'Sales' },
-                { value: 'Marketing', label: 'Marketing' },
-                { value: 'Finance', label: 'Finance' },
-                { value: 'Other', label: 'Other' },
-              ]}
+              options={categoryOptions}
             />
-            {category === 'Other' && (
-              <InputField
-                id="customCategory"
-                type="text"
-                label="Specify Category"
-                placeholder="e.g. Customer Success"
-                value={customCategory}
-                onChange={handleCustomCategoryChange}
-                validationMessage={errors.customCategory}
-              />
+            {renderLocationFields()}
+            {renderLifecycleFields(
+              '',
+              JOB_STATUS_OPTIONS.filter((option) => option.value !== 'closed')
             )}
-            <LocationAutoComplete
-              value={location}
-              onChange={handleLocationChange}
-              onValidationChange={handleLocationValidationChange}
-              placeholder="Start typing a city (e.g., Karachi)"
+            <ScreeningQuestionsEditor
+              questions={screeningQuestions}
+              onChange={handleScreeningQuestionsChange}
+              validationMessage={errors.screeningQuestions}
             />
             <div className="flex justify-end space-x-2 pt-4">
               <button
@@ -814,14 +1223,7 @@ export default function JobsScreen() {
               onChange={handleTitleChange}
               validationMessage={errors.title}
             />
-            <InputField
-              id="company-edit"
-              type="text"
-              label="Company"
-              value={company}
-              onChange={handleCompanyChange}
-              validationMessage={errors.company}
-            />
+            {renderCompanyFields('-edit')}
             <InputField
               id="description-edit"
               type="textarea"
@@ -846,56 +1248,23 @@ export default function JobsScreen() {
               onChange={handleBenefitsChange}
               validationMessage={errors.benefits}
             />
-            <InputField
-              id="salaryRange-edit"
-              type="text"
-              label="Salary Range"
-              placeholder="$30k - $50k"
-              value={salaryRange}
-              onChange={handleSalaryRangeChange}
-              validationMessage={errors.salaryRange}
-            />
+            {renderSalaryFields('-edit')}
             <InputField
               id="category-edit"
               type="select"
               label="Category"
               value={category}
-              onChange={(e) => handleCategoryChange(e.target.value)}
+              onChange={handleCategoryChange}
               validationMessage={errors.category}
-              options={[
-                { value: 'IT', label: 'IT' },
-                { value: 'Engineering', label: 'Engineering' },
-                { value: 'Sales', label: 'Sales' },
-                { value: 'Marketing', label: 'Marketing' },
-                { value: 'Finance', label: 'Finance' },
-                { value: 'Other', label: 'Other' },
-              ]}
+              options={categoryOptions}
             />
-            {category === 'Other' && (
-              <InputField
-                id="customCategoryEdit"
-                type="text"
-                label="Specify Category"
-                placeholder="e.g. Customer Success"
-                value={customCategory}
-                onChange={handleCustomCategoryChange}
-                validationMessage={errors.customCategory}
-              />
-            )}
-            <LocationAutoComplete
-              id="job-location-edit"
-              value={location}
-              onChange={handleLocationChange}
-              onValidationChange={handleLocationValidationChange}
-              placeholder="Start typing a city (e.g., Lahore)"
-            />
-            <InputField
-              id="isClosed"
-              type="checkbox"
-              label="Closed"
-              checked={isClosed}
-              value={isClosed}
-              onChange={(e) => setIsClosed(e.target.checked)}
+            {renderLocationFields('-edit')}
+            {renderLifecycleFields('-edit', JOB_STATUS_OPTIONS)}
+            <ScreeningQuestionsEditor
+              idPrefix="screening-edit"
+              questions={screeningQuestions}
+              onChange={handleScreeningQuestionsChange}
+              validationMessage={errors.screeningQuestions}
             />
             <div className="flex justify-end space-x-2 pt-4">
               <button
@@ -919,6 +1288,18 @@ export default function JobsScreen() {
         )}
       </Modal>
 
+      <JobHistoryDrawer
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        job={selectedJob}
+      />
+
+      <JobPipelineEditor
+        isOpen={showPipeline}
+        onClose={() => setShowPipeline(false)}
+        job={selectedJob}
+      />
+
       {/* Details Modal */}
       <Modal
         isOpen={showDetailsModal}
@@ -962,7 +1343,10 @@ export default function JobsScreen() {
                     Location
                   </p>
                   <p className="break-words text-lg font-medium text-light-text dark:text-dark-text">
-                    {selectedJob.location}
+                    {getJobLocations(selectedJob).join(', ') || 'Anywhere'}
+                  </p>
+                  <p className="mt-1 text-sm text-light-text dark:text-dark-text">
+                    Work mode: {getWorkModeLabel(selectedJob.workMode)}
                   </p>
                 </div>
               </div>
@@ -1006,6 +1390,34 @@ export default function JobsScreen() {
               </div>
             </div>
 
+            <div className="border-b border-light-border pb-4 dark:border-dark-border">
+              <div className="flex items-start">
+                <div className="mr-4 mt-1 flex w-6 min-w-[24px] justify-center">
+                  <FaCalendarAlt
+                    className="text-light-primary dark:text-dark-primary"
+                    size={20}
+                  />
+                </div>
+                <div className="flex-1">
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Status
+                  </p>
+                  <p className="text-lg font-medium text-light-text dark:text-dark-text">
+                    {JOB_STATUS_BADGES[getJobStatus(selectedJob)].label}
+                  </p>
+                  {getJobStatus(selectedJob) === 'scheduled' && (
+                    <p className="mt-1 text-sm text-light-text dark:text-dark-text">
+                      Publishes: {formatDateTime(selectedJob.publishAt)}
+                    </p>
+                  )}
+                  <p className="mt-1 text-sm text-light-text dark:text-dark-text">
+                    Application deadline:{' '}
+                    {formatDateTime(selectedJob.applicationDeadline)}
+                  </p>
+                </div>
+              </div>
+            </div>
+
             <div className="border-b border-light-border pb-4 dark:border-dark-border">
               <div className="flex items-start">
                 <div className="mr-4 mt-1 flex w-6 min-w-[24px] justify-center">
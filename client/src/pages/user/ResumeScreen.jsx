@@ -9,6 +9,7 @@ import {
   FaGraduationCap,
   FaHeading,
   FaIndustry,
+  FaMapMarkerAlt,
   FaRegAddressCard,
   FaSave,
   FaTimes,
@@ -22,6 +23,7 @@ import { useLocation, useNavigate } from 'react-router-dom';
 
 import Alert from '../../components/Alert';
 import Loader from '../../components/Loader';
+import LocationAutoComplete from '../../components/LocationAutoComplete';
 import Modal from '../../components/Modal';
 import InputField from '../../components/ui/mainLayout/InputField';
 
@@ -59,6 +61,7 @@ function ResumeScreen() {
   const [experience, setExperience] = useState('');
   const [education, setEducation] = useState('');
   const [industry, setIndustry] = useState('');
+  const [city, setCity] = useState('');
   const [availability, setAvailability] = useState('Immediate');
   const [company, setCompany] = useState('');
   const [achievements, setAchievements] = useState('');
@@ -77,6 +80,7 @@ function ResumeScreen() {
     experience: '',
     education: '',
     industry: '',
+    location: '',
     availability: '',
     company: '',
     achievements: '',
@@ -171,6 +175,8 @@ function ResumeScreen() {
 
     if (section === 'additional' || section === 'all') {
       sectionErrors.industry = validateIndustry(industry);
+      // The city picker reports its own validation message
+      sectionErrors.location = errors.location || '';
       sectionErrors.availability = validateAvailability(availability);
       sectionErrors.company = validateCompany(company);
       sectionErrors.achievements = validateAchievements(achievements);
@@ -206,6 +212,7 @@ function ResumeScreen() {
         experience,
         education,
         industry,
+        location: city,
         availability,
         company,
         achievements,
@@ -259,9 +266,16 @@ function ResumeScreen() {
 
   const resetAdditional = () => {
     if (resumeData?.profile) {
-      const { industry, availability, company, achievements, portfolio } =
-        resumeData.profile;
+      const {
+        industry,
+        location: profileCity,
+        availability,
+        company,
+        achievements,
+        portfolio,
+      } = resumeData.profile;
       setIndustry(industry || '');
+      setCity(profileCity || '');
       setAvailability(availability || 'Immediate');
       setCompany(company || '');
       setAchievements(achievements || '');
@@ -324,6 +338,7 @@ function ResumeScreen() {
       setExperience(profile.experience || '');
       setEducation(profile.education || '');
       setIndustry(profile.industry || '');
+      setCity(profile.location || '');
       setAvailability(profile.availability || 'Immediate');
       setCompany(profile.company || '');
       setAchievements(profile.achievements || '');
@@ -777,6 +792,16 @@ function ResumeScreen() {
                         validationMessage={errors.industry}
                         icon={<FaIndustry className="text-gray-400" />}
                       />
+                      <LocationAutoComplete
+                        id="resume-location"
+                        label="City (used to find jobs near you)"
+                        value={city}
+                        required={false}
+                        onChange={setCity}
+                        onValidationChange={(message) =>
+                          setErrors((prev) => ({ ...prev, location: message }))
+                        }
+                      />
                       <InputField
                         id="availability"
                         type="select"
@@ -863,6 +888,23 @@ function ResumeScreen() {
                         </div>
                       </div>
 
+                      <div className="border-b border-light-border pb-4 dark:border-dark-border">
+                        <div className="flex items-start">
+                          <FaMapMarkerAlt
+                            className="mr-4 mt-1 text-light-primary dark:text-dark-primary"
+                            size={20}
+                          />
+                          <div>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                              City
+                            </p>
+                            <p className="text-lg font-medium text-light-text dark:text-dark-text">
+                              {city || 'Not set'}
+                            </p>
+                          </div>
+                        </div>
+                      </div>
+
                       <div className="border-b border-light-border pb-4 dark:border-dark-border">
                         <div className="flex items-start">
                           <FaCalendarAlt
@@ -14,6 +14,7 @@ import RecruiterLayout from './layouts/RecruiterLayout.jsx';
 
 import AdminAIConfigurationScreen from './pages/admin/AIConfigurationScreen.jsx';
 import AdminApplicationsScreen from './pages/admin/ApplicationsScreen.jsx';
+import AdminCategoriesScreen from './pages/admin/CategoriesScreen.jsx';
 import AdminContractsScreen from './pages/admin/ContractsScreen.jsx';
 import AdminDashboardScreen from './pages/admin/DashboardScreen.jsx';
 import AdminInterviewerRatingsScreen from './pages/admin/InterviewerRatingsScreen.jsx';
@@ -35,6 +36,7 @@ import CandidateApplicationSuccessScreen from './pages/candidate/ApplicationSucc
 import CandidateApplyScreen from './pages/candidate/ApplyScreen.jsx';
 import CandidateDashboardScreen from './pages/candidate/DashboardScreen.jsx';
 import CandidateInterviewsScreen from './pages/candidate/InterviewsScreen.jsx';
+import CandidateJobAlertsScreen from './pages/candidate/JobAlertsScreen.jsx';
 import CandidateJobsScreen from './pages/candidate/JobsScreen.jsx';
 import AssessmentScreen from './pages/assessment/AssessmentScreen.jsx';
 import AssessmentResultsScreen from './pages/assessment/AssessmentResultsScreen.jsx';
@@ -53,6 +55,7 @@ import InterviewerStripeConnectRefreshScreen from './pages/interviewer/StripeCon
 import InterviewerStripeConnectReturnScreen from './pages/interviewer/StripeConnectReturnScreen.jsx';
 
 import RecruiterApplicationsScreen from './pages/recruiter/ApplicationsScreen.jsx';
+import RecruiterCompaniesScreen from './pages/recruiter/CompaniesScreen.jsx';
 import RecruiterChatsScreen from './pages/recruiter/ChatsScreen.jsx';
 import RecruiterContractsScreen from './pages/recruiter/ContractsScreen.jsx';
 import RecruiterDashboardScreen from './pages/recruiter/DashboardScreen.jsx';
@@ -61,10 +64,13 @@ import RecruiterJobsScreen from './pages/recruiter/JobsScreen.jsx';
 import RecruiterRatingsScreen from './pages/recruiter/RatingsScreen.jsx';
 
 import ComingSoon from './pages/ComingSoon.jsx';
+import CompanyScreen from './pages/CompanyScreen.jsx';
 import ErrorScreen from './pages/ErrorScreen.jsx';
 import HomeScreen from './pages/HomeScreen.jsx';
+import JobDetailsScreen from './pages/JobDetailsScreen.jsx';
 import JobsScreen from './pages/JobsScreen.jsx';
 import NotFoundScreen from './pages/NotFoundScreen.jsx';
+import UnsubscribeAlertScreen from './pages/UnsubscribeAlertScreen.jsx';
 
 import RequireAuth from './guards/RequireAuth.jsx';
 import RequireRole from './guards/RequireRole.jsx';
@@ -86,6 +92,7 @@ const router = createBrowserRouter(
         <Route path="dashboard" element={<AdminDashboardScreen />} />
         <Route path="users" element={<AdminUsersScreen />} />
         <Route path="jobs" element={<AdminJobsScreen />} />
+        <Route path="categories" element={<AdminCategoriesScreen />} />
         <Route path="applications" element={<AdminApplicationsScreen />} />
         <Route path="contracts" element={<AdminContractsScreen />} />
         <Route path="interviews" element={<AdminInterviewsScreen />} />
@@ -157,6 +164,7 @@ const router = createBrowserRouter(
         />
         <Route path="applications" element={<CandidateApplicationsScreen />} />
         <Route path="interviews" element={<CandidateInterviewsScreen />} />
+        <Route path="alerts" element={<CandidateJobAlertsScreen />} />
       </Route>
 
       <Route
@@ -232,6 +240,12 @@ const router = createBrowserRouter(
           />
         </Route>
         <Route path="jobs" element={<JobsScreen />} />
+        <Route path="jobs/:slug" element={<JobDetailsScreen />} />
+        <Route path="companies/:slug" element={<CompanyScreen />} />
+        <Route
+          path="alerts/unsubscribe/:token"
+          element={<UnsubscribeAlertScreen />}
+        />
       </Route>
 
       <Route
@@ -247,6 +261,7 @@ const router = createBrowserRouter(
         <Route index element={<Navigate to="dashboard" replace />} />
         <Route path="dashboard" element={<RecruiterDashboardScreen />} />
         <Route path="jobs" element={<RecruiterJobsScreen />} />
+        <Route path="companies" element={<RecruiterCompaniesScreen />} />
         <Route path="chats" element={<RecruiterChatsScreen />} />
         <Route path="contracts" element={<RecruiterContractsScreen />} />
         <Route path="applications" element={<RecruiterApplicationsScreen />} />
@@ -4,14 +4,19 @@ import { aiApi } from './features/ai/aiApi';
 import { applicationApi } from './features/application/applicationApi';
 import { assessmentApi } from './features/assessment/assessmentApi';
 import { authApi } from './features/auth/authApi';
+import { bookmarkApi } from './features/bookmark/bookmarkApi';
+import { categoryApi } from './features/category/categoryApi';
 import { chatApi } from './features/chat/chatApi';
+import { companyApi } from './features/company/companyApi';
 import { contractApi } from './features/contract/contractApi';
 import { interviewApi } from './features/interview/interviewApi';
 import { interviewerRatingApi } from './features/interviewerRating/interviewerRatingApi';
 import { jobApi } from './features/job/jobApi';
+import { offerApi } from './features/offer/offerApi';
 import { paymentApi } from './features/payment/paymentApi';
 import { reportApi } from './features/report/reportApi';
 import { resumeApi } from './features/resume/resumeApi';
+import { savedSearchApi } from './features/savedSearch/savedSearchApi';
 import { transactionApi } from './features/transaction/transactionApi';
 import { userApi } from './features/user/userApi';
 
@@ -23,14 +28,19 @@ const store = configureStore({
     [applicationApi.reducerPath]: applicationApi.reducer,
     [assessmentApi.reducerPath]: assessmentApi.reducer,
     [authApi.reducerPath]: authApi.reducer,
+    [bookmarkApi.reducerPath]: bookmarkApi.reducer,
+    [categoryApi.reducerPath]: categoryApi.reducer,
     [chatApi.reducerPath]: chatApi.reducer,
+    [companyApi.reducerPath]: companyApi.reducer,
     [contractApi.reducerPath]: contractApi.reducer,
     [interviewApi.reducerPath]: interviewApi.reducer,
     [interviewerRatingApi.reducerPath]: interviewerRatingApi.reducer,
     [jobApi.reducerPath]: jobApi.reducer,
+    [offerApi.reducerPath]: offerApi.reducer,
     [paymentApi.reducerPath]: paymentApi.reducer,
     [reportApi.reducerPath]: reportApi.reducer,
     [resumeApi.reducerPath]: resumeApi.reducer,
+    [savedSearchApi.reducerPath]: savedSearchApi.reducer,
     [transactionApi.reducerPath]: transactionApi.reducer,
     [userApi.reducerPath]: userApi.reducer,
     auth: authReducer,
@@ -41,14 +51,19 @@ const store = configureStore({
       applicationApi.middleware,
       assessmentApi.middleware,
       authApi.middleware,
+      bookmarkApi.middleware,
+      categoryApi.middleware,
       chatApi.middleware,
+      companyApi.middleware,
       contractApi.middleware,
       interviewApi.middleware,
       interviewerRatingApi.middleware,
       jobApi.middleware,
+      offerApi.middleware,
       paymentApi.middleware,
       reportApi.middleware,
       resumeApi.middleware,
+      savedSearchApi.middleware,
       transactionApi.middleware,
       userApi.middleware,
       (store) => (next) => (action) => {
@@ -59,14 +74,19 @@ const store = configureStore({
           store.dispatch(applicationApi.util.resetApiState());
           store.dispatch(assessmentApi.util.resetApiState());
           store.dispatch(authApi.util.resetApiState());
+          store.dispatch(bookmarkApi.util.resetApiState());
+          store.dispatch(categoryApi.util.resetApiState());
           store.dispatch(chatApi.util.resetApiState());
+          store.dispatch(companyApi.util.resetApiState());
           store.dispatch(contractApi.util.resetApiState());
           store.dispatch(interviewApi.util.resetApiState());
           store.dispatch(interviewerRatingApi.util.resetApiState());
           store.dispatch(jobApi.util.resetApiState());
+          store.dispatch(offerApi.util.resetApiState());
           store.dispatch(paymentApi.util.resetApiState());
           store.dispatch(reportApi.util.resetApiState());
           store.dispatch(resumeApi.util.resetApiState());
+          store.dispatch(savedSearchApi.util.resetApiState());
           store.dispatch(transactionApi.util.resetApiState());
           store.dispatch(userApi.util.resetApiState());
         }
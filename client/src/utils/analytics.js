@@ -15,3 +15,41 @@ export const trackEvent = (category, action, label = null) => {
     label,
   });
 };
+
+const SESSION_ID_KEY = 'analyticsSessionId';
+const UTM_PARAMS_KEY = 'utmParams';
+const UTM_FIELDS = ['source', 'medium', 'campaign'];
+
+// Random ID for this browser session, sent with job views, apply clicks and applications
+export const getAnalyticsSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  if (!sessionId) {
+    sessionId =
+      window.crypto?.randomUUID?.() ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+// Keeps the utm parameters of the landing URL for the rest of the session
+export const captureUtmParams = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const utm = {};
+  UTM_FIELDS.forEach((field) => {
+    const value = params.get(`utm_${field}`);
+    if (value) utm[field] = value;
+  });
+
+  if (Object.keys(utm).length > 0) {
+    sessionStorage.setItem(UTM_PARAMS_KEY, JSON.stringify(utm));
+  }
+};
+
+export const getUtmParams = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(UTM_PARAMS_KEY)) || undefined;
+  } catch {
+    return undefined;
+  }
+};
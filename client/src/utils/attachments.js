@@ -0,0 +1,60 @@
+// Mirrors the server's limits in utils/attachment.utils.js
+export const MAX_COVER_LETTER_LENGTH = 5000;
+export const MIN_COVER_LETTER_LENGTH = 20;
+export const MAX_ATTACHMENTS = 3;
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+export const ATTACHMENT_TYPES = {
+  'application/pdf': 'PDF',
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+  'application/msword': 'Word',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    'Word',
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const validateCoverLetter = (coverLetter) => {
+  const length = coverLetter.trim().length;
+  if (length === 0) return '';
+  if (length < MIN_COVER_LETTER_LENGTH) {
+    return `Cover letter should be at least ${MIN_COVER_LETTER_LENGTH} characters.`;
+  }
+  if (length > MAX_COVER_LETTER_LENGTH) {
+    return `Cover letter should be at most ${MAX_COVER_LETTER_LENGTH} characters.`;
+  }
+  return '';
+};
+
+// Checks a picked file before it is read; returns an error message, or ''
+export const validateAttachmentFile = (file) => {
+  if (!ATTACHMENT_TYPES[file.type]) {
+    return `"${file.name}" is not a supported file type. Please attach a PDF, Word document, PNG or JPEG.`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `"${file.name}" is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB.`;
+  }
+  return '';
+};
+
+// Reads a file into the `{ name, contentType, size, data }` shape the
+// applications API accepts, with `data` as a base64 data URL
+export const readAttachment = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve({
+        name: file.name,
+        contentType: file.type,
+        size: file.size,
+        data: reader.result,
+      });
+    reader.onerror = () =>
+      reject(new Error(`"${file.name}" could not be read.`));
+    reader.readAsDataURL(file);
+  });
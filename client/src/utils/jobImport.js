@@ -0,0 +1,222 @@
+/**
+ * Parsing and preview validation for bulk job import files
+ */
+
+import { EMPTY_SALARY, validateAllFields } from './jobValidation';
+
+export const MAX_IMPORT_ROWS = 100;
+
+// Header names the server understands, in the order used by the template
+export const CSV_TEMPLATE_COLUMNS = [
+  'title',
+  'description',
+  'requirements',
+  'benefits',
+  'company',
+  'category',
+  'salaryMin',
+  'salaryMax',
+  'salaryCurrency',
+  'salaryPeriod',
+  'workMode',
+  'locations',
+  'status',
+  'publishAt',
+  'applicationDeadline',
+];
+
+const CSV_TEMPLATE_EXAMPLE = [
+  'Senior Node.js Developer',
+  'We are looking for a senior Node.js developer to build and scale our hiring platform APIs.',
+  '5+ years of Node.js experience, Strong MongoDB and REST API skills',
+  'Health insurance for your family, Flexible remote-friendly working hours',
+  'Tech Solutions Inc.',
+  'IT',
+  '250000',
+  '400000',
+  'PKR',
+  'month',
+  'hybrid',
+  'Lahore; Karachi',
+  'published',
+  '',
+  '',
+];
+
+const escapeCsvCell = (value) =>
+  /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+export const CSV_TEMPLATE = [CSV_TEMPLATE_COLUMNS, CSV_TEMPLATE_EXAMPLE]
+  .map((row) => row.map(escapeCsvCell).join(','))
+  .join('\n');
+
+export const getImportFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return ['csv', 'json'].includes(extension) ? extension : '';
+};
+
+// Quoted cells may contain commas, line breaks and doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+const normalizeHeader = (name) => name.toLowerCase().replace(/[\s_]+/g, '');
+
+const csvToJobs = (content) => {
+  const [header = [], ...records] = parseCsv(content);
+  const fields = header.map((name) =>
+    CSV_TEMPLATE_COLUMNS.concat('location', 'salaryRange').find(
+      (column) => normalizeHeader(column) === normalizeHeader(name)
+    )
+  );
+
+  if (!fields.includes('title')) {
+    throw new Error(
+      'The CSV file needs a header row with at least a "title" column.'
+    );
+  }
+
+  return records.map((cells) => {
+    const record = {};
+    fields.forEach((field, index) => {
+      if (field && cells[index]?.trim()) record[field] = cells[index].trim();
+    });
+
+    const { salaryMin, salaryMax, salaryCurrency, salaryPeriod, ...job } =
+      record;
+    if (salaryMin || salaryMax) {
+      job.salary = {
+        min: salaryMin,
+        max: salaryMax || salaryMin,
+        currency: salaryCurrency,
+        period: salaryPeriod,
+      };
+    }
+    const locations = job.locations || job.location;
+    if (locations) {
+      delete job.location;
+      job.locations = locations
+        .split(';')
+        .map((city) => city.trim())
+        .filter(Boolean);
+    }
+    return job;
+  });
+};
+
+/**
+ * Reads an import file into jobs in the create-job request shape.
+ * Throws with a readable message when the file cannot be used at all.
+ */
+export const parseImportFile = (format, content) => {
+  let jobs;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      throw new Error('The import file is not valid JSON.');
+    }
+    jobs = Array.isArray(parsed) ? parsed : parsed?.jobs;
+    if (!Array.isArray(jobs)) {
+      throw new Error(
+        'JSON imports should contain a list of job objects or a "jobs" list.'
+      );
+    }
+  } else {
+    jobs = csvToJobs(content);
+  }
+
+  if (jobs.length === 0) {
+    throw new Error('The import file does not contain any jobs.');
+  }
+  if (jobs.length > MAX_IMPORT_ROWS) {
+    throw new Error(
+      `You can import at most ${MAX_IMPORT_ROWS} jobs at a time. Please split the file and try again.`
+    );
+  }
+
+  return jobs;
+};
+
+const toText = (value) =>
+  Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+/**
+ * Runs the job form's validation on an imported row so problems show up in
+ * the preview before the server dry run. Screening questions are checked
+ * by the server only.
+ */
+export const validateImportRow = (job) => {
+  const salary = job?.salary || {};
+  const { errors } = validateAllFields({
+    title: toText(job?.title),
+    description: toText(job?.description),
+    company: toText(job?.company),
+    requirements: toText(job?.requirements),
+    benefits: toText(job?.benefits),
+    salary: {
+      min: toText(salary.min),
+      max: toText(salary.max ?? salary.min),
+      currency: salary.currency
+        ? String(salary.currency).toUpperCase()
+        : EMPTY_SALARY.currency,
+      period: salary.period || EMPTY_SALARY.period,
+    },
+    category: toText(job?.category),
+    workMode: job?.workMode || 'onsite',
+    locations: Array.isArray(job?.locations)
+      ? job.locations
+      : job?.location
+        ? [job.location]
+        : [],
+    status: job?.status || 'published',
+    publishAt: job?.publishAt || '',
+    applicationDeadline: job?.applicationDeadline || '',
+    screeningQuestions: [],
+  });
+
+  // Free-text salary ranges are parsed by the server
+  if (!job?.salary && job?.salaryRange) delete errors.salary;
+
+  return Object.values(errors).filter(Boolean);
+};
@@ -96,73 +96,134 @@ export const validateBenefits = (benefits) => {
   return '';
 };
 
-export const validateSalaryRange = (salaryRange) => {
-  if (!salaryRange || !salaryRange.trim()) {
-    return 'Salary range is required.';
-  }
-  if (salaryRange.trim().length < 2) {
-    return 'Salary range must be at least 2 characters.';
-  }
-  if (salaryRange.trim().length > 100) {
-    return 'Salary range must not exceed 100 characters.';
-  }
-  
-  // Check for negative numbers in salary range
-  // Pattern: "$50k - $60k" or "50000 - 60000" or "$50,000-$60,000"
-  const salaryPattern = /(\d+)/g;
-  const numbers = salaryRange.match(salaryPattern);
-  
-  if (numbers) {
-    for (const num of numbers) {
-      const numValue = parseInt(num, 10);
-      if (numValue < 0) {
-        return 'Salary cannot be negative.';
-      }
-      if (numValue === 0) {
-        return 'Salary must be greater than 0.';
-      }
-    }
+export const SALARY_CURRENCIES = ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR'];
+
+export const SALARY_PERIODS = [
+  { value: 'hour', label: 'Per hour' },
+  { value: 'month', label: 'Per month' },
+  { value: 'year', label: 'Per year' },
+];
+
+export const EMPTY_SALARY = {
+  min: '',
+  max: '',
+  currency: 'PKR',
+  period: 'month',
+};
+
+export const validateSalary = (salary) => {
+  if (!salary || salary.min === '' || salary.max === '') {
+    return 'Minimum and maximum salary are required.';
   }
-  
-  // Check if the string contains negative sign before numbers
-  if (/-?\s*\d+/.test(salaryRange) && salaryRange.includes('-') && !salaryRange.match(/\$\d+\s*-\s*\$\d+/)) {
-    // If it's not a range format like "$50k - $60k", check for negative
-    const negativeMatch = salaryRange.match(/-(\d+)/);
-    if (negativeMatch && parseInt(negativeMatch[1], 10) > 0) {
-      return 'Salary cannot be negative.';
-    }
+  const min = Number(salary.min);
+  const max = Number(salary.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    return 'Salary must be a valid number.';
+  }
+  if (min < 0 || max < 0) {
+    return 'Salary cannot be negative.';
+  }
+  if (min === 0 || max === 0) {
+    return 'Salary must be greater than 0.';
+  }
+  if (max < min) {
+    return 'Maximum salary must be greater than or equal to minimum salary.';
+  }
+  if (!SALARY_CURRENCIES.includes(salary.currency)) {
+    return 'Please select a salary currency.';
+  }
+  if (!SALARY_PERIODS.some((period) => period.value === salary.period)) {
+    return 'Please select a salary period.';
   }
-  
   return '';
 };
 
-export const validateCategory = (category, customCategory) => {
+export const validateCategory = (category) => {
   if (!category || !category.trim()) {
     return 'Category is required.';
   }
-  if (category === 'Other') {
-    if (!customCategory || !customCategory.trim()) {
-      return 'Please specify a custom category.';
-    }
-    if (customCategory.trim().length < 2) {
-      return 'Custom category must be at least 2 characters.';
-    }
-    if (customCategory.trim().length > 100) {
-      return 'Custom category must not exceed 100 characters.';
-    }
+  return '';
+};
+
+// Flattens the category tree from the API into select options. Sub-categories
+// are listed under their parent.
+export const getCategoryOptions = (categories = []) =>
+  categories.flatMap((category) => [
+    { value: category.name, label: category.name },
+    ...(category.children || []).map((child) => ({
+      value: child.name,
+      label: `${category.name} › ${child.name}`,
+    })),
+  ]);
+
+export const WORK_MODE_OPTIONS = [
+  { value: 'onsite', label: 'On-site' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'remote', label: 'Remote' },
+];
+
+export const MAX_JOB_LOCATIONS = 10;
+
+// Remote jobs may leave the city list empty
+export const validateLocations = (workMode, locations = []) => {
+  if (!WORK_MODE_OPTIONS.some((option) => option.value === workMode)) {
+    return 'Please select a work mode.';
+  }
+  if (workMode !== 'remote' && locations.length === 0) {
+    return 'Please add at least one location.';
+  }
+  if (locations.length > MAX_JOB_LOCATIONS) {
+    return `Please add no more than ${MAX_JOB_LOCATIONS} locations.`;
   }
   return '';
 };
 
-export const validateLocation = (location) => {
-  if (!location || !location.trim()) {
-    return 'Location is required.';
+// Jobs created before multi-location support only carry the single location
+export const getJobLocations = (job) => {
+  if (job?.locations?.length > 0) return job.locations;
+  if (job?.location && job.location !== 'Remote') return [job.location];
+  return [];
+};
+
+export const getWorkModeLabel = (workMode) =>
+  (
+    WORK_MODE_OPTIONS.find((option) => option.value === workMode) ||
+    WORK_MODE_OPTIONS[0]
+  ).label;
+
+export const JOB_STATUS_OPTIONS = [
+  { value: 'published', label: 'Published' },
+  { value: 'draft', label: 'Draft' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'closed', label: 'Closed' },
+];
+
+export const validatePublishAt = (status, publishAt) => {
+  if (status !== 'scheduled') return '';
+  if (!publishAt) {
+    return 'Publish date is required to schedule a job.';
   }
-  if (location.trim().length < 2) {
-    return 'Location must be at least 2 characters.';
+  if (new Date(publishAt) <= new Date()) {
+    return 'Publish date must be in the future.';
   }
-  if (location.trim().length > 100) {
-    return 'Location must not exceed 100 characters.';
+  return '';
+};
+
+export const validateApplicationDeadline = (
+  status,
+  publishAt,
+  applicationDeadline
+) => {
+  if (!applicationDeadline) return '';
+  const deadline = new Date(applicationDeadline);
+  if (Number.isNaN(deadline.getTime())) {
+    return 'Please provide a valid application deadline.';
+  }
+  if (status !== 'closed' && deadline <= new Date()) {
+    return 'Application deadline must be in the future.';
+  }
+  if (status === 'scheduled' && publishAt && deadline <= new Date(publishAt)) {
+    return 'Application deadline must be after the publish date.';
   }
   return '';
 };
@@ -174,12 +235,153 @@ export const validateAllFields = (formData) => {
     company: validateCompany(formData.company),
     requirements: validateRequirements(formData.requirements),
     benefits: validateBenefits(formData.benefits),
-    salaryRange: validateSalaryRange(formData.salaryRange),
-    category: validateCategory(formData.category, formData.customCategory),
-    location: validateLocation(formData.location),
+    salary: validateSalary(formData.salary),
+    category: validateCategory(formData.category),
+    location: validateLocations(formData.workMode, formData.locations),
+    publishAt: validatePublishAt(formData.status, formData.publishAt),
+    applicationDeadline: validateApplicationDeadline(
+      formData.status,
+      formData.publishAt,
+      formData.applicationDeadline
+    ),
+    screeningQuestions: validateScreeningQuestions(formData.screeningQuestions),
   };
 
   const isValid = Object.values(errors).every((error) => error === '');
   return { errors, isValid };
 };
 
+export const SCREENING_QUESTION_TYPES = [
+  { value: 'yes_no', label: 'Yes / No' },
+  { value: 'number', label: 'Number' },
+  { value: 'single_choice', label: 'Single choice' },
+  { value: 'text', label: 'Free text' },
+];
+
+export const MAX_SCREENING_QUESTIONS = 10;
+
+export const EMPTY_SCREENING_QUESTION = {
+  question: '',
+  type: 'yes_no',
+  options: '',
+  isRequired: true,
+  knockoutEnabled: false,
+  expectedAnswer: 'yes',
+  min: '',
+  max: '',
+  acceptedOptions: [],
+};
+
+// Choices are edited one per line
+export const parseScreeningOptions = (options) => [
+  ...new Set(
+    String(options || '')
+      .split(/\r?\n/)
+      .map((option) => option.trim())
+      .filter(Boolean)
+  ),
+];
+
+// Maps the job's screening questions to the editor's form state
+export const toScreeningQuestionsForm = (questions = []) =>
+  questions.map((question) => ({
+    ...EMPTY_SCREENING_QUESTION,
+    _id: question._id,
+    question: question.question || '',
+    type: question.type || 'yes_no',
+    options: (question.options || []).join('\n'),
+    isRequired: question.isRequired !== false,
+    knockoutEnabled: Boolean(question.knockout?.enabled),
+    expectedAnswer: question.knockout?.expectedAnswer === false ? 'no' : 'yes',
+    min: question.knockout?.min ?? '',
+    max: question.knockout?.max ?? '',
+    acceptedOptions: question.knockout?.acceptedOptions || [],
+    // Jobs listed without their rules keep the stored ones unless one is set
+    hasStoredKnockout: question.knockout !== undefined,
+  }));
+
+// Maps the editor's form state to the API payload
+export const buildScreeningQuestionsPayload = (questions = []) =>
+  questions.map((question) => {
+    const options =
+      question.type === 'single_choice'
+        ? parseScreeningOptions(question.options)
+        : [];
+    const hasKnockout = question.knockoutEnabled && question.type !== 'text';
+
+    let knockout = { enabled: false };
+    if (hasKnockout && question.type === 'yes_no') {
+      knockout = {
+        enabled: true,
+        expectedAnswer: question.expectedAnswer === 'yes',
+      };
+    } else if (hasKnockout && question.type === 'number') {
+      knockout = {
+        enabled: true,
+        ...(question.min !== '' && { min: Number(question.min) }),
+        ...(question.max !== '' && { max: Number(question.max) }),
+      };
+    } else if (hasKnockout && question.type === 'single_choice') {
+      knockout = {
+        enabled: true,
+        acceptedOptions: question.acceptedOptions.filter((option) =>
+          options.includes(option)
+        ),
+      };
+    }
+
+    const keepsStoredKnockout =
+      question._id && !question.hasStoredKnockout && !hasKnockout;
+
+    return {
+      ...(question._id && { _id: question._id }),
+      question: question.question.trim(),
+      type: question.type,
+      options,
+      isRequired: hasKnockout || question.isRequired,
+      ...(!keepsStoredKnockout && { knockout }),
+    };
+  });
+
+export const validateScreeningQuestions = (questions = []) => {
+  if (questions.length > MAX_SCREENING_QUESTIONS) {
+    return `A job can have at most ${MAX_SCREENING_QUESTIONS} screening questions.`;
+  }
+
+  for (const [index, question] of questions.entries()) {
+    const label = `Question ${index + 1}`;
+    const text = question.question.trim();
+
+    if (text.length < 5 || text.length > 300) {
+      return `${label} must be between 5 and 300 characters.`;
+    }
+
+    if (question.type === 'single_choice') {
+      const options = parseScreeningOptions(question.options);
+      if (options.length < 2 || options.length > 10) {
+        return `${label} needs between 2 and 10 distinct options.`;
+      }
+      if (
+        question.knockoutEnabled &&
+        !question.acceptedOptions.some((option) => options.includes(option))
+      ) {
+        return `${label}: choose at least one accepted option.`;
+      }
+    }
+
+    if (question.knockoutEnabled && question.type === 'number') {
+      if (question.min === '' && question.max === '') {
+        return `${label}: provide a minimum or maximum accepted value.`;
+      }
+      if (
+        question.min !== '' &&
+        question.max !== '' &&
+        Number(question.max) < Number(question.min)
+      ) {
+        return `${label}: the maximum must not be below the minimum.`;
+      }
+    }
+  }
+
+  return '';
+};
@@ -0,0 +1,53 @@
+// Mirrors the server's limits in utils/offer.utils.js
+export const MIN_OFFER_TERMS_LENGTH = 20;
+export const MAX_OFFER_TERMS_LENGTH = 10000;
+export const MAX_OFFER_VALIDITY_DAYS = 60;
+export const MAX_DECLINE_REASON_LENGTH = 500;
+
+export const OFFER_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-200 text-gray-800',
+  rescinded: 'bg-gray-200 text-gray-800',
+};
+
+export const EMPTY_OFFER = {
+  amount: '',
+  currency: 'PKR',
+  period: 'month',
+  startDate: '',
+  expiresAt: '',
+  terms: '',
+};
+
+// e.g. "PKR 250,000 / month"
+export const formatOfferSalary = ({ amount, currency, period }) =>
+  `${currency} ${Number(amount).toLocaleString()} / ${period}`;
+
+export const validateOffer = (offer) => {
+  if (!(Number(offer.amount) > 0)) {
+    return 'Please enter a salary greater than 0.';
+  }
+  if (!offer.startDate) {
+    return 'Please choose a start date.';
+  }
+  if (!offer.expiresAt) {
+    return 'Please choose when the offer expires.';
+  }
+  const timeLeft = new Date(offer.expiresAt) - new Date();
+  if (timeLeft <= 0) {
+    return 'The offer should expire in the future.';
+  }
+  if (timeLeft > MAX_OFFER_VALIDITY_DAYS * 24 * 60 * 60 * 1000) {
+    return `An offer can stay open for at most ${MAX_OFFER_VALIDITY_DAYS} days.`;
+  }
+  const length = offer.terms.trim().length;
+  if (length < MIN_OFFER_TERMS_LENGTH) {
+    return `Terms should be at least ${MIN_OFFER_TERMS_LENGTH} characters.`;
+  }
+  if (length > MAX_OFFER_TERMS_LENGTH) {
+    return `Terms should be at most ${MAX_OFFER_TERMS_LENGTH} characters.`;
+  }
+  return '';
+};
@@ -35,9 +35,17 @@ const paymentRoutes = require('./routes/payment.routes');
 const aiRoutes = require('./routes/ai.routes.js');
 const reportRoutes = require('./routes/report.routes');
 const preAssessmentRoutes = require('./routes/preAssessment.routes');
+const seoRoutes = require('./routes/seo.routes');
+const feedRoutes = require('./routes/feed.routes');
+const savedSearchRoutes = require('./routes/savedSearch.routes');
+const bookmarkRoutes = require('./routes/bookmark.routes');
+const categoryRoutes = require('./routes/category.routes');
+const companyRoutes = require('./routes/company.routes');
+const offerRoutes = require('./routes/offer.routes');
 
 const setupChatSocket = require('./sockets/chat.socket');
 const setupVideoCallSocket = require('./sockets/webrtc.socket');
+const { setupPipelineSocket } = require('./sockets/pipeline.socket');
 
 const swaggerOptions = require('./docs/swaggerOptions');
 
@@ -62,6 +70,10 @@ app.use(
   })
 );
 
+// Bulk job imports carry a whole CSV/JSON file in the request body
+app.use('/api/v1/jobs/import', express.json({ limit: '2mb' }));
+// Applications carry their attachments base64 encoded (up to 3 files of 5 MB)
+app.post('/api/v1/applications', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(helmet());
@@ -125,6 +137,9 @@ if (NODE_ENV === 'development' && !isVercel) {
   app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 }
 
+// Crawler-facing routes (sitemap.xml)
+app.use('/', seoRoutes);
+
 // API routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
@@ -140,6 +155,12 @@ app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/ai', aiRoutes);
 app.use('/api/v1/reports', reportRoutes);
 app.use('/api/v1/pre-assessments', preAssessmentRoutes);
+app.use('/api/v1/feeds', feedRoutes);
+app.use('/api/v1/saved-searches', savedSearchRoutes);
+app.use('/api/v1/bookmarks', bookmarkRoutes);
+app.use('/api/v1/categories', categoryRoutes);
+app.use('/api/v1/companies', companyRoutes);
+app.use('/api/v1/offers', offerRoutes);
 
 // Error handlers
 app.use(notFoundHandler);
@@ -157,6 +178,7 @@ if (!isVercel) {
   });
   setupChatSocket(io);
   setupVideoCallSocket(io);
+  setupPipelineSocket(io);
 
   connectDB().then(() => {
     server.listen(PORT, () => {
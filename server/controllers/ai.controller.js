@@ -9,6 +9,13 @@ const {
   sendEmail,
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
+const {
+  buildStageUpdate,
+  findStageByStatus,
+  getApplicationStage,
+  getPipelineStages,
+} = require('../utils/pipeline.utils');
+const { emitBoardChanged } = require('../sockets/pipeline.socket');
 
 // AI server URL — prefer explicit env var, fallback to local ML service default (port 10000)
 const AI_SERVER_URL = process.env.AI_SERVER_URL || 'http://localhost:10000';
@@ -300,6 +307,29 @@ const shortlistCandidates = asyncHandler(async (req, res) => {
     );
   }
 
+  // AI decisions move applications to the first pipeline stage with the
+  // decided status, recorded in their stage history as a system move
+  const stages = getPipelineStages(job);
+  const moveApplicationsToStatus = (apps, status) => {
+    const to = findStageByStatus(stages, status);
+    if (apps.length === 0) return null;
+
+    return Application.bulkWrite(
+      apps.map((app) => ({
+        updateOne: {
+          filter: { _id: app._id },
+          update: to
+            ? buildStageUpdate({
+                from: getApplicationStage(app, stages),
+                to,
+                reason: 'AI shortlisting',
+              })
+            : { $set: { status } },
+        },
+      }))
+    );
+  };
+
   // Get applications with complete candidate and resume data
   const applications = await Application.find({
     jobId,
@@ -450,11 +480,30 @@ const shortlistCandidates = asyncHandler(async (req, res) => {
 
       // Update shortlisted applications status (Mongoose)
       if (shortlistedAppIds.length > 0) {
-        await Application.updateMany(
-          { _id: { $in: shortlistedAppIds } },
-          { $set: { status: 'shortlisted' } }
+        await moveApplicationsToStatus(
+          applicationsWithResumes.filter((app) =>
+            shortlistedAppIds.includes(app.id)
+          ),
+          'shortlisted'
         );
 
+        // Keep the match scores so recruiters can compare candidates later
+        const scoreUpdates = shortlistedCandidates
+          .filter((candidate) => typeof candidate.total_score === 'number')
+          .map((candidate) => ({
+            updateOne: {
+              filter: { _id: candidate.application_id, jobId },
+              update: {
+                $set: {
+                  aiMatchScore: Math.min(Math.max(candidate.total_score, 0), 1),
+                },
+              },
+            },
+          }));
+        if (scoreUpdates.length > 0) {
+          await Application.bulkWrite(scoreUpdates);
+        }
+
         // Create pre-assessments for shortlisted candidates (extension - post-shortlisting hook)
         const { createAssessmentForApplication } = require('../services/assessment.service');
         const preAssessmentPromises = shortlistedAppIds.map(async (appId) => {
@@ -474,13 +523,18 @@ const shortlistCandidates = asyncHandler(async (req, res) => {
 
       // Update rejected applications status (Mongoose)
       if (rejectedAppIds.length > 0) {
-        await Application.updateMany(
-          { _id: { $in: rejectedAppIds } },
-          { $set: { status: 'rejected' } }
+        await moveApplicationsToStatus(
+          applicationsWithResumes.filter((app) =>
+            rejectedAppIds.includes(app.id)
+          ),
+          'rejected'
         );
       }
     }
 
+    // Cards moved in bulk, so open pipeline boards reload
+    emitBoardChanged(jobId);
+
     // Send notification emails to shortlisted candidates
     const shortlistedEmailPromises = shortlistedCandidates.map(
       async (candidate) => {
@@ -1,16 +1,78 @@
 const asyncHandler = require('express-async-handler');
 const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
 
-const { Application, Contract, Job, User } = require('../models');
+const {
+  Application,
+  ApplicationNote,
+  Contract,
+  Interview,
+  Job,
+  Offer,
+  PreAssessment,
+  User,
+} = require('../models');
 
 const {
   sendEmail,
   generateEmailTemplate,
+  escapeEmailText,
 } = require('../utils/nodemailer.utils');
+const {
+  MAX_COVER_LETTER_LENGTH,
+  parseAttachments,
+  removeStoredAttachments,
+  storeAttachments,
+} = require('../utils/attachment.utils');
+const {
+  buildNoteSearchFilter,
+  parseTagFilter,
+} = require('../utils/applicationNote.utils');
+const {
+  parseBulkApplicationRequest,
+  renderBulkEmail,
+} = require('../utils/bulkApplication.utils');
+const { evaluateScreeningAnswers } = require('../utils/screening.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { recordApplicationEvent } = require('../utils/jobEvent.utils');
+const {
+  APPLICATION_STATUSES,
+  MAX_TRANSITION_REASON_LENGTH,
+  WITHDRAWN_STAGE,
+  buildStageTransition,
+  buildStageUpdate,
+  findStageByStatus,
+  getApplicationStage,
+  getNextStages,
+  getPipelineStages,
+  resolveStageMove,
+} = require('../utils/pipeline.utils');
+const { validateString } = require('../utils/validation.utils');
+const {
+  createAssessmentForApplication,
+} = require('../services/assessment.service');
+const { getStorage } = require('../services/storage.service');
+const {
+  emitApplicationMoved,
+  emitBoardChanged,
+} = require('../sockets/pipeline.socket');
+
+// Sortable application list fields for `?sort=`
+const APPLICATION_SORT_FIELDS = {
+  applicationDate: 'applicationDate',
+  status: 'status',
+  updatedAt: 'updatedAt',
+};
+
+// Recruiters and admins see where an application sits in the job's pipeline
+// and how it got there; candidates and interviewers only see its status
+const canManagePipeline = (user) => Boolean(user?.isRecruiter || user?.isAdmin);
+
+const toStageSummary = ({ key, name, status }) => ({ key, name, status });
 
 // Helper to normalize application objects for API responses so front-end
 // can use `application.job` and `application.candidate` instead of `jobId`/`candidateId`.
-const formatApplicationForResponse = (application) => {
+const formatApplicationForResponse = (application, user) => {
   if (!application) return application;
 
   const appObj = application.toObject ? application.toObject() : { ...application };
@@ -31,15 +93,54 @@ const formatApplicationForResponse = (application) => {
   delete appObj.candidate;
   delete appObj.job;
 
+  let pipeline = {};
+  if (job && !(job instanceof mongoose.Types.ObjectId)) {
+    const stages = getPipelineStages(job);
+    delete job.pipelineStages;
+
+    if (canManagePipeline(user)) {
+      const stage = getApplicationStage(appObj, stages);
+      pipeline = {
+        stage: stage.key,
+        stageName: stage.name,
+        nextStages: getNextStages(stages, stage).map(toStageSummary),
+      };
+    }
+  }
+
+  if (!canManagePipeline(user)) {
+    delete appObj.stage;
+    delete appObj.stageHistory;
+    delete appObj.tags;
+  }
+
+  // Where a file is stored stays on the server; it's downloaded by its ID
+  if (appObj.attachments) {
+    appObj.attachments = appObj.attachments.map(
+      ({ _id, name, contentType, size, uploadedAt }) => ({
+        _id,
+        name,
+        contentType,
+        size,
+        uploadedAt,
+      })
+    );
+  }
+
   return {
     ...appObj,
+    ...pipeline,
     job,
     candidate,
   };
 };
 
 /**
- * @desc Creates a new application
+ * @desc Creates a new application. Answers to the job's screening questions are
+ * stored with it, and applicants who fail a knockout rule are rejected right away.
+ * Candidates can add a cover letter and attach files (sent base64 encoded),
+ * which are kept in the storage service. The browser's analytics `sessionId`
+ * credits the application to the campaign that brought the candidate to the job.
  *
  * @route POST /api/v1/applications
  * @access Private (Candidate)
@@ -51,7 +152,13 @@ const formatApplicationForResponse = (application) => {
  */
 
 const createApplication = asyncHandler(async (req, res) => {
-  const { jobId } = req.body;
+  const {
+    jobId,
+    screeningAnswers: answers,
+    coverLetter,
+    attachments,
+    sessionId,
+  } = req.body;
   const candidateId = req.user.id;
 
   const [candidate, job] = await Promise.all([
@@ -83,6 +190,21 @@ const createApplication = asyncHandler(async (req, res) => {
     );
   }
 
+  // Drafts, scheduled jobs and jobs awaiting moderation are not open yet; the
+  // deadline is enforced here as well as by the lifecycle sweeper, which only
+  // runs periodically
+  if (Job.isUnlisted(job)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('This job posting is not open for applications yet.');
+  }
+
+  if (!job.isAcceptingApplications()) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'The application deadline for this job has passed and it is no longer accepting applications.'
+    );
+  }
+
   const existingApplication = await Application.findOne({
     jobId,
     candidateId,
@@ -95,13 +217,58 @@ const createApplication = asyncHandler(async (req, res) => {
     );
   }
 
+  const { screeningAnswers, isKnockedOut } = evaluateScreeningAnswers(
+    res,
+    job.screeningQuestions,
+    answers
+  );
+
+  const validatedCoverLetter =
+    typeof coverLetter === 'string' && coverLetter.trim()
+      ? validateString(res, coverLetter, 'Cover letter', 20, MAX_COVER_LETTER_LENGTH)
+      : undefined;
+  const files = parseAttachments(res, attachments);
+
+  // New applications enter the first stage, or the rejected stage when a
+  // knockout answer disqualifies them
+  const stages = getPipelineStages(job);
+  const entryStage = isKnockedOut
+    ? findStageByStatus(stages, 'rejected')
+    : stages[0];
+
+  // Files are stored under the application's ID, so it's chosen up front
+  const applicationId = new mongoose.Types.ObjectId();
+  const storedAttachments = await storeAttachments(files, applicationId);
+
   const application = await Application.create({
+    _id: applicationId,
     jobId,
     candidateId,
-    status: 'applied',
+    status: entryStage.status,
+    stage: entryStage.key,
+    stageHistory: [
+      buildStageTransition({
+        from: null,
+        to: entryStage,
+        actorId: isKnockedOut ? null : candidateId,
+        reason: isKnockedOut
+          ? 'An answer did not meet a knockout screening question.'
+          : undefined,
+      }),
+    ],
     applicationDate: new Date(),
+    screeningAnswers,
+    coverLetter: validatedCoverLetter,
+    attachments: storedAttachments,
+    isKnockedOut,
+  }).catch(async (error) => {
+    await removeStoredAttachments(storedAttachments);
+    throw error;
   });
 
+  await recordApplicationEvent({ jobId: job._id, userId: candidateId, sessionId });
+  emitBoardChanged(job._id);
+
   const isEmailSent = await sendEmail(res, {
     from: process.env.NODEMAILER_SMTP_EMAIL,
     to: job.recruiterId.email,
@@ -135,6 +302,15 @@ const createApplication = asyncHandler(async (req, res) => {
             }`,
           ],
         },
+        ...(isKnockedOut
+          ? [
+              {
+                type: 'text',
+                value:
+                  'This application was rejected automatically because an answer did not meet one of your screening question requirements.',
+              },
+            ]
+          : []),
         {
           type: 'cta',
           value: {
@@ -160,8 +336,10 @@ const createApplication = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.CREATED).json({
     success: true,
-    message: 'Your application has been successfully submitted.',
-    application: formatApplicationForResponse(application),
+    message: isKnockedOut
+      ? 'Your application has been submitted, but it does not meet the requirements for this position.'
+      : 'Your application has been successfully submitted.',
+    application: formatApplicationForResponse(application, req.user),
     timestamp: new Date().toISOString(),
   });
 });
@@ -179,8 +357,16 @@ const createApplication = asyncHandler(async (req, res) => {
  */
 
 const getAllApplications = asyncHandler(async (req, res) => {
-  const { role, status, applicationDate, jobId, candidateId, interviewerId } =
-    req.query;
+  const {
+    role,
+    status,
+    applicationDate,
+    jobId,
+    candidateId,
+    interviewerId,
+    tags,
+    noteSearch,
+  } = req.query;
   const user = req.user;
   let query = {};
 
@@ -278,19 +464,43 @@ const getAllApplications = asyncHandler(async (req, res) => {
     }
   }
 
+  // Tags and notes are private to the hiring team, so only they can filter by them
+  if (canManagePipeline(user)) {
+    const tagFilter = parseTagFilter(tags);
+    if (tagFilter.length > 0) {
+      query.tags = { $all: tagFilter };
+    }
+
+    if (typeof noteSearch === 'string' && noteSearch.trim()) {
+      const applicationIds = await ApplicationNote.distinct('applicationId', {
+        ...(query.jobId && { jobId: query.jobId }),
+        body: buildNoteSearchFilter(noteSearch),
+      });
+      query._id = { $in: applicationIds };
+    }
+  }
+
   // Query applications - filtering is already applied in query object above
   // For recruiters, query.jobId is already set to only their job IDs, so no additional filtering needed
-  const applications = await Application.find(query)
-    .populate({
-      path: 'jobId',
-      select: 'title company category location recruiterId',
-      populate: {
-        path: 'recruiterId',
-        select: 'firstName lastName email'
-      }
-    })
-    .populate('candidateId', 'firstName lastName email')
-    .sort({ applicationDate: -1 });
+  const { docs: applications, pagination } = await paginate(res, {
+    model: Application,
+    filter: query,
+    query: req.query,
+    sortFields: APPLICATION_SORT_FIELDS,
+    defaultSort: '-applicationDate',
+    buildQuery: (applicationsQuery) =>
+      applicationsQuery
+        .select('+tags')
+        .populate({
+          path: 'jobId',
+          select: 'title company category location recruiterId pipelineStages',
+          populate: {
+            path: 'recruiterId',
+            select: 'firstName lastName email'
+          }
+        })
+        .populate('candidateId', 'firstName lastName email'),
+  });
 
   if (!applications || applications.length === 0) {
     // Return empty list instead of 404 so front-end pages can handle empty states gracefully
@@ -299,18 +509,22 @@ const getAllApplications = asyncHandler(async (req, res) => {
       message: 'No applications found matching the criteria.',
       count: 0,
       applications: [],
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
 
   // Normalize applications so front-end can read `application.job` and `application.candidate`
-  const formattedApplications = applications.map(formatApplicationForResponse);
+  const formattedApplications = applications.map((application) =>
+    formatApplicationForResponse(application, user)
+  );
 
   res.status(StatusCodes.OK).json({
     success: true,
     message: 'Applications retrieved successfully.',
     count: formattedApplications.length,
     applications: formattedApplications,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -330,9 +544,10 @@ const getAllApplications = asyncHandler(async (req, res) => {
 const getApplicationById = asyncHandler(async (req, res) => {
   const user = req.user;
   const application = await Application.findById(req.params.id)
+    .select('+tags')
     .populate({
       path: 'jobId',
-      select: 'title company category location recruiterId',
+      select: 'title company category location recruiterId pipelineStages',
       populate: {
         path: 'recruiterId',
         select: 'firstName lastName email'
@@ -369,7 +584,7 @@ const getApplicationById = asyncHandler(async (req, res) => {
   res.status(StatusCodes.OK).json({
     success: true,
     message: 'Application details retrieved successfully.',
-    application: formatApplicationForResponse(application),
+    application: formatApplicationForResponse(application, user),
     timestamp: new Date().toISOString(),
   });
 });
@@ -406,9 +621,10 @@ const getApplicationsByJobId = asyncHandler(async (req, res) => {
   }
 
   const applications = await Application.find({ jobId: req.params.jobId })
+    .select('+tags')
     .populate({
       path: 'jobId',
-      select: 'title company category location recruiterId',
+      select: 'title company category location recruiterId pipelineStages',
       populate: {
         path: 'recruiterId',
         select: 'firstName lastName email'
@@ -426,7 +642,9 @@ const getApplicationsByJobId = asyncHandler(async (req, res) => {
     });
   }
 
-  const formattedApplications = applications.map(formatApplicationForResponse);
+  const formattedApplications = applications.map((application) =>
+    formatApplicationForResponse(application, user)
+  );
 
   res.status(StatusCodes.OK).json({
     success: true,
@@ -438,64 +656,187 @@ const getApplicationsByJobId = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc Update application
+ * @desc Gets a job's applications grouped for the recruiter's pipeline board:
+ * the job's stages, and one card per application with the candidate, the AI
+ * match score and the result of their latest pre-assessment.
  *
- * @route PUT /api/v1/applications/:id
+ * @route GET /api/v1/applications/job/:jobId/board
  * @access Private (Recruiter, Admin)
  *
- * @param {Object} req - The request object containing the application ID.
+ * @param {Object} req - The request object containing the job ID.
  * @param {Object} res - The response object.
  *
  * @returns {Promise<void>}
- *
  */
 
-const updateApplication = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+const getApplicationBoard = asyncHandler(async (req, res) => {
   const user = req.user;
+  const job = mongoose.isValidObjectId(req.params.jobId)
+    ? await Job.findById(req.params.jobId).select('title company recruiterId pipelineStages')
+    : null;
 
-  const validStatuses = ['applied', 'shortlisted', 'rejected', 'hired'];
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('The requested job posting could not be found.');
+  }
 
-  if (!validStatuses.includes(status)) {
-    res.status(StatusCodes.BAD_REQUEST);
-    throw new Error('Please provide a valid application status.');
+  if (!user.isAdmin && job.recruiterId?.toString() !== user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You do not have permission to access applications for this job.');
   }
 
-  const application = await Application.findById(req.params.id)
-    .populate('candidateId')
-    .populate({
-      path: 'jobId',
-      populate: {
-        path: 'recruiterId'
-      }
-    });
+  const stages = getPipelineStages(job);
 
-  // STRICT OWNERSHIP CHECK - Recruiters can ONLY update applications for their jobs
-  if (user?.isRecruiter && !user?.isAdmin) {
-    const job = application.jobId;
-    if (!job || job.recruiterId._id.toString() !== user.id.toString()) {
-      res.status(StatusCodes.FORBIDDEN);
-      throw new Error('You do not have permission to update this application.');
+  // Withdrawn applications have left the pipeline
+  const applications = await Application.find({
+    jobId: job._id,
+    status: { $ne: WITHDRAWN_STAGE.status },
+  })
+    .select('status stage applicationDate aiMatchScore isKnockedOut candidateId')
+    .populate('candidateId', 'firstName lastName email')
+    .sort({ applicationDate: -1 })
+    .lean();
+
+  // Latest assessment per application
+  const assessments = await PreAssessment.find({
+    applicationId: { $in: applications.map((application) => application._id) },
+  })
+    .select('applicationId status percentage')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const assessmentByApplication = new Map();
+  assessments.forEach((assessment) => {
+    const key = assessment.applicationId.toString();
+    if (!assessmentByApplication.has(key)) {
+      assessmentByApplication.set(key, assessment);
     }
-  }
+  });
+
+  const cards = applications.map((application) => {
+    const assessment = assessmentByApplication.get(application._id.toString());
+    const candidate = application.candidateId;
+
+    return {
+      id: application._id,
+      stage: getApplicationStage(application, stages).key,
+      status: application.status,
+      applicationDate: application.applicationDate,
+      aiMatchScore: application.aiMatchScore ?? null,
+      isKnockedOut: application.isKnockedOut,
+      candidate: candidate && {
+        id: candidate._id,
+        firstName: candidate.firstName,
+        lastName: candidate.lastName,
+        email: candidate.email,
+      },
+      assessment: assessment
+        ? {
+          status: assessment.status,
+          percentage:
+            assessment.status === 'completed'
+              ? Math.round(assessment.percentage)
+              : null,
+        }
+        : null,
+    };
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: cards.length === 0
+      ? 'No applications have been submitted for this job posting yet.'
+      : 'Job pipeline board retrieved successfully.',
+    job: {
+      id: job._id,
+      title: job.title,
+      company: job.company,
+    },
+    stages,
+    count: cards.length,
+    applications: cards,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Downloads a file a candidate attached to their application. Only the
+ * recruiter who owns the job and admins can download attachments.
+ *
+ * @route GET /api/v1/applications/:id/attachments/:attachmentId
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the application and attachment IDs.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const downloadApplicationAttachment = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const application = mongoose.isValidObjectId(req.params.id)
+    ? await Application.findById(req.params.id)
+      .select('jobId attachments')
+      .populate('jobId', 'recruiterId')
+    : null;
 
   if (!application) {
     res.status(StatusCodes.NOT_FOUND);
     throw new Error('Unable to locate the specified application.');
   }
 
-  // STRICT OWNERSHIP CHECK - Recruiters can ONLY update applications for their jobs
-  if (user?.isRecruiter && !user?.isAdmin) {
-    const job = application.jobId;
-    if (!job || job.recruiterId._id.toString() !== user.id.toString()) {
-      res.status(StatusCodes.FORBIDDEN);
-      throw new Error('You do not have permission to update this application.');
-    }
+  if (
+    !user.isAdmin &&
+    application.jobId?.recruiterId?.toString() !== user.id.toString()
+  ) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You do not have permission to download attachments of this application.');
+  }
+
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? application.attachments.id(req.params.attachmentId)
+    : null;
+
+  if (!attachment) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This attachment could not be found.');
+  }
+
+  const stream = await getStorage().createReadStream(attachment.storageKey);
+
+  if (!stream) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This attachment is no longer available.');
   }
 
-  const updatedApplication = await Application.findByIdAndUpdate(
-    req.params.id,
-    { status },
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `attachment; filename="${attachment.name.replace(
+      /"/g,
+      ''
+    )}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    'Cache-Control': 'private, no-store',
+  });
+
+  stream.on('error', (error) => {
+    console.error(
+      `Failed to stream attachment ${attachment._id} of application ${application._id}:`,
+      error.message
+    );
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+// Moves an application into a stage, tells the job's pipeline board and runs
+// the stage's automation. Resolves to a null `updatedApplication` if the
+// application was deleted, moved or withdrawn in the meantime.
+const moveApplication = async ({ application, from, to, user, reason }) => {
+  const updatedApplication = await Application.findOneAndUpdate(
+    // Guards against a concurrent move or withdrawal skipping the transition rules
+    { _id: application._id, stage: application.stage ?? null, status: application.status },
+    buildStageUpdate({ from, to, actorId: user.id, reason }),
     { new: true }
   ).populate('candidateId').populate({
     path: 'jobId',
@@ -505,19 +846,45 @@ const updateApplication = asyncHandler(async (req, res) => {
   });
 
   if (!updatedApplication) {
-    res.status(StatusCodes.BAD_REQUEST);
-    throw new Error('Failed to update application status. Please try again.');
+    return { updatedApplication, isAssessmentCreated: false };
   }
 
-  const emailContent = [
-    {
-      type: 'heading',
-      value: 'Application Status Update',
-    },
-    {
-      type: 'text',
-      value: `The status of your application for the position of <strong>${application.jobId.title}</strong> has been updated to <strong>${status}</strong>.`,
+  emitApplicationMoved(updatedApplication.jobId._id, {
+    applicationId: String(updatedApplication._id),
+    fromStage: from.key,
+    stage: to.key,
+    stageName: to.name,
+    status: to.status,
+    movedBy: {
+      id: String(user.id),
+      firstName: user.firstName,
+      lastName: user.lastName,
     },
+  });
+
+  let isAssessmentCreated = false;
+  if (to.automation.createAssessment) {
+    try {
+      await createAssessmentForApplication(updatedApplication._id);
+      isAssessmentCreated = true;
+    } catch (error) {
+      // The move stands; the recruiter can still create the assessment by hand
+      console.error(
+        `Failed to create pre-assessment for application ${updatedApplication._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { updatedApplication, isAssessmentCreated };
+};
+
+// The "Application Details" part of status update emails
+const buildApplicationDetailsEmailContent = (application, stage) => {
+  const job = application.jobId;
+  const statusLabel = stage.status.charAt(0).toUpperCase() + stage.status.slice(1);
+
+  return [
     {
       type: 'heading',
       value: 'Application Details',
@@ -525,14 +892,12 @@ const updateApplication = asyncHandler(async (req, res) => {
     {
       type: 'list',
       value: [
-        `Job Title: ${application.jobId.title}`,
-        `Job Location: ${application.jobId.location}`,
+        `Job Title: ${escapeEmailText(job.title)}`,
+        `Job Location: ${escapeEmailText(job.location)}`,
         `Application Date: ${new Date(
           application.applicationDate
         ).toLocaleDateString()}`,
-        `Current Status: ${status.charAt(0).toUpperCase() +
-        status.slice(1)
-        }`,
+        `Current Status: ${statusLabel}`,
       ],
     },
     {
@@ -548,29 +913,147 @@ const updateApplication = asyncHandler(async (req, res) => {
         'If you have any questions or need assistance, our support team is always ready to help.',
     },
   ];
+};
 
-  const isEmailSent = await Promise.all([
-    sendEmail(res, {
-      from: process.env.NODEMAILER_SMTP_EMAIL,
-      to: application.candidateId.email,
-      subject: 'EZY Jobs - Application Status Update',
-      html: generateEmailTemplate({
-        firstName: application.candidateId.firstName,
-        subject: 'Application Status Update',
-        content: emailContent,
-      }),
+// Tells the candidate their application now has the status of `stage`
+const sendStatusUpdateEmail = (res, application, stage) =>
+  sendEmail(res, {
+    from: process.env.NODEMAILER_SMTP_EMAIL,
+    to: application.candidateId.email,
+    subject: 'EZY Jobs - Application Status Update',
+    html: generateEmailTemplate({
+      firstName: application.candidateId.firstName,
+      subject: 'Application Status Update',
+      content: [
+        {
+          type: 'heading',
+          value: 'Application Status Update',
+        },
+        {
+          type: 'text',
+          value: `The status of your application for the position of <strong>${escapeEmailText(application.jobId.title)}</strong> has been updated to <strong>${stage.status}</strong>.`,
+        },
+        ...buildApplicationDetailsEmailContent(application, stage),
+      ],
     }),
+  });
+
+/**
+ * @desc Moves an application to another stage of its job's pipeline. Only the
+ * next stages the current stage allows are accepted, and every move is kept
+ * in the application's stage history with who made it and why. Older clients
+ * may send a `status` instead of a `stage`; it moves the application to the
+ * first allowed stage with that status. Entering a stage with the assessment
+ * automation invites the candidate to a pre-assessment.
+ *
+ * @route PATCH /api/v1/applications/:id
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing `stage` (or `status`) and an optional `reason`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ *
+ */
+
+const updateApplication = asyncHandler(async (req, res) => {
+  const { stage: stageKey, status, reason } = req.body;
+  const user = req.user;
+
+  if (!stageKey && !APPLICATION_STATUSES.includes(status)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide a valid application stage or status.');
+  }
+
+  const transitionReason =
+    typeof reason === 'string' && reason.trim()
+      ? validateString(res, reason, 'Reason', 2, MAX_TRANSITION_REASON_LENGTH)
+      : undefined;
+
+  const application = await Application.findById(req.params.id)
+    .populate('candidateId')
+    .populate({
+      path: 'jobId',
+      populate: {
+        path: 'recruiterId'
+      }
+    });
+
+  if (!application) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified application.');
+  }
+
+  // STRICT OWNERSHIP CHECK - Recruiters can ONLY update applications for their jobs
+  if (user?.isRecruiter && !user?.isAdmin) {
+    const job = application.jobId;
+    if (!job || job.recruiterId._id.toString() !== user.id.toString()) {
+      res.status(StatusCodes.FORBIDDEN);
+      throw new Error('You do not have permission to update this application.');
+    }
+  }
+
+  const stages = getPipelineStages(application.jobId);
+  const currentStage = getApplicationStage(application, stages);
+  const move = resolveStageMove(stages, currentStage, { stageKey, status });
+
+  if (!move.stage) {
+    res.status(move.statusCode);
+    throw new Error(move.message);
+  }
+
+  const targetStage = move.stage;
+
+  const { updatedApplication, isAssessmentCreated } = await moveApplication({
+    application,
+    from: currentStage,
+    to: targetStage,
+    user,
+    reason: transitionReason,
+  });
+
+  if (!updatedApplication) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('This application was changed by someone else. Please refresh and try again.');
+  }
+
+  const job = application.jobId;
+
+  // Candidates only hear about changes to their status; moves between the
+  // recruiter's own stages (e.g. assessment to interview) are internal
+  const isStatusChanged = targetStage.status !== currentStage.status;
+
+  // The move stands either way; a failed delivery resolves to null so it can
+  // be reported below
+  const emailDeliveries = await Promise.all([
+    isStatusChanged
+      ? sendStatusUpdateEmail(res, application, targetStage).catch(() => null)
+      : true,
     sendEmail(res, {
       from: process.env.NODEMAILER_SMTP_EMAIL,
-      to: application.jobId.recruiterId.email,
+      to: job.recruiterId.email,
       subject: 'EZY Jobs - Application Status Update',
       html: generateEmailTemplate({
-        firstName: application.jobId.recruiterId.firstName,
+        firstName: job.recruiterId.firstName,
         subject: 'Application Status Update',
-        content: emailContent,
+        content: [
+          {
+            type: 'heading',
+            value: 'Application Status Update',
+          },
+          {
+            type: 'text',
+            value: `${escapeEmailText(`${application.candidateId.firstName} ${application.candidateId.lastName}`)}'s application for <strong>${escapeEmailText(job.title)}</strong> moved from <strong>${escapeEmailText(currentStage.name)}</strong> to <strong>${escapeEmailText(targetStage.name)}</strong>.`,
+          },
+          ...(transitionReason
+            ? [{ type: 'text', value: `Reason: ${escapeEmailText(transitionReason)}` }]
+            : []),
+          ...buildApplicationDetailsEmailContent(application, targetStage),
+        ],
       }),
-    }),
+    }).catch(() => null),
   ]);
+  const isEmailSent = emailDeliveries.every(Boolean);
 
   if (!isEmailSent) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR);
@@ -581,8 +1064,359 @@ const updateApplication = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: 'Application status updated successfully.',
-    application: formatApplicationForResponse(updatedApplication),
+    message: `Application moved to "${targetStage.name}".${
+      isAssessmentCreated ? ' The candidate has been invited to a pre-assessment.' : ''
+    }`,
+    application: formatApplicationForResponse(updatedApplication, user),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Applies one action to many applications at once: shortlist, reject,
+ * move to a stage, or send the candidates a templated email. Each application
+ * is handled on its own, so one that can't be updated doesn't stop the rest,
+ * and the response reports the outcome for every ID. Candidates are emailed
+ * when their status changes, as with single moves; the recruiter isn't.
+ *
+ * @route POST /api/v1/applications/bulk
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing `applicationIds`, `action`
+ * (`shortlist`, `reject`, `move` or `email`), and `stage`, `reason` or
+ * `email: { subject, message }` as the action needs.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const bulkUpdateApplications = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { applicationIds, action, stageKey, status, reason, email } =
+    parseBulkApplicationRequest(res, req.body);
+
+  const applications = await Application.find({ _id: { $in: applicationIds } })
+    .populate('candidateId')
+    .populate({
+      path: 'jobId',
+      populate: {
+        path: 'recruiterId'
+      }
+    });
+  const applicationsById = new Map(
+    applications.map((application) => [String(application._id), application])
+  );
+
+  const moveToStage = async (application) => {
+    const stages = getPipelineStages(application.jobId);
+    const currentStage = getApplicationStage(application, stages);
+    const move = resolveStageMove(stages, currentStage, { stageKey, status });
+
+    if (!move.stage) {
+      return { success: false, message: move.message };
+    }
+
+    const { updatedApplication, isAssessmentCreated } = await moveApplication({
+      application,
+      from: currentStage,
+      to: move.stage,
+      user,
+      reason,
+    });
+
+    if (!updatedApplication) {
+      return {
+        success: false,
+        message: 'This application was changed by someone else. Please refresh and try again.',
+      };
+    }
+
+    let isCandidateEmailed = true;
+    if (move.stage.status !== currentStage.status) {
+      await sendStatusUpdateEmail(res, application, move.stage).catch((error) => {
+        console.error(
+          `Failed to send status update email for application ${application._id}:`,
+          error.message
+        );
+        isCandidateEmailed = false;
+      });
+    }
+
+    return {
+      success: true,
+      message: `Moved to "${move.stage.name}".${
+        isAssessmentCreated ? ' The candidate has been invited to a pre-assessment.' : ''
+      }${isCandidateEmailed ? '' : ' The candidate could not be emailed.'}`,
+      stage: toStageSummary(move.stage),
+    };
+  };
+
+  const sendTemplatedEmail = async (application) => {
+    const candidate = application.candidateId;
+    const job = application.jobId;
+    const values = {
+      firstName: candidate.firstName,
+      lastName: candidate.lastName,
+      jobTitle: job.title,
+      company: job.company,
+    };
+
+    await sendEmail(res, {
+      from: process.env.NODEMAILER_SMTP_EMAIL,
+      to: candidate.email,
+      subject: `EZY Jobs - ${renderBulkEmail(email.subject, values)}`,
+      html: generateEmailTemplate({
+        firstName: candidate.firstName,
+        subject: renderBulkEmail(email.subject, values, { isHtml: true }),
+        content: [
+          {
+            type: 'text',
+            value: renderBulkEmail(email.message, values, { isHtml: true }),
+          },
+        ],
+      }),
+    });
+
+    return { success: true, message: `Emailed ${candidate.email}.` };
+  };
+
+  const results = [];
+
+  // One at a time, so a large selection doesn't flood the mail server
+  for (const id of applicationIds) {
+    const application = applicationsById.get(id);
+    const job = application?.jobId;
+    let result;
+
+    if (!application) {
+      result = { success: false, message: 'Unable to locate the specified application.' };
+    } else if (!job || !application.candidateId) {
+      result = {
+        success: false,
+        message: 'The job or candidate of this application no longer exists.',
+      };
+    } else if (
+      !user.isAdmin &&
+      job.recruiterId?._id.toString() !== user.id.toString()
+    ) {
+      result = {
+        success: false,
+        message: 'You do not have permission to update this application.',
+      };
+    } else {
+      try {
+        result = action === 'email'
+          ? await sendTemplatedEmail(application)
+          : await moveToStage(application);
+      } catch (error) {
+        console.error(`Bulk ${action} failed for application ${id}:`, error.message);
+        result = { success: false, message: error.message };
+      }
+    }
+
+    results.push({ id, ...result });
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  const failed = results.length - succeeded;
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `${succeeded} of ${results.length} application${
+      results.length === 1 ? '' : 's'
+    } ${action === 'email' ? 'emailed' : 'updated'}${
+      failed > 0 ? `; ${failed} failed` : ''
+    }.`,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed,
+    },
+    results,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Withdraws the candidate's own application, with an optional reason.
+ * The application is kept (so it still counts in funnel reports) but leaves
+ * the job's pipeline. Pending pre-assessments and upcoming interviews are
+ * cancelled, an open offer is declined, and the recruiter and interviewers
+ * are notified.
+ *
+ * @route PATCH /api/v1/applications/:id/withdraw
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object containing the application ID and an optional `reason`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const withdrawApplication = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const user = req.user;
+
+  const withdrawalReason =
+    typeof reason === 'string' && reason.trim()
+      ? validateString(res, reason, 'Reason', 2, MAX_TRANSITION_REASON_LENGTH)
+      : undefined;
+
+  const application = mongoose.isValidObjectId(req.params.id)
+    ? await Application.findById(req.params.id)
+      .populate('candidateId')
+      .populate({
+        path: 'jobId',
+        populate: {
+          path: 'recruiterId'
+        }
+      })
+    : null;
+
+  if (!application) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified application.');
+  }
+
+  if (application.candidateId?._id.toString() !== user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You can only withdraw your own applications.');
+  }
+
+  if (application.status === WITHDRAWN_STAGE.status) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('You have already withdrawn this application.');
+  }
+
+  if (application.status === 'hired' || application.status === 'rejected') {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `This application has already been ${application.status} and can no longer be withdrawn.`
+    );
+  }
+
+  const job = application.jobId;
+  const stages = getPipelineStages(job);
+  const currentStage = getApplicationStage(application, stages);
+
+  const withdrawnApplication = await Application.findOneAndUpdate(
+    // Guards against a recruiter hiring or rejecting it in the meantime
+    { _id: application._id, status: application.status },
+    buildStageUpdate({
+      from: currentStage,
+      to: WITHDRAWN_STAGE,
+      actorId: user.id,
+      reason: withdrawalReason,
+    }),
+    { new: true }
+  ).populate('candidateId').populate('jobId');
+
+  if (!withdrawnApplication) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('Your application was just updated. Please refresh and try again.');
+  }
+
+  const interviews = await Interview.find({
+    applicationId: application._id,
+    status: { $in: ['scheduled', 'rescheduled'] },
+  }).populate('interviewerId', 'firstName lastName email');
+
+  const [{ modifiedCount: cancelledAssessments }] = await Promise.all([
+    PreAssessment.updateMany(
+      { applicationId: application._id, status: { $in: ['pending', 'in_progress'] } },
+      { $set: { status: 'cancelled' } }
+    ),
+    Interview.updateMany(
+      { _id: { $in: interviews.map((interview) => interview._id) } },
+      { $set: { status: 'cancelled' } }
+    ),
+    // Withdrawing answers an open offer too
+    Offer.updateMany(
+      { applicationId: application._id, status: 'pending' },
+      { $set: { status: 'declined', respondedAt: new Date(), declineReason: withdrawalReason } }
+    ),
+  ]);
+
+  emitBoardChanged(job._id);
+
+  const candidate = application.candidateId;
+  const candidateName = `${candidate.firstName} ${candidate.lastName}`;
+
+  const withdrawalDetails = {
+    type: 'list',
+    value: [
+      `Job Title: ${escapeEmailText(job.title)}`,
+      `Candidate: ${escapeEmailText(candidateName)}`,
+      `Application Date: ${new Date(
+        application.applicationDate
+      ).toLocaleDateString()}`,
+      `Stage When Withdrawn: ${escapeEmailText(currentStage.name)}`,
+      ...(withdrawalReason ? [`Reason: ${escapeEmailText(withdrawalReason)}`] : []),
+    ],
+  };
+
+  // The withdrawal stands even if a notification can't be delivered
+  await Promise.all([
+    job.recruiterId &&
+      sendEmail(res, {
+        from: process.env.NODEMAILER_SMTP_EMAIL,
+        to: job.recruiterId.email,
+        subject: 'EZY Jobs - Application Withdrawn',
+        html: generateEmailTemplate({
+          firstName: job.recruiterId.firstName,
+          subject: 'Application Withdrawn',
+          content: [
+            {
+              type: 'heading',
+              value: 'Application Withdrawn',
+            },
+            {
+              type: 'text',
+              value: `${escapeEmailText(candidateName)} has withdrawn their application for <strong>${escapeEmailText(job.title)}</strong>.${
+                interviews.length > 0 || cancelledAssessments > 0
+                  ? ' Their upcoming interviews and pending pre-assessments have been cancelled.'
+                  : ''
+              }`,
+            },
+            withdrawalDetails,
+          ],
+        }),
+      }).catch((error) =>
+        console.error('Failed to send withdrawal email to recruiter:', error.message)
+      ),
+    ...interviews
+      .filter((interview) => interview.interviewerId)
+      .map((interview) =>
+        sendEmail(res, {
+          from: process.env.NODEMAILER_SMTP_EMAIL,
+          to: interview.interviewerId.email,
+          subject: 'EZY Jobs - Interview Cancelled',
+          html: generateEmailTemplate({
+            firstName: interview.interviewerId.firstName,
+            subject: 'Interview Cancelled',
+            content: [
+              {
+                type: 'heading',
+                value: 'Interview Cancelled',
+              },
+              {
+                type: 'text',
+                value: `Your interview with ${escapeEmailText(candidateName)} for <strong>${escapeEmailText(job.title)}</strong> on ${new Date(
+                  interview.scheduledDateTime || interview.scheduledTime
+                ).toLocaleString()} has been cancelled because the candidate withdrew their application.`,
+              },
+            ],
+          }),
+        }).catch((error) =>
+          console.error('Failed to send withdrawal email to interviewer:', error.message)
+        )
+      ),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Your application has been withdrawn.',
+    application: formatApplicationForResponse(withdrawnApplication, user),
     timestamp: new Date().toISOString(),
   });
 });
@@ -631,6 +1465,12 @@ const deleteApplication = asyncHandler(async (req, res) => {
     throw new Error('Failed to delete application. Please try again later.');
   }
 
+  await Promise.all([
+    removeStoredAttachments(deletedApplication.attachments),
+    ApplicationNote.deleteMany({ applicationId: deletedApplication._id }),
+    Offer.deleteMany({ applicationId: deletedApplication._id }),
+  ]);
+
   // Try to send emails, but don't fail the deletion if emails fail
   try {
     if (job && candidate) {
@@ -706,6 +1546,10 @@ module.exports = {
   getAllApplications,
   getApplicationById,
   getApplicationsByJobId,
+  getApplicationBoard,
+  downloadApplicationAttachment,
   updateApplication,
+  bulkUpdateApplications,
+  withdrawApplication,
   deleteApplication,
 };
\ No newline at end of file
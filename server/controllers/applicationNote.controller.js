@@ -0,0 +1,331 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Application, ApplicationNote, Contract, User } = require('../models');
+
+const {
+  MAX_NOTE_LENGTH,
+  parseApplicationTags,
+  resolveMentions,
+} = require('../utils/applicationNote.utils');
+const {
+  sendEmail,
+  generateEmailTemplate,
+  escapeEmailText,
+} = require('../utils/nodemailer.utils');
+const { validateString } = require('../utils/validation.utils');
+
+const USER_FIELDS = 'firstName lastName email';
+
+/**
+ * @desc Lists the people hiring for a job: its recruiter and the interviewers
+ * contracted for it.
+ *
+ * @param {Object} job - The job, with its `recruiterId`.
+ *
+ * @returns {Promise<Object[]>} `{ _id, firstName, lastName, email, role }` for each member.
+ */
+
+const getHiringTeam = async (job) => {
+  const [recruiter, contracts] = await Promise.all([
+    User.findById(job.recruiterId).select(USER_FIELDS).lean(),
+    Contract.find({ jobId: job._id, status: { $ne: 'cancelled' } })
+      .select('interviewerId')
+      .populate('interviewerId', USER_FIELDS)
+      .lean(),
+  ]);
+
+  const team = recruiter ? [{ ...recruiter, role: 'recruiter' }] : [];
+  contracts.forEach(({ interviewerId: interviewer }) => {
+    if (
+      interviewer &&
+      !team.some((member) => member._id.equals(interviewer._id))
+    ) {
+      team.push({ ...interviewer, role: 'interviewer' });
+    }
+  });
+
+  return team;
+};
+
+/**
+ * @desc Loads an application whose notes the user may see: admins see all of
+ * them, recruiters and interviewers those of the jobs they're hiring for.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<Object>} `{ application, job, team }`.
+ */
+
+const findNoteableApplication = async (req, res) => {
+  const application = mongoose.isValidObjectId(req.params.id)
+    ? await Application.findById(req.params.id)
+        .select('jobId candidateId tags')
+        .populate('jobId', 'title recruiterId')
+        .populate('candidateId', 'firstName lastName')
+    : null;
+
+  if (!application || !application.jobId) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified application.');
+  }
+
+  const job = application.jobId;
+  const team = await getHiringTeam(job);
+
+  if (
+    !req.user.isAdmin &&
+    !team.some((member) => member._id.toString() === req.user.id.toString())
+  ) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error(
+      'You do not have permission to access the notes of this application.'
+    );
+  }
+
+  return { application, job, team };
+};
+
+const formatNote = (note) => ({
+  _id: note._id,
+  parentId: note.parentId,
+  body: note.body,
+  author: note.authorId,
+  mentions: note.mentions,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+/**
+ * @desc Get the notes and tags of an application. Notes are threaded: each
+ * top-level note lists its replies, oldest first.
+ *
+ * @route GET /api/v1/applications/:id/notes
+ * @access Private (Recruiter, Interviewer, Admin)
+ *
+ * @param {Object} req - The request object containing the application ID.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getApplicationNotes = asyncHandler(async (req, res) => {
+  const { application, team } = await findNoteableApplication(req, res);
+
+  const notes = await ApplicationNote.find({ applicationId: application._id })
+    .sort('createdAt')
+    .populate('authorId', USER_FIELDS)
+    .populate('mentions', USER_FIELDS)
+    .lean();
+
+  const threads = notes
+    .filter((note) => !note.parentId)
+    .map((note) => ({
+      ...formatNote(note),
+      replies: notes
+        .filter((reply) => reply.parentId?.equals(note._id))
+        .map(formatNote),
+    }));
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Application notes retrieved successfully.',
+    count: notes.length,
+    notes: threads,
+    tags: application.tags,
+    team,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Add a note to an application, or reply to one of its notes. Mentioned
+ * members of the hiring team are notified by email.
+ *
+ * @route POST /api/v1/applications/:id/notes
+ * @access Private (Recruiter, Interviewer, Admin)
+ *
+ * @param {Object} req - The request object containing the note `body`, and
+ * optionally the `parentId` it replies to and the IDs of the users it `mentions`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createApplicationNote = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { application, job, team } = await findNoteableApplication(req, res);
+  const { body, parentId, mentions } = req.body;
+
+  const noteBody = validateString(
+    res,
+    typeof body === 'string' ? body.trim() : body,
+    'Note',
+    1,
+    MAX_NOTE_LENGTH
+  );
+  const mentionedMembers = resolveMentions(res, mentions, team, user.id);
+
+  let parent = null;
+  if (parentId) {
+    parent = mongoose.isValidObjectId(parentId)
+      ? await ApplicationNote.findOne({
+          _id: parentId,
+          applicationId: application._id,
+        }).select('parentId')
+      : null;
+
+    if (!parent) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('The note you are replying to could not be found.');
+    }
+  }
+
+  const note = await ApplicationNote.create({
+    applicationId: application._id,
+    jobId: job._id,
+    authorId: user.id,
+    // Replies to a reply join the thread of the note it replies to
+    parentId: parent ? parent.parentId || parent._id : null,
+    body: noteBody,
+    mentions: mentionedMembers.map((member) => member._id),
+  });
+
+  await note.populate([
+    { path: 'authorId', select: USER_FIELDS },
+    { path: 'mentions', select: USER_FIELDS },
+  ]);
+
+  const authorName = `${user.firstName} ${user.lastName}`;
+  const candidate = application.candidateId;
+  const candidateName = candidate
+    ? `${candidate.firstName} ${candidate.lastName}`
+    : 'a candidate';
+
+  // The note is saved even if a notification can't be delivered
+  await Promise.all(
+    mentionedMembers.map((member) =>
+      sendEmail(res, {
+        from: process.env.NODEMAILER_SMTP_EMAIL,
+        to: member.email,
+        subject: 'EZY Jobs - You Were Mentioned in a Note',
+        html: generateEmailTemplate({
+          firstName: member.firstName,
+          subject: 'You Were Mentioned in a Note',
+          content: [
+            {
+              type: 'heading',
+              value: 'New Mention',
+            },
+            {
+              type: 'text',
+              value: `${escapeEmailText(authorName)} mentioned you in a note on ${escapeEmailText(candidateName)}'s application for <strong>${escapeEmailText(job.title)}</strong>:`,
+            },
+            {
+              type: 'text',
+              value: escapeEmailText(noteBody),
+            },
+          ],
+        }),
+      }).catch((error) =>
+        console.error('Failed to send note mention email:', error.message)
+      )
+    )
+  );
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Note added successfully.',
+    note: formatNote(note),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Delete a note, along with its replies. Only its author or an admin can
+ * delete it.
+ *
+ * @route DELETE /api/v1/applications/:id/notes/:noteId
+ * @access Private (Recruiter, Interviewer, Admin)
+ *
+ * @param {Object} req - The request object containing the application and note IDs.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const deleteApplicationNote = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { application } = await findNoteableApplication(req, res);
+
+  const note = mongoose.isValidObjectId(req.params.noteId)
+    ? await ApplicationNote.findOne({
+        _id: req.params.noteId,
+        applicationId: application._id,
+      })
+    : null;
+
+  if (!note) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This note could not be found.');
+  }
+
+  if (!user.isAdmin && note.authorId.toString() !== user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You can only delete your own notes.');
+  }
+
+  await ApplicationNote.deleteMany({
+    $or: [{ _id: note._id }, { parentId: note._id }],
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Note deleted successfully.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Replace the tags of an application.
+ *
+ * @route PUT /api/v1/applications/:id/tags
+ * @access Private (Recruiter, Interviewer, Admin)
+ *
+ * @param {Object} req - The request object containing the `tags`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateApplicationTags = asyncHandler(async (req, res) => {
+  const { application } = await findNoteableApplication(req, res);
+  const tags = parseApplicationTags(res, req.body.tags);
+
+  const updatedApplication = await Application.findByIdAndUpdate(
+    application._id,
+    { tags },
+    { new: true, runValidators: true }
+  ).select('tags');
+
+  if (!updatedApplication) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified application.');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Application tags updated successfully.',
+    tags: updatedApplication.tags,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getApplicationNotes,
+  createApplicationNote,
+  deleteApplicationNote,
+  updateApplicationTags,
+};
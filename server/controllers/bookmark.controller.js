@@ -0,0 +1,350 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+const { Bookmark, Job, Application } = require('../models');
+
+const {
+  sendEmail,
+  generateEmailTemplate,
+  escapeEmailText,
+} = require('../utils/nodemailer.utils');
+const { hideKnockoutRules } = require('../utils/screening.utils');
+
+// Candidates are reminded when a saved job's deadline is this close
+const CLOSING_REMINDER_DAYS = 3;
+
+const getClientUrl = () => (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+
+const formatBookmark = (bookmark) => {
+  const job = bookmark.jobId;
+
+  return {
+    id: bookmark._id,
+    jobId: job._id,
+    savedAt: bookmark.createdAt,
+    job: hideKnockoutRules({
+      ...job.toObject(),
+      recruiter: job.recruiterId,
+      requirements: Array.isArray(job.requirements)
+        ? job.requirements.join(', ')
+        : job.requirements,
+      benefits: Array.isArray(job.benefits)
+        ? job.benefits.join(', ')
+        : job.benefits,
+      isAcceptingApplications: job.isAcceptingApplications(),
+    }),
+  };
+};
+
+const buildReminderEmail = (job, type, firstName) => {
+  const clientUrl = getClientUrl();
+
+  if (type === 'closing') {
+    return generateEmailTemplate({
+      firstName,
+      subject: 'A Saved Job Is Closing Soon',
+      content: [
+        { type: 'heading', value: 'A Saved Job Is Closing Soon' },
+        {
+          type: 'text',
+          value: `<strong>${escapeEmailText(job.title)}</strong> at ${escapeEmailText(job.company)}, which you saved for later, stops accepting applications soon. Don't miss your chance to apply.`,
+        },
+        {
+          type: 'list',
+          value: [
+            `Location: ${escapeEmailText(job.location)}`,
+            `Application Deadline: ${new Date(job.applicationDeadline).toUTCString()}`,
+          ],
+        },
+        {
+          type: 'cta',
+          value: {
+            text: 'Apply Now',
+            link: `${clientUrl}/candidate/apply/${job._id}`,
+          },
+        },
+      ],
+    });
+  }
+
+  return generateEmailTemplate({
+    firstName,
+    subject: 'A Saved Job Has Closed',
+    content: [
+      { type: 'heading', value: 'A Saved Job Has Closed' },
+      {
+        type: 'text',
+        value: `<strong>${escapeEmailText(job.title)}</strong> at ${escapeEmailText(job.company)}, which you saved for later, is no longer accepting applications.`,
+      },
+      {
+        type: 'text',
+        value:
+          'New opportunities are posted every day. Browse open jobs to find your next role.',
+      },
+      {
+        type: 'cta',
+        value: {
+          text: 'Browse Jobs',
+          link: `${clientUrl}/candidate/jobs`,
+        },
+      },
+    ],
+  });
+};
+
+/**
+ * @desc Sends one reminder type for the given jobs to every candidate who saved
+ * them and has not applied yet. Each bookmark is claimed before its email goes
+ * out, so overlapping sweeps never send a reminder twice.
+ *
+ * @param {Object[]} jobs - The jobs to send reminders for.
+ * @param {string} type - Either 'closing' or 'closed'.
+ * @param {Date} now - The sweep time recorded on the bookmark.
+ *
+ * @returns {Promise<number>} The number of reminders sent.
+ */
+
+const sendBookmarkReminders = async (jobs, type, now) => {
+  const sentField =
+    type === 'closing' ? 'closingReminderSentAt' : 'closedReminderSentAt';
+  let sentCount = 0;
+
+  for (const job of jobs) {
+    try {
+      const bookmarks = await Bookmark.find({
+        jobId: job._id,
+        [sentField]: null,
+      }).populate('candidateId', 'firstName email');
+
+      if (bookmarks.length === 0) continue;
+
+      const appliedCandidateIds = new Set(
+        (
+          await Application.distinct('candidateId', {
+            jobId: job._id,
+            candidateId: {
+              $in: bookmarks.map((bookmark) => bookmark.candidateId?._id),
+            },
+          })
+        ).map(String)
+      );
+
+      for (const bookmark of bookmarks) {
+        const candidate = bookmark.candidateId;
+
+        const claimed = await Bookmark.updateOne(
+          { _id: bookmark._id, [sentField]: null },
+          { $set: { [sentField]: now } }
+        );
+
+        if (claimed.modifiedCount === 0) continue;
+        if (!candidate?.email) continue;
+        if (appliedCandidateIds.has(String(candidate._id))) continue;
+
+        await sendEmail({
+          from: process.env.NODEMAILER_SMTP_EMAIL,
+          to: candidate.email,
+          subject:
+            type === 'closing'
+              ? 'EZY Jobs - A Saved Job Is Closing Soon'
+              : 'EZY Jobs - A Saved Job Has Closed',
+          html: buildReminderEmail(job, type, candidate.firstName),
+        });
+        sentCount += 1;
+      }
+    } catch (error) {
+      console.error(
+        `❌ Failed to send ${type} reminders for job ${job._id}:`,
+        error
+      );
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * @desc Reminds candidates about saved jobs that close within
+ * CLOSING_REMINDER_DAYS and about saved jobs that have closed.
+ *
+ * @returns {Promise<void>}
+ */
+
+const processBookmarkReminders = async () => {
+  try {
+    const now = new Date();
+    const closingBefore = new Date(
+      now.getTime() + CLOSING_REMINDER_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const closingJobs = await Job.find({
+      ...Job.getPublicFilter(),
+      applicationDeadline: { $gt: now, $lte: closingBefore },
+    }).select('title company location applicationDeadline');
+
+    const pendingClosedJobIds = await Bookmark.distinct('jobId', {
+      closedReminderSentAt: null,
+    });
+    const closedJobs = await Job.find({
+      _id: { $in: pendingClosedJobIds },
+      $or: [{ isClosed: true }, { status: 'closed' }],
+    }).select('title company location applicationDeadline');
+
+    const closingCount = await sendBookmarkReminders(
+      closingJobs,
+      'closing',
+      now
+    );
+    const closedCount = await sendBookmarkReminders(closedJobs, 'closed', now);
+
+    if (closingCount + closedCount > 0) {
+      console.log(
+        `✅ Sent ${closingCount} closing-soon and ${closedCount} closed saved job reminder(s)`
+      );
+    }
+  } catch (error) {
+    console.error('Error processing saved job reminders:', error);
+  }
+};
+
+// Set up cron job to run every hour to remind candidates about their saved jobs
+cron.schedule('30 * * * *', () => {
+  console.log('🔄 Checking saved jobs for reminders...');
+  processBookmarkReminders();
+});
+
+/**
+ * @desc Lists the jobs the logged-in candidate has saved, newest first.
+ *
+ * @route GET /api/v1/bookmarks
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getMyBookmarks = asyncHandler(async (req, res) => {
+  const bookmarks = await Bookmark.find({ candidateId: req.user.id })
+    .sort({ createdAt: -1 })
+    .populate({
+      path: 'jobId',
+      populate: { path: 'recruiterId', select: 'firstName lastName email' },
+    });
+
+  // Jobs deleted after they were saved are left out
+  const savedJobs = bookmarks
+    .filter((bookmark) => bookmark.jobId)
+    .map(formatBookmark);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Saved jobs retrieved successfully.',
+    count: savedJobs.length,
+    bookmarks: savedJobs,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Saves a job for the logged-in candidate. Saving an already saved job
+ * returns the existing bookmark.
+ *
+ * @route POST /api/v1/bookmarks
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createBookmark = asyncHandler(async (req, res) => {
+  const { jobId } = req.body;
+
+  if (!jobId || !mongoose.isValidObjectId(jobId)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide a valid job ID.');
+  }
+
+  const job = await Job.findOne({ _id: jobId, ...Job.getPublicFilter() });
+
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This job posting is not open or no longer exists.');
+  }
+
+  const existingBookmark = await Bookmark.findOne({
+    candidateId: req.user.id,
+    jobId,
+  });
+
+  if (existingBookmark) {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'This job is already in your saved jobs.',
+      bookmark: existingBookmark,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const bookmark = await Bookmark.create({ candidateId: req.user.id, jobId });
+
+  if (!bookmark) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error('Unable to save this job. Please try again.');
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: `${job.title} saved to your jobs.`,
+    bookmark,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Removes a job from the logged-in candidate's saved jobs.
+ *
+ * @route DELETE /api/v1/bookmarks/:jobId
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const deleteBookmark = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!mongoose.isValidObjectId(jobId)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide a valid job ID.');
+  }
+
+  const bookmark = await Bookmark.findOneAndDelete({
+    candidateId: req.user.id,
+    jobId,
+  });
+
+  if (!bookmark) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This job is not in your saved jobs.');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job removed from your saved jobs.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getMyBookmarks,
+  createBookmark,
+  deleteBookmark,
+};
@@ -0,0 +1,363 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Category, Job } = require('../models');
+
+const { slugifyCategory } = require('../utils/category.utils');
+const { validateString } = require('../utils/validation.utils');
+
+/**
+ * @desc Validates the category fields present in the request body and returns
+ * the values to persist.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body.
+ * @param {Object} [current] - The category being updated, if any.
+ *
+ * @returns {Promise<Object>} The validated fields.
+ */
+
+const validateCategoryInput = async (res, body, current) => {
+  const fields = {};
+
+  if (body.name !== undefined || !current) {
+    const name = validateString(res, body.name, 'Category name', 2, 100);
+    const slug = slugifyCategory(name);
+
+    if (!slug) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Category names need at least one letter or number.');
+    }
+
+    const duplicate = await Category.findOne({
+      slug,
+      ...(current && { _id: { $ne: current._id } }),
+    }).lean();
+    if (duplicate) {
+      res.status(StatusCodes.CONFLICT);
+      throw new Error(`A category named "${duplicate.name}" already exists.`);
+    }
+
+    fields.name = name;
+    fields.slug = slug;
+  }
+
+  if (body.parent !== undefined) {
+    if (!body.parent) {
+      fields.parent = null;
+    } else {
+      if (!mongoose.isValidObjectId(body.parent)) {
+        res.status(StatusCodes.BAD_REQUEST);
+        throw new Error('Please choose a valid parent category.');
+      }
+
+      const parent = await Category.findById(body.parent).lean();
+      if (!parent || parent.parent) {
+        res.status(StatusCodes.BAD_REQUEST);
+        throw new Error('Sub-categories can only be added under a top-level category.');
+      }
+      if (current && String(parent._id) === String(current._id)) {
+        res.status(StatusCodes.BAD_REQUEST);
+        throw new Error('A category cannot be its own parent.');
+      }
+      if (current && (await Category.exists({ parent: current._id }))) {
+        res.status(StatusCodes.BAD_REQUEST);
+        throw new Error(
+          'This category has sub-categories, so it cannot be moved under another category.'
+        );
+      }
+
+      fields.parent = parent._id;
+    }
+  }
+
+  if (body.order !== undefined) {
+    const order = Number(body.order);
+    if (!Number.isInteger(order) || order < 0) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Order must be a whole number of 0 or more.');
+    }
+    fields.order = order;
+  }
+
+  if (body.isActive !== undefined) {
+    fields.isActive = Boolean(body.isActive);
+  }
+
+  if (body.assessmentKey !== undefined) {
+    const assessmentKey = String(body.assessmentKey || '').trim().toLowerCase();
+    if (assessmentKey && !/^[a-z0-9-]{2,50}$/.test(assessmentKey)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        'Assessment keys use 2 to 50 lowercase letters, numbers or hyphens.'
+      );
+    }
+    fields.assessmentKey = assessmentKey || undefined;
+  }
+
+  return fields;
+};
+
+/**
+ * @desc Nests sub-categories under their parents, both in display order.
+ *
+ * @param {Object[]} categories - Plain category objects.
+ *
+ * @returns {Object[]} Top-level categories, each with a `children` list.
+ */
+
+const buildCategoryTree = (categories) => {
+  const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+  const topLevel = categories.filter((category) => !category.parent);
+
+  return topLevel.sort(byOrder).map((category) => ({
+    ...category,
+    children: categories
+      .filter((child) => String(child.parent) === String(category._id))
+      .sort(byOrder),
+  }));
+};
+
+const findCategoryById = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Invalid category ID.');
+  }
+
+  const category = await Category.findById(id);
+
+  if (!category) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Category not found.');
+  }
+
+  return category;
+};
+
+/**
+ * @desc Lists the active categories that can be picked for a job, with their
+ * active sub-categories.
+ *
+ * @route GET /api/v1/categories
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true }).lean();
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Categories retrieved successfully.',
+    categories: buildCategoryTree(categories),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Lists every category, including inactive ones, with the number of jobs
+ * filed under each.
+ *
+ * @route GET /api/v1/categories/all
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getAllCategories = asyncHandler(async (req, res) => {
+  const [categories, jobCounts] = await Promise.all([
+    Category.find().lean(),
+    Job.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]),
+  ]);
+
+  const countByName = Object.fromEntries(
+    jobCounts.map(({ _id, count }) => [_id, count])
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Categories retrieved successfully.',
+    categories: buildCategoryTree(
+      categories.map((category) => ({
+        ...category,
+        jobCount: countByName[category.name] || 0,
+      }))
+    ),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Creates a category or sub-category. New categories go to the end of
+ * their list unless an order is given.
+ *
+ * @route POST /api/v1/categories
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createCategory = asyncHandler(async (req, res) => {
+  const fields = await validateCategoryInput(res, req.body);
+
+  if (fields.order === undefined) {
+    fields.order = await Category.countDocuments({ parent: fields.parent || null });
+  }
+
+  const category = await Category.create(fields);
+
+  if (!category) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error('Unable to create category. Please try again.');
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Category created successfully.',
+    category,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Sets the display order of sibling categories.
+ *
+ * @route PATCH /api/v1/categories/reorder
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object containing `categoryIds` in their new order.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const reorderCategories = asyncHandler(async (req, res) => {
+  const { categoryIds } = req.body;
+
+  if (
+    !Array.isArray(categoryIds) ||
+    categoryIds.length === 0 ||
+    categoryIds.some((id) => !mongoose.isValidObjectId(id))
+  ) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide the category IDs in their new order.');
+  }
+
+  const categories = await Category.find({ _id: { $in: categoryIds } }).lean();
+  const parents = new Set(categories.map((category) => String(category.parent)));
+
+  if (categories.length !== new Set(categoryIds.map(String)).size || parents.size !== 1) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Only categories that share the same parent can be reordered together.');
+  }
+
+  await Category.bulkWrite(
+    categoryIds.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } },
+    }))
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Categories reordered successfully.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Updates a category. Renaming it also renames it on every job filed under it.
+ *
+ * @route PATCH /api/v1/categories/:id
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = await findCategoryById(req, res);
+  const fields = await validateCategoryInput(res, req.body, category);
+  const previousName = category.name;
+
+  category.set(fields);
+  await category.save();
+
+  if (fields.name && fields.name !== previousName) {
+    await Job.updateMany(
+      { $or: [{ categoryId: category._id }, { category: previousName }] },
+      { $set: { category: category.name, categoryId: category._id } }
+    );
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Category updated successfully.',
+    category,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Deletes a category that has no sub-categories and no jobs. Categories
+ * in use should be deactivated instead.
+ *
+ * @route DELETE /api/v1/categories/:id
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await findCategoryById(req, res);
+
+  const [hasChildren, jobCount] = await Promise.all([
+    Category.exists({ parent: category._id }),
+    Job.countDocuments({
+      $or: [{ categoryId: category._id }, { category: category.name }],
+    }),
+  ]);
+
+  if (hasChildren || jobCount > 0) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(
+      hasChildren
+        ? 'This category has sub-categories. Remove or move them first, or deactivate the category instead.'
+        : `This category is used by ${jobCount} job${jobCount === 1 ? '' : 's'}. Deactivate it instead so existing jobs keep their category.`
+    );
+  }
+
+  await category.deleteOne();
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Category deleted successfully.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCategories,
+  getAllCategories,
+  createCategory,
+  reorderCategories,
+  updateCategory,
+  deleteCategory,
+};
@@ -94,7 +94,7 @@ const getAllChatRooms = asyncHandler(async (req, res) => {
   if (qRecruiterId) whereClause.recruiterId = qRecruiterId;
 
   const chatRoomsQuery = ChatRoom.find(whereClause)
-    .populate('jobId', 'title location salaryRange')
+    .populate('jobId', 'title location salary')
     .populate('interviewerId', 'id firstName lastName email')
     .populate('recruiterId', 'id firstName lastName email')
     .sort({ createdAt: -1 });
@@ -166,7 +166,7 @@ const getChatRoomById = asyncHandler(async (req, res) => {
   }
 
   const chatRoom = await ChatRoom.findById(chatRoomId)
-    .populate('jobId', 'title location salaryRange')
+    .populate('jobId', 'title location salary')
     .populate('interviewerId', 'id firstName lastName email')
     .populate('recruiterId', 'id firstName lastName email');
 
@@ -0,0 +1,445 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Company, Job, Resume, User } = require('../models');
+
+const { slugifyCompany, findCompany } = require('../utils/company.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { validateString } = require('../utils/validation.utils');
+
+// Sortable company list fields for `?sort=`
+const COMPANY_SORT_FIELDS = {
+  name: 'name',
+  createdAt: 'createdAt',
+};
+
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields shown for each open job on the public company page
+const COMPANY_JOB_FIELDS =
+  'title company category location locations workMode salary seo publishedAt applicationDeadline createdAt';
+
+/**
+ * @desc Validates the company fields present in the request body and returns
+ * the values to persist. Empty optional fields are cleared.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body.
+ * @param {Object} [current] - The company being updated, if any.
+ *
+ * @returns {Promise<Object>} The validated fields.
+ */
+
+const validateCompanyInput = async (res, body, current) => {
+  const fields = {};
+
+  if (body.name !== undefined || !current) {
+    const name = validateString(res, body.name, 'Company name', 2, 100);
+    const slug = slugifyCompany(name);
+
+    if (!slug) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Company names need at least one letter or number.');
+    }
+
+    const duplicate = await Company.findOne({
+      slug,
+      ...(current && { _id: { $ne: current._id } }),
+    }).lean();
+    if (duplicate) {
+      res.status(StatusCodes.CONFLICT);
+      throw new Error(
+        `${duplicate.name} already has a company profile. Ask one of its owners to add you.`
+      );
+    }
+
+    fields.name = name;
+    fields.slug = slug;
+  }
+
+  ['logoUrl', 'website'].forEach((field) => {
+    if (body[field] === undefined) return;
+    const value = String(body[field] || '').trim();
+    if (value && !URL_PATTERN.test(value)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `${field === 'logoUrl' ? 'Logo URL' : 'Website'} must start with http:// or https://.`
+      );
+    }
+    fields[field] = value || undefined;
+  });
+
+  if (body.description !== undefined) {
+    fields.description = body.description
+      ? validateString(res, body.description, 'Description', 0, 5000)
+      : undefined;
+  }
+
+  if (body.industry !== undefined) {
+    fields.industry = body.industry
+      ? validateString(res, body.industry, 'Industry', 2, 50)
+      : undefined;
+  }
+
+  if (body.size !== undefined) {
+    if (body.size && !Company.SIZES.includes(body.size)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `Company size must be one of: ${Company.SIZES.join(', ')}.`
+      );
+    }
+    fields.size = body.size || undefined;
+  }
+
+  return fields;
+};
+
+const findCompanyById = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Invalid company ID.');
+  }
+
+  const company = await Company.findById(id);
+
+  if (!company) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Company not found.');
+  }
+
+  return company;
+};
+
+const assertCanManageCompany = (req, res, company) => {
+  if (!req.user.isAdmin && !company.isOwnedBy(req.user.id)) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('Only the owners of this company can manage its profile.');
+  }
+};
+
+/**
+ * @desc Lists company profiles, optionally filtered by name.
+ *
+ * @route GET /api/v1/companies?search=acme
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getCompanies = asyncHandler(async (req, res) => {
+  const { search } = req.query;
+
+  const filter = search
+    ? { name: { $regex: escapeRegex(String(search).trim()), $options: 'i' } }
+    : {};
+
+  const { docs: companies, pagination } = await paginate(res, {
+    model: Company,
+    filter,
+    query: req.query,
+    sortFields: COMPANY_SORT_FIELDS,
+    defaultSort: 'name',
+    buildQuery: (companiesQuery) => companiesQuery.select('-owners'),
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      companies.length === 0
+        ? 'No companies found'
+        : `Found ${companies.length} companies`,
+    count: companies.length,
+    companies,
+    pagination,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Lists the companies the recruiter owns, with their co-owners.
+ *
+ * @route GET /api/v1/companies/mine
+ * @access Private (Recruiter)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getMyCompanies = asyncHandler(async (req, res) => {
+  const companies = await Company.find({ owners: req.user.id })
+    .sort({ name: 1 })
+    .populate('owners', 'firstName lastName email');
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Companies retrieved successfully.',
+    count: companies.length,
+    companies,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Gets a public company profile with its open jobs. A company ID is
+ * accepted in place of the slug.
+ *
+ * @route GET /api/v1/companies/:slug
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getCompanyBySlug = asyncHandler(async (req, res) => {
+  // Owners are private to the company's recruiters
+  const company = await findCompany(req.params.slug, '-owners');
+
+  if (!company) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This company profile does not exist.');
+  }
+
+  const jobs = await Job.find({
+    companyId: company._id,
+    ...Job.getPublicFilter(),
+  })
+    .select(COMPANY_JOB_FIELDS)
+    .sort({ createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Company retrieved successfully.',
+    company,
+    count: jobs.length,
+    jobs,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Creates a company profile. The recruiter creating it becomes its first
+ * owner; companies created by an admin start without owners.
+ *
+ * @route POST /api/v1/companies
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createCompany = asyncHandler(async (req, res) => {
+  const fields = await validateCompanyInput(res, req.body);
+
+  const company = await Company.create({
+    ...fields,
+    owners: req.user.isRecruiter ? [req.user.id] : [],
+  });
+
+  if (!company) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error('Unable to create company. Please try again.');
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Company created successfully.',
+    company,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Updates a company profile. Renaming it also renames it on its jobs and
+ * on the resumes linked to it.
+ *
+ * @route PATCH /api/v1/companies/:id
+ * @access Private (Company owners, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateCompany = asyncHandler(async (req, res) => {
+  const company = await findCompanyById(req, res);
+  assertCanManageCompany(req, res, company);
+
+  const fields = await validateCompanyInput(res, req.body, company);
+  const previousName = company.name;
+
+  company.set(fields);
+  await company.save();
+
+  if (fields.name && fields.name !== previousName) {
+    await Promise.all([
+      Job.updateMany(
+        { companyId: company._id },
+        { $set: { company: company.name } }
+      ),
+      Resume.updateMany(
+        { companyId: company._id },
+        { $set: { company: company.name } }
+      ),
+    ]);
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Company updated successfully.',
+    company,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Adds a recruiter as an owner of the company, by email.
+ *
+ * @route POST /api/v1/companies/:id/owners
+ * @access Private (Company owners, Admin)
+ *
+ * @param {Object} req - The request object containing the recruiter's `email`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const addCompanyOwner = asyncHandler(async (req, res) => {
+  const company = await findCompanyById(req, res);
+  assertCanManageCompany(req, res, company);
+
+  const email = String(req.body.email || '')
+    .trim()
+    .toLowerCase();
+  const recruiter = email ? await User.findOne({ email }) : null;
+
+  if (!recruiter || !recruiter.isRecruiter) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('No recruiter account uses this email address.');
+  }
+
+  if (company.isOwnedBy(recruiter._id)) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(`${recruiter.firstName} already owns this company.`);
+  }
+
+  company.owners.push(recruiter._id);
+  await company.save();
+  await company.populate('owners', 'firstName lastName email');
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `${recruiter.firstName} ${recruiter.lastName} can now manage ${company.name}.`,
+    company,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Removes an owner from the company. Owners can remove themselves or
+ * each other, but a company always keeps at least one owner.
+ *
+ * @route DELETE /api/v1/companies/:id/owners/:userId
+ * @access Private (Company owners, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const removeCompanyOwner = asyncHandler(async (req, res) => {
+  const company = await findCompanyById(req, res);
+  assertCanManageCompany(req, res, company);
+
+  const { userId } = req.params;
+
+  if (!company.isOwnedBy(userId)) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This user is not an owner of the company.');
+  }
+
+  if (company.owners.length === 1 && !req.user.isAdmin) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'A company needs at least one owner. Add another owner before leaving.'
+    );
+  }
+
+  company.owners = company.owners.filter(
+    (owner) => String(owner) !== String(userId)
+  );
+  await company.save();
+  await company.populate('owners', 'firstName lastName email');
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Owner removed successfully.',
+    company,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Deletes a company profile that no job uses.
+ *
+ * @route DELETE /api/v1/companies/:id
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const deleteCompany = asyncHandler(async (req, res) => {
+  const company = await findCompanyById(req, res);
+
+  const jobCount = await Job.countDocuments({ companyId: company._id });
+
+  if (jobCount > 0) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(
+      `This company has ${jobCount} job${jobCount === 1 ? '' : 's'}, so it cannot be deleted.`
+    );
+  }
+
+  await Promise.all([
+    company.deleteOne(),
+    Resume.updateMany(
+      { companyId: company._id },
+      { $unset: { companyId: '' } }
+    ),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Company deleted successfully.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCompanies,
+  getMyCompanies,
+  getCompanyBySlug,
+  createCompany,
+  updateCompany,
+  addCompanyOwner,
+  removeCompanyOwner,
+  deleteCompany,
+};
@@ -15,6 +15,15 @@ const {
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
 const { validateString } = require('../utils/validation.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Sortable contract list fields for `?sort=`
+const CONTRACT_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  agreedPrice: 'agreedPrice',
+  status: 'status',
+  paymentStatus: 'paymentStatus',
+};
 
 /**
  * @desc Create a new contract
@@ -217,7 +226,6 @@ const getAllContracts = asyncHandler(async (req, res) => {
     recruiterId,
     interviewerId,
     jobId,
-    limit,
   } = req.query;
   const user = req.user;
   let query = {};
@@ -255,14 +263,21 @@ const getAllContracts = asyncHandler(async (req, res) => {
   }
   if (jobId) query.jobId = jobId;
 
-  const contracts = await Contract.find(query)
-    .populate('jobId', 'title description isClosed')
-    .populate('recruiterId', 'firstName lastName email')
-    .populate('interviewerId', 'firstName lastName email payoutEnabled stripeAccountId')
-    .populate('roomId')
-    .populate('interviewerRatings', 'rating feedback createdAt')
-    .populate('transactions', 'amount status transactionDate transactionType')
-    .limit(limit ? parseInt(limit) : 0);
+  const { docs: contracts, pagination } = await paginate(res, {
+    model: Contract,
+    filter: query,
+    query: req.query,
+    sortFields: CONTRACT_SORT_FIELDS,
+    defaultSort: '-createdAt',
+    buildQuery: (contractsQuery) =>
+      contractsQuery
+        .populate('jobId', 'title description isClosed')
+        .populate('recruiterId', 'firstName lastName email')
+        .populate('interviewerId', 'firstName lastName email payoutEnabled stripeAccountId')
+        .populate('roomId')
+        .populate('interviewerRatings', 'rating feedback createdAt')
+        .populate('transactions', 'amount status transactionDate transactionType'),
+  });
 
   if (!contracts || contracts.length === 0) {
     return res.status(StatusCodes.OK).json({
@@ -270,6 +285,7 @@ const getAllContracts = asyncHandler(async (req, res) => {
       message: 'No contracts found. Please try different search criteria or check back later.',
       count: 0,
       contracts: [],
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
@@ -300,9 +316,10 @@ const getAllContracts = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: `Successfully retrieved ${normalizedContracts.length} contracts`,
+    message: `Successfully retrieved ${pagination.total} contracts`,
     count: normalizedContracts.length,
     contracts: normalizedContracts,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
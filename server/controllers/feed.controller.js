@@ -0,0 +1,259 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const { Job } = require('../models');
+
+const { formatSalary } = require('../utils/salary.utils');
+const { buildCategoryFilter } = require('../utils/category.utils');
+const { escapeXml, cdata } = require('../utils/xml.utils');
+
+const FEED_TITLE = 'EZY Jobs - Open Positions';
+const FEED_DESCRIPTION = 'The latest open job postings on EZY Jobs.';
+const PUBLISHER_NAME = 'EZY Jobs';
+
+const getClientUrl = () => (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+
+/**
+ * @desc Loads the open jobs for a feed request and handles conditional GETs.
+ * Sets ETag/Last-Modified from the newest matching job and the match count, and
+ * answers 304 when the aggregator's cached copy is still fresh.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} format - Feed format, part of the ETag.
+ *
+ * @returns {Promise<Object|null>} The feed data, or null when a 304 was sent.
+ */
+
+const loadFeed = async (req, res, format) => {
+  const { category, recruiterId } = req.query;
+  const filter = Job.getPublicFilter();
+
+  if (category) {
+    filter.category = await buildCategoryFilter(category);
+  }
+
+  if (recruiterId) {
+    if (!mongoose.isValidObjectId(recruiterId)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Please provide a valid recruiter ID.');
+    }
+    filter.recruiterId = recruiterId;
+  }
+
+  // Cheap freshness check before loading the full feed
+  const [count, latest] = await Promise.all([
+    Job.countDocuments(filter),
+    Job.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+  ]);
+
+  const lastModified = latest?.updatedAt ? new Date(latest.updatedAt) : new Date(0);
+  // Count is included so a job dropping out of the feed (e.g. closed) changes the tag
+  const etag = `W/"${crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify({
+        format,
+        category,
+        recruiterId,
+        count,
+        lastModified: lastModified.getTime(),
+      })
+    )
+    .digest('hex')}"`;
+
+  res.set('ETag', etag);
+  res.set('Last-Modified', lastModified.toUTCString());
+  res.set('Cache-Control', 'public, max-age=900');
+
+  if (req.fresh) {
+    res.status(StatusCodes.NOT_MODIFIED).end();
+    return null;
+  }
+
+  const jobs = await Job.find(filter).sort({ createdAt: -1 }).lean();
+  const clientUrl = getClientUrl();
+
+  return {
+    lastModified,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    jobs: jobs.map((job) => ({
+      id: String(job._id),
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      category: job.category,
+      description: job.description,
+      salary: formatSalary(job.salary),
+      url: `${clientUrl}/jobs/${job.seo?.slug || job._id}`,
+      publishedAt: new Date(job.publishedAt || job.createdAt),
+      updatedAt: new Date(job.updatedAt || job.createdAt),
+      applicationDeadline: job.applicationDeadline
+        ? new Date(job.applicationDeadline)
+        : null,
+    })),
+  };
+};
+
+const buildSummaryHtml = (job) =>
+  [
+    `<p><strong>${escapeXml(job.company)}</strong> - ${escapeXml(job.location)}</p>`,
+    job.salary ? `<p>Salary: ${escapeXml(job.salary)}</p>` : '',
+    `<p>${escapeXml(job.description)}</p>`,
+  ].join('');
+
+/**
+ * @desc Exports open jobs as an RSS 2.0 feed.
+ *
+ * @route GET /api/v1/feeds/jobs.rss
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getRssFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res, 'rss');
+  if (!feed) return;
+
+  const items = feed.jobs.map((job) =>
+    [
+      '    <item>',
+      `      <title>${escapeXml(`${job.title} at ${job.company}`)}</title>`,
+      `      <link>${escapeXml(job.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(job.url)}</guid>`,
+      `      <pubDate>${job.publishedAt.toUTCString()}</pubDate>`,
+      `      <category>${escapeXml(job.category)}</category>`,
+      `      <description>${cdata(buildSummaryHtml(job))}</description>`,
+      '    </item>',
+    ].join('\n')
+  );
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(FEED_TITLE)}</title>`,
+    `    <link>${escapeXml(`${getClientUrl()}/jobs`)}</link>`,
+    `    <description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.lastModified.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+  ].join('\n');
+
+  res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+  res.status(StatusCodes.OK).send(xml);
+});
+
+/**
+ * @desc Exports open jobs as an Atom feed.
+ *
+ * @route GET /api/v1/feeds/jobs.atom
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getAtomFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res, 'atom');
+  if (!feed) return;
+
+  const entries = feed.jobs.map((job) =>
+    [
+      '  <entry>',
+      `    <title>${escapeXml(`${job.title} at ${job.company}`)}</title>`,
+      `    <id>${escapeXml(job.url)}</id>`,
+      `    <link href="${escapeXml(job.url)}" />`,
+      `    <published>${job.publishedAt.toISOString()}</published>`,
+      `    <updated>${job.updatedAt.toISOString()}</updated>`,
+      `    <author><name>${escapeXml(job.company)}</name></author>`,
+      `    <category term="${escapeXml(job.category)}" />`,
+      `    <summary type="html">${escapeXml(buildSummaryHtml(job))}</summary>`,
+      '  </entry>',
+    ].join('\n')
+  );
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrl)}" />`,
+    `  <link href="${escapeXml(`${getClientUrl()}/jobs`)}" />`,
+    `  <updated>${feed.lastModified.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+  ].join('\n');
+
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.status(StatusCodes.OK).send(xml);
+});
+
+/**
+ * @desc Exports open jobs in the XML format used by job aggregators
+ * (a <source> of <job> elements with CDATA fields).
+ *
+ * @route GET /api/v1/feeds/jobs.xml
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getAggregatorFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res, 'aggregator');
+  if (!feed) return;
+
+  const jobs = feed.jobs.map((job) =>
+    [
+      '  <job>',
+      `    <title>${cdata(job.title)}</title>`,
+      `    <date>${cdata(job.publishedAt.toUTCString())}</date>`,
+      `    <referencenumber>${cdata(job.id)}</referencenumber>`,
+      `    <url>${cdata(job.url)}</url>`,
+      `    <company>${cdata(job.company)}</company>`,
+      `    <city>${cdata(job.location)}</city>`,
+      `    <description>${cdata(job.description)}</description>`,
+      `    <salary>${cdata(job.salary)}</salary>`,
+      `    <category>${cdata(job.category)}</category>`,
+      job.applicationDeadline
+        ? `    <expirationdate>${cdata(job.applicationDeadline.toUTCString())}</expirationdate>`
+        : null,
+      '  </job>',
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<source>',
+    `  <publisher>${escapeXml(PUBLISHER_NAME)}</publisher>`,
+    `  <publisherurl>${escapeXml(getClientUrl())}</publisherurl>`,
+    `  <lastBuildDate>${feed.lastModified.toUTCString()}</lastBuildDate>`,
+    ...jobs,
+    '</source>',
+  ].join('\n');
+
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.status(StatusCodes.OK).send(xml);
+});
+
+module.exports = {
+  getRssFeed,
+  getAtomFeed,
+  getAggregatorFeed,
+};
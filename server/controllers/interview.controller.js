@@ -9,6 +9,14 @@ const {
 } = require('../utils/nodemailer.utils');
 const { validateString } = require('../utils/validation.utils');
 const { generateRoomId, generateRemarks } = require('../utils/interview.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Sortable interview list fields for `?sort=`
+const INTERVIEW_SORT_FIELDS = {
+  scheduledTime: 'scheduledTime',
+  status: 'status',
+  createdAt: 'createdAt',
+};
 
 /**
  * @desc Create a new interview
@@ -157,6 +165,11 @@ const createInterview = asyncHandler(async (req, res) => {
     throw new Error('Application does not match the provided candidate or job.');
   }
 
+  if (application.status === 'withdrawn') {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('The candidate has withdrawn this application.');
+  }
+
   // Check for existing interviews at the same time (prevent double booking)
   const existingInterview = await Interview.findOne({
     status: { $in: ['scheduled', 'rescheduled'] },
@@ -389,12 +402,19 @@ const getAllInterviews = asyncHandler(async (req, res) => {
     }
   }
 
-  const interviews = await Interview.find(query)
-    .populate('interviewerId', 'firstName lastName email')
-    .populate('candidateId', 'firstName lastName email')
-    .populate('jobId', 'title company')
-    .populate('applicationId')
-    .sort({ scheduledTime: -1 });
+  const { docs: interviews, pagination } = await paginate(res, {
+    model: Interview,
+    filter: query,
+    query: req.query,
+    sortFields: INTERVIEW_SORT_FIELDS,
+    defaultSort: '-scheduledTime',
+    buildQuery: (interviewsQuery) =>
+      interviewsQuery
+        .populate('interviewerId', 'firstName lastName email')
+        .populate('candidateId', 'firstName lastName email')
+        .populate('jobId', 'title company')
+        .populate('applicationId'),
+  });
   // Normalize returned interview objects to match client expectations
   const normalized = (interviews || []).map((iv) => {
     const obj = iv.toObject ? iv.toObject() : iv;
@@ -413,6 +433,7 @@ const getAllInterviews = asyncHandler(async (req, res) => {
       message: 'No interviews found matching the criteria.',
       count: 0,
       interviews: [],
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
@@ -422,6 +443,7 @@ const getAllInterviews = asyncHandler(async (req, res) => {
     message: 'Interviews retrieved successfully.',
     count: normalized.length,
     interviews: normalized,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -480,12 +502,19 @@ const getInterviewsByJobId = asyncHandler(async (req, res) => {
     }
   }
 
-  const interviews = await Interview.find(query)
-    .populate('interviewerId', 'firstName lastName email')
-    .populate('candidateId', 'firstName lastName email')
-    .populate('jobId', 'title company')
-    .populate('applicationId')
-    .sort({ scheduledTime: -1 });
+  const { docs: interviews, pagination } = await paginate(res, {
+    model: Interview,
+    filter: query,
+    query: req.query,
+    sortFields: INTERVIEW_SORT_FIELDS,
+    defaultSort: '-scheduledTime',
+    buildQuery: (interviewsQuery) =>
+      interviewsQuery
+        .populate('interviewerId', 'firstName lastName email')
+        .populate('candidateId', 'firstName lastName email')
+        .populate('jobId', 'title company')
+        .populate('applicationId'),
+  });
   const normalized = (interviews || []).map((iv) => {
     const obj = iv.toObject ? iv.toObject() : iv;
     return {
@@ -503,6 +532,7 @@ const getInterviewsByJobId = asyncHandler(async (req, res) => {
       message: 'No interviews found for this job.',
       count: 0,
       interviews: [],
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
@@ -512,6 +542,7 @@ const getInterviewsByJobId = asyncHandler(async (req, res) => {
     message: 'Interviews retrieved successfully.',
     count: normalized.length,
     interviews: normalized,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -9,6 +9,13 @@ const {
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
 const { validateString } = require('../utils/validation.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Sortable interviewer rating list fields for `?sort=`
+const RATING_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  rating: 'rating',
+};
 
 /**
  * @desc    Create new interviewer rating
@@ -194,7 +201,6 @@ const getAllInterviewerRatings = asyncHandler(async (req, res) => {
     jobId: jobQuery,
     contractId: contractQuery,
     search,
-    limit,
   } = req.query;
 
   const filter = {};
@@ -205,12 +211,19 @@ const getAllInterviewerRatings = asyncHandler(async (req, res) => {
   if (contractQuery) filter.contractId = contractQuery;
   if (search) filter.feedback = { $regex: search, $options: 'i' };
 
-  const interviewerRatings = await InterviewerRating.find(filter)
-    .limit(limit ? parseInt(limit) : 0)
-    .populate('interviewerId', 'firstName lastName email')
-    .populate('recruiterId', 'firstName lastName email')
-    .populate('jobId', 'title company')
-    .populate('contractId', '_id');
+  const { docs: interviewerRatings, pagination } = await paginate(res, {
+    model: InterviewerRating,
+    filter,
+    query: req.query,
+    sortFields: RATING_SORT_FIELDS,
+    defaultSort: '-createdAt',
+    buildQuery: (ratingsQuery) =>
+      ratingsQuery
+        .populate('interviewerId', 'firstName lastName email')
+        .populate('recruiterId', 'firstName lastName email')
+        .populate('jobId', 'title company')
+        .populate('contractId', '_id'),
+  });
 
   if (!interviewerRatings || interviewerRatings.length === 0) {
     return res.status(StatusCodes.OK).json({
@@ -218,6 +231,7 @@ const getAllInterviewerRatings = asyncHandler(async (req, res) => {
       message: 'No interviewer ratings found. Please adjust your filters and try again.',
       count: 0,
       interviewerRatings: [],
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
@@ -252,6 +266,7 @@ const getAllInterviewerRatings = asyncHandler(async (req, res) => {
     message: `Successfully retrieved ${normalizedRatings.length} ratings`,
     count: normalizedRatings.length,
     interviewerRatings: normalizedRatings,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
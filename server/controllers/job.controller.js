@@ -1,13 +1,76 @@
 const asyncHandler = require('express-async-handler');
 const { StatusCodes } = require('http-status-codes');
 const axios = require('axios');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
 
-const { User, Job } = require('../models');
-
-const { validateString, validateArray } = require('../utils/validation.utils');
+const {
+  User,
+  Job,
+  JobVersion,
+  Application,
+  Resume,
+  Category,
+  Company,
+} = require('../models');
+
+const { SALARY_CURRENCIES, SALARY_PERIODS, toMonthlyAmount } = require('../utils/salary.utils');
+const {
+  normalizeScreeningQuestions,
+  hideKnockoutRules,
+} = require('../utils/screening.utils');
+const {
+  WORK_MODES,
+  MAX_JOB_LOCATIONS,
+  LOCATION_PATTERN,
+  formatLocationSummary,
+  getJobLocations,
+} = require('../utils/location.utils');
+const {
+  diffJobSnapshots,
+  recordJobVersion,
+} = require('../utils/jobVersion.utils');
+const {
+  RELEVANCE_SORT,
+  DISTANCE_SORT,
+  paginate,
+} = require('../utils/pagination.utils');
+const { parseJobImport } = require('../utils/jobImport.utils');
+const {
+  resolveJobCategory,
+  buildCategoryFilter,
+} = require('../utils/category.utils');
+const {
+  resolveJobCompany,
+  createJobCompany,
+} = require('../utils/company.utils');
+const {
+  buildCityPoint,
+  buildLocationsGeo,
+  parseRadius,
+  buildWithinFilter,
+  getDistanceKm,
+} = require('../utils/geo.utils');
+const {
+  DEFAULT_MATCH_LIMIT,
+  MAX_MATCH_LIMIT,
+  MATCH_POOL_SIZE,
+  tokenize,
+  getJobProfile,
+  scoreSimilarJob,
+  scoreRecommendedJob,
+} = require('../utils/jobMatching.utils');
+const { resolveJobModeration } = require('../utils/jobModeration.utils');
+const {
+  validateString,
+  validateArray,
+  validateSalary,
+  validateDate,
+} = require('../utils/validation.utils');
 const {
   sendEmail,
   generateEmailTemplate,
+  escapeEmailText,
 } = require('../utils/nodemailer.utils');
 
 const convertToArray = (value) => {
@@ -41,47 +104,442 @@ const generateUniqueSlug = async (base, JobModel) => {
   return `${slug}-${Date.now()}`;
 };
 
+// Facets returned alongside the job listing, keyed by the field they filter on.
+// A job counts once for each of its locations; jobs without a work mode are onsite.
+const JOB_FACETS = {
+  category: { field: 'category', groupBy: '$category' },
+  location: { field: 'locations', groupBy: '$locations', unwind: true },
+  company: { field: 'company', groupBy: '$company' },
+  workMode: {
+    field: 'workMode',
+    groupBy: { $ifNull: ['$workMode', 'onsite'] },
+  },
+};
+
 /**
- * @desc Creates a new job.
+ * @desc Counts jobs per category, location, company and work mode for the listing's filter chips.
+ * Each facet ignores its own filter so the client can show counts for the
+ * alternatives a user could switch to.
  *
- * @route POST /api/v1/jobs
- * @access Private (Recruiter)
+ * @param {Object} baseQuery - Role and search constraints shared by every facet.
+ * @param {Object} facetFilters - Active facet filters keyed by the job field they match.
+ *
+ * @returns {Promise<Object>} Facet buckets keyed by facet name, each `{ value, count }`.
+ */
+
+const getJobFacets = async (baseQuery, facetFilters) => {
+  const match = { ...baseQuery };
+
+  // Aggregation pipelines bypass Mongoose casting, so cast the recruiter filter ourselves
+  if (match.recruiterId && mongoose.isValidObjectId(match.recruiterId)) {
+    match.recruiterId = new mongoose.Types.ObjectId(String(match.recruiterId));
+  }
+
+  const facetStages = {};
+  Object.entries(JOB_FACETS).forEach(([name, { field, groupBy, unwind }]) => {
+    const otherFilters = Object.fromEntries(
+      Object.entries(facetFilters).filter(([key]) => key !== field)
+    );
+
+    facetStages[name] = [
+      { $match: otherFilters },
+      ...(unwind ? [{ $unwind: `$${field}` }] : []),
+      { $group: { _id: groupBy, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+  });
+
+  const [facets] = await Job.aggregate([
+    { $match: match },
+    { $facet: facetStages },
+  ]);
+
+  return facets || { category: [], location: [], company: [], workMode: [] };
+};
+
+const JOB_STATUSES = ['draft', 'scheduled', 'published', 'closed'];
+
+// Sortable job listing fields for `?sort=`, mapped to their document paths
+const JOB_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  title: 'title',
+  company: 'company',
+  category: 'category',
+  location: 'location',
+  salary: 'salary.monthlyMax',
+  applicationDeadline: 'applicationDeadline',
+};
+
+const isJobPubliclyVisible = (job) =>
+  !job.isClosed && job.status !== 'closed' && !Job.isUnlisted(job);
+
+// Email copy describing where the job is in its lifecycle
+const describeJobAvailability = (job) => {
+  if (job.status !== 'draft' && job.moderation?.status === 'pending') {
+    return 'is waiting for review by our team. It will go live for candidates as soon as it is approved.';
+  }
+
+  switch (job.status) {
+    case 'draft':
+      return 'is saved as a draft. Publish it whenever you are ready to start receiving applications.';
+    case 'scheduled':
+      return `is scheduled to go live for candidates on ${new Date(job.publishAt).toUTCString()}.`;
+    case 'closed':
+      return 'is closed to new applications.';
+    default:
+      return 'is now live for candidates to view and apply.';
+  }
+};
+
+// Extra detail lines for the lifecycle dates, when set
+const formatJobLifecycleDetails = (job) => [
+  ...(job.publishAt ? [`Publish Date: ${new Date(job.publishAt).toUTCString()}`] : []),
+  ...(job.applicationDeadline
+    ? [`Application Deadline: ${new Date(job.applicationDeadline).toUTCString()}`]
+    : []),
+];
+
+const WORK_MODE_LABELS = { onsite: 'On-site', hybrid: 'Hybrid', remote: 'Remote' };
+
+// Email detail lines for where the job is based
+const formatJobLocationDetails = (job) => {
+  const locations = getJobLocations(job);
+  return [
+    `Work Mode: ${WORK_MODE_LABELS[job.workMode] || WORK_MODE_LABELS.onsite}`,
+    ...(locations.length > 0 ? [`Locations: ${locations.join('; ')}`] : []),
+  ];
+};
+
+/**
+ * @desc Resolves the lifecycle fields (status, publish date and application
+ * deadline) from a create/update request body.
  *
- * @param {Object} req - The request object containing the OTP.
  * @param {Object} res - The response object.
+ * @param {Object} body - The request body.
+ * @param {Object} [currentJob] - The job being updated, if any.
  *
- * @returns {Promise<void>}
+ * @returns {Object} The lifecycle fields to persist, including the synced `isClosed` flag.
  */
 
-const createJob = asyncHandler(async (req, res) => {
+const resolveJobLifecycle = (res, body, currentJob) => {
+  const { status, publishAt, applicationDeadline, isClosed } = body;
+  const now = new Date();
+  const lifecycle = {};
+
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Job status should be one of: ${JOB_STATUSES.join(', ')}.`);
+  }
+
+  if (publishAt !== undefined) {
+    lifecycle.publishAt = publishAt ? validateDate(res, publishAt, 'Publish date') : null;
+  }
+  if (applicationDeadline !== undefined) {
+    lifecycle.applicationDeadline = applicationDeadline
+      ? validateDate(res, applicationDeadline, 'Application deadline')
+      : null;
+  }
+
+  const effectivePublishAt =
+    lifecycle.publishAt !== undefined ? lifecycle.publishAt : currentJob?.publishAt;
+  const effectiveDeadline =
+    lifecycle.applicationDeadline !== undefined
+      ? lifecycle.applicationDeadline
+      : currentJob?.applicationDeadline;
+  const currentStatus = currentJob ? currentJob.status || (currentJob.isClosed ? 'closed' : 'published') : null;
+
+  // The legacy isClosed flag still works as a close/reopen toggle, but only
+  // when it actually flips the state (drafts are sent with isClosed: false too)
+  let nextStatus = status;
+  if (
+    !nextStatus &&
+    typeof isClosed !== 'undefined' &&
+    Boolean(isClosed) !== Boolean(currentJob?.isClosed)
+  ) {
+    nextStatus = isClosed ? 'closed' : 'published';
+  }
+  if (!nextStatus && !currentJob) {
+    nextStatus = lifecycle.publishAt && lifecycle.publishAt > now ? 'scheduled' : 'published';
+  }
+
+  if (nextStatus === 'scheduled') {
+    if (!effectivePublishAt) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Please provide a publish date to schedule this job.');
+    }
+    if (effectivePublishAt <= now) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('The publish date must be in the future.');
+    }
+  }
+
+  // Re-sending an unchanged (possibly past) deadline with other edits is fine
+  const isDeadlineChanged =
+    lifecycle.applicationDeadline &&
+    lifecycle.applicationDeadline.getTime() !== currentJob?.applicationDeadline?.getTime();
+  if (isDeadlineChanged && lifecycle.applicationDeadline <= now) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('The application deadline must be in the future.');
+  }
+  if (effectiveDeadline && effectivePublishAt && effectiveDeadline <= effectivePublishAt) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('The application deadline must be after the publish date.');
+  }
+  const isStatusChange = Boolean(nextStatus) && nextStatus !== currentStatus;
+
+  if (isStatusChange && nextStatus === 'published' && effectiveDeadline && effectiveDeadline <= now) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'The application deadline has already passed. Please set a new deadline before publishing.'
+    );
+  }
+
+  if (isStatusChange) {
+    lifecycle.status = nextStatus;
+    lifecycle.isClosed = nextStatus === 'closed';
+    if (nextStatus === 'published') lifecycle.publishedAt = now;
+    if (nextStatus === 'closed') lifecycle.closedAt = now;
+  }
+
+  return lifecycle;
+};
+
+/**
+ * @desc Resolves the work mode and locations from a create/update request body.
+ * The legacy single `location` string is still accepted as a one-city list.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body.
+ * @param {Object} [currentJob] - The job being updated, if any.
+ *
+ * @returns {Object} The `workMode`, `locations` and derived `location` and `geo`
+ * to persist, or an empty object when an update does not touch them.
+ */
+
+const resolveJobLocations = (res, body, currentJob) => {
+  const { workMode, locations, location } = body;
+
+  if (
+    currentJob &&
+    typeof workMode === 'undefined' &&
+    typeof locations === 'undefined' &&
+    !location
+  ) {
+    return {};
+  }
+
+  if (workMode !== undefined && !WORK_MODES.includes(workMode)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Work mode should be one of: ${WORK_MODES.join(', ')}.`);
+  }
+
+  let nextLocations;
+  if (locations !== undefined) {
+    if (!Array.isArray(locations)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Locations must be a list of cities.');
+    }
+    nextLocations = locations;
+  } else if (location) {
+    nextLocations = [location];
+  } else {
+    nextLocations = currentJob ? getJobLocations(currentJob) : [];
+  }
+
+  const validatedLocations = [
+    ...new Set(
+      nextLocations.map((city) => validateString(res, city, 'Location', 2, 100))
+    ),
+  ];
+
+  if (validatedLocations.some((city) => !LOCATION_PATTERN.test(city))) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'Locations can only contain letters, numbers, spaces, hyphens, and commas.'
+    );
+  }
+
+  if (validatedLocations.length > MAX_JOB_LOCATIONS) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`A job can list at most ${MAX_JOB_LOCATIONS} locations.`);
+  }
+
+  const nextWorkMode = workMode || currentJob?.workMode || 'onsite';
+
+  if (nextWorkMode !== 'remote' && validatedLocations.length === 0) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide at least one location for onsite and hybrid jobs.');
+  }
+
+  return {
+    workMode: nextWorkMode,
+    locations: validatedLocations,
+    location: formatLocationSummary(nextWorkMode, validatedLocations),
+    geo: buildLocationsGeo(validatedLocations),
+  };
+};
+
+/**
+ * @desc Asks the AI service to shortlist candidates for a job that has just closed.
+ * Fire-and-forget: failures are logged and never block the caller.
+ *
+ * @param {string} jobId - The closed job's ID.
+ * @param {string} [bearerToken] - Caller token used when no internal API key is configured.
+ *
+ * @returns {void}
+ */
+
+const triggerCandidateShortlisting = (jobId, bearerToken) => {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  // Prefer internal token for server-to-server auth
+  if (process.env.INTERNAL_API_KEY) {
+    headers['x-internal-token'] = process.env.INTERNAL_API_KEY;
+  } else if (bearerToken) {
+    headers['Authorization'] = `Bearer ${bearerToken}`;
+  } else {
+    return;
+  }
+
+  axios
+    .post(
+      `${process.env.SERVER_URL || 'http://localhost:5000'}/api/v1/ai/shortlist/${jobId}`,
+      {},
+      {
+        headers,
+        timeout: 60000,
+      }
+    )
+    .catch((error) => {
+      console.error('Failed to trigger automatic candidate shortlisting:', error && (error.message || error));
+    });
+};
+
+/**
+ * Publish scheduled jobs and close jobs past their application deadline (called by cron job)
+ */
+const processJobLifecycle = async () => {
+  try {
+    const now = new Date();
+
+    const published = await Job.updateMany(
+      { status: 'scheduled', publishAt: { $lte: now } },
+      { $set: { status: 'published', isClosed: false, publishedAt: now } }
+    );
+
+    if (published.modifiedCount > 0) {
+      console.log(`Published ${published.modifiedCount} scheduled job(s)`);
+    }
+
+    const expiredJobs = await Job.find({
+      ...Job.getPublicFilter(),
+      applicationDeadline: { $lte: now },
+    }).select('_id');
+
+    for (const { _id: jobId } of expiredJobs) {
+      try {
+        // Conditional update so concurrent sweeps only close (and notify) once
+        const job = await Job.findOneAndUpdate(
+          { _id: jobId, ...Job.getPublicFilter() },
+          { $set: { status: 'closed', isClosed: true, closedAt: now } },
+          { new: true }
+        );
+
+        if (!job) continue;
+
+        const applications = await Application.find({
+          jobId,
+          status: { $in: ['applied', 'shortlisted'] },
+        }).populate('candidateId', 'firstName email');
+
+        await Promise.all(
+          applications
+            .filter((application) => application.candidateId?.email)
+            .map((application) =>
+              sendEmail({
+                from: process.env.NODEMAILER_SMTP_EMAIL,
+                to: application.candidateId.email,
+                subject: 'EZY Jobs - Application Deadline Reached',
+                html: generateEmailTemplate({
+                  firstName: application.candidateId.firstName,
+                  subject: 'Application Deadline Reached',
+                  content: [
+                    {
+                      type: 'heading',
+                      value: 'Applications Are Now Closed',
+                    },
+                    {
+                      type: 'text',
+                      value: `The application deadline for <strong>${escapeEmailText(job.title)}</strong> at ${escapeEmailText(job.company)} has passed and the posting is now closed.`,
+                    },
+                    {
+                      type: 'text',
+                      value:
+                        'Your application is still under review. We will let you know as soon as the recruiter updates its status.',
+                    },
+                  ],
+                }),
+              })
+            )
+        );
+
+        triggerCandidateShortlisting(job._id);
+
+        console.log(
+          `✅ Closed job ${job._id} after its application deadline and notified ${applications.length} applicant(s)`
+        );
+      } catch (error) {
+        console.error(`❌ Failed to close expired job ${jobId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing job lifecycle:', error);
+  }
+};
+
+// Set up cron job to run every 15 minutes to publish scheduled jobs and close expired ones
+cron.schedule('*/15 * * * *', () => {
+  console.log('🔄 Checking for scheduled and expired jobs...');
+  processJobLifecycle();
+});
+
+/**
+ * @desc Validates a create-job request body with the same rules for single
+ * and bulk creation.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The job fields.
+ * @param {string} recruiterId - The recruiter posting the job.
+ *
+ * @returns {Promise<Object>} The validated job data, without an SEO slug. A
+ * new company name has a null `companyId` until `createJobCompany` runs.
+ */
+
+const buildJobData = async (res, body, recruiterId) => {
   const {
     title,
     description,
     requirements,
     benefits,
     company,
+    companyId,
+    salary,
     salaryRange,
     category,
-    location,
-  } = req.body;
-  const recruiterId = req.user.id;
-
-  const recruiter = await User.findById(recruiterId);
-
-  if (!recruiter) {
-    res.status(StatusCodes.NOT_FOUND);
-    throw new Error('Unable to find recruiter account. Please try again.');
-  }
+    screeningQuestions,
+  } = body;
 
   if (
     !title ||
     !description ||
     !requirements ||
     !benefits ||
-    !company ||
-    !salaryRange ||
-    !category ||
-    !location
+    (!company && !companyId) ||
+    (!salary && !salaryRange) ||
+    !category
   ) {
     res.status(StatusCodes.BAD_REQUEST);
     throw new Error(
@@ -89,22 +547,7 @@ const createJob = asyncHandler(async (req, res) => {
     );
   }
 
-  // Validate salary range - reject negative numbers
-  const salaryPattern = /(\d+)/g;
-  const salaryNumbers = salaryRange.match(salaryPattern);
-  if (salaryNumbers) {
-    for (const num of salaryNumbers) {
-      const numValue = parseInt(num, 10);
-      if (numValue < 0) {
-        res.status(StatusCodes.BAD_REQUEST);
-        throw new Error('Salary cannot be negative. Please provide a valid salary range.');
-      }
-      if (numValue === 0) {
-        res.status(StatusCodes.BAD_REQUEST);
-        throw new Error('Salary must be greater than 0. Please provide a valid salary range.');
-      }
-    }
-  }
+  const validatedSalary = validateSalary(res, salary, salaryRange);
 
   const requirementsArray = convertToArray(requirements);
   const validatedRequirements = validateArray(
@@ -146,14 +589,50 @@ const createJob = asyncHandler(async (req, res) => {
     description: validateString(res, description, 'Description', 50, 5000),
     requirements: validatedRequirements, // Store as array in MongoDB
     benefits: validatedBenefits, // Store as array in MongoDB
-    company: validateString(res, company, 'Company', 2, 100),
-    salaryRange: validateString(res, salaryRange, 'Salary Range', 2, 100),
-    category: validateString(res, category, 'Category', 2, 100),
-    location: validateString(res, location, 'Location', 2, 100),
+    ...(await resolveJobCompany(res, body, { id: recruiterId })),
+    salary: validatedSalary,
+    ...(await resolveJobCategory(res, validateString(res, category, 'Category', 2, 100))),
+    ...resolveJobLocations(res, body),
     recruiterId,
-    isClosed: false,
+    ...resolveJobLifecycle(res, body),
   };
 
+  if (screeningQuestions !== undefined) {
+    validatedData.screeningQuestions = normalizeScreeningQuestions(
+      res,
+      screeningQuestions
+    );
+  }
+
+  return validatedData;
+};
+
+/**
+ * @desc Creates a new job.
+ *
+ * @route POST /api/v1/jobs
+ * @access Private (Recruiter)
+ *
+ * @param {Object} req - The request object containing the OTP.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createJob = asyncHandler(async (req, res) => {
+  const recruiterId = req.user.id;
+
+  const recruiter = await User.findById(recruiterId);
+
+  if (!recruiter) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to find recruiter account. Please try again.');
+  }
+
+  const validatedData = await buildJobData(res, req.body, recruiterId);
+  Object.assign(validatedData, await createJobCompany(validatedData, recruiterId));
+  Object.assign(validatedData, await resolveJobModeration(validatedData, req.user));
+
   // Generate SEO slug to avoid duplicate-null unique index errors
   try {
     const slug = await generateUniqueSlug(validatedData.title, Job);
@@ -211,6 +690,12 @@ const createJob = asyncHandler(async (req, res) => {
     throw new Error('Unable to create job posting. Please try again.');
   }
 
+  try {
+    await recordJobVersion(job, recruiterId);
+  } catch (err) {
+    console.warn('Job created but its first history version could not be saved:', err.message);
+  }
+
   const requirementsDisplay = Array.isArray(job.requirements) 
     ? job.requirements.join(', ') 
     : job.requirements;
@@ -239,7 +724,7 @@ const createJob = asyncHandler(async (req, res) => {
         {
           type: 'text',
           value:
-            'Congratulations! Your job posting has been successfully created on EZY Jobs and is now live for candidates to view and apply.',
+            `Congratulations! Your job posting has been successfully created on EZY Jobs and ${describeJobAvailability(job)}`,
         },
         {
           type: 'heading',
@@ -255,7 +740,8 @@ const createJob = asyncHandler(async (req, res) => {
             `Company: ${job.company}`,
             `Salary Range: ${job.salaryRange}`,
             `Category: ${job.category}`,
-            `Location: ${job.location}`,
+            ...formatJobLocationDetails(job),
+            ...formatJobLifecycleDetails(job),
           ],
         },
         {
@@ -274,15 +760,188 @@ const createJob = asyncHandler(async (req, res) => {
         {
           type: 'cta',
           value: {
-            text: 'View Your Job Posting',
-            link: `${process.env.CLIENT_URL}/jobs/${job._id}`,
+            text: 'View Your Job Posting',
+            link: `${process.env.CLIENT_URL}/jobs/${job.seo?.slug || job._id}`,
+          },
+        },
+        {
+          type: 'text',
+          value:
+            'If you need any assistance with your job posting, our support team is here to help.',
+        },
+      ],
+    }),
+  });
+
+  if (!isEmailSent) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error(
+      'Job created successfully but notification emails could not be delivered.'
+    );
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message:
+      job.moderation?.status === 'pending'
+        ? 'Job posting submitted for review. It will go live once an admin approves it.'
+        : 'Job posting created successfully',
+    job: jobData,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Bulk imports jobs from a CSV or JSON file. Every row is validated like
+ * a single createJob request; a dry run only reports per-row errors, and a real
+ * import saves either every row or none of them.
+ *
+ * @route POST /api/v1/jobs/import
+ * @access Private (Recruiter)
+ *
+ * @param {Object} req - The request object containing the format, file content and dryRun flag.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const importJobs = asyncHandler(async (req, res) => {
+  const { format, content, dryRun } = req.body;
+  const recruiterId = req.user.id;
+  const isDryRun = dryRun === true || dryRun === 'true';
+
+  const recruiter = await User.findById(recruiterId);
+
+  if (!recruiter) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to find recruiter account. Please try again.');
+  }
+
+  const rows = parseJobImport(res, format, content);
+
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const errors = [];
+    let data = null;
+
+    try {
+      data = await buildJobData(res, row, recruiterId);
+
+      // Catch anything the request checks miss before touching the database
+      const validationError = new Job(data).validateSync();
+      if (validationError) {
+        errors.push(
+          ...Object.values(validationError.errors).map((err) => err.message)
+        );
+      }
+    } catch (err) {
+      errors.push(err.message);
+    }
+
+    results.push({
+      row: index + 1,
+      title: typeof row.title === 'string' ? row.title : '',
+      errors,
+      data: errors.length === 0 ? data : null,
+    });
+  }
+
+  const invalidCount = results.filter((result) => result.errors.length > 0).length;
+  const summary = {
+    total: results.length,
+    valid: results.length - invalidCount,
+    invalid: invalidCount,
+  };
+  const rowReport = results.map(({ row, title, errors }) => ({ row, title, errors }));
+
+  if (isDryRun || invalidCount > 0) {
+    res.status(isDryRun ? StatusCodes.OK : StatusCodes.BAD_REQUEST).json({
+      success: isDryRun,
+      message:
+        invalidCount > 0
+          ? `${invalidCount} of ${summary.total} rows have errors. ${isDryRun ? 'Fix them before importing.' : 'Nothing was imported.'}`
+          : `All ${summary.total} rows are valid and ready to import.`,
+      dryRun: isDryRun,
+      summary,
+      rows: rowReport,
+      timestamp: new Date().toISOString(),
+    });
+    return;
+  }
+
+  // Rows in the same file may share a title, so track the slugs handed out here too
+  const usedSlugs = new Set();
+  const createdJobs = [];
+  const createdCompanyIds = [];
+
+  try {
+    for (const { row, data } of results) {
+      let slug = await generateUniqueSlug(data.title, Job);
+      if (usedSlugs.has(slug)) slug = `${slug}-${row}`;
+      usedSlugs.add(slug);
+
+      const companyData = await createJobCompany(data, recruiterId, createdCompanyIds);
+      const moderation = await resolveJobModeration(data, req.user);
+      createdJobs.push(
+        await Job.create({ ...data, ...companyData, ...moderation, seo: { slug } })
+      );
+    }
+  } catch (err) {
+    // Undo the whole import, including companies created for its new names
+    await Promise.all([
+      Job.deleteMany({ _id: { $in: createdJobs.map((job) => job._id) } }),
+      Company.deleteMany({ _id: { $in: createdCompanyIds } }),
+    ]);
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error(
+      `Row ${createdJobs.length + 1} could not be saved, so the import was rolled back: ${err.message}`
+    );
+  }
+
+  for (const job of createdJobs) {
+    try {
+      await recordJobVersion(job, recruiterId);
+    } catch (err) {
+      console.warn('Job imported but its first history version could not be saved:', err.message);
+    }
+  }
+
+  const isEmailSent = await sendEmail(res, {
+    from: process.env.NODEMAILER_SMTP_EMAIL,
+    to: recruiter.email,
+    subject: 'EZY Jobs - Job Import Complete',
+    html: generateEmailTemplate({
+      firstName: recruiter.firstName,
+      subject: 'EZY Jobs - Job Import Complete',
+      content: [
+        {
+          type: 'heading',
+          value: 'Job Import Complete!',
+        },
+        {
+          type: 'text',
+          value: `${createdJobs.length} job postings were imported to your EZY Jobs account.`,
+        },
+        {
+          type: 'heading',
+          value: 'Imported Jobs',
+        },
+        {
+          type: 'list',
+          value: createdJobs.map(
+            (job) =>
+              `${escapeEmailText(job.title)} (${escapeEmailText(job.company)}) - ${describeJobAvailability(job)}`
+          ),
+        },
+        {
+          type: 'cta',
+          value: {
+            text: 'Manage Your Jobs',
+            link: `${process.env.CLIENT_URL}/recruiter/jobs`,
           },
         },
-        {
-          type: 'text',
-          value:
-            'If you need any assistance with your job posting, our support team is here to help.',
-        },
       ],
     }),
   });
@@ -290,14 +949,23 @@ const createJob = asyncHandler(async (req, res) => {
   if (!isEmailSent) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR);
     throw new Error(
-      'Job created successfully but notification emails could not be delivered.'
+      'Jobs imported successfully but notification emails could not be delivered.'
     );
   }
 
   res.status(StatusCodes.CREATED).json({
     success: true,
-    message: 'Job posting created successfully',
-    job: jobData,
+    message: createdJobs.some((job) => job.moderation?.status === 'pending')
+      ? `${createdJobs.length} job postings imported and submitted for review`
+      : `${createdJobs.length} job postings imported successfully`,
+    dryRun: false,
+    summary,
+    rows: rowReport,
+    jobs: createdJobs.map((job) => ({
+      ...job.toObject(),
+      requirements: job.requirements.join(', '),
+      benefits: job.benefits.join(', '),
+    })),
     timestamp: new Date().toISOString(),
   });
 });
@@ -306,7 +974,7 @@ const createJob = asyncHandler(async (req, res) => {
  * @desc Gets all Job.
  *
  * @route GET /api/v1/jobs
- * @access Public
+ * @access Public (signed-in users get the list for their role)
  *
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -320,9 +988,15 @@ const getAllJobs = asyncHandler(async (req, res) => {
     category,
     location,
     company,
-    salaryRange,
+    minSalary,
+    maxSalary,
+    currency,
+    salaryPeriod,
+    workMode,
+    near,
+    radius,
     isClosed,
-    limit,
+    status,
   } = req.query;
   const user = req.user;
   let query = {};
@@ -339,45 +1013,156 @@ const getAllJobs = asyncHandler(async (req, res) => {
     }
     // Candidates see only active jobs
     else if (user.isCandidate && !user.isRecruiter && !user.isAdmin) {
-      query.isClosed = false;
+      Object.assign(query, Job.getPublicFilter());
     }
     // Admins can see all jobs (no additional filter)
     // Other authenticated users see only active jobs
     else if (!user.isAdmin) {
-      query.isClosed = false;
+      Object.assign(query, Job.getPublicFilter());
     }
   } else {
     // Public access: show only active jobs
-    query.isClosed = false;
+    Object.assign(query, Job.getPublicFilter());
   }
 
   // Apply additional filters AFTER role-based filtering is set
-  if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-      { requirements: { $regex: search, $options: 'i' } },
-    ];
+  // Weighted text search (see job_text_search index) - results are ranked by relevance
+  const searchTerm = typeof search === 'string' ? search.trim() : '';
+  if (searchTerm) {
+    query.$text = { $search: searchTerm };
+  }
+
+  // Salary filters compare against the derived monthly amounts, so a yearly or
+  // hourly job still matches a monthly budget. `salaryPeriod` (default month)
+  // states the period the requested amounts are expressed in.
+  if (currency) {
+    const currencyCode = String(currency).toUpperCase();
+    if (!SALARY_CURRENCIES.includes(currencyCode)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `Salary currency should be one of: ${SALARY_CURRENCIES.join(', ')}.`
+      );
+    }
+    query['salary.currency'] = currencyCode;
+  }
+
+  const salaryFilterPeriod = salaryPeriod || 'month';
+  if (!SALARY_PERIODS.includes(salaryFilterPeriod)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Salary period should be one of: ${SALARY_PERIODS.join(', ')}.`
+    );
   }
 
-  if (category) query.category = { $regex: category, $options: 'i' };
-  if (location) query.location = { $regex: location, $options: 'i' };
-  if (company) query.company = { $regex: company, $options: 'i' };
-  if (salaryRange) query.salaryRange = { $regex: salaryRange, $options: 'i' };
+  [
+    ['minSalary', minSalary, 'salary.monthlyMax', '$gte'],
+    ['maxSalary', maxSalary, 'salary.monthlyMin', '$lte'],
+  ].forEach(([name, value, field, operator]) => {
+    if (value === undefined || value === '') return;
+
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`Please provide a valid ${name} value.`);
+    }
+
+    query[field] = { [operator]: toMonthlyAmount(amount, salaryFilterPeriod) };
+  });
   // Only allow isClosed filter for admins and recruiters viewing their own jobs
   if (isClosed !== undefined && (user?.isAdmin || (user?.isRecruiter && !user?.isAdmin))) {
     query.isClosed = isClosed === 'true';
   }
 
+  // Lifecycle tabs (draft/scheduled/published/closed) for admins and recruiters
+  if (status !== undefined && (user?.isAdmin || user?.isRecruiter)) {
+    if (!JOB_STATUSES.includes(status)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`Job status should be one of: ${JOB_STATUSES.join(', ')}.`);
+    }
+    // Jobs without a status predate the lifecycle and are published or closed
+    query.status =
+      status === 'published' || status === 'closed'
+        ? { $in: [status, null] }
+        : status;
+    if (status === 'published') query.isClosed = false;
+    if (status === 'closed') query.isClosed = true;
+  }
+
   // FINAL ENFORCEMENT: For recruiters, ensure recruiterId is ALWAYS set to user.id
   // This prevents any possibility of query manipulation
   if (user?.isRecruiter && !user?.isAdmin) {
     query.recruiterId = user.id;
   }
 
-  const jobs = await Job.find(query)
-    .populate('recruiterId', 'firstName lastName email')
-    .limit(limit ? parseInt(limit) : 0);
+  // Facet filters are kept apart from the base query so each facet can ignore its own filter
+  const facetFilters = {};
+  if (category) facetFilters.category = await buildCategoryFilter(category);
+  if (location) facetFilters.locations = { $regex: location, $options: 'i' };
+  if (company) facetFilters.company = { $regex: company, $options: 'i' };
+  if (workMode) {
+    const workModes = String(workMode)
+      .split(',')
+      .map((mode) => mode.trim())
+      .filter(Boolean);
+    if (workModes.some((mode) => !WORK_MODES.includes(mode))) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`Work mode should be one of: ${WORK_MODES.join(', ')}.`);
+    }
+    // Jobs created before work modes existed are onsite
+    facetFilters.workMode = {
+      $in: workModes.includes('onsite') ? [...workModes, null] : workModes,
+    };
+  }
+
+  // Radius searches and the distance sort measure from the `near` city, or
+  // from the candidate's profile city when no city is given
+  const hasRadius = radius !== undefined && radius !== '';
+  const sortByDistance = req.query.sort === DISTANCE_SORT;
+  let origin = null;
+  if (near) {
+    origin = buildCityPoint(near);
+    if (!origin) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('We could not find that city. Please choose one from the list.');
+    }
+  } else if ((hasRadius || sortByDistance) && user?.isCandidate) {
+    const profile = await Resume.findOne({ userId: user.id }).select('geo').lean();
+    origin = profile?.geo || null;
+  }
+
+  if ((hasRadius || sortByDistance) && !origin) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'Please choose a city, or add one to your profile, to search by distance.'
+    );
+  }
+
+  const radiusKm = hasRadius ? parseRadius(res, radius) : null;
+  if (radiusKm) query.geo = buildWithinFilter(origin, radiusKm);
+
+  // Searches are ranked by relevance unless another sort is requested
+  if (req.query.sort === RELEVANCE_SORT && !searchTerm) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Sorting by relevance requires a search term.');
+  }
+  if (sortByDistance && searchTerm) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Sorting by distance cannot be combined with a keyword search.');
+  }
+
+  const [{ docs: jobs, pagination }, facets] = await Promise.all([
+    paginate(res, {
+      model: Job,
+      filter: { ...query, ...facetFilters },
+      query: req.query,
+      sortFields: JOB_SORT_FIELDS,
+      defaultSort: searchTerm ? RELEVANCE_SORT : '-createdAt',
+      buildQuery: (jobsQuery) =>
+        jobsQuery.populate('recruiterId', 'firstName lastName email'),
+      near: origin && { field: 'geo', point: origin, maxDistanceKm: radiusKm },
+    }),
+    getJobFacets(query, facetFilters),
+  ]);
 
   if (!jobs || jobs.length === 0) {
     // Return an empty list instead of throwing an error so clients can
@@ -387,6 +1172,8 @@ const getAllJobs = asyncHandler(async (req, res) => {
       message: 'No jobs match your search criteria. Try adjusting your filters.',
       count: 0,
       jobs: [],
+      facets,
+      pagination,
       timestamp: new Date().toISOString(),
     });
   }
@@ -399,19 +1186,28 @@ const getAllJobs = asyncHandler(async (req, res) => {
       ? job.benefits.join(', ') 
       : job.benefits;
 
-    return {
+    const jobData = {
       ...job.toObject(),
       recruiter: job.recruiterId,
       requirements: requirementsDisplay,
       benefits: benefitsDisplay,
+      // Kilometres to the job's nearest city; null for remote or unknown cities
+      ...(origin && { distanceKm: getDistanceKm(origin, job.geo) }),
     };
+
+    // Recruiters only ever list their own jobs here
+    return user?.isAdmin || user?.isRecruiter
+      ? jobData
+      : hideKnockoutRules(jobData);
   });
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: `Found ${jobs.length} opportunities matching your search`,
+    message: `Found ${pagination.total} opportunities matching your search`,
     count: jobs.length,
     jobs: jobsData,
+    facets,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -452,14 +1248,14 @@ const getJobById = asyncHandler(async (req, res) => {
     }
     // Candidates can view all active jobs
     else if (user.isCandidate && !user.isRecruiter && !user.isAdmin) {
-      if (job.isClosed) {
+      if (!isJobPubliclyVisible(job)) {
         res.status(StatusCodes.FORBIDDEN);
         throw new Error('This job posting is no longer available.');
       }
     }
     // Non-recruiter, non-candidate, non-admin users can only view active jobs
     else if (!user.isAdmin) {
-      if (job.isClosed) {
+      if (!isJobPubliclyVisible(job)) {
         res.status(StatusCodes.FORBIDDEN);
         throw new Error('This job posting is no longer available.');
       }
@@ -467,7 +1263,7 @@ const getJobById = asyncHandler(async (req, res) => {
     // Admins can view all jobs (no restriction)
   } else {
     // Public access: only active jobs
-    if (job.isClosed) {
+    if (!isJobPubliclyVisible(job)) {
       res.status(StatusCodes.FORBIDDEN);
       throw new Error('This job posting is no longer available.');
     }
@@ -487,10 +1283,265 @@ const getJobById = asyncHandler(async (req, res) => {
     benefits: benefitsDisplay,
   };
 
+  // Knockout rules are only visible to the job owner and admins
+  const canViewKnockoutRules = user?.isAdmin || user?.isRecruiter;
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job details retrieved successfully',
+    job: canViewKnockoutRules ? jobData : hideKnockoutRules(jobData),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Gets a public job posting by its SEO slug.
+ * Closed jobs are still returned (flagged by `isClosed`) so indexed pages keep
+ * resolving; drafts and scheduled jobs are never exposed.
+ *
+ * @route GET /api/v1/jobs/slug/:slug
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getJobBySlug = asyncHandler(async (req, res) => {
+  const slug = String(req.params.slug || '').toLowerCase();
+
+  let job = await Job.findOne({ 'seo.slug': slug });
+
+  // Older links (e.g. job emails) point at /jobs/:id
+  if (!job && mongoose.isValidObjectId(slug)) {
+    job = await Job.findById(slug);
+  }
+
+  if (!job || Job.isUnlisted(job)) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This job posting no longer exists or has been removed.');
+  }
+
+  const jobData = hideKnockoutRules({
+    ...job.toObject(),
+    requirements: Array.isArray(job.requirements)
+      ? job.requirements.join(', ')
+      : job.requirements,
+    benefits: Array.isArray(job.benefits)
+      ? job.benefits.join(', ')
+      : job.benefits,
+    isAcceptingApplications: job.isAcceptingApplications(),
+  });
+
+  // Lets the job page link to the company's profile
+  const companyProfile = job.companyId
+    ? await Company.findById(job.companyId).select('name slug logoUrl').lean()
+    : null;
+
   res.status(StatusCodes.OK).json({
     success: true,
     message: 'Job details retrieved successfully',
     job: jobData,
+    companyProfile,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const parseMatchLimit = (res, limit) => {
+  if (limit === undefined || limit === '') return DEFAULT_MATCH_LIMIT;
+
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_MATCH_LIMIT) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Limit must be a whole number between 1 and ${MAX_MATCH_LIMIT}.`);
+  }
+
+  return value;
+};
+
+/**
+ * @desc Loads the open jobs to rank, newest first, with the category each one
+ * belongs to.
+ *
+ * @param {Object} filter - Extra conditions, e.g. jobs to leave out.
+ *
+ * @returns {Promise<Object[]>} Lean jobs with `groupId` (their top-level
+ * category) and `categoryTerms` (their category and parent names).
+ */
+
+const loadMatchPool = async (filter) => {
+  const [jobs, categories] = await Promise.all([
+    Job.find({ ...Job.getPublicFilter(), ...filter })
+      .select('title description requirements category categoryId createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MATCH_POOL_SIZE)
+      .lean(),
+    Category.find().select('name parent').lean(),
+  ]);
+
+  const categoriesById = new Map(categories.map((category) => [String(category._id), category]));
+  const categoriesByName = new Map(categories.map((category) => [category.name, category]));
+
+  return jobs.map((job) => {
+    const category =
+      categoriesById.get(String(job.categoryId)) || categoriesByName.get(job.category);
+    const parent = category?.parent ? categoriesById.get(String(category.parent)) : null;
+
+    return {
+      ...job,
+      groupId: category ? String(category.parent || category._id) : null,
+      categoryTerms: tokenize(`${job.category || ''} ${parent?.name || ''}`),
+    };
+  });
+};
+
+/**
+ * @desc Keeps the best-scoring jobs and loads them in full for display.
+ *
+ * @param {Object[]} scored - `{ job, match }` pairs from the pool.
+ * @param {number} limit - How many jobs to return.
+ *
+ * @returns {Promise<Object[]>} The jobs, best match first, each with its `match`.
+ */
+
+const formatMatchedJobs = async (scored, limit) => {
+  const ranked = scored
+    .filter(({ match }) => match.score > 0)
+    .sort((a, b) => b.match.score - a.match.score || b.job.createdAt - a.job.createdAt)
+    .slice(0, limit);
+
+  const jobs = await Job.find({ _id: { $in: ranked.map(({ job }) => job._id) } });
+  const jobsById = new Map(jobs.map((job) => [String(job._id), job]));
+
+  return ranked
+    .filter(({ job }) => jobsById.has(String(job._id)))
+    .map(({ job, match }) => {
+      const fullJob = jobsById.get(String(job._id));
+
+      return hideKnockoutRules({
+        ...fullJob.toObject(),
+        requirements: Array.isArray(fullJob.requirements)
+          ? fullJob.requirements.join(', ')
+          : fullJob.requirements,
+        benefits: Array.isArray(fullJob.benefits)
+          ? fullJob.benefits.join(', ')
+          : fullJob.benefits,
+        match,
+      });
+    });
+};
+
+/**
+ * @desc Gets open jobs similar to the specified job, ranked by shared category,
+ * requirements and title. Works for closed jobs too, so their pages can point
+ * candidates to roles still open.
+ *
+ * @route GET /api/v1/jobs/:id/similar?limit=6
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getSimilarJobs = asyncHandler(async (req, res) => {
+  const limit = parseMatchLimit(res, req.query.limit);
+
+  const job = mongoose.isValidObjectId(req.params.id)
+    ? await Job.findById(req.params.id)
+        .select('title description requirements category categoryId status moderation')
+        .lean()
+    : null;
+
+  if (!job || Job.isUnlisted(job)) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This job posting no longer exists or has been removed.');
+  }
+
+  const pool = await loadMatchPool({ _id: { $ne: job._id } });
+
+  const category = await Category.findOne(
+    job.categoryId ? { _id: job.categoryId } : { name: job.category }
+  )
+    .select('parent')
+    .lean();
+
+  const reference = {
+    ...getJobProfile(job),
+    category: job.category,
+    groupId: category ? String(category.parent || category._id) : null,
+  };
+
+  const jobs = await formatMatchedJobs(
+    pool.map((poolJob) => ({ job: poolJob, match: scoreSimilarJob(reference, poolJob) })),
+    limit
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      jobs.length === 0
+        ? 'No similar jobs are open right now'
+        : `Found ${jobs.length} similar jobs`,
+    count: jobs.length,
+    jobs,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Gets open jobs recommended for the candidate, ranked by how many of
+ * their resume skills each job asks for and whether it is in their industry.
+ * Jobs they have already applied to are left out.
+ *
+ * @route GET /api/v1/jobs/recommended?limit=6
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getRecommendedJobs = asyncHandler(async (req, res) => {
+  const limit = parseMatchLimit(res, req.query.limit);
+
+  const resume = await Resume.findOne({ userId: req.user.id })
+    .select('skills industry')
+    .lean();
+
+  const skills = (resume?.skills || []).map((skill) => skill.trim()).filter(Boolean);
+
+  if (skills.length === 0) {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Add skills to your resume to get job recommendations',
+      count: 0,
+      jobs: [],
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const appliedJobIds = await Application.find({ candidateId: req.user.id }).distinct('jobId');
+  const pool = await loadMatchPool({ _id: { $nin: appliedJobIds } });
+
+  const profile = { skills, industryTerms: tokenize(resume.industry) };
+
+  const jobs = await formatMatchedJobs(
+    pool.map((poolJob) => ({ job: poolJob, match: scoreRecommendedJob(profile, poolJob) })),
+    limit
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      jobs.length === 0
+        ? 'No open jobs match your resume right now'
+        : `Found ${jobs.length} recommended jobs`,
+    count: jobs.length,
+    jobs,
     timestamp: new Date().toISOString(),
   });
 });
@@ -514,10 +1565,18 @@ const updateJobById = asyncHandler(async (req, res) => {
     requirements,
     benefits,
     company,
+    companyId,
+    salary,
     salaryRange,
     category,
     location,
+    locations,
+    workMode,
     isClosed,
+    status,
+    publishAt,
+    applicationDeadline,
+    screeningQuestions,
   } = req.body;
   const jobId = req.params.id;
   const user = req.user;
@@ -528,10 +1587,18 @@ const updateJobById = asyncHandler(async (req, res) => {
     !requirements &&
     !benefits &&
     !company &&
+    !companyId &&
+    !salary &&
     !salaryRange &&
     !category &&
     !location &&
-    typeof isClosed === 'undefined'
+    typeof locations === 'undefined' &&
+    typeof workMode === 'undefined' &&
+    typeof isClosed === 'undefined' &&
+    typeof status === 'undefined' &&
+    typeof publishAt === 'undefined' &&
+    typeof applicationDeadline === 'undefined' &&
+    typeof screeningQuestions === 'undefined'
   ) {
     res.status(StatusCodes.BAD_REQUEST);
     throw new Error(
@@ -562,11 +1629,27 @@ const updateJobById = asyncHandler(async (req, res) => {
 
   if (title) validatedData.title = validateString(res, title, 'Title', 2, 100);
   if (description) validatedData.description = validateString(res, description, 'Description', 50, 5000);
-  if (company) validatedData.company = validateString(res, company, 'Company', 2, 100);
-  if (salaryRange) validatedData.salaryRange = validateString(res, salaryRange, 'Salary Range', 2, 100);
-  if (category) validatedData.category = validateString(res, category, 'Category', 2, 100);
-  if (location) validatedData.location = validateString(res, location, 'Location', 2, 100);
-  if (typeof isClosed !== 'undefined') validatedData.isClosed = isClosed;
+  if (company || companyId) {
+    const jobCompany = await resolveJobCompany(res, req.body, user, job);
+    const ownerId = job.recruiterId?._id || job.recruiterId;
+    Object.assign(validatedData, await createJobCompany(jobCompany, ownerId));
+  }
+  if (salary || salaryRange) validatedData.salary = validateSalary(res, salary, salaryRange);
+  if (category) {
+    Object.assign(
+      validatedData,
+      await resolveJobCategory(res, validateString(res, category, 'Category', 2, 100), job)
+    );
+  }
+  Object.assign(validatedData, resolveJobLocations(res, req.body, job));
+  Object.assign(validatedData, resolveJobLifecycle(res, req.body, job));
+  if (screeningQuestions !== undefined) {
+    validatedData.screeningQuestions = normalizeScreeningQuestions(
+      res,
+      screeningQuestions,
+      job.screeningQuestions
+    );
+  }
 
   if (requirements) {
     const requirementsArray = convertToArray(requirements);
@@ -602,6 +1685,11 @@ const updateJobById = asyncHandler(async (req, res) => {
     }
   }
 
+  Object.assign(validatedData, await resolveJobModeration(validatedData, user, job));
+
+  // Baseline for jobs that predate edit history or changed outside this endpoint
+  await recordJobVersion(job);
+
   let updatedJob;
   try {
     updatedJob = await Job.findByIdAndUpdate(jobId, validatedData, { new: true }).populate('recruiterId', 'firstName lastName email');
@@ -621,31 +1709,14 @@ const updateJobById = asyncHandler(async (req, res) => {
     throw new Error('Unable to update job posting. Please try again.');
   }
 
-  if (!job.isClosed && updatedJob.isClosed === true && req.user.isRecruiter) {
-    // Trigger internal shortlisting using the internal API key when available
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-
-    // Prefer internal token for server-to-server auth
-    if (process.env.INTERNAL_API_KEY) {
-      headers['x-internal-token'] = process.env.INTERNAL_API_KEY;
-    } else if (req.headers.authorization && req.headers.authorization.split(' ')[1]) {
-      headers['Authorization'] = `Bearer ${req.headers.authorization.split(' ')[1]}`;
-    }
+  try {
+    await recordJobVersion(updatedJob, user.id);
+  } catch (err) {
+    console.warn('Job updated but its history version could not be saved:', err.message);
+  }
 
-    axios
-      .post(
-        `${process.env.SERVER_URL || 'http://localhost:5000'}/api/v1/ai/shortlist/${jobId}`,
-        {},
-        {
-          headers,
-          timeout: 60000,
-        }
-      )
-      .catch((error) => {
-        console.error('Failed to trigger automatic candidate shortlisting:', error && (error.message || error));
-      });
+  if (!job.isClosed && updatedJob.isClosed === true && req.user.isRecruiter) {
+    triggerCandidateShortlisting(jobId, req.headers.authorization?.split(' ')[1]);
   }
 
   const requirementsDisplay = Array.isArray(updatedJob.requirements) 
@@ -686,7 +1757,7 @@ const updateJobById = asyncHandler(async (req, res) => {
         {
           type: 'text',
           value:
-            'Your job posting has been successfully updated on EZY Jobs and is now live for candidates to view and apply.',
+            `Your job posting has been successfully updated on EZY Jobs and ${describeJobAvailability(updatedJob)}`,
         },
         {
           type: 'heading',
@@ -702,7 +1773,8 @@ const updateJobById = asyncHandler(async (req, res) => {
             `Company: ${updatedJob.company}`,
             `Salary Range: ${updatedJob.salaryRange}`,
             `Category: ${updatedJob.category}`,
-            `Location: ${updatedJob.location}`,
+            ...formatJobLocationDetails(updatedJob),
+            ...formatJobLifecycleDetails(updatedJob),
           ],
         },
         {
@@ -722,7 +1794,7 @@ const updateJobById = asyncHandler(async (req, res) => {
           type: 'cta',
           value: {
             text: 'View Your Job Posting',
-            link: `${process.env.CLIENT_URL}/jobs/${updatedJob._id}`,
+            link: `${process.env.CLIENT_URL}/jobs/${updatedJob.seo?.slug || updatedJob._id}`,
           },
         },
         {
@@ -745,12 +1817,157 @@ const updateJobById = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: 'Job posting updated successfully',
+    message:
+      validatedData.moderation?.status === 'pending'
+        ? 'Job posting updated and sent for review. It will go live once an admin approves it.'
+        : 'Job posting updated successfully',
     job: jobData,
     timestamp: new Date().toISOString(),
   });
 });
 
+/**
+ * @desc Loads a job for its edit history. Recruiters can only see the history
+ * of their own jobs; admins can see any.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<Object>} The job document.
+ */
+
+const findJobForHistory = async (req, res) => {
+  const job = await Job.findById(req.params.id).select('title recruiterId');
+
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Job posting not found. Please check and try again.');
+  }
+
+  if (!req.user.isAdmin && job.recruiterId?.toString() !== req.user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You do not have permission to view the history of this job posting.');
+  }
+
+  return job;
+};
+
+const formatJobVersion = (version) => ({
+  version: version.version,
+  editedBy: version.editedBy || null,
+  changedFields: version.changedFields,
+  createdAt: version.createdAt,
+});
+
+/**
+ * @desc Lists the saved versions of a job, newest first.
+ *
+ * @route GET /api/v1/jobs/:id/versions
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getJobVersions = asyncHandler(async (req, res) => {
+  const job = await findJobForHistory(req, res);
+
+  const versions = await JobVersion.find({ jobId: job._id })
+    .select('-snapshot')
+    .sort({ version: -1 })
+    .populate('editedBy', 'firstName lastName email')
+    .lean();
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      versions.length === 0
+        ? 'This job posting has not been edited yet'
+        : `Found ${versions.length} versions of this job posting`,
+    count: versions.length,
+    job: { _id: job._id, title: job.title },
+    versions: versions.map(formatJobVersion),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Compares two versions of a job field by field. Defaults to the latest
+ * version and the one before it.
+ *
+ * @route GET /api/v1/jobs/:id/versions/diff?from=1&to=3
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getJobVersionDiff = asyncHandler(async (req, res) => {
+  const job = await findJobForHistory(req, res);
+
+  const parseVersion = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`The "${name}" version must be a positive whole number.`);
+    }
+    return number;
+  };
+
+  let to = parseVersion(req.query.to, 'to');
+  let from = parseVersion(req.query.from, 'from');
+
+  if (to === undefined) {
+    const latest = await JobVersion.findOne({ jobId: job._id })
+      .select('version')
+      .sort({ version: -1 })
+      .lean();
+    if (!latest) {
+      res.status(StatusCodes.NOT_FOUND);
+      throw new Error('This job posting has no saved versions yet.');
+    }
+    to = latest.version;
+  }
+  if (from === undefined) from = Math.max(to - 1, 1);
+
+  const versions = await JobVersion.find({
+    jobId: job._id,
+    version: { $in: [from, to] },
+  })
+    .populate('editedBy', 'firstName lastName email')
+    .lean();
+
+  const fromVersion = versions.find((version) => version.version === from);
+  const toVersion = versions.find((version) => version.version === to);
+
+  if (!fromVersion || !toVersion) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error(
+      `Version ${!fromVersion ? from : to} of this job posting does not exist.`
+    );
+  }
+
+  const changes = diffJobSnapshots(fromVersion.snapshot, toVersion.snapshot);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      changes.length === 0
+        ? 'No differences between these versions'
+        : `Found ${changes.length} changed fields between version ${from} and version ${to}`,
+    job: { _id: job._id, title: job.title },
+    from: formatJobVersion(fromVersion),
+    to: formatJobVersion(toVersion),
+    changes,
+    timestamp: new Date().toISOString(),
+  });
+});
+
 /**
  * @desc Deletes the job with the specified ID.
  * 
@@ -869,8 +2086,14 @@ const deleteJobById = asyncHandler(async (req, res) => {
 
 module.exports = {
   createJob,
+  importJobs,
   getAllJobs,
   getJobById,
+  getJobBySlug,
+  getSimilarJobs,
+  getRecommendedJobs,
   updateJobById,
   deleteJobById,
+  getJobVersions,
+  getJobVersionDiff,
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Job, JobEvent } = require('../models');
+
+const {
+  TRACKED_EVENT_TYPES,
+  SESSION_ID_PATTERN,
+  normalizeUtm,
+  recordJobEvent,
+} = require('../utils/jobEvent.utils');
+
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys used for each event type in the funnel, daily series and sources
+const FUNNEL_KEYS = {
+  view: 'views',
+  apply_click: 'applyClicks',
+  application: 'applications',
+};
+
+const toPercent = (count, total) =>
+  total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+const emptyCounts = () => ({ views: 0, applyClicks: 0, applications: 0 });
+
+/**
+ * @desc Records a visitor viewing a job posting or clicking its apply button.
+ * Each counts once per browser session; repeats are accepted but not stored.
+ *
+ * @route POST /api/v1/jobs/:id/events
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createJobEvent = asyncHandler(async (req, res) => {
+  const { type, sessionId, utm } = req.body;
+
+  if (!TRACKED_EVENT_TYPES.includes(type)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Event type must be one of: view, apply_click.');
+  }
+
+  if (!SESSION_ID_PATTERN.test(String(sessionId || ''))) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('A valid session ID is required.');
+  }
+
+  const job = mongoose.isValidObjectId(req.params.id)
+    ? await Job.findById(req.params.id).select('status moderation').lean()
+    : null;
+
+  if (!job || Job.isUnlisted(job)) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This job posting no longer exists or has been removed.');
+  }
+
+  const isRecorded = await recordJobEvent({
+    jobId: job._id,
+    type,
+    sessionId,
+    utm: normalizeUtm(utm),
+  });
+
+  res.status(isRecorded ? StatusCodes.CREATED : StatusCodes.OK).json({
+    success: true,
+    message: isRecorded
+      ? 'Job event recorded'
+      : 'Job event already recorded for this session',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Gets the view-to-application funnel of a job: totals, a daily series
+ * and a breakdown by referral source (utm parameters). Days are in UTC.
+ *
+ * @route GET /api/v1/jobs/:id/analytics?days=30
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getJobAnalytics = asyncHandler(async (req, res) => {
+  const days =
+    req.query.days === undefined
+      ? DEFAULT_ANALYTICS_DAYS
+      : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ANALYTICS_DAYS) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Days must be a whole number between 1 and ${MAX_ANALYTICS_DAYS}.`
+    );
+  }
+
+  const job = mongoose.isValidObjectId(req.params.id)
+    ? await Job.findById(req.params.id).select('title recruiterId').lean()
+    : null;
+
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Job posting not found. Please check and try again.');
+  }
+
+  if (
+    !req.user.isAdmin &&
+    job.recruiterId?.toString() !== req.user.id.toString()
+  ) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error(
+      'You do not have permission to view the analytics of this job posting.'
+    );
+  }
+
+  // The range covers today and the `days - 1` whole days before it
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const [result] = await JobEvent.aggregate([
+    { $match: { jobId: job._id, createdAt: { $gte: from } } },
+    {
+      $facet: {
+        daily: [
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: { format: '%Y-%m-%d', date: '$createdAt' },
+                },
+                type: '$type',
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        sources: [
+          {
+            $group: {
+              _id: {
+                source: { $ifNull: ['$utm.source', 'direct'] },
+                medium: { $ifNull: ['$utm.medium', null] },
+                campaign: { $ifNull: ['$utm.campaign', null] },
+                type: '$type',
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const dailyByDate = new Map();
+  for (let i = 0; i < days; i += 1) {
+    const date = new Date(from.getTime() + i * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    dailyByDate.set(date, { date, ...emptyCounts() });
+  }
+
+  const funnel = emptyCounts();
+  result.daily.forEach(({ _id, count }) => {
+    const key = FUNNEL_KEYS[_id.type];
+    funnel[key] += count;
+    if (dailyByDate.has(_id.date)) dailyByDate.get(_id.date)[key] += count;
+  });
+
+  const sourcesByKey = new Map();
+  result.sources.forEach(({ _id, count }) => {
+    const key = [_id.source, _id.medium, _id.campaign].join('|');
+    if (!sourcesByKey.has(key)) {
+      sourcesByKey.set(key, {
+        source: _id.source,
+        medium: _id.medium,
+        campaign: _id.campaign,
+        ...emptyCounts(),
+      });
+    }
+    sourcesByKey.get(key)[FUNNEL_KEYS[_id.type]] += count;
+  });
+
+  const sources = [...sourcesByKey.values()]
+    .map((source) => ({
+      ...source,
+      conversionRate: toPercent(source.applications, source.views),
+    }))
+    .sort((a, b) => b.views - a.views || b.applications - a.applications);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job analytics retrieved successfully',
+    job: { _id: job._id, title: job.title },
+    range: { from: from.toISOString(), days },
+    funnel: {
+      ...funnel,
+      clickRate: toPercent(funnel.applyClicks, funnel.views),
+      conversionRate: toPercent(funnel.applications, funnel.views),
+    },
+    daily: [...dailyByDate.values()],
+    sources,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createJobEvent,
+  getJobAnalytics,
+};
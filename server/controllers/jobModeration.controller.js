@@ -0,0 +1,345 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Job, Setting } = require('../models');
+
+const { recordAuditLog } = require('../utils/auditLog.utils');
+const {
+  JOB_MODERATION_SETTING,
+  isJobModerationEnabled,
+} = require('../utils/jobModeration.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { validateString } = require('../utils/validation.utils');
+const {
+  sendEmail,
+  generateEmailTemplate,
+  escapeEmailText,
+} = require('../utils/nodemailer.utils');
+
+// Queues admins can browse; approved jobs are simply listed
+const QUEUE_STATUSES = ['pending', 'rejected'];
+
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+
+// Sortable queue fields for `?sort=`
+const QUEUE_SORT_FIELDS = {
+  submittedAt: 'moderation.submittedAt',
+  reviewedAt: 'moderation.reviewedAt',
+  title: 'title',
+  company: 'company',
+};
+
+const formatQueuedJob = (job) => ({
+  ...job.toObject(),
+  requirements: Array.isArray(job.requirements)
+    ? job.requirements.join(', ')
+    : job.requirements,
+  benefits: Array.isArray(job.benefits)
+    ? job.benefits.join(', ')
+    : job.benefits,
+});
+
+/**
+ * @desc Emails the recruiter the outcome of their job's review. A failed email
+ * is logged; the decision itself is already saved.
+ *
+ * @param {Object} job - The reviewed job with `recruiterId` populated.
+ *
+ * @returns {Promise<void>}
+ */
+
+const notifyRecruiterOfReview = async (job) => {
+  const recruiter = job.recruiterId;
+  if (!recruiter?.email) return;
+
+  const isApproved = job.moderation.status === 'approved';
+
+  try {
+    await sendEmail({
+      from: process.env.NODEMAILER_SMTP_EMAIL,
+      to: recruiter.email,
+      subject: isApproved
+        ? 'EZY Jobs - Job Posting Approved'
+        : 'EZY Jobs - Job Posting Needs Changes',
+      html: generateEmailTemplate({
+        firstName: recruiter.firstName,
+        subject: isApproved
+          ? 'Job Posting Approved'
+          : 'Job Posting Needs Changes',
+        content: isApproved
+          ? [
+              {
+                type: 'heading',
+                value: 'Your Job Is Approved',
+              },
+              {
+                type: 'text',
+                value: `<strong>${escapeEmailText(job.title)}</strong> at ${escapeEmailText(job.company)} has been reviewed and approved.${
+                  job.status === 'published'
+                    ? ' It is now live for candidates to view and apply.'
+                    : ''
+                }`,
+              },
+              {
+                type: 'cta',
+                value: {
+                  text: 'View Your Job Posting',
+                  link: `${process.env.CLIENT_URL}/jobs/${job.seo?.slug || job._id}`,
+                },
+              },
+            ]
+          : [
+              {
+                type: 'heading',
+                value: 'Your Job Was Not Approved',
+              },
+              {
+                type: 'text',
+                value: `Our team reviewed <strong>${escapeEmailText(job.title)}</strong> at ${escapeEmailText(job.company)} and could not approve it, so it is not visible to candidates.`,
+              },
+              {
+                type: 'heading',
+                value: 'Reason',
+              },
+              {
+                type: 'text',
+                value: escapeEmailText(job.moderation.reason),
+              },
+              {
+                type: 'text',
+                value:
+                  'Edit the job posting to address this feedback and it will be sent for review again.',
+              },
+              {
+                type: 'cta',
+                value: {
+                  text: 'Edit Your Job Postings',
+                  link: `${process.env.CLIENT_URL}/recruiter/jobs`,
+                },
+              },
+            ],
+      }),
+    });
+  } catch (error) {
+    console.error(
+      `Job ${job._id} was ${job.moderation.status} but the recruiter could not be emailed:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * @desc Lists jobs waiting for review (or rejected ones), oldest submission
+ * first.
+ *
+ * @route GET /api/v1/jobs/moderation?status=pending
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!QUEUE_STATUSES.includes(status)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Status should be one of: ${QUEUE_STATUSES.join(', ')}.`);
+  }
+
+  const [{ docs: jobs, pagination }, pendingCount, enabled] = await Promise.all(
+    [
+      paginate(res, {
+        model: Job,
+        filter: { 'moderation.status': status },
+        query: req.query,
+        sortFields: QUEUE_SORT_FIELDS,
+        defaultSort: 'submittedAt',
+        buildQuery: (jobsQuery) =>
+          jobsQuery.populate('recruiterId', 'firstName lastName email'),
+      }),
+      Job.countDocuments({ 'moderation.status': 'pending' }),
+      isJobModerationEnabled(),
+    ]
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      jobs.length === 0
+        ? `No ${status} jobs found`
+        : `Found ${jobs.length} ${status} jobs`,
+    enabled,
+    pendingCount,
+    count: jobs.length,
+    jobs: jobs.map(formatQueuedJob),
+    pagination,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Gets whether new and substantially edited jobs need approval.
+ *
+ * @route GET /api/v1/jobs/moderation/settings
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getModerationSettings = asyncHandler(async (req, res) => {
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Moderation settings retrieved successfully.',
+    enabled: await isJobModerationEnabled(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Switches job moderation on or off. Turning it off doesn't publish the
+ * jobs already waiting; they stay in the queue until reviewed.
+ *
+ * @route PATCH /api/v1/jobs/moderation/settings
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object containing `enabled`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateModerationSettings = asyncHandler(async (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please specify whether job moderation is enabled.');
+  }
+
+  await Setting.setValue(JOB_MODERATION_SETTING, enabled, req.user.id);
+  await recordAuditLog(
+    req,
+    enabled ? 'job_moderation_enabled' : 'job_moderation_disabled'
+  );
+
+  const pendingCount = enabled
+    ? 0
+    : await Job.countDocuments({ 'moderation.status': 'pending' });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: enabled
+      ? 'Job moderation is on. New and substantially edited jobs now need approval.'
+      : `Job moderation is off. New jobs go live right away${
+          pendingCount > 0
+            ? `; ${pendingCount} job${pendingCount === 1 ? ' is' : 's are'} still waiting for review`
+            : ''
+        }.`,
+    enabled,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Approves or rejects a job. Approved jobs are listed right away (or on
+ * their publish date); rejected jobs are hidden and the recruiter is emailed
+ * the reason. Every decision is recorded in the audit log.
+ *
+ * @route PATCH /api/v1/jobs/:id/moderation
+ * @access Private (Admin)
+ *
+ * @param {Object} req - The request object containing `status` (approved or rejected) and, for rejections, `reason`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const reviewJob = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  if (!REVIEW_DECISIONS.includes(status)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Status should be one of: ${REVIEW_DECISIONS.join(', ')}.`);
+  }
+
+  const rejectionReason =
+    status === 'rejected'
+      ? validateString(res, reason, 'Rejection reason', 10, 1000)
+      : undefined;
+
+  const job = mongoose.isValidObjectId(req.params.id)
+    ? await Job.findById(req.params.id)
+    : null;
+
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Job posting not found. Please check and try again.');
+  }
+
+  const previousStatus = job.moderation?.status;
+
+  if (previousStatus === status) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(`This job posting is already ${status}.`);
+  }
+
+  const now = new Date();
+  const update = {
+    moderation: {
+      status,
+      reason: rejectionReason,
+      submittedAt: job.moderation?.submittedAt,
+      reviewedAt: now,
+      reviewedBy: req.user.id,
+    },
+  };
+
+  // Candidates see the job from the moment it's approved
+  if (status === 'approved' && job.status === 'published') {
+    update.publishedAt = now;
+  }
+
+  const reviewedJob = await Job.findByIdAndUpdate(job._id, update, {
+    new: true,
+  }).populate('recruiterId', 'firstName lastName email');
+
+  await recordAuditLog(
+    req,
+    status === 'approved' ? 'job_approved' : 'job_rejected',
+    {
+      jobId: String(job._id),
+      title: job.title,
+      recruiterId: String(
+        reviewedJob.recruiterId?._id || reviewedJob.recruiterId
+      ),
+      previousStatus: previousStatus || null,
+      reason: rejectionReason,
+    }
+  );
+
+  await notifyRecruiterOfReview(reviewedJob);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      status === 'approved'
+        ? `"${job.title}" approved.`
+        : `"${job.title}" rejected. The recruiter has been emailed the reason.`,
+    job: formatQueuedJob(reviewedJob),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getModerationQueue,
+  getModerationSettings,
+  updateModerationSettings,
+  reviewJob,
+};
@@ -0,0 +1,191 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const { Application, Job } = require('../models');
+
+const {
+  getApplicationStage,
+  getPipelineStages,
+  normalizePipelineStages,
+  WITHDRAWN_STAGE,
+} = require('../utils/pipeline.utils');
+const { emitBoardChanged } = require('../sockets/pipeline.socket');
+
+/**
+ * @desc Loads a job the user may manage the pipeline of.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<Object>} The job (lean).
+ */
+
+const findManageableJob = async (req, res) => {
+  const job = mongoose.isValidObjectId(req.params.id)
+    ? await Job.findById(req.params.id)
+        .select('title recruiterId pipelineStages')
+        .lean()
+    : null;
+
+  if (!job) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Job posting not found. Please check and try again.');
+  }
+
+  if (
+    !req.user.isAdmin &&
+    job.recruiterId?.toString() !== req.user.id.toString()
+  ) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error(
+      'You do not have permission to manage the pipeline of this job posting.'
+    );
+  }
+
+  return job;
+};
+
+/**
+ * @desc Counts the job's applications in each stage of `stages`.
+ *
+ * @param {Object} jobId - The job ID.
+ * @param {Object[]} stages - The pipeline to count against.
+ *
+ * @returns {Promise<Object>} Counts keyed by stage key.
+ */
+
+const countApplicationsByStage = async (jobId, stages) => {
+  const groups = await Application.aggregate([
+    // Withdrawn applications are in none of the job's stages
+    { $match: { jobId, status: { $ne: WITHDRAWN_STAGE.status } } },
+    {
+      $group: {
+        _id: { stage: '$stage', status: '$status' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = Object.fromEntries(stages.map((stage) => [stage.key, 0]));
+  groups.forEach(({ _id, count }) => {
+    counts[getApplicationStage(_id, stages).key] += count;
+  });
+
+  return counts;
+};
+
+/**
+ * @desc Gets the stages applications to a job move through, with how many
+ * applications are in each.
+ *
+ * @route GET /api/v1/jobs/:id/pipeline
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getJobPipeline = asyncHandler(async (req, res) => {
+  const job = await findManageableJob(req, res);
+  const stages = getPipelineStages(job);
+  const counts = await countApplicationsByStage(job._id, stages);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job pipeline retrieved successfully.',
+    isDefault: !job.pipelineStages?.length,
+    stages: stages.map((stage) => ({
+      ...stage,
+      applicationCount: counts[stage.key],
+    })),
+    defaultStages: getPipelineStages(null),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Replaces a job's pipeline. Stages are matched by key, so renaming a
+ * stage keeps its applications; a stage that still has applications can't be
+ * removed until they are moved elsewhere.
+ *
+ * @route PUT /api/v1/jobs/:id/pipeline
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the ordered `stages`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateJobPipeline = asyncHandler(async (req, res) => {
+  const job = await findManageableJob(req, res);
+  const stages = normalizePipelineStages(res, req.body.stages);
+
+  const currentStages = getPipelineStages(job);
+  const counts = await countApplicationsByStage(job._id, currentStages);
+  const keys = stages.map((stage) => stage.key);
+  const removedInUse = currentStages.filter(
+    (stage) => !keys.includes(stage.key) && counts[stage.key] > 0
+  );
+
+  if (removedInUse.length > 0) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(
+      `Move the applications out of ${removedInUse
+        .map((stage) => `"${stage.name}" (${counts[stage.key]})`)
+        .join(', ')} before removing ${
+        removedInUse.length === 1 ? 'it' : 'them'
+      }.`
+    );
+  }
+
+  // Applications whose stage was never stored (from before pipelines existed)
+  // are pinned to the stage they are shown in, so reordering can't move them
+  const unpinnedFilter = { jobId: job._id, stage: { $exists: false } };
+  const unpinnedStatuses = await Application.distinct('status', unpinnedFilter);
+  await Promise.all(
+    unpinnedStatuses.map((status) =>
+      Application.updateMany(
+        { ...unpinnedFilter, status },
+        {
+          $set: { stage: getApplicationStage({ status }, currentStages).key },
+        }
+      )
+    )
+  );
+
+  // Saving the default pipeline keeps the job on it, so it picks up changes
+  // to the default
+  const isDefault =
+    JSON.stringify(stages) === JSON.stringify(getPipelineStages(null));
+
+  await Job.updateOne(
+    { _id: job._id },
+    isDefault
+      ? { $unset: { pipelineStages: 1 } }
+      : { $set: { pipelineStages: stages } }
+  );
+
+  const updatedCounts = await countApplicationsByStage(job._id, stages);
+  emitBoardChanged(job._id);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Pipeline for "${job.title}" saved with ${stages.length} stages.`,
+    isDefault,
+    stages: stages.map((stage) => ({
+      ...stage,
+      applicationCount: updatedCounts[stage.key],
+    })),
+    defaultStages: getPipelineStages(null),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getJobPipeline,
+  updateJobPipeline,
+};
@@ -0,0 +1,778 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+const { Application, Job, Offer } = require('../models');
+
+const {
+  MAX_DECLINE_REASON_LENGTH,
+  OFFER_STATUSES,
+  formatOfferSalary,
+  parseOfferRequest,
+} = require('../utils/offer.utils');
+const {
+  buildOfferLetter,
+  getOfferLetterFileName,
+} = require('../utils/offerLetter.utils');
+const {
+  DEFAULT_PIPELINE_STAGES,
+  WITHDRAWN_STAGE,
+  buildStageUpdate,
+  findStageByStatus,
+  getApplicationStage,
+  getPipelineStages,
+  resolveStageMove,
+} = require('../utils/pipeline.utils');
+const {
+  sendEmail,
+  generateEmailTemplate,
+  escapeEmailText,
+} = require('../utils/nodemailer.utils');
+const { validateString } = require('../utils/validation.utils');
+const { emitApplicationMoved } = require('../sockets/pipeline.socket');
+
+const USER_FIELDS = 'firstName lastName email';
+
+// Offers can't be sent once the candidate is out of the running or hired
+const CLOSED_APPLICATION_STATUSES = [
+  'hired',
+  'rejected',
+  WITHDRAWN_STAGE.status,
+];
+
+const getClientUrl = () => (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const populateOffer = (query) =>
+  query
+    .populate('jobId', 'title company location recruiterId')
+    .populate('candidateId', USER_FIELDS)
+    .populate('recruiterId', USER_FIELDS);
+
+// Pending offers past their deadline read as expired even before the sweep
+// below gets to them
+const isPastDeadline = (offer, now = new Date()) =>
+  offer.status === 'pending' && new Date(offer.expiresAt) <= now;
+
+// Names the populated references after what they hold, like applications do
+const formatOffer = (offer) => {
+  const { jobId, candidateId, recruiterId, ...offerObj } = offer.toObject
+    ? offer.toObject()
+    : offer;
+
+  return {
+    ...offerObj,
+    status: isPastDeadline(offerObj) ? 'expired' : offerObj.status,
+    job: jobId,
+    candidate: candidateId,
+    recruiter: recruiterId,
+  };
+};
+
+const canViewOffer = (user, offer) =>
+  Boolean(
+    user.isAdmin ||
+      offer.candidateId?._id?.toString() === user.id.toString() ||
+      offer.jobId?.recruiterId?.toString() === user.id.toString()
+  );
+
+/**
+ * @desc Loads an offer the user may see: candidates see their own, recruiters
+ * those of their jobs and admins all of them.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<Object>} The populated offer.
+ */
+
+const findViewableOffer = async (req, res) => {
+  const offer = mongoose.isValidObjectId(req.params.id)
+    ? await populateOffer(Offer.findById(req.params.id))
+    : null;
+
+  if (!offer) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified offer.');
+  }
+
+  if (!canViewOffer(req.user, offer)) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You do not have permission to access this offer.');
+  }
+
+  return offer;
+};
+
+/**
+ * @desc Emails the offer's candidate, and optionally its recruiter, without
+ * failing the request if an email can't be delivered.
+ *
+ * @param {Object} offer - The populated offer.
+ * @param {Object} emails
+ * @param {Object} [emails.candidate] - `{ subject, content }` for the candidate.
+ * @param {Object} [emails.recruiter] - `{ subject, content }` for the recruiter.
+ *
+ * @returns {Promise<void>}
+ */
+
+const notifyOfferParties = (offer, emails) =>
+  Promise.all(
+    [
+      [offer.candidateId, emails.candidate],
+      [offer.recruiterId, emails.recruiter],
+    ]
+      .filter(([recipient, email]) => recipient?.email && email)
+      .map(([recipient, { subject, content }]) =>
+        sendEmail({
+          from: process.env.NODEMAILER_SMTP_EMAIL,
+          to: recipient.email,
+          subject: `EZY Jobs - ${subject}`,
+          html: generateEmailTemplate({
+            firstName: recipient.firstName,
+            subject,
+            content,
+          }),
+        }).catch((error) =>
+          console.error(
+            `Failed to send "${subject}" email for offer ${offer._id}:`,
+            error.message
+          )
+        )
+      )
+  );
+
+const buildOfferDetails = (offer) => ({
+  type: 'list',
+  value: [
+    `Position: ${escapeEmailText(offer.jobId.title)} at ${escapeEmailText(offer.jobId.company)}`,
+    `Salary: ${formatOfferSalary(offer.salary)}`,
+    `Start Date: ${formatDate(offer.startDate)}`,
+    `Respond By: ${new Date(offer.expiresAt).toLocaleString()}`,
+  ],
+});
+
+const getCandidateName = (offer) =>
+  `${offer.candidateId.firstName} ${offer.candidateId.lastName}`;
+
+/**
+ * @desc Closes pending offers whose deadline has passed and lets both sides know.
+ *
+ * @param {Object} [filter] - Narrows down the offers to check.
+ *
+ * @returns {Promise<Object[]>} The offers that were expired, populated.
+ */
+
+const expireOverdueOffers = async (filter = {}) => {
+  const now = new Date();
+  const overdueOffers = await Offer.find({
+    ...filter,
+    status: 'pending',
+    expiresAt: { $lte: now },
+  }).select('_id');
+
+  const expiredOffers = [];
+  for (const { _id: offerId } of overdueOffers) {
+    // Conditional update so a concurrent answer or sweep wins only once
+    const offer = await populateOffer(
+      Offer.findOneAndUpdate(
+        { _id: offerId, status: 'pending' },
+        { $set: { status: 'expired', respondedAt: now } },
+        { new: true }
+      )
+    );
+    if (!offer) continue;
+
+    expiredOffers.push(offer);
+
+    const details = `The offer for <strong>${escapeEmailText(offer.jobId.title)}</strong> at ${escapeEmailText(offer.jobId.company)} expired on ${new Date(
+      offer.expiresAt
+    ).toLocaleString()} without a response.`;
+
+    await notifyOfferParties(offer, {
+      candidate: {
+        subject: 'Offer Expired',
+        content: [
+          { type: 'heading', value: 'Offer Expired' },
+          { type: 'text', value: details },
+        ],
+      },
+      recruiter: {
+        subject: 'Offer Expired',
+        content: [
+          { type: 'heading', value: 'Offer Expired' },
+          {
+            type: 'text',
+            value: `${details} Candidate: ${escapeEmailText(getCandidateName(offer))}.`,
+          },
+        ],
+      },
+    });
+  }
+
+  return expiredOffers;
+};
+
+/**
+ * @desc Moves an offer's application to `to`, unless its status changed in
+ * the meantime, and tells the job's pipeline board.
+ *
+ * @param {Object} options
+ * @param {Object} options.application - The application, as loaded.
+ * @param {Object} options.from - Its current stage.
+ * @param {Object} options.to - The stage to move it to.
+ * @param {Object} options.user - Who made the move.
+ * @param {string} options.reason - Why it was moved.
+ *
+ * @returns {Promise<Object|null>} The moved application, or null if it changed.
+ */
+
+const moveOfferApplication = async ({
+  application,
+  from,
+  to,
+  user,
+  reason,
+}) => {
+  const movedApplication = await Application.findOneAndUpdate(
+    { _id: application._id, status: application.status },
+    buildStageUpdate({ from, to, actorId: user.id, reason }),
+    { new: true }
+  );
+
+  if (movedApplication) {
+    emitApplicationMoved(movedApplication.jobId, {
+      applicationId: String(movedApplication._id),
+      fromStage: from.key,
+      stage: to.key,
+      stageName: to.name,
+      status: to.status,
+      movedBy: {
+        id: String(user.id),
+        firstName: user.firstName,
+        lastName: user.lastName,
+      },
+    });
+  }
+
+  return movedApplication;
+};
+
+/**
+ * @desc Sends an offer for an application. The application moves to the
+ * job's Offer stage when its pipeline allows it, and the candidate is emailed.
+ *
+ * @route POST /api/v1/offers
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the `applicationId`,
+ * `salary: { amount, currency, period }`, `startDate`, `expiresAt` and `terms`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createOffer = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { applicationId } = req.body;
+
+  const application = mongoose.isValidObjectId(applicationId)
+    ? await Application.findById(applicationId).populate(
+        'jobId',
+        'title company recruiterId pipelineStages'
+      )
+    : null;
+
+  if (!application || !application.jobId) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Unable to locate the specified application.');
+  }
+
+  const job = application.jobId;
+  if (!user.isAdmin && job.recruiterId?.toString() !== user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error(
+      'You can only send offers for applications to your own jobs.'
+    );
+  }
+
+  if (CLOSED_APPLICATION_STATUSES.includes(application.status)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Offers can't be sent for ${application.status} applications.`
+    );
+  }
+
+  const stages = getPipelineStages(job);
+  if (!findStageByStatus(stages, 'hired')) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      "Add a stage with the hired status to this job's pipeline before sending offers."
+    );
+  }
+
+  const fields = parseOfferRequest(res, req.body);
+
+  await expireOverdueOffers({ applicationId: application._id });
+
+  let offer;
+  try {
+    offer = await Offer.create({
+      ...fields,
+      applicationId: application._id,
+      jobId: job._id,
+      candidateId: application.candidateId,
+      recruiterId: user.id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(StatusCodes.CONFLICT);
+      throw new Error(
+        'This application already has an open offer. Rescind it before sending a new one.'
+      );
+    }
+    throw error;
+  }
+
+  const currentStage = getApplicationStage(application, stages);
+  const { stage: offerStage } = resolveStageMove(stages, currentStage, {
+    stageKey: 'offer',
+  });
+  if (offerStage) {
+    await moveOfferApplication({
+      application,
+      from: currentStage,
+      to: offerStage,
+      user,
+      reason: 'Offer sent',
+    });
+  }
+
+  offer = await populateOffer(Offer.findById(offer._id));
+
+  await notifyOfferParties(offer, {
+    candidate: {
+      subject: 'You Have a Job Offer',
+      content: [
+        {
+          type: 'heading',
+          value: 'Congratulations!',
+        },
+        {
+          type: 'text',
+          value: `${escapeEmailText(job.company)} would like to offer you the <strong>${escapeEmailText(job.title)}</strong> position. Review the offer and download the offer letter from your dashboard, then accept or decline it before it expires.`,
+        },
+        buildOfferDetails(offer),
+        {
+          type: 'cta',
+          value: {
+            text: 'Review Offer',
+            link: `${getClientUrl()}/candidate/dashboard`,
+          },
+        },
+      ],
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Offer sent successfully.',
+    offer: formatOffer(offer),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Get offers. Candidates get their own, recruiters those of their jobs
+ * and admins all of them, newest first.
+ *
+ * @route GET /api/v1/offers
+ * @access Private
+ *
+ * @param {Object} req - The request object, with optional `applicationId` and
+ * `status` filters.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getOffers = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { applicationId, status } = req.query;
+  const query = {};
+
+  if (user.isRecruiter && !user.isAdmin) {
+    const myJobs = await Job.find({ recruiterId: user.id }).select('_id');
+    query.jobId = { $in: myJobs.map((job) => job._id) };
+  } else if (!user.isAdmin) {
+    query.candidateId = user.id;
+  }
+
+  if (applicationId) {
+    if (!mongoose.isValidObjectId(applicationId)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Please provide a valid application ID.');
+    }
+    query.applicationId = applicationId;
+  }
+
+  if (status) {
+    if (!OFFER_STATUSES.includes(status)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `Offer status should be one of: ${OFFER_STATUSES.join(', ')}.`
+      );
+    }
+    // Overdue offers the sweep hasn't reached yet are reported as expired
+    const now = new Date();
+    if (status === 'pending') {
+      Object.assign(query, { status, expiresAt: { $gt: now } });
+    } else if (status === 'expired') {
+      query.$or = [{ status }, { status: 'pending', expiresAt: { $lte: now } }];
+    } else {
+      query.status = status;
+    }
+  }
+
+  const offers = await populateOffer(Offer.find(query).sort('-createdAt'));
+  const formattedOffers = offers.map(formatOffer);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Offers retrieved successfully.',
+    count: formattedOffers.length,
+    offers: formattedOffers,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Get an offer by ID.
+ *
+ * @route GET /api/v1/offers/:id
+ * @access Private (the offer's Candidate and Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the offer ID.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getOfferById = asyncHandler(async (req, res) => {
+  const offer = await findViewableOffer(req, res);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Offer retrieved successfully.',
+    offer: formatOffer(offer),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Download an offer's letter as a PDF, rendered from the stored offer.
+ *
+ * @route GET /api/v1/offers/:id/letter
+ * @access Private (the offer's Candidate and Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the offer ID.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const downloadOfferLetter = asyncHandler(async (req, res) => {
+  const offer = await findViewableOffer(req, res);
+
+  const fileName = getOfferLetterFileName(offer);
+  const letter = buildOfferLetter(offer);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName.replace(
+      /[^\x20-\x7E]|"/g,
+      ''
+    )}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    'Cache-Control': 'private, no-store',
+  });
+
+  letter.on('error', (error) => {
+    console.error(
+      `Failed to render the letter of offer ${offer._id}:`,
+      error.message
+    );
+    res.destroy(error);
+  });
+  letter.pipe(res);
+});
+
+/**
+ * @desc Loads the candidate's own pending offer for accepting or declining it,
+ * expiring it instead when its deadline has passed.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<Object>} The populated offer.
+ */
+
+const findRespondableOffer = async (req, res) => {
+  const offer = await findViewableOffer(req, res);
+
+  if (offer.candidateId?._id.toString() !== req.user.id.toString()) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error('You can only respond to your own offers.');
+  }
+
+  if (isPastDeadline(offer)) {
+    await expireOverdueOffers({ _id: offer._id });
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(
+      `This offer expired on ${new Date(offer.expiresAt).toLocaleString()}.`
+    );
+  }
+
+  if (offer.status !== 'pending') {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error(`This offer has already been ${offer.status}.`);
+  }
+
+  return offer;
+};
+
+/**
+ * @desc Accept an offer. The application moves to the job's Hired stage and
+ * the recruiter is notified.
+ *
+ * @route PATCH /api/v1/offers/:id/accept
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object containing the offer ID.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const acceptOffer = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const offer = await findRespondableOffer(req, res);
+
+  const [application, job] = await Promise.all([
+    Application.findById(offer.applicationId),
+    Job.findById(offer.jobId._id).select('pipelineStages'),
+  ]);
+
+  if (
+    !application ||
+    CLOSED_APPLICATION_STATUSES.includes(application.status)
+  ) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('The application for this offer is no longer active.');
+  }
+
+  const now = new Date();
+  const acceptedOffer = await populateOffer(
+    // Guards against the offer expiring or being rescinded in the meantime
+    Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending', expiresAt: { $gt: now } },
+      { $set: { status: 'accepted', respondedAt: now } },
+      { new: true }
+    )
+  );
+
+  if (!acceptedOffer) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('This offer is no longer open.');
+  }
+
+  const stages = getPipelineStages(job);
+  // Sending checked the pipeline has a hired stage; fall back to the default
+  // one in case it was removed since, which still reads as hired
+  const hiredStage =
+    findStageByStatus(stages, 'hired') ||
+    findStageByStatus(DEFAULT_PIPELINE_STAGES, 'hired');
+  await moveOfferApplication({
+    application,
+    from: getApplicationStage(application, stages),
+    to: hiredStage,
+    user,
+    reason: 'Offer accepted',
+  });
+
+  await notifyOfferParties(acceptedOffer, {
+    recruiter: {
+      subject: 'Offer Accepted',
+      content: [
+        {
+          type: 'heading',
+          value: 'Offer Accepted',
+        },
+        {
+          type: 'text',
+          value: `${escapeEmailText(getCandidateName(acceptedOffer))} has accepted your offer for <strong>${escapeEmailText(acceptedOffer.jobId.title)}</strong> and has been moved to ${escapeEmailText(hiredStage.name)}.`,
+        },
+        buildOfferDetails(acceptedOffer),
+      ],
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Congratulations! You have accepted the offer.',
+    offer: formatOffer(acceptedOffer),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Decline an offer, with an optional reason. The recruiter is notified;
+ * the application stays where it is.
+ *
+ * @route PATCH /api/v1/offers/:id/decline
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object containing the offer ID and an optional `reason`.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const declineOffer = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const declineReason =
+    typeof reason === 'string' && reason.trim()
+      ? validateString(res, reason, 'Reason', 2, MAX_DECLINE_REASON_LENGTH)
+      : undefined;
+
+  const offer = await findRespondableOffer(req, res);
+
+  const declinedOffer = await populateOffer(
+    Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending' },
+      { $set: { status: 'declined', respondedAt: new Date(), declineReason } },
+      { new: true }
+    )
+  );
+
+  if (!declinedOffer) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('This offer is no longer open.');
+  }
+
+  await notifyOfferParties(declinedOffer, {
+    recruiter: {
+      subject: 'Offer Declined',
+      content: [
+        {
+          type: 'heading',
+          value: 'Offer Declined',
+        },
+        {
+          type: 'text',
+          value: `${escapeEmailText(getCandidateName(declinedOffer))} has declined your offer for <strong>${escapeEmailText(declinedOffer.jobId.title)}</strong>.`,
+        },
+        ...(declineReason
+          ? [
+              {
+                type: 'text',
+                value: `Reason: ${escapeEmailText(declineReason)}`,
+              },
+            ]
+          : []),
+      ],
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'You have declined the offer.',
+    offer: formatOffer(declinedOffer),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Rescind a pending offer. The candidate is notified.
+ *
+ * @route PATCH /api/v1/offers/:id/rescind
+ * @access Private (Recruiter, Admin)
+ *
+ * @param {Object} req - The request object containing the offer ID.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const rescindOffer = asyncHandler(async (req, res) => {
+  const offer = await findViewableOffer(req, res);
+
+  const rescindedOffer = await populateOffer(
+    Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending' },
+      { $set: { status: 'rescinded', respondedAt: new Date() } },
+      { new: true }
+    )
+  );
+
+  if (!rescindedOffer) {
+    res.status(StatusCodes.CONFLICT);
+    throw new Error('Only pending offers can be rescinded.');
+  }
+
+  await notifyOfferParties(rescindedOffer, {
+    candidate: {
+      subject: 'Offer Withdrawn',
+      content: [
+        {
+          type: 'heading',
+          value: 'Offer Withdrawn',
+        },
+        {
+          type: 'text',
+          value: `${escapeEmailText(rescindedOffer.jobId.company)} has withdrawn its offer for the <strong>${escapeEmailText(rescindedOffer.jobId.title)}</strong> position. Please contact the recruiter if you have any questions.`,
+        },
+      ],
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Offer rescinded successfully.',
+    offer: formatOffer(rescindedOffer),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Expire pending offers past their deadline and notify both sides (called by cron job)
+ */
+const processExpiredOffers = async () => {
+  try {
+    const expiredOffers = await expireOverdueOffers();
+
+    if (expiredOffers.length > 0) {
+      console.log(`✅ Expired ${expiredOffers.length} overdue offer(s)`);
+    }
+  } catch (error) {
+    console.error('Error expiring offers:', error);
+  }
+};
+
+// Set up cron job to run every 15 minutes to expire overdue offers
+cron.schedule('*/15 * * * *', () => {
+  console.log('🔄 Checking for expired offers...');
+  processExpiredOffers();
+});
+
+module.exports = {
+  createOffer,
+  getOffers,
+  getOfferById,
+  downloadOfferLetter,
+  acceptOffer,
+  declineOffer,
+  rescindOffer,
+};
@@ -7,6 +7,7 @@ const {
   sendEmail,
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
+const { getAssessmentKey } = require('../utils/category.utils');
 
 /**
  * @desc Generate sample assessment questions
@@ -149,7 +150,9 @@ const createPreAssessment = asyncHandler(async (req, res) => {
   }
 
   // Generate questions
-  const questions = generateAssessmentQuestions(application.jobId?.category);
+  const questions = generateAssessmentQuestions(
+    await getAssessmentKey(application.jobId)
+  );
 
   // Set expiration time (default 7 days from now)
   const expiresAt = new Date();
@@ -341,6 +344,11 @@ const startAssessment = asyncHandler(async (req, res) => {
     throw new Error('Assessment is already in progress.');
   }
 
+  if (assessment.status === 'cancelled') {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Assessment was cancelled because the application was withdrawn.');
+  }
+
   // Check if expired
   if (assessment.expiresAt && new Date() > assessment.expiresAt) {
     assessment.status = 'expired';
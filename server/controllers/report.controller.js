@@ -198,6 +198,31 @@ const getJobPerformanceReport = asyncHandler(async (req, res) => {
           jobCount: { $sum: 1 }
         }
       },
+      // Attach each category's parent from the taxonomy
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: 'name',
+          as: 'taxonomy'
+        }
+      },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'taxonomy.parent',
+          foreignField: '_id',
+          as: 'parents'
+        }
+      },
+      {
+        $project: {
+          category: '$_id',
+          parentCategory: { $ifNull: [{ $arrayElemAt: ['$parents.name', 0] }, null] },
+          isActive: { $ifNull: [{ $arrayElemAt: ['$taxonomy.isActive', 0] }, false] },
+          jobCount: 1
+        }
+      },
       {
         $sort: { jobCount: -1 }
       }
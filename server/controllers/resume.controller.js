@@ -8,6 +8,65 @@ const {
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
 const { validateString, validateArray } = require('../utils/validation.utils');
+const { paginate } = require('../utils/pagination.utils');
+const { findCity } = require('../utils/geo.utils');
+const { findCompany } = require('../utils/company.utils');
+
+// Sortable resume list fields for `?sort=`
+const RESUME_SORT_FIELDS = {
+  rating: 'rating',
+  createdAt: 'createdAt',
+  title: 'title',
+};
+
+/**
+ * @desc Resolves the candidate's city and its coordinates. Only cities from the
+ * location picker are accepted so distance searches can measure from them.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} [location] - The city from the request body.
+ *
+ * @returns {Object} The `location` and `geo` to persist, or an empty object
+ * when the request does not include a location.
+ */
+
+const resolveProfileLocation = (res, location) => {
+  if (location === undefined) return {};
+  if (!location) return { location: null, geo: null };
+
+  const city = findCity(location);
+
+  if (!city) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please choose your city from the list.');
+  }
+
+  return {
+    location: city.name,
+    geo: { type: 'Point', coordinates: city.coordinates },
+  };
+};
+
+/**
+ * @desc Resolves the candidate's company, linking it to the company profile
+ * with the same name (ignoring case and legal suffixes) when there is one.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} [company] - The company from the request body.
+ *
+ * @returns {Promise<Object>} The `company` and `companyId` to persist.
+ */
+
+const resolveProfileCompany = async (res, company) => {
+  if (!company) return { company: null, companyId: null };
+
+  const name = validateString(res, company, 'Company', 2, 100);
+  const profile = await findCompany(name);
+
+  return profile
+    ? { company: profile.name, companyId: profile._id }
+    : { company: name, companyId: null };
+};
 
 /**
  * @desc Creates the User Resume.
@@ -36,6 +95,7 @@ const createResume = asyncHandler(async (req, res) => {
     company,
     achievements,
     portfolio,
+    location,
   } = req.body;
 
   if (!title || !summary || !skills || !experience || !education) {
@@ -64,13 +124,14 @@ const createResume = asyncHandler(async (req, res) => {
     availability: availability
       ? validateString(res, availability, 'Availability', 2, 50)
       : null,
-    company: company ? validateString(res, company, 'Company', 2, 100) : null,
+    ...(await resolveProfileCompany(res, company)),
     achievements: achievements
       ? validateString(res, achievements, 'Achievements', 0, 1000)
       : null,
     portfolio: portfolio
       ? validateString(res, portfolio, 'Portfolio', 0, 255)
       : null,
+    ...resolveProfileLocation(res, location),
     userId,
   };
 
@@ -132,9 +193,15 @@ const getAllResumes = asyncHandler(async (req, res) => {
     query.rating = { $gte: parseFloat(minRating) };
   }
 
-  const profiles = await Resume.find(query)
-    .populate('userId', 'firstName lastName email phone')
-    .sort({ rating: -1, createdAt: -1 });
+  const { docs: profiles, pagination } = await paginate(res, {
+    model: Resume,
+    filter: query,
+    query: req.query,
+    sortFields: RESUME_SORT_FIELDS,
+    defaultSort: '-rating',
+    buildQuery: (profilesQuery) =>
+      profilesQuery.populate('userId', 'firstName lastName email phone'),
+  });
 
   if (!profiles || profiles.length === 0) {
     res.status(StatusCodes.NOT_FOUND);
@@ -146,6 +213,7 @@ const getAllResumes = asyncHandler(async (req, res) => {
     message: 'Successfully retrieved all candidate resumes',
     count: profiles.length,
     profiles,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -240,6 +308,7 @@ const updateResume = asyncHandler(async (req, res) => {
     company,
     achievements,
     portfolio,
+    location,
   } = req.body;
 
   if (!title || !summary || !skills || !experience || !education) {
@@ -268,13 +337,14 @@ const updateResume = asyncHandler(async (req, res) => {
     availability: availability
       ? validateString(res, availability, 'Availability', 2, 50)
       : null,
-    company: company ? validateString(res, company, 'Company', 2, 100) : null,
+    ...(await resolveProfileCompany(res, company)),
     achievements: achievements
       ? validateString(res, achievements, 'Achievements', 0, 1000)
       : null,
     portfolio: portfolio
       ? validateString(res, portfolio, 'Portfolio', 0, 255)
       : null,
+    ...resolveProfileLocation(res, location),
     userId,
   };
 
@@ -375,6 +445,7 @@ const updateResumeById = asyncHandler(async (req, res) => {
     company,
     achievements,
     portfolio,
+    location,
   } = req.body;
 
   const validatedData = {
@@ -396,13 +467,14 @@ const updateResumeById = asyncHandler(async (req, res) => {
     availability: availability
       ? validateString(res, availability, 'Availability', 2, 50)
       : null,
-    company: company ? validateString(res, company, 'Company', 2, 100) : null,
+    ...(await resolveProfileCompany(res, company)),
     achievements: achievements
       ? validateString(res, achievements, 'Achievements', 0, 1000)
       : null,
     portfolio: portfolio
       ? validateString(res, portfolio, 'Portfolio', 0, 255)
       : null,
+    ...resolveProfileLocation(res, location),
   };
 
   const updatedProfile = await Resume.findByIdAndUpdate(
@@ -0,0 +1,462 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+const { SavedSearch, Job } = require('../models');
+
+const { SALARY_CURRENCIES, formatSalary } = require('../utils/salary.utils');
+const { validateString } = require('../utils/validation.utils');
+const { buildCategoryFilter } = require('../utils/category.utils');
+const {
+  sendEmail,
+  generateEmailTemplate,
+  escapeEmailText,
+} = require('../utils/nodemailer.utils');
+
+const ALERT_FREQUENCIES = ['daily', 'weekly'];
+const MAX_SAVED_SEARCHES = 10;
+const MAX_DIGEST_JOBS = 20;
+
+const getClientUrl = () => (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @desc Validates the alert fields present in the request body and returns the
+ * values to persist. Empty filter values clear the filter.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body.
+ * @param {Object} [current] - The saved search being updated, if any.
+ *
+ * @returns {Object} The validated fields.
+ */
+
+const validateSavedSearchInput = (res, body, current) => {
+  const fields = {};
+
+  if (body.name !== undefined || !current) {
+    if (!body.name) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Please give your job alert a name.');
+    }
+    validateString(res, body.name, 'Alert name', 2, 100);
+    fields.name = body.name.trim();
+  }
+
+  [
+    ['search', 'Keywords', 200],
+    ['category', 'Category', 100],
+    ['location', 'Location', 100],
+  ].forEach(([field, label, maxLength]) => {
+    if (body[field] === undefined) return;
+
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    if (value.length > maxLength) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`${label} must not exceed ${maxLength} characters.`);
+    }
+    fields[field] = value || undefined;
+  });
+
+  ['minSalary', 'maxSalary'].forEach((field) => {
+    if (body[field] === undefined) return;
+
+    if (body[field] === null || body[field] === '') {
+      fields[field] = undefined;
+      return;
+    }
+
+    const amount = Number(body[field]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(`Please provide a valid ${field} value.`);
+    }
+    fields[field] = amount;
+  });
+
+  const minSalary =
+    'minSalary' in fields ? fields.minSalary : current?.minSalary;
+  const maxSalary =
+    'maxSalary' in fields ? fields.maxSalary : current?.maxSalary;
+  if (minSalary != null && maxSalary != null && maxSalary < minSalary) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'Maximum salary must be greater than or equal to minimum salary.'
+    );
+  }
+
+  if (body.currency !== undefined) {
+    const currencyCode = body.currency
+      ? String(body.currency).toUpperCase()
+      : '';
+    if (currencyCode && !SALARY_CURRENCIES.includes(currencyCode)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `Salary currency should be one of: ${SALARY_CURRENCIES.join(', ')}.`
+      );
+    }
+    fields.currency = currencyCode || undefined;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!ALERT_FREQUENCIES.includes(body.frequency)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error(
+        `Alert frequency should be one of: ${ALERT_FREQUENCIES.join(', ')}.`
+      );
+    }
+    fields.frequency = body.frequency;
+  }
+
+  if (body.isActive !== undefined) {
+    fields.isActive = Boolean(body.isActive);
+  }
+
+  return fields;
+};
+
+/**
+ * @desc Builds the job query for a saved search, using the same matching rules
+ * as GET /api/v1/jobs, limited to jobs published after `since`.
+ *
+ * @param {Object} savedSearch - The saved search.
+ * @param {Date} since - Only jobs published after this date match.
+ *
+ * @returns {Promise<Object>} The Mongoose filter.
+ */
+
+const buildSavedSearchQuery = async (savedSearch, since) => {
+  const query = {
+    ...Job.getPublicFilter(),
+    // Jobs created before the lifecycle fields existed have no publishedAt
+    $or: [
+      { publishedAt: { $gt: since } },
+      { publishedAt: null, createdAt: { $gt: since } },
+    ],
+  };
+
+  if (savedSearch.search) {
+    query.$text = { $search: savedSearch.search };
+  }
+  if (savedSearch.category) {
+    query.category = await buildCategoryFilter(savedSearch.category);
+  }
+  if (savedSearch.location) {
+    query.locations = {
+      $regex: escapeRegex(savedSearch.location),
+      $options: 'i',
+    };
+  }
+  if (savedSearch.currency) {
+    query['salary.currency'] = savedSearch.currency;
+  }
+  if (savedSearch.minSalary != null) {
+    query['salary.monthlyMax'] = { $gte: savedSearch.minSalary };
+  }
+  if (savedSearch.maxSalary != null) {
+    query['salary.monthlyMin'] = { $lte: savedSearch.maxSalary };
+  }
+
+  return query;
+};
+
+const findOwnSavedSearch = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide a valid job alert ID.');
+  }
+
+  const savedSearch = await SavedSearch.findOne({
+    _id: id,
+    candidateId: req.user.id,
+  });
+
+  if (!savedSearch) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('Job alert not found. Please check and try again.');
+  }
+
+  return savedSearch;
+};
+
+/**
+ * @desc Emails each active saved search of the given frequency the jobs
+ * published since its last digest. Searches with no new matches are skipped
+ * and keep their window open until something matches.
+ *
+ * @param {string} frequency - Either 'daily' or 'weekly'.
+ *
+ * @returns {Promise<void>}
+ */
+
+const processJobAlerts = async (frequency) => {
+  try {
+    const savedSearches = await SavedSearch.find({ isActive: true, frequency })
+      .select('+unsubscribeToken')
+      .populate('candidateId', 'firstName email');
+
+    const clientUrl = getClientUrl();
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:5000';
+    let sentCount = 0;
+
+    for (const savedSearch of savedSearches) {
+      try {
+        const candidate = savedSearch.candidateId;
+        if (!candidate?.email) continue;
+
+        const now = new Date();
+        const since = savedSearch.lastSentAt || savedSearch.createdAt;
+
+        const jobs = await Job.find(await buildSavedSearchQuery(savedSearch, since))
+          .sort({ createdAt: -1 })
+          .limit(MAX_DIGEST_JOBS)
+          .lean();
+
+        if (jobs.length === 0) continue;
+
+        const unsubscribeUrl = `${clientUrl}/alerts/unsubscribe/${savedSearch.unsubscribeToken}`;
+
+        await sendEmail({
+          from: process.env.NODEMAILER_SMTP_EMAIL,
+          to: candidate.email,
+          subject: `EZY Jobs - New jobs for "${savedSearch.name}"`,
+          // RFC 8058 one-click unsubscribe for mail clients that support it
+          list: {
+            unsubscribe: {
+              url: `${serverUrl}/api/v1/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`,
+              comment: 'Unsubscribe from this job alert',
+            },
+          },
+          headers: {
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+          },
+          html: generateEmailTemplate({
+            firstName: candidate.firstName,
+            subject: 'Your Job Alert',
+            content: [
+              {
+                type: 'heading',
+                value: `New Jobs Matching "${escapeEmailText(savedSearch.name)}"`,
+              },
+              {
+                type: 'text',
+                value: `We found ${jobs.length} new job${jobs.length === 1 ? '' : 's'} matching your saved search since your last update.`,
+              },
+              {
+                type: 'list',
+                value: jobs.map((job) => {
+                  const salary = formatSalary(job.salary);
+                  return `<a href="${clientUrl}/jobs/${job.seo?.slug || job._id}">${escapeEmailText(job.title)}</a> at ${escapeEmailText(job.company)} - ${escapeEmailText(job.location)}${salary ? ` (${salary})` : ''}`;
+                }),
+              },
+              {
+                type: 'cta',
+                value: {
+                  text: 'Browse All Jobs',
+                  link: `${clientUrl}/candidate/jobs`,
+                },
+              },
+              {
+                type: 'text',
+                value: `You receive this ${savedSearch.frequency} email because you created a job alert on EZY Jobs. <a href="${clientUrl}/candidate/alerts">Manage your alerts</a> or <a href="${unsubscribeUrl}">unsubscribe from this alert</a>.`,
+              },
+            ],
+          }),
+        });
+
+        savedSearch.lastSentAt = now;
+        await savedSearch.save();
+        sentCount += 1;
+      } catch (error) {
+        console.error(`❌ Failed to send job alert ${savedSearch._id}:`, error);
+      }
+    }
+
+    console.log(`✅ Sent ${sentCount} ${frequency} job alert(s)`);
+  } catch (error) {
+    console.error('Error processing job alerts:', error);
+  }
+};
+
+// Daily digests go out every morning, weekly digests on Monday mornings
+cron.schedule('0 8 * * *', () => {
+  console.log('🔄 Sending daily job alerts...');
+  processJobAlerts('daily');
+});
+
+cron.schedule('0 8 * * 1', () => {
+  console.log('🔄 Sending weekly job alerts...');
+  processJobAlerts('weekly');
+});
+
+/**
+ * @desc Creates a saved search (job alert) for the logged-in candidate.
+ *
+ * @route POST /api/v1/saved-searches
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const createSavedSearch = asyncHandler(async (req, res) => {
+  const fields = validateSavedSearchInput(res, req.body);
+
+  const count = await SavedSearch.countDocuments({ candidateId: req.user.id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `You can save up to ${MAX_SAVED_SEARCHES} job alerts. Please delete one before adding another.`
+    );
+  }
+
+  const savedSearch = await SavedSearch.create({
+    ...fields,
+    candidateId: req.user.id,
+  });
+
+  if (!savedSearch) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR);
+    throw new Error('Unable to save job alert. Please try again.');
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Job alert created successfully.',
+    savedSearch,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Lists the logged-in candidate's saved searches.
+ *
+ * @route GET /api/v1/saved-searches
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getMySavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({
+    candidateId: req.user.id,
+  }).sort({ createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job alerts retrieved successfully.',
+    count: savedSearches.length,
+    savedSearches,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Updates one of the logged-in candidate's saved searches.
+ *
+ * @route PUT /api/v1/saved-searches/:id
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await findOwnSavedSearch(req, res);
+  const fields = validateSavedSearchInput(res, req.body, savedSearch);
+
+  // Re-enabling an alert starts a fresh window instead of replaying the pause
+  if (fields.isActive && !savedSearch.isActive) {
+    fields.lastSentAt = new Date();
+  }
+
+  savedSearch.set(fields);
+  await savedSearch.save();
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job alert updated successfully.',
+    savedSearch,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Deletes one of the logged-in candidate's saved searches.
+ *
+ * @route DELETE /api/v1/saved-searches/:id
+ * @access Private (Candidate)
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await findOwnSavedSearch(req, res);
+  await savedSearch.deleteOne();
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Job alert deleted successfully.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @desc Turns off a job alert using the token from its digest email.
+ *
+ * @route POST /api/v1/saved-searches/unsubscribe/:token
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const unsubscribeSavedSearch = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  if (!/^[a-f0-9]{64}$/.test(token)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('This unsubscribe link is invalid.');
+  }
+
+  const savedSearch = await SavedSearch.findOneAndUpdate(
+    { unsubscribeToken: token },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!savedSearch) {
+    res.status(StatusCodes.NOT_FOUND);
+    throw new Error('This unsubscribe link is invalid or has expired.');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `You have been unsubscribed from the "${savedSearch.name}" job alert.`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createSavedSearch,
+  getMySavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+};
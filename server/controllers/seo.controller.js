@@ -0,0 +1,76 @@
+const asyncHandler = require('express-async-handler');
+const { StatusCodes } = require('http-status-codes');
+
+const { Job } = require('../models');
+
+const { escapeXml } = require('../utils/xml.utils');
+
+// Public client pages listed alongside the job postings
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'daily', priority: '1.0' },
+  { path: '/jobs', changefreq: 'daily', priority: '0.8' },
+  { path: '/auth/login', changefreq: 'monthly', priority: '0.6' },
+  { path: '/auth/register', changefreq: 'monthly', priority: '0.6' },
+];
+
+const buildUrlEntry = ({ loc, lastmod, changefreq, priority }) =>
+  [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod ? `    <lastmod>${new Date(lastmod).toISOString()}</lastmod>` : null,
+    `    <changefreq>${changefreq}</changefreq>`,
+    `    <priority>${priority}</priority>`,
+    '  </url>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * @desc Generates the sitemap with the public pages and every open job posting.
+ *
+ * @route GET /sitemap.xml
+ * @access Public
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ *
+ * @returns {Promise<void>}
+ */
+
+const getSitemap = asyncHandler(async (req, res) => {
+  const clientUrl = (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+
+  const jobs = await Job.find(Job.getPublicFilter())
+    .select('seo.slug updatedAt')
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  const entries = [
+    ...STATIC_PAGES.map((page) =>
+      buildUrlEntry({ ...page, loc: `${clientUrl}${page.path}` })
+    ),
+    ...jobs.map((job) =>
+      buildUrlEntry({
+        loc: `${clientUrl}/jobs/${job.seo?.slug || job._id}`,
+        lastmod: job.updatedAt,
+        changefreq: 'weekly',
+        priority: '0.7',
+      })
+    ),
+  ];
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+  ].join('\n');
+
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(StatusCodes.OK).send(xml);
+});
+
+module.exports = {
+  getSitemap,
+};
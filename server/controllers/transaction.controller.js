@@ -8,6 +8,14 @@ const {
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
 const { validateString } = require('../utils/validation.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Sortable transaction list fields for `?sort=`
+const TRANSACTION_SORT_FIELDS = {
+  transactionDate: 'transactionDate',
+  amount: 'amount',
+  status: 'status',
+};
 
 /**
  * @desc   Create new transaction
@@ -190,7 +198,6 @@ const getAllTransactions = asyncHandler(async (req, res) => {
     endDate,
     minAmount,
     maxAmount,
-    limit,
   } = req.query;
   let query = {};
 
@@ -219,21 +226,27 @@ const getAllTransactions = asyncHandler(async (req, res) => {
     query.amount = { $lte: maxAmount };
   }
 
-  const transactions = await Transaction.find(query)
-    .populate({
-      path: 'contractId',
-      populate: [
-        {
-          path: 'recruiterId',
-          select: 'firstName lastName email'
-        },
-        {
-          path: 'interviewerId',
-          select: 'firstName lastName email'
-        }
-      ]
-    })
-    .limit(limit ? parseInt(limit) : 0);
+  const { docs: transactions, pagination } = await paginate(res, {
+    model: Transaction,
+    filter: query,
+    query: req.query,
+    sortFields: TRANSACTION_SORT_FIELDS,
+    defaultSort: '-transactionDate',
+    buildQuery: (transactionsQuery) =>
+      transactionsQuery.populate({
+        path: 'contractId',
+        populate: [
+          {
+            path: 'recruiterId',
+            select: 'firstName lastName email'
+          },
+          {
+            path: 'interviewerId',
+            select: 'firstName lastName email'
+          }
+        ]
+      }),
+  });
 
   if (!transactions || transactions.length === 0) {
     res.status(StatusCodes.NOT_FOUND);
@@ -244,9 +257,10 @@ const getAllTransactions = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: `${transactions.length} transactions retrieved successfully`,
+    message: `${pagination.total} transactions retrieved successfully`,
     count: transactions.length,
     transactions,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
@@ -663,20 +677,27 @@ const getTransactionsByContract = asyncHandler(async (req, res) => {
     throw new Error('Invalid contract ID. Please provide a valid identifier.');
   }
 
-  const transactions = await Transaction.find({ contractId })
-    .populate({
-      path: 'contractId',
-      populate: [
-        {
-          path: 'recruiterId',
-          select: 'firstName lastName email'
-        },
-        {
-          path: 'interviewerId',
-          select: 'firstName lastName email'
-        }
-      ]
-    });
+  const { docs: transactions, pagination } = await paginate(res, {
+    model: Transaction,
+    filter: { contractId },
+    query: req.query,
+    sortFields: TRANSACTION_SORT_FIELDS,
+    defaultSort: '-transactionDate',
+    buildQuery: (transactionsQuery) =>
+      transactionsQuery.populate({
+        path: 'contractId',
+        populate: [
+          {
+            path: 'recruiterId',
+            select: 'firstName lastName email'
+          },
+          {
+            path: 'interviewerId',
+            select: 'firstName lastName email'
+          }
+        ]
+      }),
+  });
 
   if (!transactions || transactions.length === 0) {
     res.status(StatusCodes.NOT_FOUND);
@@ -687,9 +708,10 @@ const getTransactionsByContract = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: `${transactions.length} transactions retrieved successfully`,
+    message: `${pagination.total} transactions retrieved successfully`,
     count: transactions.length,
     transactions,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
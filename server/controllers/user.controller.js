@@ -8,6 +8,15 @@ const {
   sendEmail,
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
+const { paginate } = require('../utils/pagination.utils');
+
+// Sortable user list fields for `?sort=`
+const USER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  firstName: 'firstName',
+  lastName: 'lastName',
+  email: 'email',
+};
 
 /**
  * @desc Verify user email with OTP.
@@ -557,9 +566,14 @@ const getAllUsersProfile = asyncHandler(async (req, res) => {
     query.lastName = { $regex: lastName, $options: 'i' };
   }
 
-  const users = await User.find(query)
-    .select('-password -otp -otpExpires')
-    .sort({ createdAt: -1 });
+  const { docs: users, pagination } = await paginate(res, {
+    model: User,
+    filter: query,
+    query: req.query,
+    sortFields: USER_SORT_FIELDS,
+    defaultSort: '-createdAt',
+    buildQuery: (usersQuery) => usersQuery.select('-password -otp -otpExpires'),
+  });
 
   if (!users.length) {
     res.status(StatusCodes.NOT_FOUND);
@@ -568,10 +582,11 @@ const getAllUsersProfile = asyncHandler(async (req, res) => {
 
   res.status(StatusCodes.OK).json({
     success: true,
-    message: `Found ${users.length} user${users.length === 1 ? '' : 's'
+    message: `Found ${pagination.total} user${pagination.total === 1 ? '' : 's'
       } matching your search.`,
     count: users.length,
     users: users,
+    pagination,
     timestamp: new Date().toISOString(),
   });
 });
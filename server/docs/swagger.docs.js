@@ -23,14 +23,75 @@
  *     description: Endpoints for managing interviewer ratings.
  *   - name: Payments
  *     description: Endpoints for managing payments.
+ *   - name: Feeds
+ *     description: Public job syndication feeds for job boards and aggregators.
+ *   - name: Saved Jobs
+ *     description: Endpoints for candidates' saved (bookmarked) jobs.
+ *   - name: Job Alerts
+ *     description: Endpoints for managing candidates' saved searches and emailed job alerts.
+ *   - name: Job Categories
+ *     description: Endpoints for the admin-managed job category taxonomy.
+ *   - name: Companies
+ *     description: Endpoints for company profiles managed by recruiters.
+ *   - name: Offers
+ *     description: Endpoints for job offers sent to candidates.
  * 
  * components:
+ *   parameters:
+ *     PageLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *       description: Page size (default 20, max 100). Sending `limit` or `cursor` pages the list; without either the whole list is returned.
+ *     PageCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: The `pagination.nextCursor` from the previous page. Cursors only work with the sort they were issued for.
+ *     FeedCategory:
+ *       in: query
+ *       name: category
+ *       schema:
+ *         type: string
+ *       description: Only include jobs in this category (name or ID) or its sub-categories.
+ *     FeedRecruiterId:
+ *       in: query
+ *       name: recruiterId
+ *       schema:
+ *         type: string
+ *       description: Only include jobs posted by this recruiter.
  *   securitySchemes:
  *     bearerAuth:
  *       type: 'http'
  *       scheme: 'bearer'
  *       bearerFormat: 'JWT'
  *   schemas:
+ *     Pagination:
+ *       type: 'object'
+ *       properties:
+ *         total:
+ *           type: 'integer'
+ *           description: 'Number of records matching the filters.'
+ *           example: 125
+ *         limit:
+ *           type: 'integer'
+ *           nullable: true
+ *           description: 'Page size, or null when the whole list was returned.'
+ *           example: 20
+ *         sort:
+ *           type: 'string'
+ *           example: '-createdAt'
+ *         nextCursor:
+ *           type: 'string'
+ *           nullable: true
+ *           description: 'Pass as `cursor` to fetch the next page.'
+ *         hasNextPage:
+ *           type: 'boolean'
+ *           example: true
  *     User:
  *       type: 'object'
  *       required: ['firstName', 'lastName', 'email', 'phone', 'password']
@@ -175,6 +236,12 @@
  *           example: 'Tech Innovations Inc'
  *           minLength: 2
  *           maxLength: 100
+ *         companyId:
+ *           type: 'string'
+ *           readOnly: true
+ *           nullable: true
+ *           description: 'Company profile matching `company`, if there is one.'
+ *           example: '60d0fe4f5311236168a109e0'
  *         achievements:
  *           type: 'string'
  *           description: 'Notable professional achievements.'
@@ -192,6 +259,16 @@
  *           format: 'uri'
  *           description: 'Portfolio website URL.'
  *           example: 'https://portfolio.example.com'
+ *         location:
+ *           type: 'string'
+ *           description: 'City the candidate is based in, from the location picker. Distance searches measure from it.'
+ *           example: 'Lahore'
+ *         geo:
+ *           type: 'object'
+ *           readOnly: true
+ *           nullable: true
+ *           description: 'GeoJSON Point for the location.'
+ *           example: { type: 'Point', coordinates: [74.3587, 31.5204] }
  *         userId:
  *           type: 'string'
  *           format: 'uuid'
@@ -218,9 +295,9 @@
  *         - 'company'
  *         - 'requirements'
  *         - 'benefits'
- *         - 'salaryRange'
+ *         - 'salary'
  *         - 'category'
- *         - 'location'
+ *         - 'workMode'
  *         - 'recruiterId'
  *       properties:
  *         id:
@@ -242,10 +319,14 @@
  *           maxLength: 5000
  *         company:
  *           type: 'string'
- *           description: 'Name of the company offering the job.'
+ *           description: 'Name of the company offering the job. A name without a company profile creates one owned by the recruiter.'
  *           example: 'Tech Innovations Inc'
  *           minLength: 2
  *           maxLength: 100
+ *         companyId:
+ *           type: 'string'
+ *           description: 'ID of a company the recruiter owns. Used instead of `company` when sent.'
+ *           example: '60d0fe4f5311236168a109e0'
  *         requirements:
  *           type: 'string'
  *           description: 'Requirements for the job position.'
@@ -258,22 +339,51 @@
  *           example: 'Health insurance, remote work options, flexible hours, professional development budget...'
  *           minLength: 50
  *           maxLength: 2000
+ *         salary:
+ *           $ref: '#/components/schemas/JobSalary'
  *         salaryRange:
  *           type: 'string'
- *           description: 'Salary range for the position.'
- *           example: '$80k - $120k'
- *           pattern: '^\\$\\d+k?\\s*-\\s*\\$\\d+k?$'
+ *           readOnly: true
+ *           description: 'Display label derived from the structured salary.'
+ *           example: 'PKR 150,000 - 200,000 / month'
  *         category:
  *           type: 'string'
- *           description: 'Category of the job.'
+ *           description: 'Name of an active category from GET /api/v1/categories. Requests may also send the category ID.'
  *           example: 'IT'
- *           enum: ['IT', 'Engineering', 'Sales', 'Marketing', 'Finance', 'Other']
+ *         categoryId:
+ *           type: 'string'
+ *           readOnly: true
+ *           description: 'ID of the job category.'
+ *           example: '60d0fe4f5311236168a109d0'
  *         location:
  *           type: 'string'
- *           description: 'Location of the job.'
- *           example: 'San Francisco, CA'
+ *           readOnly: true
+ *           description: 'Display summary of the locations, or "Remote" for remote jobs without locations.'
+ *           example: 'Lahore, Karachi and 2 more'
  *           minLength: 2
  *           maxLength: 100
+ *         locations:
+ *           type: 'array'
+ *           description: 'Cities the job is based in (up to 10). Optional for remote jobs.'
+ *           items:
+ *             type: 'string'
+ *           example: ['Lahore', 'Karachi']
+ *         geo:
+ *           type: 'object'
+ *           readOnly: true
+ *           nullable: true
+ *           description: 'GeoJSON MultiPoint of the known cities in locations. Null for remote jobs and unknown cities.'
+ *           example: { type: 'MultiPoint', coordinates: [[74.3587, 31.5204], [67.0011, 24.8607]] }
+ *         distanceKm:
+ *           type: 'number'
+ *           readOnly: true
+ *           nullable: true
+ *           description: 'Kilometres from the searched city to the nearest of the job''s cities. Only present on distance searches.'
+ *           example: 12.4
+ *         workMode:
+ *           type: 'string'
+ *           enum: ['onsite', 'hybrid', 'remote']
+ *           default: 'onsite'
  *         recruiterId:
  *           type: 'string'
  *           format: 'uuid'
@@ -284,6 +394,66 @@
  *           description: 'Indicates if the job position is closed.'
  *           example: false
  *           default: false
+ *         status:
+ *           type: 'string'
+ *           description: 'Lifecycle state of the job posting.'
+ *           enum: ['draft', 'scheduled', 'published', 'closed']
+ *           default: 'published'
+ *         publishAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *           description: 'When a scheduled job is published.'
+ *         applicationDeadline:
+ *           type: 'string'
+ *           format: 'date-time'
+ *           description: 'Last moment applications are accepted; the job closes automatically afterwards.'
+ *         publishedAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *           readOnly: true
+ *         closedAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *           readOnly: true
+ *         pipelineStages:
+ *           type: 'array'
+ *           readOnly: true
+ *           description: 'The hiring pipeline, when the recruiter customised it (see /api/v1/jobs/{id}/pipeline).'
+ *           items:
+ *             $ref: '#/components/schemas/PipelineStage'
+ *         moderation:
+ *           type: 'object'
+ *           readOnly: true
+ *           description: 'Admin review state. Only set while job moderation is on; pending and rejected jobs are hidden from candidates.'
+ *           properties:
+ *             status:
+ *               type: 'string'
+ *               enum: ['pending', 'approved', 'rejected']
+ *             reason:
+ *               type: 'string'
+ *               description: 'Why the job was rejected.'
+ *             submittedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             reviewedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             reviewedBy:
+ *               type: 'string'
+ *               description: 'The admin who reviewed the job.'
+ *         screeningQuestions:
+ *           type: 'array'
+ *           description: 'Questions candidates answer when applying. Knockout rules are only returned to the job owner and admins.'
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningQuestion'
+ *         seo:
+ *           type: 'object'
+ *           readOnly: true
+ *           properties:
+ *             slug:
+ *               type: 'string'
+ *               description: 'URL slug for the public job page.'
+ *               example: 'senior-react-developer'
  *         createdAt:
  *           type: 'string'
  *           format: 'date-time'
@@ -292,6 +462,545 @@
  *           type: 'string'
  *           format: 'date-time'
  *           description: 'Timestamp when the job was last updated.'
+ *     ScreeningQuestion:
+ *       type: 'object'
+ *       required: ['question', 'type']
+ *       properties:
+ *         _id:
+ *           type: 'string'
+ *           description: 'Send the existing ID when editing so earlier answers stay linked.'
+ *           example: '60d0fe4f5311236168a109cc'
+ *         question:
+ *           type: 'string'
+ *           minLength: 5
+ *           maxLength: 300
+ *           example: 'Do you have a valid work permit?'
+ *         type:
+ *           type: 'string'
+ *           enum: ['yes_no', 'number', 'single_choice', 'text']
+ *           example: 'yes_no'
+ *         options:
+ *           type: 'array'
+ *           description: '2-10 choices, single_choice questions only.'
+ *           items:
+ *             type: 'string'
+ *         isRequired:
+ *           type: 'boolean'
+ *           default: true
+ *           description: 'Always true when a knockout rule is enabled.'
+ *         knockout:
+ *           type: 'object'
+ *           description: 'Applicants whose answer fails the rule are rejected automatically. Not available for text questions.'
+ *           properties:
+ *             enabled:
+ *               type: 'boolean'
+ *               example: true
+ *             expectedAnswer:
+ *               type: 'boolean'
+ *               description: 'yes_no: the required answer.'
+ *               example: true
+ *             min:
+ *               type: 'number'
+ *               description: 'number: the lowest accepted answer.'
+ *             max:
+ *               type: 'number'
+ *               description: 'number: the highest accepted answer.'
+ *             acceptedOptions:
+ *               type: 'array'
+ *               description: 'single_choice: the options that pass.'
+ *               items:
+ *                 type: 'string'
+ *     PipelineStage:
+ *       type: 'object'
+ *       required: ['name', 'status']
+ *       properties:
+ *         key:
+ *           type: 'string'
+ *           description: 'Stable identifier of the stage; generated from the name when omitted. Renaming a stage keeps its key.'
+ *           example: 'technical-interview'
+ *         name:
+ *           type: 'string'
+ *           minLength: 2
+ *           maxLength: 50
+ *           example: 'Technical Interview'
+ *         status:
+ *           type: 'string'
+ *           enum: ['applied', 'shortlisted', 'rejected', 'hired']
+ *           description: 'The application status this stage counts as. The first stage must count as applied.'
+ *         transitions:
+ *           type: 'array'
+ *           description: 'Keys of the stages applications may move to from this one.'
+ *           items:
+ *             type: 'string'
+ *           example: ['offer', 'rejected']
+ *         automation:
+ *           type: 'object'
+ *           properties:
+ *             createAssessment:
+ *               type: 'boolean'
+ *               description: 'Invite the candidate to a pre-assessment on entering the stage. Only for stages that count as shortlisted.'
+ *         applicationCount:
+ *           type: 'integer'
+ *           readOnly: true
+ *     StageTransition:
+ *       type: 'object'
+ *       properties:
+ *         fromStage:
+ *           type: 'string'
+ *           nullable: true
+ *           description: 'The stage left; null when the application was created.'
+ *         toStage:
+ *           type: 'string'
+ *         toStageName:
+ *           type: 'string'
+ *         status:
+ *           type: 'string'
+ *           enum: ['applied', 'shortlisted', 'rejected', 'hired', 'withdrawn']
+ *         actorId:
+ *           type: 'string'
+ *           nullable: true
+ *           description: 'The user who moved the application; null for system moves such as knockout rejections.'
+ *         actorType:
+ *           type: 'string'
+ *           enum: ['user', 'system']
+ *         reason:
+ *           type: 'string'
+ *         changedAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *     ScreeningAnswer:
+ *       type: 'object'
+ *       properties:
+ *         questionId:
+ *           type: 'string'
+ *           example: '60d0fe4f5311236168a109cc'
+ *         question:
+ *           type: 'string'
+ *           description: 'The question text when the candidate applied.'
+ *           example: 'Do you have a valid work permit?'
+ *         type:
+ *           type: 'string'
+ *           enum: ['yes_no', 'number', 'single_choice', 'text']
+ *         answer:
+ *           oneOf:
+ *             - type: 'boolean'
+ *             - type: 'number'
+ *             - type: 'string'
+ *           example: true
+ *         failedKnockout:
+ *           type: 'boolean'
+ *           example: false
+ *     ApplicationAttachment:
+ *       type: 'object'
+ *       properties:
+ *         _id:
+ *           type: 'string'
+ *           example: '60d0fe4f5311236168a109cd'
+ *         name:
+ *           type: 'string'
+ *           example: 'portfolio.pdf'
+ *         contentType:
+ *           type: 'string'
+ *           enum: ['application/pdf', 'image/png', 'image/jpeg', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+ *         size:
+ *           type: 'integer'
+ *           description: 'Size in bytes.'
+ *           example: 482113
+ *         uploadedAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *     ApplicationNote:
+ *       type: 'object'
+ *       properties:
+ *         _id:
+ *           type: 'string'
+ *           example: '60d0fe4f5311236168a109ce'
+ *         parentId:
+ *           type: 'string'
+ *           nullable: true
+ *           description: 'The note this one replies to; null for top-level notes.'
+ *         body:
+ *           type: 'string'
+ *           maxLength: 2000
+ *           example: 'Strong on system design. @Sam can you probe their Kubernetes experience?'
+ *         author:
+ *           $ref: '#/components/schemas/NoteUser'
+ *         mentions:
+ *           type: 'array'
+ *           items:
+ *             $ref: '#/components/schemas/NoteUser'
+ *         replies:
+ *           type: 'array'
+ *           description: 'Replies to a top-level note, oldest first.'
+ *           items:
+ *             $ref: '#/components/schemas/ApplicationNote'
+ *         createdAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *         updatedAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *     OfferInput:
+ *       type: 'object'
+ *       required: ['applicationId', 'salary', 'startDate', 'expiresAt', 'terms']
+ *       properties:
+ *         applicationId:
+ *           type: 'string'
+ *           example: '60d0fe4f5311236168a109cc'
+ *         salary:
+ *           type: 'object'
+ *           required: ['amount']
+ *           properties:
+ *             amount:
+ *               type: 'number'
+ *               minimum: 1
+ *               example: 250000
+ *             currency:
+ *               type: 'string'
+ *               enum: ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR']
+ *               default: 'PKR'
+ *             period:
+ *               type: 'string'
+ *               enum: ['hour', 'month', 'year']
+ *               default: 'month'
+ *         startDate:
+ *           type: 'string'
+ *           format: 'date'
+ *           description: 'Cannot be in the past.'
+ *           example: '2026-12-01'
+ *         expiresAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *           description: 'When the offer lapses if unanswered; at most 60 days away.'
+ *           example: '2026-11-15T17:00:00.000Z'
+ *         terms:
+ *           type: 'string'
+ *           minLength: 20
+ *           maxLength: 10000
+ *           example: 'Full-time, permanent role with a three month probation period and 20 days of paid leave.'
+ *     Offer:
+ *       allOf:
+ *         - $ref: '#/components/schemas/OfferInput'
+ *         - type: 'object'
+ *           properties:
+ *             _id:
+ *               type: 'string'
+ *               example: '60d0fe4f5311236168a109d1'
+ *             job:
+ *               type: 'object'
+ *               description: 'The job, with its title, company, location and recruiterId.'
+ *             candidate:
+ *               $ref: '#/components/schemas/NoteUser'
+ *             recruiter:
+ *               $ref: '#/components/schemas/NoteUser'
+ *             status:
+ *               type: 'string'
+ *               enum: ['pending', 'accepted', 'declined', 'expired', 'rescinded']
+ *               description: 'Pending offers past their deadline are reported as expired.'
+ *             respondedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *               description: 'When the offer was answered, rescinded or expired.'
+ *             declineReason:
+ *               type: 'string'
+ *               maxLength: 500
+ *             createdAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             updatedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *     NoteUser:
+ *       type: 'object'
+ *       properties:
+ *         _id:
+ *           type: 'string'
+ *         firstName:
+ *           type: 'string'
+ *         lastName:
+ *           type: 'string'
+ *         email:
+ *           type: 'string'
+ *         role:
+ *           type: 'string'
+ *           enum: ['recruiter', 'interviewer']
+ *           description: 'Only set on hiring team members.'
+ *     JobVersion:
+ *       type: 'object'
+ *       properties:
+ *         version:
+ *           type: 'integer'
+ *           example: 3
+ *         editedBy:
+ *           type: 'object'
+ *           nullable: true
+ *           description: 'The user who saved this version. Null for baselines recorded from existing jobs or changes made outside the API.'
+ *           properties:
+ *             _id:
+ *               type: 'string'
+ *             firstName:
+ *               type: 'string'
+ *             lastName:
+ *               type: 'string'
+ *             email:
+ *               type: 'string'
+ *         changedFields:
+ *           type: 'array'
+ *           description: 'Fields that differ from the previous version.'
+ *           items:
+ *             type: 'string'
+ *           example: ['title', 'requirements']
+ *         createdAt:
+ *           type: 'string'
+ *           format: 'date-time'
+ *     JobFieldChange:
+ *       type: 'object'
+ *       properties:
+ *         field:
+ *           type: 'string'
+ *           example: 'requirements'
+ *         from:
+ *           description: 'The value in the older version, or null.'
+ *           example: ['React', 'Node.js']
+ *         to:
+ *           description: 'The value in the newer version, or null.'
+ *           example: ['React', 'TypeScript']
+ *         added:
+ *           type: 'array'
+ *           description: 'requirements, benefits and locations only.'
+ *           items:
+ *             type: 'string'
+ *           example: ['TypeScript']
+ *         removed:
+ *           type: 'array'
+ *           description: 'requirements, benefits and locations only.'
+ *           items:
+ *             type: 'string'
+ *           example: ['Node.js']
+ *     JobImportResult:
+ *       type: 'object'
+ *       properties:
+ *         success:
+ *           type: 'boolean'
+ *         message:
+ *           type: 'string'
+ *           example: '1 of 12 rows have errors. Fix them before importing.'
+ *         dryRun:
+ *           type: 'boolean'
+ *         summary:
+ *           type: 'object'
+ *           properties:
+ *             total:
+ *               type: 'integer'
+ *               example: 12
+ *             valid:
+ *               type: 'integer'
+ *               example: 11
+ *             invalid:
+ *               type: 'integer'
+ *               example: 1
+ *         rows:
+ *           type: 'array'
+ *           items:
+ *             type: 'object'
+ *             properties:
+ *               row:
+ *                 type: 'integer'
+ *                 description: '1-based position in the file, not counting the CSV header.'
+ *                 example: 3
+ *               title:
+ *                 type: 'string'
+ *               errors:
+ *                 type: 'array'
+ *                 items:
+ *                   type: 'string'
+ *                 example: ['Description should be between 50 and 5000 characters. Please adjust and try again.']
+ *         timestamp:
+ *           type: 'string'
+ *           format: 'date-time'
+ *     JobSalary:
+ *       type: 'object'
+ *       required: ['min', 'max', 'currency', 'period']
+ *       properties:
+ *         min:
+ *           type: 'number'
+ *           description: 'Minimum salary.'
+ *           example: 150000
+ *         max:
+ *           type: 'number'
+ *           description: 'Maximum salary.'
+ *           example: 200000
+ *         currency:
+ *           type: 'string'
+ *           enum: ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR']
+ *           example: 'PKR'
+ *         period:
+ *           type: 'string'
+ *           enum: ['hour', 'month', 'year']
+ *           example: 'month'
+ *     SavedSearchInput:
+ *       type: 'object'
+ *       properties:
+ *         name:
+ *           type: 'string'
+ *           description: 'Alert name (required on create).'
+ *           example: 'Remote React roles'
+ *         search:
+ *           type: 'string'
+ *           description: 'Keywords, matched like the `search` filter of GET /api/v1/jobs.'
+ *           example: 'react developer'
+ *         category:
+ *           type: 'string'
+ *           example: 'IT'
+ *         location:
+ *           type: 'string'
+ *           example: 'Lahore'
+ *         minSalary:
+ *           type: 'number'
+ *           description: 'Minimum monthly salary.'
+ *           example: 150000
+ *         maxSalary:
+ *           type: 'number'
+ *           description: 'Maximum monthly salary.'
+ *           example: 300000
+ *         currency:
+ *           type: 'string'
+ *           enum: ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR']
+ *           example: 'PKR'
+ *         frequency:
+ *           type: 'string'
+ *           enum: ['daily', 'weekly']
+ *           example: 'weekly'
+ *         isActive:
+ *           type: 'boolean'
+ *           example: true
+ *     CategoryInput:
+ *       type: 'object'
+ *       properties:
+ *         name:
+ *           type: 'string'
+ *           description: 'Unique across all categories. Required when creating.'
+ *           example: 'Frontend Development'
+ *         parent:
+ *           type: 'string'
+ *           nullable: true
+ *           description: 'ID of a top-level category; null or empty for a top-level category.'
+ *           example: '60d0fe4f5311236168a109d0'
+ *         order:
+ *           type: 'integer'
+ *           minimum: 0
+ *           description: 'Position among its siblings. New categories go last by default.'
+ *         isActive:
+ *           type: 'boolean'
+ *           description: 'Inactive categories stay on existing jobs but cannot be picked for new ones.'
+ *         assessmentKey:
+ *           type: 'string'
+ *           description: 'Pre-assessment question bank; sub-categories without one use their parent''s.'
+ *           example: 'it'
+ *     Category:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CategoryInput'
+ *         - type: 'object'
+ *           properties:
+ *             _id:
+ *               type: 'string'
+ *               example: '60d0fe4f5311236168a109d1'
+ *             slug:
+ *               type: 'string'
+ *               example: 'frontend-development'
+ *             jobCount:
+ *               type: 'integer'
+ *               description: 'Only in GET /api/v1/categories/all.'
+ *             children:
+ *               type: 'array'
+ *               description: 'Sub-categories, in display order (top-level categories in list responses only).'
+ *               items:
+ *                 type: 'object'
+ *             createdAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             updatedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *     CompanyInput:
+ *       type: 'object'
+ *       properties:
+ *         name:
+ *           type: 'string'
+ *           description: 'Required when creating. Names differing only in case, punctuation or legal suffixes (Ltd, Inc...) are the same company.'
+ *           example: 'Tech Innovations Inc'
+ *           minLength: 2
+ *           maxLength: 100
+ *         logoUrl:
+ *           type: 'string'
+ *           example: 'https://example.com/logo.png'
+ *         description:
+ *           type: 'string'
+ *           maxLength: 5000
+ *         size:
+ *           type: 'string'
+ *           enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+']
+ *         industry:
+ *           type: 'string'
+ *           maxLength: 50
+ *           example: 'Software'
+ *         website:
+ *           type: 'string'
+ *           example: 'https://example.com'
+ *     Company:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CompanyInput'
+ *         - type: 'object'
+ *           properties:
+ *             _id:
+ *               type: 'string'
+ *               example: '60d0fe4f5311236168a109e0'
+ *             slug:
+ *               type: 'string'
+ *               example: 'tech-innovations'
+ *             owners:
+ *               type: 'array'
+ *               description: 'Only in responses to owners and admins.'
+ *               items:
+ *                 type: 'object'
+ *             createdAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             updatedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *     SavedSearch:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SavedSearchInput'
+ *         - type: 'object'
+ *           properties:
+ *             _id:
+ *               type: 'string'
+ *               example: '60d0fe4f5311236168a109ca'
+ *             candidateId:
+ *               type: 'string'
+ *               example: '60d0fe4f5311236168a109cb'
+ *             lastSentAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *               description: 'When the last digest was sent; newer jobs go in the next one.'
+ *             createdAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *             updatedAt:
+ *               type: 'string'
+ *               format: 'date-time'
+ *     JobFacetBucket:
+ *       type: 'object'
+ *       properties:
+ *         value:
+ *           type: 'string'
+ *           description: 'Facet value (category, location or company).'
+ *           example: 'IT'
+ *         count:
+ *           type: 'integer'
+ *           description: 'Number of jobs with this value.'
+ *           example: 12
  *     Application:
  *       type: 'object'
  *       required: ['jobId', 'candidateId']
@@ -303,9 +1012,9 @@
  *           example: 'd290f1ee-6c54-4b01-90e6-d701748f0851'
  *         status:
  *           type: 'string'
- *           description: 'Status of the application.'
+ *           description: 'Status of the application; `withdrawn` once the candidate has withdrawn it.'
  *           example: 'applied'
- *           enum: ['applied', 'shortlisted', 'rejected', 'hired']
+ *           enum: ['applied', 'shortlisted', 'rejected', 'hired', 'withdrawn']
  *           default: 'pending'
  *         applicationDate:
  *           type: 'string'
@@ -321,6 +1030,62 @@
  *           format: 'uuid'
  *           description: 'ID of the candidate who submitted the application.'
  *           example: 'd290f1ee-6c54-4b01-90e6-d701748f0851'
+ *         screeningAnswers:
+ *           type: 'array'
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningAnswer'
+ *         isKnockedOut:
+ *           type: 'boolean'
+ *           description: 'True when an answer failed a knockout rule and the application was rejected automatically.'
+ *           example: false
+ *         coverLetter:
+ *           type: 'string'
+ *           maxLength: 5000
+ *         attachments:
+ *           type: 'array'
+ *           items:
+ *             $ref: '#/components/schemas/ApplicationAttachment'
+ *         aiMatchScore:
+ *           type: 'number'
+ *           minimum: 0
+ *           maximum: 1
+ *           readOnly: true
+ *           description: 'How well the resume matched the job, set when AI shortlisting shortlists the application.'
+ *           example: 0.82
+ *         stage:
+ *           type: 'string'
+ *           description: 'Key of the pipeline stage the application is in. Recruiters and admins only.'
+ *           example: 'interview'
+ *         stageName:
+ *           type: 'string'
+ *           readOnly: true
+ *           description: 'Recruiters and admins only.'
+ *         nextStages:
+ *           type: 'array'
+ *           readOnly: true
+ *           description: 'Stages the application may move to next. Recruiters and admins only.'
+ *           items:
+ *             type: 'object'
+ *             properties:
+ *               key:
+ *                 type: 'string'
+ *               name:
+ *                 type: 'string'
+ *               status:
+ *                 type: 'string'
+ *         stageHistory:
+ *           type: 'array'
+ *           readOnly: true
+ *           description: 'Every stage move, oldest first. Recruiters and admins only.'
+ *           items:
+ *             $ref: '#/components/schemas/StageTransition'
+ *         tags:
+ *           type: 'array'
+ *           description: 'Private labels from the hiring team, lowercased. Recruiters and admins only.'
+ *           items:
+ *             type: 'string'
+ *             maxLength: 30
+ *           example: ['strong fit', 'relocation']
  *         createdAt:
  *           type: 'string'
  *           format: 'date-time'
@@ -1374,6 +2139,14 @@
  *           schema:
  *             type: number
  *           description: Filter by minimum rating.
+ *         - $ref: '#/components/parameters/PageLimit'
+ *         - $ref: '#/components/parameters/PageCursor'
+ *         - in: query
+ *           name: sort
+ *           schema:
+ *             type: string
+ *             example: '-rating'
+ *           description: 'Sort by rating, createdAt, title; prefix with "-" for descending. Defaults to -rating.'
  *       responses:
  *         200:
  *           description: Successfully retrieved all resumes.
@@ -1388,6 +2161,8 @@
  *                   message:
  *                     type: string
  *                     example: "Successfully retrieved all candidate resumes"
+ *                   pagination:
+ *                     $ref: '#/components/schemas/Pagination'
  *                   count:
  *                     type: integer
  *                     example: 10
@@ -1699,9 +2474,8 @@
  *                 - title
  *                 - description
  *                 - requirements
- *                 - salaryRange
+ *                 - salary
  *                 - category
- *                 - location
  *               properties:
  *                 title:
  *                   type: string
@@ -1722,15 +2496,39 @@
  *                 company:
  *                   type: string
  *                   example: "Tech Solutions Inc."
- *                 salaryRange:
- *                   type: string
- *                   example: "$80k - $120k"
+ *                 salary:
+ *                   $ref: '#/components/schemas/JobSalary'
  *                 category:
  *                   type: string
  *                   example: "IT"
- *                 location:
+ *                 locations:
+ *                   type: array
+ *                   description: Cities the job is based in (up to 10). Required unless workMode is remote. The single `location` string is still accepted as one city.
+ *                   items:
+ *                     type: string
+ *                   example: ["Lahore", "Karachi"]
+ *                 workMode:
+ *                   type: string
+ *                   enum: ['onsite', 'hybrid', 'remote']
+ *                   example: "hybrid"
+ *                 status:
+ *                   type: string
+ *                   enum: ['draft', 'scheduled', 'published', 'closed']
+ *                   description: Lifecycle state. Defaults to published, or scheduled when publishAt is in the future.
+ *                   example: "draft"
+ *                 publishAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When a scheduled job goes live.
+ *                 applicationDeadline:
  *                   type: string
- *                   example: "New York, NY"
+ *                   format: date-time
+ *                   description: After this date the job closes automatically and applicants are notified.
+ *                 screeningQuestions:
+ *                   type: array
+ *                   description: Up to 10 questions. On update the list replaces the existing questions.
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreeningQuestion'
  *       responses:
  *         201:
  *           description: Job posting created successfully.
@@ -1761,47 +2559,1979 @@
  *
  *     get:
  *       summary: Retrieve all job postings.
- *       description: Returns a list of jobs. Filters such as search, category, location, company, and salaryRange can be applied.
+ *       description: Returns a list of jobs with facet counts by category, location and company. Filters such as search, category, location, company, and salary range can be applied. When a search term is given, results are sorted by relevance. Authentication is optional; signed-in recruiters get only their own jobs, including drafts and scheduled ones.
  *       tags: [Jobs]
+ *       security:
+ *         - {}
+ *         - bearerAuth: []
  *       parameters:
  *         - in: query
  *           name: search
  *           schema:
  *             type: string
- *           description: Keyword to search for in title, description, or requirements.
+ *           description: Full-text search over title, requirements and description (weighted in that order).
  *         - in: query
  *           name: category
  *           schema:
  *             type: string
- *           description: Filter by job category.
+ *           description: Filter by job category (name or ID). A category also matches its sub-categories; unknown text is matched against category names.
  *         - in: query
  *           name: location
  *           schema:
  *             type: string
- *           description: Filter by job location.
+ *           description: Filter by city; matches any of the job's locations.
+ *         - in: query
+ *           name: near
+ *           schema:
+ *             type: string
+ *             example: Lahore
+ *           description: City that radius searches and the distance sort measure from. Candidates may omit it to use their resume's city.
+ *         - in: query
+ *           name: radius
+ *           schema:
+ *             type: number
+ *             minimum: 1
+ *             maximum: 1000
+ *           description: Only jobs with a city within this many kilometres of `near`.
+ *         - in: query
+ *           name: workMode
+ *           schema:
+ *             type: string
+ *           description: Comma-separated work modes (onsite, hybrid, remote).
  *         - in: query
  *           name: company
  *           schema:
  *             type: string
  *           description: Filter by company name.
  *         - in: query
- *           name: salaryRange
+ *           name: minSalary
+ *           schema:
+ *             type: number
+ *           description: Only jobs whose maximum salary is at least this amount.
+ *         - in: query
+ *           name: maxSalary
+ *           schema:
+ *             type: number
+ *           description: Only jobs whose minimum salary is at most this amount.
+ *         - in: query
+ *           name: currency
  *           schema:
  *             type: string
- *           description: Filter by salary range.
+ *             enum: ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR']
+ *           description: Filter by salary currency.
+ *         - in: query
+ *           name: salaryPeriod
+ *           schema:
+ *             type: string
+ *             enum: ['hour', 'month', 'year']
+ *             default: month
+ *           description: Pay period that minSalary and maxSalary are expressed in.
  *         - in: query
  *           name: isClosed
  *           schema:
  *             type: boolean
  *           description: Filter by closed status.
  *         - in: query
- *           name: limit
+ *           name: status
+ *           schema:
+ *             type: string
+ *             enum: ['draft', 'scheduled', 'published', 'closed']
+ *           description: Filter by lifecycle status (recruiters and admins only).
+ *         - $ref: '#/components/parameters/PageLimit'
+ *         - $ref: '#/components/parameters/PageCursor'
+ *         - in: query
+ *           name: sort
+ *           schema:
+ *             type: string
+ *             example: '-createdAt'
+ *           description: 'Sort by createdAt, title, company, category, location, salary, applicationDeadline, relevance or distance (nearest first; lists only jobs with a known city and cannot be combined with search); prefix with "-" for descending. Defaults to -createdAt, or relevance when searching.'
+ *       responses:
+ *         200:
+ *           description: Jobs retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                     example: "Found 5 opportunities matching your search"
+ *                   pagination:
+ *                     $ref: '#/components/schemas/Pagination'
+ *                   count:
+ *                     type: integer
+ *                     example: 5
+ *                   jobs:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Job'
+ *                   facets:
+ *                     type: object
+ *                     description: Job counts per value. Each facet ignores its own filter.
+ *                     properties:
+ *                       category:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/JobFacetBucket'
+ *                       location:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/JobFacetBucket'
+ *                       company:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/JobFacetBucket'
+ *                       workMode:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/JobFacetBucket'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         404:
+ *           description: No jobs match the search criteria.
+ *         500:
+ *           description: Internal server error.
+ *
+ *   /api/v1/jobs/import:
+ *     post:
+ *       summary: Bulk import job postings from CSV or JSON.
+ *       description: |
+ *         Validates every row with the same rules as creating a single job. With `dryRun` the per-row errors are returned and nothing is saved. Otherwise the import is all-or-nothing: if any row is invalid or fails to save, no jobs are created.
+ *
+ *         JSON files contain an array of jobs (or `{ "jobs": [...] }`) in the create-job shape. CSV files need a header row; supported columns are title, description, requirements, benefits, company, category, salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRange, workMode, locations (separated by `;`), status, publishAt and applicationDeadline. At most 100 rows per file.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - format
+ *                 - content
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   enum: ['csv', 'json']
+ *                   example: "csv"
+ *                 content:
+ *                   type: string
+ *                   description: The file contents.
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: true
+ *       responses:
+ *         200:
+ *           description: Dry run completed.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/JobImportResult'
+ *         201:
+ *           description: All rows were imported.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/JobImportResult'
+ *                   - type: object
+ *                     properties:
+ *                       jobs:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Job'
+ *         400:
+ *           description: Unreadable file, too many rows, or some rows are invalid (the body then carries the per-row report and nothing is saved).
+ *         404:
+ *           description: Recruiter account not found.
+ *         429:
+ *           description: Too many requests.
+ *         500:
+ *           description: A row failed to save and the import was rolled back.
+ *
+ *   /api/v1/jobs/slug/{slug}:
+ *     get:
+ *       summary: Get a public job posting by its SEO slug.
+ *       description: Returns a published or closed job for the public job page. Drafts and scheduled jobs are not exposed. A job ID is accepted as a fallback for older links.
+ *       tags: [Jobs]
+ *       parameters:
+ *         - in: path
+ *           name: slug
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job's seo.slug.
+ *       responses:
+ *         200:
+ *           description: Job details retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   job:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Job'
+ *                       - type: object
+ *                         properties:
+ *                           isAcceptingApplications:
+ *                             type: boolean
+ *                   companyProfile:
+ *                     type: object
+ *                     nullable: true
+ *                     description: The company profile the job belongs to.
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       logoUrl:
+ *                         type: string
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         404:
+ *           description: Job not found.
+ *
+ *   /api/v1/jobs/{id}/similar:
+ *     get:
+ *       summary: Get open jobs similar to a job posting.
+ *       description: Ranks other open jobs by shared category (sub-categories of the same parent count for less), shared requirements and title words. Works for closed jobs so their pages can point to roles still open.
+ *       tags: [Jobs]
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *         - in: query
+ *           name: limit
+ *           schema:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 20
+ *             default: 6
+ *           description: The maximum number of jobs to return.
+ *       responses:
+ *         200:
+ *           description: Similar jobs, best match first.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   count:
+ *                     type: integer
+ *                   jobs:
+ *                     type: array
+ *                     items:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Job'
+ *                         - type: object
+ *                           properties:
+ *                             match:
+ *                               type: object
+ *                               properties:
+ *                                 score:
+ *                                   type: integer
+ *                                   example: 72
+ *                                 sameCategory:
+ *                                   type: boolean
+ *                                 sharedSkills:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid limit.
+ *         404:
+ *           description: Job not found.
+ *
+ *   /api/v1/jobs/recommended:
+ *     get:
+ *       summary: Get open jobs recommended for the candidate.
+ *       description: Ranks open jobs by the share of the candidate's resume skills they ask for and whether their category matches the resume's industry. Jobs the candidate has applied to are left out. Returns an empty list when the resume has no skills.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: query
+ *           name: limit
+ *           schema:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 20
+ *             default: 6
+ *           description: The maximum number of jobs to return.
+ *       responses:
+ *         200:
+ *           description: Recommended jobs, best match first.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   count:
+ *                     type: integer
+ *                   jobs:
+ *                     type: array
+ *                     items:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Job'
+ *                         - type: object
+ *                           properties:
+ *                             match:
+ *                               type: object
+ *                               properties:
+ *                                 score:
+ *                                   type: integer
+ *                                   example: 60
+ *                                 matchedSkills:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
+ *                                 industryMatch:
+ *                                   type: boolean
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid limit.
+ *         401:
+ *           description: Not authenticated.
+ *         403:
+ *           description: Only candidates get recommendations.
+ *
+ *   /api/v1/jobs/{id}/events:
+ *     post:
+ *       summary: Record a view of a job posting or a click on its apply button.
+ *       description: Each event counts once per browser session; repeats return 200 without being stored. Completed applications are recorded by the server when the application is created.
+ *       tags: [Jobs]
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - type
+ *                 - sessionId
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [view, apply_click]
+ *                 sessionId:
+ *                   type: string
+ *                   description: A random ID (8-64 letters, digits or dashes) kept by the browser for one visit.
+ *                   example: "3f2b8c1e-7d4a-4e9b-a1c2-5d6e7f8a9b0c"
+ *                 utm:
+ *                   type: object
+ *                   description: The utm parameters of the link the visitor arrived from.
+ *                   properties:
+ *                     source:
+ *                       type: string
+ *                       example: linkedin
+ *                     medium:
+ *                       type: string
+ *                       example: social
+ *                     campaign:
+ *                       type: string
+ *                       example: spring-hiring
+ *       responses:
+ *         201:
+ *           description: Job event recorded.
+ *         200:
+ *           description: Job event already recorded for this session.
+ *         400:
+ *           description: Invalid event type or session ID.
+ *         404:
+ *           description: Job not found.
+ *
+ *   /api/v1/jobs/{id}/analytics:
+ *     get:
+ *       summary: Get the view-to-application funnel of a job posting.
+ *       description: Returns unique views, apply clicks and applications for the period, their conversion rates, a daily series (UTC days) and a breakdown by referral source. Visits without utm parameters are reported as the "direct" source. Recruiters can only view their own jobs.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *         - in: query
+ *           name: days
+ *           schema:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 365
+ *             default: 30
+ *           description: The number of days to report, ending today.
+ *       responses:
+ *         200:
+ *           description: Job analytics retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   job:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                   range:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         format: date-time
+ *                       days:
+ *                         type: integer
+ *                   funnel:
+ *                     type: object
+ *                     properties:
+ *                       views:
+ *                         type: integer
+ *                       applyClicks:
+ *                         type: integer
+ *                       applications:
+ *                         type: integer
+ *                       clickRate:
+ *                         type: number
+ *                         description: Apply clicks as a percentage of views.
+ *                       conversionRate:
+ *                         type: number
+ *                         description: Applications as a percentage of views.
+ *                   daily:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         date:
+ *                           type: string
+ *                           example: "2024-05-01"
+ *                         views:
+ *                           type: integer
+ *                         applyClicks:
+ *                           type: integer
+ *                         applications:
+ *                           type: integer
+ *                   sources:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         source:
+ *                           type: string
+ *                           example: linkedin
+ *                         medium:
+ *                           type: string
+ *                           nullable: true
+ *                         campaign:
+ *                           type: string
+ *                           nullable: true
+ *                         views:
+ *                           type: integer
+ *                         applyClicks:
+ *                           type: integer
+ *                         applications:
+ *                           type: integer
+ *                         conversionRate:
+ *                           type: number
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid number of days.
+ *         403:
+ *           description: Not the owner of the job.
+ *         404:
+ *           description: Job not found.
+ *
+ *   /api/v1/jobs/moderation:
+ *     get:
+ *       summary: List jobs in the moderation queue (Admin only).
+ *       description: Returns jobs waiting for review, oldest submission first. Pass `status=rejected` to list rejected jobs instead.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: query
+ *           name: status
+ *           schema:
+ *             type: string
+ *             enum: [pending, rejected]
+ *             default: pending
+ *         - in: query
+ *           name: sort
+ *           schema:
+ *             type: string
+ *             enum: [submittedAt, -submittedAt, reviewedAt, -reviewedAt, title, -title, company, -company]
+ *             default: submittedAt
+ *         - $ref: '#/components/parameters/PageLimit'
+ *         - $ref: '#/components/parameters/PageCursor'
+ *       responses:
+ *         200:
+ *           description: Queue retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   enabled:
+ *                     type: boolean
+ *                     description: Whether job moderation is on.
+ *                   pendingCount:
+ *                     type: integer
+ *                   count:
+ *                     type: integer
+ *                   jobs:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Job'
+ *                   pagination:
+ *                     $ref: '#/components/schemas/Pagination'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid status or sort.
+ *         403:
+ *           description: Not an admin.
+ *
+ *   /api/v1/jobs/moderation/settings:
+ *     get:
+ *       summary: Get whether job moderation is on (Admin only).
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         200:
+ *           description: Settings retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   enabled:
+ *                     type: boolean
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         403:
+ *           description: Not an admin.
+ *     patch:
+ *       summary: Turn job moderation on or off (Admin only).
+ *       description: While on, new jobs and edits to a job's title, description, requirements, benefits, company, category or screening questions wait for admin approval before candidates can see them. Turning it off doesn't approve jobs already in the queue.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [enabled]
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *       responses:
+ *         200:
+ *           description: Settings updated successfully.
+ *         400:
+ *           description: Missing or invalid `enabled`.
+ *         403:
+ *           description: Not an admin.
+ *
+ *   /api/v1/jobs/{id}/moderation:
+ *     patch:
+ *       summary: Approve or reject a job posting (Admin only).
+ *       description: Approved jobs become visible to candidates. Rejected jobs stay hidden and the recruiter is emailed the reason; editing the job sends it for review again. Each decision is recorded in the audit log.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [status]
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [approved, rejected]
+ *                 reason:
+ *                   type: string
+ *                   minLength: 10
+ *                   maxLength: 1000
+ *                   description: Required when rejecting.
+ *       responses:
+ *         200:
+ *           description: Job reviewed successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                   job:
+ *                     $ref: '#/components/schemas/Job'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid status or missing rejection reason.
+ *         403:
+ *           description: Not an admin.
+ *         404:
+ *           description: Job not found.
+ *         409:
+ *           description: The job already has this status.
+ *
+ *   /api/v1/jobs/{id}/pipeline:
+ *     get:
+ *       summary: Get a job's hiring pipeline.
+ *       description: Returns the ordered stages applications to the job move through, with how many applications are in each. Jobs that were never customised use the default pipeline.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *       responses:
+ *         200:
+ *           description: Pipeline retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   isDefault:
+ *                     type: boolean
+ *                   stages:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/PipelineStage'
+ *                   defaultStages:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/PipelineStage'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         403:
+ *           description: The job belongs to another recruiter.
+ *         404:
+ *           description: Job not found.
+ *     put:
+ *       summary: Replace a job's hiring pipeline.
+ *       description: Saves the ordered stages. Stages are matched by key, so renamed stages keep their applications. The first stage must count as applied and at least one stage must count as rejected.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [stages]
+ *               properties:
+ *                 stages:
+ *                   type: array
+ *                   minItems: 2
+ *                   maxItems: 15
+ *                   items:
+ *                     $ref: '#/components/schemas/PipelineStage'
+ *       responses:
+ *         200:
+ *           description: Pipeline saved successfully.
+ *         400:
+ *           description: Invalid stages.
+ *         403:
+ *           description: The job belongs to another recruiter.
+ *         404:
+ *           description: Job not found.
+ *         409:
+ *           description: A removed stage still has applications.
+ *
+ *   /api/v1/jobs/{id}/versions:
+ *     get:
+ *       summary: List the edit history of a job posting.
+ *       description: Returns the saved versions of a job, newest first. A version is saved when the job is created and on every update that changes it. Recruiters can only view the history of their own jobs.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *       responses:
+ *         200:
+ *           description: Versions retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   count:
+ *                     type: integer
+ *                   versions:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/JobVersion'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         403:
+ *           description: The job belongs to another recruiter.
+ *         404:
+ *           description: Job not found.
+ *
+ *   /api/v1/jobs/{id}/versions/diff:
+ *     get:
+ *       summary: Compare two versions of a job posting.
+ *       description: Returns a field-level diff between two versions. Without query parameters the latest version is compared with the one before it.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The job ID.
+ *         - in: query
+ *           name: from
+ *           schema:
+ *             type: integer
+ *             minimum: 1
+ *           description: The older version. Defaults to the version before `to`.
+ *         - in: query
+ *           name: to
+ *           schema:
+ *             type: integer
+ *             minimum: 1
+ *           description: The newer version. Defaults to the latest version.
+ *       responses:
+ *         200:
+ *           description: Diff computed successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   from:
+ *                     $ref: '#/components/schemas/JobVersion'
+ *                   to:
+ *                     $ref: '#/components/schemas/JobVersion'
+ *                   changes:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/JobFieldChange'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid version number.
+ *         403:
+ *           description: The job belongs to another recruiter.
+ *         404:
+ *           description: Job or version not found.
+ *
+ *   /sitemap.xml:
+ *     get:
+ *       summary: Sitemap of public pages and open jobs.
+ *       description: XML sitemap listing the public client pages and every open job posting at CLIENT_URL/jobs/{slug}.
+ *       tags: [Jobs]
+ *       responses:
+ *         200:
+ *           description: The sitemap.
+ *           content:
+ *             application/xml:
+ *               schema:
+ *                 type: string
+ *
+ *   /api/v1/jobs/{id}:
+ *     get:
+ *       summary: Get a job posting by ID.
+ *       description: Retrieves the details of a specific job posting.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *             format: uuid
+ *           description: The job ID.
+ *       responses:
+ *         200:
+ *           description: Job details retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   job:
+ *                     $ref: '#/components/schemas/Job'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         404:
+ *           description: Job not found.
+ *         500:
+ *           description: Internal server error.
+ *
+ *     patch:
+ *       summary: Update a job posting by ID.
+ *       description: Allows a recruiter or admin to update the details of a specific job posting.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *             format: uuid
+ *           description: The job ID.
+ *       requestBody:
+ *         required: true
+ *         description: Fields for updating the job posting. At least one field is required.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                   example: "Updated Job Title"
+ *                 description:
+ *                   type: string
+ *                   example: "Updated job description..."
+ *                 requirements:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Updated requirement 1", "Updated requirement 2"]
+ *                 benefits:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Updated benefit 1", "Updated benefit 2"]
+ *                 company:
+ *                   type: string
+ *                   example: "Updated Company"
+ *                 salary:
+ *                   $ref: '#/components/schemas/JobSalary'
+ *                 category:
+ *                   type: string
+ *                   example: "IT"
+ *                 locations:
+ *                   type: array
+ *                   description: Cities the job is based in (up to 10). Required unless workMode is remote. The single `location` string is still accepted as one city.
+ *                   items:
+ *                     type: string
+ *                   example: ["Lahore", "Karachi"]
+ *                 workMode:
+ *                   type: string
+ *                   enum: ['onsite', 'hybrid', 'remote']
+ *                   example: "hybrid"
+ *                 isClosed:
+ *                   type: boolean
+ *                   example: false
+ *                 status:
+ *                   type: string
+ *                   enum: ['draft', 'scheduled', 'published', 'closed']
+ *                   description: Lifecycle state. Defaults to published, or scheduled when publishAt is in the future.
+ *                   example: "draft"
+ *                 publishAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When a scheduled job goes live.
+ *                 applicationDeadline:
+ *                   type: string
+ *                   format: date-time
+ *                   description: After this date the job closes automatically and applicants are notified.
+ *                 screeningQuestions:
+ *                   type: array
+ *                   description: Up to 10 questions. On update the list replaces the existing questions.
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreeningQuestion'
+ *       responses:
+ *         200:
+ *           description: Job posting updated successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                     example: "Job posting updated successfully"
+ *                   job:
+ *                     $ref: '#/components/schemas/Job'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Bad request – no fields provided to update.
+ *         404:
+ *           description: Job not found.
+ *         500:
+ *           description: Internal server error.
+ *
+ *     delete:
+ *       summary: Delete a job posting by ID.
+ *       description: Deletes the job posting identified by its ID. Accessible only to admin users.
+ *       tags: [Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *             format: uuid
+ *           description: The job ID.
+ *       responses:
+ *         200:
+ *           description: Job posting deleted successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                     example: "Job posting deleted successfully"
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         404:
+ *           description: Job not found.
+ *         500:
+ *           description: Internal server error.
+ * 
+ *   /api/v1/feeds/jobs.rss:
+ *     get:
+ *       summary: Open jobs as RSS 2.0.
+ *       description: Exports open job postings as RSS 2.0. Supports conditional requests via ETag/If-None-Match and Last-Modified/If-Modified-Since.
+ *       tags: [Feeds]
+ *       parameters:
+ *         - $ref: '#/components/parameters/FeedCategory'
+ *         - $ref: '#/components/parameters/FeedRecruiterId'
+ *       responses:
+ *         200:
+ *           description: The feed.
+ *           headers:
+ *             ETag:
+ *               schema:
+ *                 type: string
+ *             Last-Modified:
+ *               schema:
+ *                 type: string
+ *           content:
+ *             application/rss+xml:
+ *               schema:
+ *                 type: string
+ *         304:
+ *           description: The cached feed is still current.
+ *         400:
+ *           description: Invalid recruiter ID.
+ *
+ *   /api/v1/feeds/jobs.atom:
+ *     get:
+ *       summary: Open jobs as Atom.
+ *       description: Exports open job postings as Atom. Supports conditional requests via ETag/If-None-Match and Last-Modified/If-Modified-Since.
+ *       tags: [Feeds]
+ *       parameters:
+ *         - $ref: '#/components/parameters/FeedCategory'
+ *         - $ref: '#/components/parameters/FeedRecruiterId'
+ *       responses:
+ *         200:
+ *           description: The feed.
+ *           headers:
+ *             ETag:
+ *               schema:
+ *                 type: string
+ *             Last-Modified:
+ *               schema:
+ *                 type: string
+ *           content:
+ *             application/atom+xml:
+ *               schema:
+ *                 type: string
+ *         304:
+ *           description: The cached feed is still current.
+ *         400:
+ *           description: Invalid recruiter ID.
+ *
+ *   /api/v1/feeds/jobs.xml:
+ *     get:
+ *       summary: Open jobs as aggregator XML.
+ *       description: Exports open job postings as aggregator XML (<source>/<job> with CDATA fields). Supports conditional requests via ETag/If-None-Match and Last-Modified/If-Modified-Since.
+ *       tags: [Feeds]
+ *       parameters:
+ *         - $ref: '#/components/parameters/FeedCategory'
+ *         - $ref: '#/components/parameters/FeedRecruiterId'
+ *       responses:
+ *         200:
+ *           description: The feed.
+ *           headers:
+ *             ETag:
+ *               schema:
+ *                 type: string
+ *             Last-Modified:
+ *               schema:
+ *                 type: string
+ *           content:
+ *             application/xml:
+ *               schema:
+ *                 type: string
+ *         304:
+ *           description: The cached feed is still current.
+ *         400:
+ *           description: Invalid recruiter ID.
+ *
+ *   /api/v1/bookmarks:
+ *     get:
+ *       summary: List my saved jobs.
+ *       description: Returns the authenticated candidate's saved jobs, newest first. Closed jobs stay in the list with `isAcceptingApplications` set to false; deleted jobs are left out.
+ *       tags: [Saved Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         200:
+ *           description: The saved jobs.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   count:
+ *                     type: integer
+ *                   bookmarks:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         jobId:
+ *                           type: string
+ *                         savedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         job:
+ *                           $ref: '#/components/schemas/Job'
+ *         403:
+ *           description: Only candidates can save jobs.
+ *     post:
+ *       summary: Save a job.
+ *       description: Saves an open job for later. Saving a job that is already saved returns the existing bookmark. The candidate is emailed when the job is three days from its application deadline and when it closes, unless they have applied.
+ *       tags: [Saved Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - jobId
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   example: '60d0fe4f5311236168a109ca'
+ *       responses:
+ *         201:
+ *           description: Job saved.
+ *         200:
+ *           description: Job was already saved.
+ *         400:
+ *           description: Invalid job ID.
+ *         404:
+ *           description: Job not found or not open.
+ *
+ *   /api/v1/bookmarks/{jobId}:
+ *     delete:
+ *       summary: Unsave a job.
+ *       tags: [Saved Jobs]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: jobId
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Job removed from saved jobs.
+ *         400:
+ *           description: Invalid job ID.
+ *         404:
+ *           description: The job is not saved.
+ *
+ *   /api/v1/categories:
+ *     get:
+ *       summary: List active job categories.
+ *       description: Returns the active top-level categories in display order, each with its active sub-categories.
+ *       tags: [Job Categories]
+ *       responses:
+ *         200:
+ *           description: Categories retrieved.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   categories:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Category'
+ *     post:
+ *       summary: Create a job category.
+ *       tags: [Job Categories]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CategoryInput'
+ *       responses:
+ *         201:
+ *           description: Category created.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   category:
+ *                     $ref: '#/components/schemas/Category'
+ *         400:
+ *           description: Invalid input, or the parent is itself a sub-category.
+ *         403:
+ *           description: Admins only.
+ *         409:
+ *           description: A category with this name already exists.
+ *
+ *   /api/v1/categories/all:
+ *     get:
+ *       summary: List every job category.
+ *       description: Includes inactive categories and the number of jobs in each.
+ *       tags: [Job Categories]
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         200:
+ *           description: Categories retrieved.
+ *         403:
+ *           description: Admins only.
+ *
+ *   /api/v1/categories/reorder:
+ *     patch:
+ *       summary: Reorder sibling categories.
+ *       tags: [Job Categories]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [categoryIds]
+ *               properties:
+ *                 categoryIds:
+ *                   type: array
+ *                   description: IDs of categories sharing the same parent, in their new order.
+ *                   items:
+ *                     type: string
+ *       responses:
+ *         200:
+ *           description: Categories reordered.
+ *         400:
+ *           description: Missing IDs, or the categories do not share a parent.
+ *         403:
+ *           description: Admins only.
+ *
+ *   /api/v1/categories/{id}:
+ *     patch:
+ *       summary: Update a job category.
+ *       description: Renaming a category also renames it on every job filed under it.
+ *       tags: [Job Categories]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CategoryInput'
+ *       responses:
+ *         200:
+ *           description: Category updated.
+ *         400:
+ *           description: Invalid input.
+ *         404:
+ *           description: Category not found.
+ *         409:
+ *           description: A category with this name already exists.
+ *     delete:
+ *       summary: Delete a job category.
+ *       description: Only categories without jobs or sub-categories can be deleted; deactivate the others instead.
+ *       tags: [Job Categories]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Category deleted.
+ *         404:
+ *           description: Category not found.
+ *         409:
+ *           description: The category still has jobs or sub-categories.
+ *
+ *   /api/v1/companies:
+ *     get:
+ *       summary: List company profiles.
+ *       tags: [Companies]
+ *       parameters:
+ *         - in: query
+ *           name: search
+ *           schema:
+ *             type: string
+ *           description: Part of the company name.
+ *         - $ref: '#/components/parameters/PageLimit'
+ *       responses:
+ *         200:
+ *           description: Companies retrieved.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   companies:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Company'
+ *     post:
+ *       summary: Create a company profile.
+ *       description: The recruiter creating the company becomes its first owner.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CompanyInput'
+ *       responses:
+ *         201:
+ *           description: Company created.
+ *         400:
+ *           description: Invalid input.
+ *         409:
+ *           description: The company already has a profile.
+ *
+ *   /api/v1/companies/mine:
+ *     get:
+ *       summary: List the companies the recruiter owns.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         200:
+ *           description: Companies retrieved, with their owners.
+ *         403:
+ *           description: Recruiters only.
+ *
+ *   /api/v1/companies/{slug}:
+ *     get:
+ *       summary: Get a public company profile with its open jobs.
+ *       tags: [Companies]
+ *       parameters:
+ *         - in: path
+ *           name: slug
+ *           required: true
+ *           description: The company slug or ID.
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Company retrieved.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   company:
+ *                     $ref: '#/components/schemas/Company'
+ *                   jobs:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Job'
+ *         404:
+ *           description: Company not found.
+ *
+ *   /api/v1/companies/{id}:
+ *     patch:
+ *       summary: Update a company profile.
+ *       description: Renaming a company also renames it on its jobs and linked resumes.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CompanyInput'
+ *       responses:
+ *         200:
+ *           description: Company updated.
+ *         400:
+ *           description: Invalid input.
+ *         403:
+ *           description: Only the company's owners and admins can update it.
+ *         404:
+ *           description: Company not found.
+ *         409:
+ *           description: Another company already uses this name.
+ *     delete:
+ *       summary: Delete a company profile.
+ *       description: Only companies without jobs can be deleted.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Company deleted.
+ *         403:
+ *           description: Admins only.
+ *         404:
+ *           description: Company not found.
+ *         409:
+ *           description: The company still has jobs.
+ *
+ *   /api/v1/companies/{id}/owners:
+ *     post:
+ *       summary: Add a recruiter as a company owner.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [email]
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *       responses:
+ *         200:
+ *           description: Owner added.
+ *         403:
+ *           description: Only the company's owners and admins can add owners.
+ *         404:
+ *           description: No recruiter uses this email.
+ *         409:
+ *           description: The recruiter already owns the company.
+ *
+ *   /api/v1/companies/{id}/owners/{userId}:
+ *     delete:
+ *       summary: Remove a company owner.
+ *       tags: [Companies]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *         - in: path
+ *           name: userId
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Owner removed.
+ *         400:
+ *           description: The company would be left without owners.
+ *         403:
+ *           description: Only the company's owners and admins can remove owners.
+ *         404:
+ *           description: The user is not an owner.
+ *
+ *   /api/v1/offers:
+ *     post:
+ *       summary: Send an offer.
+ *       description: Sends an offer for an application to one of the recruiter's jobs and emails the candidate. The application moves to the job's Offer stage when its pipeline allows it. An application has at most one pending offer, and the job's pipeline needs a stage with the hired status.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfferInput'
+ *       responses:
+ *         201:
+ *           description: Offer sent.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   offer:
+ *                     $ref: '#/components/schemas/Offer'
+ *         400:
+ *           description: Invalid offer, the application is already hired, rejected or withdrawn, or the pipeline has no hired stage.
+ *         403:
+ *           description: The application belongs to another recruiter's job.
+ *         404:
+ *           description: Application not found.
+ *         409:
+ *           description: The application already has a pending offer.
+ *     get:
+ *       summary: Get offers.
+ *       description: Candidates get their own offers, recruiters those of their jobs and admins all of them, newest first.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: query
+ *           name: applicationId
+ *           schema:
+ *             type: string
+ *         - in: query
+ *           name: status
+ *           schema:
+ *             type: string
+ *             enum: [pending, accepted, declined, expired, rescinded]
+ *       responses:
+ *         200:
+ *           description: Offers retrieved.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   count:
+ *                     type: integer
+ *                   offers:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Offer'
+ *         400:
+ *           description: Invalid application ID or status.
+ *
+ *   /api/v1/offers/{id}:
+ *     get:
+ *       summary: Get an offer by ID.
+ *       description: Accessible to the offer's candidate, the job's recruiter and admins.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The offer ID.
+ *       responses:
+ *         200:
+ *           description: Offer retrieved.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   offer:
+ *                     $ref: '#/components/schemas/Offer'
+ *         403:
+ *           description: The offer belongs to someone else.
+ *         404:
+ *           description: Offer not found.
+ *
+ *   /api/v1/offers/{id}/letter:
+ *     get:
+ *       summary: Download an offer letter
+ *       description: Renders the stored offer as a PDF letter. Accessible to the offer's candidate, the job's recruiter and admins.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The offer ID.
+ *       responses:
+ *         200:
+ *           description: The offer letter, sent as a download.
+ *           content:
+ *             application/pdf:
+ *               schema:
+ *                 type: string
+ *                 format: binary
+ *         403:
+ *           description: The offer belongs to someone else.
+ *         404:
+ *           description: Offer not found.
+ *
+ *   /api/v1/offers/{id}/accept:
+ *     patch:
+ *       summary: Accept an offer.
+ *       description: Accepts a pending offer before it expires. The application moves to the job's Hired stage and the recruiter is emailed.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The offer ID.
+ *       responses:
+ *         200:
+ *           description: Offer accepted.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   offer:
+ *                     $ref: '#/components/schemas/Offer'
+ *         403:
+ *           description: The offer was made to someone else.
+ *         404:
+ *           description: Offer not found.
+ *         409:
+ *           description: The offer is no longer pending, has expired, or its application is no longer active.
+ *
+ *   /api/v1/offers/{id}/decline:
+ *     patch:
+ *       summary: Decline an offer.
+ *       description: Declines a pending offer, with an optional reason, and emails the recruiter. The application stays in its current stage.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The offer ID.
+ *       requestBody:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reason:
+ *                   type: string
+ *                   maxLength: 500
+ *       responses:
+ *         200:
+ *           description: Offer declined.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   offer:
+ *                     $ref: '#/components/schemas/Offer'
+ *         400:
+ *           description: Invalid reason.
+ *         403:
+ *           description: The offer was made to someone else.
+ *         404:
+ *           description: Offer not found.
+ *         409:
+ *           description: The offer is no longer pending or has expired.
+ *
+ *   /api/v1/offers/{id}/rescind:
+ *     patch:
+ *       summary: Rescind an offer.
+ *       description: Withdraws a pending offer and emails the candidate.
+ *       tags: [Offers]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The offer ID.
+ *       responses:
+ *         200:
+ *           description: Offer rescinded.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   offer:
+ *                     $ref: '#/components/schemas/Offer'
+ *         403:
+ *           description: The offer belongs to another recruiter's job.
+ *         404:
+ *           description: Offer not found.
+ *         409:
+ *           description: Only pending offers can be rescinded.
+ *
+ *   /api/v1/saved-searches:
+ *     post:
+ *       summary: Create a job alert.
+ *       description: Saves a job search for the authenticated candidate. New jobs matching it are emailed daily or weekly. Each candidate can keep up to 10 alerts.
+ *       tags: [Job Alerts]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearchInput'
+ *       responses:
+ *         201:
+ *           description: Job alert created.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   message:
+ *                     type: string
+ *                   savedSearch:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Invalid input or alert limit reached.
+ *         403:
+ *           description: Only candidates can create job alerts.
+ *     get:
+ *       summary: List my job alerts.
+ *       tags: [Job Alerts]
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         200:
+ *           description: The candidate's job alerts.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                   count:
+ *                     type: integer
+ *                   savedSearches:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/SavedSearch'
+ *
+ *   /api/v1/saved-searches/{id}:
+ *     put:
+ *       summary: Update a job alert.
+ *       description: Updates filters, frequency or the active flag. Empty filter values clear the filter.
+ *       tags: [Job Alerts]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
  *           schema:
- *             type: integer
- *           description: Maximum number of jobs to retrieve.
+ *             type: string
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearchInput'
  *       responses:
  *         200:
- *           description: Jobs retrieved successfully.
+ *           description: Job alert updated.
+ *         400:
+ *           description: Invalid input.
+ *         404:
+ *           description: Job alert not found.
+ *     delete:
+ *       summary: Delete a job alert.
+ *       tags: [Job Alerts]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Job alert deleted.
+ *         404:
+ *           description: Job alert not found.
+ *
+ *   /api/v1/saved-searches/unsubscribe/{token}:
+ *     post:
+ *       summary: Unsubscribe from a job alert.
+ *       description: Turns off the alert identified by the token in its digest email. Also used as the RFC 8058 one-click List-Unsubscribe target.
+ *       tags: [Job Alerts]
+ *       parameters:
+ *         - in: path
+ *           name: token
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         200:
+ *           description: Unsubscribed.
+ *         400:
+ *           description: Malformed token.
+ *         404:
+ *           description: Unknown token.
+ *
+  *   /api/v1/applications:
+ *     post:
+ *       summary: Create a new application
+ *       description: Creates a new application for a job posting by the authenticated candidate and sends a notification email to the recruiter. Answers to the job's screening questions are required for required questions; failing a knockout rule rejects the application immediately.
+ *       tags: [Applications]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         description: Job ID required to submit an application.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - jobId
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                   example: "a290f1ee-6c54-4b01-90e6-d701748f0851"
+ *                 screeningAnswers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       questionId:
+ *                         type: string
+ *                         example: "60d0fe4f5311236168a109cc"
+ *                       answer:
+ *                         oneOf:
+ *                           - type: boolean
+ *                           - type: number
+ *                           - type: string
+ *                         example: true
+ *                 coverLetter:
+ *                   type: string
+ *                   minLength: 20
+ *                   maxLength: 5000
+ *                 attachments:
+ *                   type: array
+ *                   maxItems: 3
+ *                   description: Files of up to 5 MB each. The content type must match the file's contents.
+ *                   items:
+ *                     type: object
+ *                     required:
+ *                       - name
+ *                       - contentType
+ *                       - data
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "portfolio.pdf"
+ *                       contentType:
+ *                         type: string
+ *                         enum: [application/pdf, image/png, image/jpeg, application/msword, application/vnd.openxmlformats-officedocument.wordprocessingml.document]
+ *                       data:
+ *                         type: string
+ *                         format: byte
+ *                         description: The file, base64 encoded (a data URL is also accepted).
+ *                 sessionId:
+ *                   type: string
+ *                   description: The browser's analytics session ID, used to credit the application to the campaign that brought the candidate to the job.
+ *                   example: "3f2b8c1e-7d4a-4e9b-a1c2-5d6e7f8a9b0c"
+ *       responses:
+ *         201:
+ *           description: Application submitted successfully.
  *           content:
  *             application/json:
  *               schema:
@@ -1812,27 +4542,111 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Found 5 opportunities matching your search"
+ *                     example: "Your application has been successfully submitted."
+ *                   application:
+ *                     $ref: '#/components/schemas/Application'
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         400:
+ *           description: Job not open for applications, a screening answer is missing or invalid, or an attachment is too large or of an unsupported type.
+ *         404:
+ *           description: Candidate or job not found.
+ *         409:
+ *           description: Application already exists.
+ *         500:
+ *           description: Internal server error or email delivery failure.
+ *
+ *     get:
+ *       summary: Retrieve all applications
+ *       description: Retrieves a list of applications. Optional filters include role, status, applicationDate, jobId, and candidateId.
+ *       tags: [Applications]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: query
+ *           name: role
+ *           schema:
+ *             type: string
+ *           description: Filter by role (candidate, recruiter, interviewer).
+ *         - in: query
+ *           name: status
+ *           schema:
+ *             type: string
+ *           description: Filter by application status.
+ *         - in: query
+ *           name: applicationDate
+ *           schema:
+ *             type: string
+ *             format: date
+ *           description: Filter by application date (greater than or equal).
+ *         - in: query
+ *           name: jobId
+ *           schema:
+ *             type: string
+ *             format: uuid
+ *           description: Filter by job ID.
+ *         - in: query
+ *           name: candidateId
+ *           schema:
+ *             type: string
+ *             format: uuid
+ *           description: Filter by candidate ID.
+ *         - in: query
+ *           name: tags
+ *           schema:
+ *             type: string
+ *             example: 'strong fit,relocation'
+ *           description: Comma separated tags the applications must all have. Recruiters and admins only.
+ *         - in: query
+ *           name: noteSearch
+ *           schema:
+ *             type: string
+ *           description: Only applications with a note containing this text (case-insensitive). Recruiters and admins only.
+ *         - $ref: '#/components/parameters/PageLimit'
+ *         - $ref: '#/components/parameters/PageCursor'
+ *         - in: query
+ *           name: sort
+ *           schema:
+ *             type: string
+ *             example: '-applicationDate'
+ *           description: 'Sort by applicationDate, status, updatedAt; prefix with "-" for descending. Defaults to -applicationDate.'
+ *       responses:
+ *         200:
+ *           description: Applications retrieved successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                     example: "Applications retrieved successfully."
+ *                   pagination:
+ *                     $ref: '#/components/schemas/Pagination'
  *                   count:
  *                     type: integer
  *                     example: 5
- *                   jobs:
+ *                   applications:
  *                     type: array
  *                     items:
- *                       $ref: '#/components/schemas/Job'
+ *                       $ref: '#/components/schemas/Application'
  *                   timestamp:
  *                     type: string
  *                     format: date-time
  *         404:
- *           description: No jobs match the search criteria.
+ *           description: No applications found matching the criteria.
  *         500:
  *           description: Internal server error.
  *
- *   /api/v1/jobs/{id}:
+ *   /api/v1/applications/{id}:
  *     get:
- *       summary: Get a job posting by ID.
- *       description: Retrieves the details of a specific job posting.
- *       tags: [Jobs]
+ *       summary: Get application by ID
+ *       description: Retrieves the details of a specific application by its ID. Accessible to recruiters and admins.
+ *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
  *       parameters:
@@ -1842,10 +4656,10 @@
  *           schema:
  *             type: string
  *             format: uuid
- *           description: The job ID.
+ *           description: The unique application ID.
  *       responses:
  *         200:
- *           description: Job details retrieved successfully.
+ *           description: Application details retrieved successfully.
  *           content:
  *             application/json:
  *               schema:
@@ -1854,20 +4668,20 @@
  *                   success:
  *                     type: boolean
  *                     example: true
- *                   job:
- *                     $ref: '#/components/schemas/Job'
+ *                   application:
+ *                     $ref: '#/components/schemas/Application'
  *                   timestamp:
  *                     type: string
  *                     format: date-time
  *         404:
- *           description: Job not found.
+ *           description: Application not found.
  *         500:
  *           description: Internal server error.
  *
  *     patch:
- *       summary: Update a job posting by ID.
- *       description: Allows a recruiter or admin to update the details of a specific job posting.
- *       tags: [Jobs]
+ *       summary: Move an application to another pipeline stage
+ *       description: Moves the application to one of the next stages its current stage allows and records the move in its stage history. Sending `status` instead of `stage` moves it to the first allowed stage with that status. Entering a stage with the assessment automation invites the candidate to a pre-assessment. Accessible to recruiters and admins.
+ *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
  *       parameters:
@@ -1877,49 +4691,29 @@
  *           schema:
  *             type: string
  *             format: uuid
- *           description: The job ID.
+ *           description: The application ID.
  *       requestBody:
  *         required: true
- *         description: Fields for updating the job posting. At least one field is required.
+ *         description: The stage (or, for older clients, status) to move the application to.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 title:
- *                   type: string
- *                   example: "Updated Job Title"
- *                 description:
- *                   type: string
- *                   example: "Updated job description..."
- *                 requirements:
- *                   type: array
- *                   items:
- *                     type: string
- *                   example: ["Updated requirement 1", "Updated requirement 2"]
- *                 benefits:
- *                   type: array
- *                   items:
- *                     type: string
- *                   example: ["Updated benefit 1", "Updated benefit 2"]
- *                 company:
+ *                 stage:
  *                   type: string
- *                   example: "Updated Company"
- *                 salaryRange:
- *                   type: string
- *                   example: "$90k - $130k"
- *                 category:
+ *                   example: "interview"
+ *                 status:
  *                   type: string
- *                   example: "IT"
- *                 location:
+ *                   enum: [applied, shortlisted, rejected, hired]
+ *                   example: "shortlisted"
+ *                 reason:
  *                   type: string
- *                   example: "Updated Location"
- *                 isClosed:
- *                   type: boolean
- *                   example: false
+ *                   maxLength: 500
+ *                   example: "Strong system design answers in the screening call."
  *       responses:
  *         200:
- *           description: Job posting updated successfully.
+ *           description: Application status updated successfully.
  *           content:
  *             application/json:
  *               schema:
@@ -1930,23 +4724,27 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Job posting updated successfully"
- *                   job:
- *                     $ref: '#/components/schemas/Job'
+ *                     example: "Application status updated successfully."
+ *                   application:
+ *                     $ref: '#/components/schemas/Application'
  *                   timestamp:
  *                     type: string
  *                     format: date-time
  *         400:
- *           description: Bad request – no fields provided to update.
+ *           description: Bad request – invalid stage, or the current stage doesn't allow moving to it.
+ *         403:
+ *           description: The application is for another recruiter's job.
  *         404:
- *           description: Job not found.
+ *           description: Application not found.
+ *         409:
+ *           description: The application is already in that stage, or was moved or withdrawn by someone else meanwhile.
  *         500:
  *           description: Internal server error.
  *
  *     delete:
- *       summary: Delete a job posting by ID.
- *       description: Deletes the job posting identified by its ID. Accessible only to admin users.
- *       tags: [Jobs]
+ *       summary: Delete application
+ *       description: Permanently deletes an application. Accessible only to admins.
+ *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
  *       parameters:
@@ -1956,10 +4754,77 @@
  *           schema:
  *             type: string
  *             format: uuid
- *           description: The job ID.
+ *           description: The unique application ID.
+ *       responses:
+ *         200:
+ *           description: Application deleted successfully.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   success:
+ *                     type: boolean
+ *                     example: true
+ *                   message:
+ *                     type: string
+ *                     example: "Application record has been successfully deleted."
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *         404:
+ *           description: Application not found.
+ *         500:
+ *           description: Internal server error.
+ *
+ *   /api/v1/applications/bulk:
+ *     post:
+ *       summary: Apply an action to many applications
+ *       description: Shortlists, rejects, moves to a stage or emails up to 100 applications at once. Each application is handled on its own, and the response reports whether it succeeded. `shortlist` and `reject` move each application to the first allowed next stage with that status; candidates are emailed when their status changes. Bulk emails can use the `{{firstName}}`, `{{lastName}}`, `{{jobTitle}}` and `{{company}}` placeholders. Recruiters can only act on applications for their own jobs.
+ *       tags: [Applications]
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [applicationIds, action]
+ *               properties:
+ *                 applicationIds:
+ *                   type: array
+ *                   maxItems: 100
+ *                   items:
+ *                     type: string
+ *                 action:
+ *                   type: string
+ *                   enum: [shortlist, reject, move, email]
+ *                 stage:
+ *                   type: string
+ *                   description: The stage to move to; required for `move`.
+ *                   example: "interview"
+ *                 reason:
+ *                   type: string
+ *                   maxLength: 500
+ *                   description: Recorded in each application's stage history for `shortlist`, `reject` and `move`.
+ *                 email:
+ *                   type: object
+ *                   description: Required for `email`.
+ *                   properties:
+ *                     subject:
+ *                       type: string
+ *                       minLength: 2
+ *                       maxLength: 150
+ *                       example: "Your application for {{jobTitle}}"
+ *                     message:
+ *                       type: string
+ *                       minLength: 10
+ *                       maxLength: 5000
+ *                       example: "Hi {{firstName}}, thanks for applying to {{company}}. We'll be in touch next week."
  *       responses:
  *         200:
- *           description: Job posting deleted successfully.
+ *           description: The request was processed; see `results` for each application.
  *           content:
  *             application/json:
  *               schema:
@@ -1970,39 +4835,72 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Job posting deleted successfully"
+ *                     example: "2 of 3 applications updated; 1 failed."
+ *                   summary:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       succeeded:
+ *                         type: integer
+ *                       failed:
+ *                         type: integer
+ *                   results:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         success:
+ *                           type: boolean
+ *                         message:
+ *                           type: string
+ *                           example: 'Moved to "Shortlisted".'
+ *                         stage:
+ *                           type: object
+ *                           description: The application's new stage, for successful moves.
+ *                           properties:
+ *                             key:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             status:
+ *                               type: string
  *                   timestamp:
  *                     type: string
  *                     format: date-time
- *         404:
- *           description: Job not found.
- *         500:
- *           description: Internal server error.
- * 
-  *   /api/v1/applications:
- *     post:
- *       summary: Create a new application
- *       description: Creates a new application for a job posting by the authenticated candidate and sends a notification email to the recruiter.
+ *         400:
+ *           description: No or too many application IDs, an invalid ID, an unknown action, or missing action options.
+ *
+ *   /api/v1/applications/{id}/withdraw:
+ *     patch:
+ *       summary: Withdraw an application
+ *       description: Withdraws the candidate's own application, with an optional reason. The application is kept with the status `withdrawn` (it still counts in funnel reports) and leaves the job's pipeline. Pending pre-assessments and upcoming interviews for it are cancelled, and the recruiter and interviewers are notified by email. Accessible only to the candidate who applied.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The application ID.
  *       requestBody:
- *         required: true
- *         description: Job ID required to submit an application.
+ *         required: false
  *         content:
  *           application/json:
  *             schema:
  *               type: object
- *               required:
- *                 - jobId
  *               properties:
- *                 jobId:
+ *                 reason:
  *                   type: string
- *                   format: uuid
- *                   example: "a290f1ee-6c54-4b01-90e6-d701748f0851"
+ *                   maxLength: 500
+ *                   example: "I accepted another offer."
  *       responses:
- *         201:
- *           description: Application submitted successfully.
+ *         200:
+ *           description: Application withdrawn.
  *           content:
  *             application/json:
  *               schema:
@@ -2013,57 +4911,71 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Your application has been successfully submitted."
+ *                     example: "Your application has been withdrawn."
  *                   application:
  *                     $ref: '#/components/schemas/Application'
  *                   timestamp:
  *                     type: string
  *                     format: date-time
+ *         400:
+ *           description: Invalid reason, or the application was already hired or rejected.
+ *         403:
+ *           description: The application belongs to another candidate.
  *         404:
- *           description: Candidate or job not found.
+ *           description: Application not found.
  *         409:
- *           description: Application already exists.
- *         500:
- *           description: Internal server error or email delivery failure.
+ *           description: The application is already withdrawn, or was updated while withdrawing.
  *
+ *   /api/v1/applications/{id}/attachments/{attachmentId}:
  *     get:
- *       summary: Retrieve all applications
- *       description: Retrieves a list of applications. Optional filters include role, status, applicationDate, jobId, and candidateId.
+ *       summary: Download an application attachment
+ *       description: Streams a file the candidate attached to their application. Only the recruiter who owns the job and admins can download attachments.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
  *       parameters:
- *         - in: query
- *           name: role
- *           schema:
- *             type: string
- *           description: Filter by role (candidate, recruiter, interviewer).
- *         - in: query
- *           name: status
- *           schema:
- *             type: string
- *           description: Filter by application status.
- *         - in: query
- *           name: applicationDate
+ *         - in: path
+ *           name: id
+ *           required: true
  *           schema:
  *             type: string
- *             format: date
- *           description: Filter by application date (greater than or equal).
- *         - in: query
- *           name: jobId
+ *           description: The application ID.
+ *         - in: path
+ *           name: attachmentId
+ *           required: true
  *           schema:
  *             type: string
- *             format: uuid
- *           description: Filter by job ID.
- *         - in: query
- *           name: candidateId
+ *           description: The attachment ID.
+ *       responses:
+ *         200:
+ *           description: The file, sent as a download.
+ *           content:
+ *             application/octet-stream:
+ *               schema:
+ *                 type: string
+ *                 format: binary
+ *         403:
+ *           description: The job belongs to another recruiter.
+ *         404:
+ *           description: Application or attachment not found, or the file is no longer stored.
+ *
+ *   /api/v1/applications/{id}/notes:
+ *     get:
+ *       summary: Get an application's notes and tags
+ *       description: Returns the hiring team's private notes on the application, threaded with their replies, the application's tags and the hiring team (the job's recruiter and contracted interviewers) who can be mentioned. Notes are never shown to the candidate. Accessible to the hiring team and admins.
+ *       tags: [Applications]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
  *           schema:
  *             type: string
- *             format: uuid
- *           description: Filter by candidate ID.
+ *           description: The application ID.
  *       responses:
  *         200:
- *           description: Applications retrieved successfully.
+ *           description: Notes retrieved.
  *           content:
  *             application/json:
  *               schema:
@@ -2072,28 +4984,28 @@
  *                   success:
  *                     type: boolean
  *                     example: true
- *                   message:
- *                     type: string
- *                     example: "Applications retrieved successfully."
  *                   count:
  *                     type: integer
- *                     example: 5
- *                   applications:
+ *                     description: Number of notes, including replies.
+ *                   notes:
  *                     type: array
  *                     items:
- *                       $ref: '#/components/schemas/Application'
- *                   timestamp:
- *                     type: string
- *                     format: date-time
+ *                       $ref: '#/components/schemas/ApplicationNote'
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   team:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/NoteUser'
+ *         403:
+ *           description: The user isn't on the job's hiring team.
  *         404:
- *           description: No applications found matching the criteria.
- *         500:
- *           description: Internal server error.
- *
- *   /api/v1/applications/{id}:
- *     get:
- *       summary: Get application by ID
- *       description: Retrieves the details of a specific application by its ID. Accessible to recruiters and admins.
+ *           description: Application not found.
+ *     post:
+ *       summary: Add a note to an application
+ *       description: Adds a private note, or a reply when `parentId` is set. Mentioned hiring team members are notified by email. Accessible to the hiring team and admins.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
@@ -2103,11 +5015,30 @@
  *           required: true
  *           schema:
  *             type: string
- *             format: uuid
- *           description: The unique application ID.
+ *           description: The application ID.
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [body]
+ *               properties:
+ *                 body:
+ *                   type: string
+ *                   maxLength: 2000
+ *                 parentId:
+ *                   type: string
+ *                   description: The note to reply to. Replies to a reply join its thread.
+ *                 mentions:
+ *                   type: array
+ *                   maxItems: 10
+ *                   description: IDs of hiring team members to notify.
+ *                   items:
+ *                     type: string
  *       responses:
- *         200:
- *           description: Application details retrieved successfully.
+ *         201:
+ *           description: Note added.
  *           content:
  *             application/json:
  *               schema:
@@ -2116,19 +5047,47 @@
  *                   success:
  *                     type: boolean
  *                     example: true
- *                   application:
- *                     $ref: '#/components/schemas/Application'
- *                   timestamp:
- *                     type: string
- *                     format: date-time
+ *                   note:
+ *                     $ref: '#/components/schemas/ApplicationNote'
+ *         400:
+ *           description: Invalid note, unknown parent note, or a mention of someone outside the hiring team.
+ *         403:
+ *           description: The user isn't on the job's hiring team.
  *         404:
  *           description: Application not found.
- *         500:
- *           description: Internal server error.
  *
+ *   /api/v1/applications/{id}/notes/{noteId}:
+ *     delete:
+ *       summary: Delete a note
+ *       description: Deletes a note and its replies. Only the note's author and admins can delete it.
+ *       tags: [Applications]
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The application ID.
+ *         - in: path
+ *           name: noteId
+ *           required: true
+ *           schema:
+ *             type: string
+ *           description: The note ID.
+ *       responses:
+ *         200:
+ *           description: Note deleted.
+ *         403:
+ *           description: The note belongs to someone else, or the user isn't on the job's hiring team.
+ *         404:
+ *           description: Application or note not found.
+ *
+ *   /api/v1/applications/{id}/tags:
  *     put:
- *       summary: Update application
- *       description: Updates the status of an application. Accessible to recruiters and admins.
+ *       summary: Replace an application's tags
+ *       description: Sets the application's private tags. Tags are lowercased and duplicates dropped. Accessible to the hiring team and admins.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
@@ -2138,25 +5097,25 @@
  *           required: true
  *           schema:
  *             type: string
- *             format: uuid
  *           description: The application ID.
  *       requestBody:
  *         required: true
- *         description: New status for the application.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
- *               required:
- *                 - status
+ *               required: [tags]
  *               properties:
- *                 status:
- *                   type: string
- *                   enum: [applied, shortlisted, rejected, hired]
- *                   example: "shortlisted"
+ *                 tags:
+ *                   type: array
+ *                   maxItems: 20
+ *                   items:
+ *                     type: string
+ *                     maxLength: 30
+ *                   example: ['strong fit', 'relocation']
  *       responses:
  *         200:
- *           description: Application status updated successfully.
+ *           description: Tags updated.
  *           content:
  *             application/json:
  *               schema:
@@ -2165,38 +5124,35 @@
  *                   success:
  *                     type: boolean
  *                     example: true
- *                   message:
- *                     type: string
- *                     example: "Application status updated successfully."
- *                   application:
- *                     $ref: '#/components/schemas/Application'
- *                   timestamp:
- *                     type: string
- *                     format: date-time
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
  *         400:
- *           description: Bad request – invalid status provided.
+ *           description: Invalid tags.
+ *         403:
+ *           description: The user isn't on the job's hiring team.
  *         404:
  *           description: Application not found.
- *         500:
- *           description: Internal server error.
  *
- *     delete:
- *       summary: Delete application
- *       description: Permanently deletes an application. Accessible only to admins.
+ *   /api/v1/applications/job/{jobId}:
+ *     get:
+ *       summary: Get applications for a specific job
+ *       description: Retrieves all applications submitted for a given job posting.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
  *       parameters:
  *         - in: path
- *           name: id
+ *           name: jobId
  *           required: true
  *           schema:
  *             type: string
  *             format: uuid
- *           description: The unique application ID.
+ *           description: The unique job ID.
  *       responses:
  *         200:
- *           description: Application deleted successfully.
+ *           description: Applications for the job retrieved successfully.
  *           content:
  *             application/json:
  *               schema:
@@ -2207,19 +5163,30 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Application record has been successfully deleted."
+ *                     example: "Job applications retrieved successfully."
+ *                   count:
+ *                     type: integer
+ *                     example: 3
+ *                   applications:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Application'
  *                   timestamp:
  *                     type: string
  *                     format: date-time
  *         404:
- *           description: Application not found.
+ *           description: Job or applications not found.
  *         500:
  *           description: Internal server error.
  *
- *   /api/v1/applications/job/{jobId}:
+ *   /api/v1/applications/job/{jobId}/board:
  *     get:
- *       summary: Get applications for a specific job
- *       description: Retrieves all applications submitted for a given job posting.
+ *       summary: Get a job's pipeline board
+ *       description: >
+ *         Returns the job's pipeline stages and one card per application, with the candidate,
+ *         the AI match score and the latest pre-assessment result. Clients connected to the
+ *         `/pipeline` Socket.io namespace who emit `join-job` with the job ID receive
+ *         `application-moved` when a card moves and `board-changed` when the board should be reloaded.
  *       tags: [Applications]
  *       security:
  *         - bearerAuth: []
@@ -2229,11 +5196,10 @@
  *           required: true
  *           schema:
  *             type: string
- *             format: uuid
  *           description: The unique job ID.
  *       responses:
  *         200:
- *           description: Applications for the job retrieved successfully.
+ *           description: Pipeline board retrieved successfully.
  *           content:
  *             application/json:
  *               schema:
@@ -2244,19 +5210,75 @@
  *                     example: true
  *                   message:
  *                     type: string
- *                     example: "Job applications retrieved successfully."
+ *                     example: "Job pipeline board retrieved successfully."
+ *                   job:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       company:
+ *                         type: string
+ *                   stages:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/PipelineStage'
  *                   count:
  *                     type: integer
- *                     example: 3
+ *                     example: 12
  *                   applications:
  *                     type: array
  *                     items:
- *                       $ref: '#/components/schemas/Application'
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         stage:
+ *                           type: string
+ *                           example: 'interview'
+ *                         status:
+ *                           type: string
+ *                           example: 'shortlisted'
+ *                         applicationDate:
+ *                           type: string
+ *                           format: date-time
+ *                         aiMatchScore:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 0.82
+ *                         isKnockedOut:
+ *                           type: boolean
+ *                         candidate:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             firstName:
+ *                               type: string
+ *                             lastName:
+ *                               type: string
+ *                             email:
+ *                               type: string
+ *                         assessment:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             status:
+ *                               type: string
+ *                               enum: [pending, in_progress, completed, expired, cancelled]
+ *                             percentage:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Set once the assessment is completed.
+ *                               example: 76
  *                   timestamp:
  *                     type: string
  *                     format: date-time
+ *         403:
+ *           description: The job belongs to another recruiter.
  *         404:
- *           description: Job or applications not found.
+ *           description: Job not found.
  *         500:
  *           description: Internal server error.
  * 
@@ -2620,11 +5642,14 @@
  *             type: string
  *             format: uuid
  *           description: Filter by job ID
+ *         - $ref: '#/components/parameters/PageLimit'
+ *         - $ref: '#/components/parameters/PageCursor'
  *         - in: query
- *           name: limit
+ *           name: sort
  *           schema:
- *             type: integer
- *           description: Limit the number of contracts returned
+ *             type: string
+ *             example: '-createdAt'
+ *           description: 'Sort by createdAt, agreedPrice, status, paymentStatus; prefix with "-" for descending. Defaults to -createdAt.'
  *       responses:
  *         200:
  *           description: Contracts retrieved successfully
@@ -2639,6 +5664,8 @@
  *                   message:
  *                     type: string
  *                     example: "Successfully retrieved 5 contracts"
+ *                   pagination:
+ *                     $ref: '#/components/schemas/Pagination'
  *                   count:
  *                     type: integer
  *                     example: 5
@@ -2934,11 +5961,14 @@
  *         schema:
  *           type: number
  *         description: Filter transactions with amount less than or equal to this value.
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *       - in: query
- *         name: limit
+ *         name: sort
  *         schema:
- *           type: integer
- *         description: Limit the number of transactions returned.
+ *           type: string
+ *           example: '-transactionDate'
+ *         description: 'Sort by transactionDate, amount, status; prefix with "-" for descending. Defaults to -transactionDate.'
  *     responses:
  *       200:
  *         description: Transactions retrieved successfully.
@@ -2953,6 +5983,8 @@
  *                 message:
  *                   type: string
  *                   example: "5 transactions retrieved successfully"
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 count:
  *                   type: integer
  *                   example: 5
@@ -3115,6 +6147,14 @@
  *           type: string
  *           format: uuid
  *         description: The contract ID.
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: '-transactionDate'
+ *         description: 'Sort by transactionDate, amount, status; prefix with "-" for descending. Defaults to -transactionDate.'
  *     responses:
  *       200:
  *         description: Transactions retrieved successfully.
@@ -3136,6 +6176,8 @@
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Transaction'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -3252,6 +6294,14 @@
  *           type: string
  *           format: uuid
  *         description: Filter by candidate ID
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: '-scheduledTime'
+ *         description: 'Sort by scheduledTime, status, createdAt; prefix with "-" for descending. Defaults to -scheduledTime.'
  *     responses:
  *       200:
  *         description: Interviews retrieved successfully
@@ -3270,6 +6320,8 @@
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Interview'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 count:
  *                   type: integer
  *                   example: 5
@@ -3608,11 +6660,14 @@
  *         schema:
  *           type: string
  *         description: Search term for feedback content
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *       - in: query
- *         name: limit
+ *         name: sort
  *         schema:
- *           type: integer
- *         description: Limit the number of results returned
+ *           type: string
+ *           example: '-createdAt'
+ *         description: 'Sort by createdAt, rating; prefix with "-" for descending. Defaults to -createdAt.'
  *     responses:
  *       200:
  *         description: Successfully retrieved interviewer ratings
@@ -3627,6 +6682,8 @@
  *                 message:
  *                   type: string
  *                   example: "Successfully retrieved 5 ratings"
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 count:
  *                   type: integer
  *                   example: 5
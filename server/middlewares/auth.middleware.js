@@ -85,6 +85,18 @@ const protectServer = asyncHandler(async (req, res, next) => {
   }
 });
 
+// For public routes that tailor their response to a signed-in user: requests
+// with credentials are authenticated like protectServer (so an expired token
+// still gets a 401 and is refreshed), the rest go through anonymously
+const optionalProtectServer = (req, res, next) => {
+  const hasCredentials =
+    req.headers.authorization?.startsWith('Bearer ') ||
+    req.headers['x-internal-token'] ||
+    req.headers['x-internal-key'];
+
+  return hasCredentials ? protectServer(req, res, next) : next();
+};
+
 const protectSocket = async (socket, next) => {
   const token = socket.handshake.auth.token;
 
@@ -158,6 +170,7 @@ const authorizeSocketRoles = (...flags) => {
 
 module.exports = {
   protectServer,
+  optionalProtectServer,
   protectSocket,
   authorizeServerRoles,
   authorizeSocketRoles,
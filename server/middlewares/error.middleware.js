@@ -62,7 +62,10 @@ const notFoundHandler = (req, res) => {
 
 const errorHandler = (err, req, res, next) => {
   // Map certain Mongo errors to HTTP status codes and friendly messages
-  let statusCode = err.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
+  // Controllers set the status with res.status() before throwing
+  let statusCode =
+    err.statusCode ||
+    (res.statusCode >= 400 ? res.statusCode : StatusCodes.INTERNAL_SERVER_ERROR);
   let message = err.message || 'Something went wrong. Please try again later.';
 
   // Duplicate key (E11000) -> Conflict
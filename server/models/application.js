@@ -2,16 +2,137 @@
 
 const mongoose = require('mongoose');
 
+const {
+  ATTACHMENT_TYPES,
+  MAX_COVER_LETTER_LENGTH,
+} = require('../utils/attachment.utils');
+const {
+  MAX_APPLICATION_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+} = require('../utils/applicationNote.utils');
+const {
+  APPLICATION_STATUSES,
+  MAX_TRANSITION_REASON_LENGTH,
+  WITHDRAWN_STAGE,
+} = require('../utils/pipeline.utils');
+
+const STATUSES = [...APPLICATION_STATUSES, WITHDRAWN_STAGE.status];
+
+// Snapshot of the question so answers stay readable if the job is edited later
+const screeningAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Question ID is required'],
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Question type is required'],
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  failedKnockout: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  _id: false,
+});
+
+// A file the candidate attached; its contents live in the storage service
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+  },
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required'],
+    enum: Object.keys(ATTACHMENT_TYPES),
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+  },
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required'],
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One move between pipeline stages; system moves (knockouts, AI
+// shortlisting) have no actor
+const stageTransitionSchema = new mongoose.Schema({
+  fromStage: {
+    type: String,
+    default: null,
+  },
+  toStage: {
+    type: String,
+    required: [true, 'Stage is required'],
+  },
+  // Name at the time of the move, in case the stage is renamed or removed
+  toStageName: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorType: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_TRANSITION_REASON_LENGTH, `Reason must not exceed ${MAX_TRANSITION_REASON_LENGTH} characters`],
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
 const applicationSchema = new mongoose.Schema({
+  // The coarse status of the application's pipeline stage, or `withdrawn`
+  // once the candidate has withdrawn it
   status: {
     type: String,
     required: [true, 'Status is required'],
     enum: {
-      values: ['applied', 'shortlisted', 'rejected', 'hired'],
+      values: STATUSES,
       message: 'Invalid application status',
     },
     default: 'applied',
   },
+  // Key of the stage in the job's pipeline (see utils/pipeline.utils.js)
+  stage: {
+    type: String,
+    trim: true,
+  },
+  stageHistory: {
+    type: [stageTransitionSchema],
+    default: [],
+  },
   applicationDate: {
     type: Date,
     required: [true, 'Application date is required'],
@@ -27,6 +148,45 @@ const applicationSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Candidate ID is required'],
   },
+  screeningAnswers: {
+    type: [screeningAnswerSchema],
+    default: [],
+  },
+  coverLetter: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_COVER_LETTER_LENGTH, `Cover letter must not exceed ${MAX_COVER_LETTER_LENGTH} characters`],
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: [],
+  },
+  // Set when an answer failed one of the job's knockout rules
+  isKnockedOut: {
+    type: Boolean,
+    default: false,
+  },
+  // Free-form labels from the hiring team. Not selected by default so they
+  // aren't sent to candidates with the application.
+  tags: {
+    type: [{
+      type: String,
+      set: normalizeTag,
+      maxlength: [MAX_TAG_LENGTH, `Tags must not exceed ${MAX_TAG_LENGTH} characters`],
+    }],
+    default: [],
+    select: false,
+    validate: {
+      validator: (tags) => tags.length <= MAX_APPLICATION_TAGS,
+      message: `An application can have at most ${MAX_APPLICATION_TAGS} tags`,
+    },
+  },
+  // How well the resume matched the job (0-1), set by AI shortlisting
+  aiMatchScore: {
+    type: Number,
+    min: [0, 'AI match score must be between 0 and 1'],
+    max: [1, 'AI match score must be between 0 and 1'],
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -37,7 +197,9 @@ const applicationSchema = new mongoose.Schema({
 applicationSchema.index({ jobId: 1 });
 applicationSchema.index({ candidateId: 1 });
 applicationSchema.index({ status: 1 });
+applicationSchema.index({ jobId: 1, stage: 1 });
 applicationSchema.index({ applicationDate: -1 });
+applicationSchema.index({ tags: 1 });
 
 // Compound index to prevent duplicate applications
 applicationSchema.index({ jobId: 1, candidateId: 1 }, { unique: true });
@@ -0,0 +1,51 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { MAX_NOTE_LENGTH } = require('../utils/applicationNote.utils');
+
+// A hiring team's private note on an application. Notes are kept apart from
+// the application so they can never be sent to the candidate with it.
+const applicationNoteSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application ID is required'],
+  },
+  // Copied from the application so searches can be limited to a recruiter's jobs
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author ID is required'],
+  },
+  // The note this one replies to; replies are one level deep
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApplicationNote',
+    default: null,
+  },
+  body: {
+    type: String,
+    required: [true, 'Note is required'],
+    trim: true,
+    maxlength: [MAX_NOTE_LENGTH, `Note must not exceed ${MAX_NOTE_LENGTH} characters`],
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+}, {
+  timestamps: true,
+});
+
+applicationNoteSchema.index({ applicationId: 1, createdAt: 1 });
+applicationNoteSchema.index({ jobId: 1 });
+
+const ApplicationNote = mongoose.model('ApplicationNote', applicationNoteSchema);
+
+module.exports = ApplicationNote;
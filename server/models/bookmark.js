@@ -0,0 +1,32 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Candidate ID is required'],
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+  },
+  // Reminder emails are sent at most once per bookmark
+  closingReminderSentAt: {
+    type: Date,
+  },
+  closedReminderSentAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+bookmarkSchema.index({ candidateId: 1, jobId: 1 }, { unique: true });
+bookmarkSchema.index({ jobId: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
@@ -0,0 +1,52 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  // Jobs keep a copy of the name in `Job.category`, so names are unique across the taxonomy
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    minlength: [2, 'Category name must be at least 2 characters'],
+    maxlength: [100, 'Category name must not exceed 100 characters'],
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    lowercase: true,
+    trim: true,
+  },
+  // Top-level categories have no parent; sub-categories are one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Position among the categories sharing the same parent
+  order: {
+    type: Number,
+    default: 0,
+  },
+  // Inactive categories stay on existing jobs but cannot be picked for new ones
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Question bank used for pre-assessments; sub-categories fall back to their parent's
+  assessmentKey: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Assessment key must not exceed 50 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, order: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,76 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+const companySchema = new mongoose.Schema({
+  // Jobs keep a copy of the name in `Job.company`
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    minlength: [2, 'Company name must be at least 2 characters'],
+    maxlength: [100, 'Company name must not exceed 100 characters'],
+    match: [/^[a-zA-Z0-9\s\-&(),.]+$/, 'Company name can only contain letters, numbers, spaces, and basic punctuation'],
+  },
+  // Built from the name without legal suffixes, so "Acme Ltd" and "ACME Limited" are one company
+  slug: {
+    type: String,
+    required: [true, 'Company slug is required'],
+    lowercase: true,
+    trim: true,
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Logo URL must not exceed 500 characters'],
+    match: [/^https?:\/\/\S+$/, 'Logo URL must be a valid http(s) URL'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Company description must not exceed 5000 characters'],
+  },
+  size: {
+    type: String,
+    enum: {
+      values: COMPANY_SIZES,
+      message: `Company size must be one of: ${COMPANY_SIZES.join(', ')}`,
+    },
+  },
+  industry: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Industry must not exceed 50 characters'],
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Website must not exceed 200 characters'],
+    match: [/^https?:\/\/\S+$/, 'Website must be a valid http(s) URL'],
+  },
+  // Recruiters who can edit the profile and post jobs for the company
+  owners: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+companySchema.index({ slug: 1 }, { unique: true });
+companySchema.index({ owners: 1 });
+
+companySchema.statics.SIZES = COMPANY_SIZES;
+
+companySchema.methods.isOwnedBy = function(userId) {
+  return this.owners.some((owner) => String(owner._id || owner) === String(userId));
+};
+
+const Company = mongoose.model('Company', companySchema);
+
+module.exports = Company;
@@ -2,6 +2,126 @@
 
 const mongoose = require('mongoose');
 
+const {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  formatSalary,
+} = require('../utils/salary.utils');
+const { SCREENING_QUESTION_TYPES } = require('../utils/screening.utils');
+const {
+  WORK_MODES,
+  MAX_JOB_LOCATIONS,
+  LOCATION_PATTERN,
+} = require('../utils/location.utils');
+const { buildLocationsGeo } = require('../utils/geo.utils');
+const { APPLICATION_STATUSES } = require('../utils/pipeline.utils');
+
+const JOB_STATUSES = ['draft', 'scheduled', 'published', 'closed'];
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// GeoJSON coordinates of the job's cities, looked up from the city gazetteer
+const locationsGeoSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['MultiPoint'],
+    required: true,
+  },
+  // [lng, lat] pairs, as GeoJSON expects
+  coordinates: {
+    type: [[Number]],
+    required: true,
+  },
+}, { _id: false });
+
+// A step of the job's hiring pipeline. Applications may only move to the
+// stages listed in `transitions`.
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Stage key can only contain lowercase letters, numbers, and hyphens'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    minlength: [2, 'Stage name must be at least 2 characters'],
+    maxlength: [50, 'Stage name must not exceed 50 characters'],
+  },
+  // The application status this stage counts as
+  status: {
+    type: String,
+    required: [true, 'Stage status is required'],
+    enum: {
+      values: APPLICATION_STATUSES,
+      message: 'Invalid stage status',
+    },
+  },
+  transitions: {
+    type: [String],
+    default: [],
+  },
+  automation: {
+    // Invite the candidate to a pre-assessment on entering the stage
+    createAssessment: {
+      type: Boolean,
+      default: false,
+    },
+  },
+}, { _id: false });
+
+// Questions asked when candidates apply. A knockout rule auto-rejects
+// applicants whose answer falls outside what the recruiter accepts.
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Screening question is required'],
+    trim: true,
+    minlength: [5, 'Screening question must be at least 5 characters'],
+    maxlength: [300, 'Screening question must not exceed 300 characters'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Screening question type is required'],
+    enum: {
+      values: SCREENING_QUESTION_TYPES,
+      message: 'Invalid screening question type',
+    },
+  },
+  // Choices for single_choice questions
+  options: {
+    type: [String],
+    default: undefined,
+  },
+  isRequired: {
+    type: Boolean,
+    default: true,
+  },
+  knockout: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // yes_no: the answer applicants must give
+    expectedAnswer: {
+      type: Boolean,
+    },
+    // number: the accepted range (either bound may be omitted)
+    min: {
+      type: Number,
+    },
+    max: {
+      type: Number,
+    },
+    // single_choice: the options that pass
+    acceptedOptions: {
+      type: [String],
+      default: undefined,
+    },
+  },
+});
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -26,6 +146,11 @@ const jobSchema = new mongoose.Schema({
     maxlength: [100, 'Company name must not exceed 100 characters'],
     match: [/^[a-zA-Z0-9\s\-&(),.]+$/, 'Company name can only contain letters, numbers, spaces, and basic punctuation'],
   },
+  // The company profile; `company` keeps its name for listings, feeds and emails
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+  },
   requirements: {
     type: [String],
     required: [true, 'Job requirements are required'],
@@ -75,32 +200,100 @@ const jobSchema = new mongoose.Schema({
       message: 'Job benefits must be an array of 1-20 items and total length between 50 and 2000 characters',
     },
   },
-  salaryRange: {
-    type: String,
-    required: [true, 'Salary range is required'],
-    trim: true,
-    validate: {
-      validator: function(value) {
-        return /^\$\d+k?\s*-\s*\$\d+k?$/.test(value);
+  salary: {
+    min: {
+      type: Number,
+      required: [true, 'Minimum salary is required'],
+      min: [1, 'Minimum salary must be greater than 0'],
+    },
+    max: {
+      type: Number,
+      required: [true, 'Maximum salary is required'],
+      validate: {
+        validator: function(value) {
+          // `this` is the document on save; query validators skip the cross-field check
+          const min = this.salary?.min;
+          return min === undefined || min === null || value >= min;
+        },
+        message: 'Maximum salary must be greater than or equal to minimum salary',
+      },
+    },
+    currency: {
+      type: String,
+      required: [true, 'Salary currency is required'],
+      uppercase: true,
+      enum: {
+        values: SALARY_CURRENCIES,
+        message: 'Invalid salary currency',
       },
-      message: 'Salary range must be in format "$XXk - $XXXk"',
+      default: 'PKR',
+    },
+    period: {
+      type: String,
+      required: [true, 'Salary period is required'],
+      enum: {
+        values: SALARY_PERIODS,
+        message: 'Invalid salary period',
+      },
+      default: 'month',
+    },
+    // Derived monthly amounts so range filters work across pay periods
+    monthlyMin: {
+      type: Number,
+    },
+    monthlyMax: {
+      type: Number,
     },
   },
+  // Name of the category in the admin-managed taxonomy, kept for filters, feeds and display
   category: {
     type: String,
     required: [true, 'Job category is required'],
-    enum: {
-      values: ['IT', 'Engineering', 'Sales', 'Marketing', 'Finance', 'Other'],
-      message: 'Invalid job category',
-    },
+    trim: true,
+    maxlength: [100, 'Job category must not exceed 100 characters'],
   },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  // Display summary of `locations` (or "Remote"), kept for emails, feeds and older clients
   location: {
     type: String,
     required: [true, 'Job location is required'],
     trim: true,
     minlength: [2, 'Location must be at least 2 characters'],
     maxlength: [100, 'Location must not exceed 100 characters'],
-    match: [/^[a-zA-Z0-9\s\-,]+$/, 'Location can only contain letters, numbers, spaces, hyphens, and commas'],
+    match: [LOCATION_PATTERN, 'Location can only contain letters, numbers, spaces, hyphens, and commas'],
+  },
+  // Cities the role is based in; remote roles may leave this empty
+  locations: {
+    type: [{
+      type: String,
+      trim: true,
+      minlength: [2, 'Location must be at least 2 characters'],
+      maxlength: [100, 'Location must not exceed 100 characters'],
+      match: [LOCATION_PATTERN, 'Location can only contain letters, numbers, spaces, hyphens, and commas'],
+    }],
+    default: undefined,
+    validate: {
+      validator: function(value) {
+        return !value || value.length <= MAX_JOB_LOCATIONS;
+      },
+      message: `A job can list at most ${MAX_JOB_LOCATIONS} locations`,
+    },
+  },
+  // Remote jobs and cities missing from the gazetteer have no coordinates
+  geo: {
+    type: locationsGeoSchema,
+    default: undefined,
+  },
+  workMode: {
+    type: String,
+    enum: {
+      values: WORK_MODES,
+      message: 'Invalid work mode',
+    },
+    default: 'onsite',
   },
   recruiterId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -111,6 +304,84 @@ const jobSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Posting lifecycle: draft -> scheduled -> published -> closed.
+  // `isClosed` is kept in sync with the closed state for existing consumers.
+  status: {
+    type: String,
+    enum: {
+      values: JOB_STATUSES,
+      message: 'Invalid job status',
+    },
+    default: 'published',
+  },
+  publishAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return this.status !== 'scheduled' || Boolean(value);
+      },
+      message: 'Scheduled jobs require a publish date',
+    },
+  },
+  applicationDeadline: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        if (!value || !this.publishAt) return true;
+        return value > this.publishAt;
+      },
+      message: 'Application deadline must be after the publish date',
+    },
+  },
+  publishedAt: {
+    type: Date,
+  },
+  closedAt: {
+    type: Date,
+  },
+  // Admin review while job moderation is switched on. Jobs posted while it
+  // was off have no moderation status and stay listed.
+  moderation: {
+    status: {
+      type: String,
+      enum: {
+        values: MODERATION_STATUSES,
+        message: 'Invalid moderation status',
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Rejection reason must not exceed 1000 characters'],
+    },
+    submittedAt: {
+      type: Date,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    default: [],
+  },
+  // Empty until the recruiter customises it; the default pipeline applies
+  pipelineStages: {
+    type: [pipelineStageSchema],
+    default: undefined,
+  },
+  seo: {
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'SEO slug can only contain lowercase letters, numbers, and hyphens'],
+    },
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -120,9 +391,79 @@ const jobSchema = new mongoose.Schema({
 // Index for better query performance
 jobSchema.index({ recruiterId: 1 });
 jobSchema.index({ category: 1 });
+jobSchema.index({ categoryId: 1 });
+jobSchema.index({ companyId: 1 });
 jobSchema.index({ location: 1 });
+jobSchema.index({ locations: 1 });
+jobSchema.index({ geo: '2dsphere' });
+jobSchema.index({ workMode: 1 });
 jobSchema.index({ isClosed: 1 });
 jobSchema.index({ createdAt: -1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ 'moderation.status': 1, 'moderation.submittedAt': 1 });
+// Partial so jobs created before slugs existed don't collide on a missing value
+// (see scripts/backfill_seo_slug.js)
+jobSchema.index(
+  { 'seo.slug': 1 },
+  { unique: true, partialFilterExpression: { 'seo.slug': { $type: 'string' } } }
+);
+jobSchema.index({ 'salary.currency': 1, 'salary.monthlyMax': 1 });
+jobSchema.index({ 'salary.currency': 1, 'salary.monthlyMin': 1 });
+
+// Weighted full-text index for job search (title > requirements > description)
+jobSchema.index(
+  { title: 'text', requirements: 'text', description: 'text' },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, requirements: 5, description: 1 },
+  }
+);
+
+// Display label for the structured salary (kept under the old field name for API consumers)
+jobSchema.virtual('salaryRange').get(function() {
+  return formatSalary(this.salary);
+});
+
+// Documents saved without a locations list (e.g. seed data) are based in their single location
+jobSchema.pre('validate', function(next) {
+  if (!this.locations && this.location && this.location !== 'Remote') {
+    this.locations = [this.location];
+  }
+  if (this.geo === undefined && this.locations) {
+    this.geo = buildLocationsGeo(this.locations);
+  }
+  next();
+});
+
+// Query filter for jobs visible to the public. Jobs created before the
+// lifecycle fields existed have no status and count as published.
+jobSchema.statics.getPublicFilter = function() {
+  return {
+    isClosed: false,
+    status: { $nin: ['draft', 'scheduled', 'closed'] },
+    'moderation.status': { $nin: ['pending', 'rejected'] },
+  };
+};
+
+// Whether a job (document or lean object) has no public page: drafts,
+// scheduled jobs, and jobs waiting for or rejected in moderation. Closed jobs
+// keep their page.
+jobSchema.statics.isUnlisted = function(job) {
+  return (
+    ['draft', 'scheduled'].includes(job.status) ||
+    ['pending', 'rejected'].includes(job.moderation?.status)
+  );
+};
+
+// Whether candidates can currently submit applications for this job
+jobSchema.methods.isAcceptingApplications = function(now = new Date()) {
+  if (this.isClosed) return false;
+  if (this.status && this.status !== 'published') return false;
+  if (this.constructor.isUnlisted(this)) return false;
+  if (this.applicationDeadline && this.applicationDeadline <= now) return false;
+  return true;
+};
 
 // Virtual populate for applications
 jobSchema.virtual('applications', {
@@ -0,0 +1,67 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Campaign parameters from the link that brought the visitor to the job
+const utmSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'UTM source must not exceed 100 characters'],
+  },
+  medium: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'UTM medium must not exceed 100 characters'],
+  },
+  campaign: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'UTM campaign must not exceed 100 characters'],
+  },
+}, {
+  _id: false,
+});
+
+// One step of a visitor's path from viewing a job posting to applying for it
+const jobEventSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['view', 'apply_click', 'application'],
+      message: 'Event type must be one of: view, apply_click, application',
+    },
+    required: [true, 'Event type is required'],
+  },
+  // Random ID the browser keeps for one visit; views and apply clicks count once per session
+  sessionId: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Session ID must not exceed 64 characters'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  utm: {
+    type: utmSchema,
+    default: undefined,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+jobEventSchema.index({ jobId: 1, createdAt: 1 });
+jobEventSchema.index(
+  { jobId: 1, type: 1, sessionId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $exists: true } } }
+);
+
+const JobEvent = mongoose.model('JobEvent', jobEventSchema);
+
+module.exports = JobEvent;
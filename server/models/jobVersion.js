@@ -0,0 +1,38 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One snapshot of a job posting's editable fields, written on create and on every update
+const jobVersionSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version number is required'],
+    min: [1, 'Version number must be at least 1'],
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Fields that differ from the previous version; empty for the first one
+  changedFields: {
+    type: [String],
+    default: [],
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+jobVersionSchema.index({ jobId: 1, version: -1 }, { unique: true });
+
+const JobVersion = mongoose.model('JobVersion', jobVersionSchema);
+
+module.exports = JobVersion;
@@ -0,0 +1,110 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const {
+  MAX_DECLINE_REASON_LENGTH,
+  MAX_OFFER_TERMS_LENGTH,
+  OFFER_STATUSES,
+} = require('../utils/offer.utils');
+const {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+} = require('../utils/salary.utils');
+
+const offerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application ID is required'],
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Candidate ID is required'],
+  },
+  // Who sent the offer
+  recruiterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recruiter ID is required'],
+  },
+  salary: {
+    amount: {
+      type: Number,
+      required: [true, 'Salary is required'],
+      min: [0, 'Salary cannot be negative'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: {
+        values: SALARY_CURRENCIES,
+        message: 'Invalid salary currency',
+      },
+      default: 'PKR',
+    },
+    period: {
+      type: String,
+      enum: {
+        values: SALARY_PERIODS,
+        message: 'Invalid salary period',
+      },
+      default: 'month',
+    },
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  // Pending offers expire automatically once this passes
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  terms: {
+    type: String,
+    required: [true, 'Terms are required'],
+    trim: true,
+    maxlength: [MAX_OFFER_TERMS_LENGTH, `Terms must not exceed ${MAX_OFFER_TERMS_LENGTH} characters`],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: OFFER_STATUSES,
+      message: 'Invalid offer status',
+    },
+    default: 'pending',
+  },
+  // When the candidate accepted or declined, or the offer otherwise closed
+  respondedAt: {
+    type: Date,
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_DECLINE_REASON_LENGTH, `Reason must not exceed ${MAX_DECLINE_REASON_LENGTH} characters`],
+  },
+}, {
+  timestamps: true,
+});
+
+offerSchema.index({ applicationId: 1, createdAt: -1 });
+offerSchema.index({ candidateId: 1, createdAt: -1 });
+offerSchema.index({ jobId: 1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+// An application has at most one open offer at a time
+offerSchema.index(
+  { applicationId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
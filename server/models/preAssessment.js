@@ -21,7 +21,8 @@ const preAssessmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'expired'],
+    // `cancelled` when the candidate withdraws their application
+    enum: ['pending', 'in_progress', 'completed', 'expired', 'cancelled'],
     default: 'pending',
   },
   questions: [
@@ -2,6 +2,20 @@
 
 const mongoose = require('mongoose');
 
+// GeoJSON point for the candidate's city, looked up from the city gazetteer
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true,
+  },
+  // [lng, lat], as GeoJSON expects
+  coordinates: {
+    type: [Number],
+    required: true,
+  },
+}, { _id: false });
+
 const resumeSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -68,6 +82,11 @@ const resumeSchema = new mongoose.Schema({
     minlength: [2, 'Company name must be at least 2 characters'],
     maxlength: [100, 'Company name must not exceed 100 characters'],
   },
+  // Set when `company` matches a company profile on the platform
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+  },
   achievements: {
     type: String,
     trim: true,
@@ -83,6 +102,16 @@ const resumeSchema = new mongoose.Schema({
     trim: true,
     match: [/^https?:\/\/.+/, 'Portfolio must be a valid URL'],
   },
+  // City the candidate is based in; distance searches measure from here
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location must not exceed 100 characters'],
+  },
+  geo: {
+    type: pointSchema,
+    default: undefined,
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -99,6 +128,7 @@ const resumeSchema = new mongoose.Schema({
 // userId index is automatically created due to unique: true
 resumeSchema.index({ skills: 1 });
 resumeSchema.index({ industry: 1 });
+resumeSchema.index({ geo: '2dsphere' });
 
 const Resume = mongoose.model('Resume', resumeSchema);
 
@@ -0,0 +1,89 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const { SALARY_CURRENCIES } = require('../utils/salary.utils');
+
+const ALERT_FREQUENCIES = ['daily', 'weekly'];
+
+const generateUnsubscribeToken = () => crypto.randomBytes(32).toString('hex');
+
+const savedSearchSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Candidate ID is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Alert name is required'],
+    trim: true,
+    minlength: [2, 'Alert name must be at least 2 characters'],
+    maxlength: [100, 'Alert name must not exceed 100 characters'],
+  },
+  // Mirrors the filters accepted by GET /api/v1/jobs
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Keywords must not exceed 200 characters'],
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Category must not exceed 100 characters'],
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location must not exceed 100 characters'],
+  },
+  // Monthly amounts, compared against the job's derived monthly salary
+  minSalary: {
+    type: Number,
+    min: [0, 'Minimum salary cannot be negative'],
+  },
+  maxSalary: {
+    type: Number,
+    min: [0, 'Maximum salary cannot be negative'],
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: SALARY_CURRENCIES,
+      message: 'Invalid salary currency',
+    },
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: ALERT_FREQUENCIES,
+      message: 'Alert frequency must be daily or weekly',
+    },
+    default: 'weekly',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Jobs published after this point are included in the next digest
+  lastSentAt: {
+    type: Date,
+  },
+  unsubscribeToken: {
+    type: String,
+    default: generateUnsubscribeToken,
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+savedSearchSchema.index({ candidateId: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
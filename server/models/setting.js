@@ -0,0 +1,41 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Platform-wide switches that admins change at runtime (e.g. job moderation)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    trim: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+settingSchema.index({ key: 1 }, { unique: true });
+
+// Settings that were never saved fall back to their default
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { new: true, upsert: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
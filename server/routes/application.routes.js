@@ -10,9 +10,19 @@ const {
   getAllApplications,
   getApplicationById,
   updateApplication,
+  bulkUpdateApplications,
+  withdrawApplication,
   deleteApplication,
   getApplicationsByJobId,
+  getApplicationBoard,
+  downloadApplicationAttachment,
 } = require('../controllers/application.controller');
+const {
+  getApplicationNotes,
+  createApplicationNote,
+  deleteApplicationNote,
+  updateApplicationTags,
+} = require('../controllers/applicationNote.controller');
 
 const router = Router();
 
@@ -21,6 +31,13 @@ router
   .post(protectServer, authorizeServerRoles('isCandidate'), createApplication)
   .get(protectServer, getAllApplications); // getAllApplications handles role-based filtering internally
 
+router.post(
+  '/bulk',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  bulkUpdateApplications
+);
+
 router
   .route('/:id')
   .get(protectServer, getApplicationById)
@@ -31,6 +48,53 @@ router
   )
   .delete(protectServer, authorizeServerRoles('isAdmin'), deleteApplication);
 
+router.patch(
+  '/:id/withdraw',
+  protectServer,
+  authorizeServerRoles('isCandidate'),
+  withdrawApplication
+);
+
+router.get(
+  '/:id/attachments/:attachmentId',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  downloadApplicationAttachment
+);
+
+router
+  .route('/:id/notes')
+  .get(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isInterviewer', 'isAdmin'),
+    getApplicationNotes
+  )
+  .post(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isInterviewer', 'isAdmin'),
+    createApplicationNote
+  );
+
+router.delete(
+  '/:id/notes/:noteId',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isInterviewer', 'isAdmin'),
+  deleteApplicationNote
+);
+
+router.put(
+  '/:id/tags',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isInterviewer', 'isAdmin'),
+  updateApplicationTags
+);
+
 router.get('/job/:jobId', protectServer, getApplicationsByJobId);
+router.get(
+  '/job/:jobId/board',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  getApplicationBoard
+);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const { Router } = require('express');
+
+const {
+  protectServer,
+  authorizeServerRoles,
+} = require('../middlewares/auth.middleware');
+
+const {
+  getMyBookmarks,
+  createBookmark,
+  deleteBookmark,
+} = require('../controllers/bookmark.controller');
+
+const router = Router();
+
+router
+  .route('/')
+  .get(protectServer, authorizeServerRoles('isCandidate'), getMyBookmarks)
+  .post(protectServer, authorizeServerRoles('isCandidate'), createBookmark);
+
+router.delete(
+  '/:jobId',
+  protectServer,
+  authorizeServerRoles('isCandidate'),
+  deleteBookmark
+);
+
+module.exports = router;
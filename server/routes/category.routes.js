@@ -0,0 +1,38 @@
+const { Router } = require('express');
+
+const {
+  protectServer,
+  authorizeServerRoles,
+} = require('../middlewares/auth.middleware');
+
+const {
+  getCategories,
+  getAllCategories,
+  createCategory,
+  reorderCategories,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/category.controller');
+
+const router = Router();
+
+router
+  .route('/')
+  .get(getCategories)
+  .post(protectServer, authorizeServerRoles('isAdmin'), createCategory);
+
+router.get('/all', protectServer, authorizeServerRoles('isAdmin'), getAllCategories);
+
+router.patch(
+  '/reorder',
+  protectServer,
+  authorizeServerRoles('isAdmin'),
+  reorderCategories
+);
+
+router
+  .route('/:id')
+  .patch(protectServer, authorizeServerRoles('isAdmin'), updateCategory)
+  .delete(protectServer, authorizeServerRoles('isAdmin'), deleteCategory);
+
+module.exports = router;
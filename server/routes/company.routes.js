@@ -0,0 +1,56 @@
+const { Router } = require('express');
+
+const {
+  protectServer,
+  authorizeServerRoles,
+} = require('../middlewares/auth.middleware');
+
+const {
+  getCompanies,
+  getMyCompanies,
+  getCompanyBySlug,
+  createCompany,
+  updateCompany,
+  addCompanyOwner,
+  removeCompanyOwner,
+  deleteCompany,
+} = require('../controllers/company.controller');
+
+const router = Router();
+
+router
+  .route('/')
+  .get(getCompanies)
+  .post(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isAdmin'),
+    createCompany
+  );
+
+router.get('/mine', protectServer, authorizeServerRoles('isRecruiter'), getMyCompanies);
+
+router.post(
+  '/:id/owners',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  addCompanyOwner
+);
+router.delete(
+  '/:id/owners/:userId',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  removeCompanyOwner
+);
+
+router.get('/:slug', getCompanyBySlug);
+
+router
+  .route('/:id')
+  .patch(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isAdmin'),
+    updateCompany
+  )
+  .delete(protectServer, authorizeServerRoles('isAdmin'), deleteCompany);
+
+module.exports = router;
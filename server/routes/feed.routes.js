@@ -0,0 +1,15 @@
+const { Router } = require('express');
+
+const {
+  getRssFeed,
+  getAtomFeed,
+  getAggregatorFeed,
+} = require('../controllers/feed.controller');
+
+const router = Router();
+
+router.get('/jobs.rss', getRssFeed);
+router.get('/jobs.atom', getAtomFeed);
+router.get('/jobs.xml', getAggregatorFeed);
+
+module.exports = router;
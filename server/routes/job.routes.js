@@ -2,27 +2,122 @@ const { Router } = require('express');
 
 const {
   protectServer,
+  optionalProtectServer,
   authorizeServerRoles,
 } = require('../middlewares/auth.middleware');
 
 const {
   createJob,
+  importJobs,
   getAllJobs,
   getJobById,
+  getJobBySlug,
+  getSimilarJobs,
+  getRecommendedJobs,
   updateJobById,
   deleteJobById,
+  getJobVersions,
+  getJobVersionDiff,
 } = require('../controllers/job.controller');
+const {
+  createJobEvent,
+  getJobAnalytics,
+} = require('../controllers/jobEvent.controller');
+const {
+  getModerationQueue,
+  getModerationSettings,
+  updateModerationSettings,
+  reviewJob,
+} = require('../controllers/jobModeration.controller');
+const {
+  getJobPipeline,
+  updateJobPipeline,
+} = require('../controllers/jobPipeline.controller');
 
 const router = Router();
 
 router
   .route('/')
   .post(protectServer, authorizeServerRoles('isRecruiter'), createJob)
-  .get(getAllJobs); // getAllJobs handles role-based filtering internally
+  .get(optionalProtectServer, getAllJobs); // getAllJobs handles role-based filtering internally
+
+router.post(
+  '/import',
+  protectServer,
+  authorizeServerRoles('isRecruiter'),
+  importJobs
+);
+
+router.get(
+  '/recommended',
+  protectServer,
+  authorizeServerRoles('isCandidate'),
+  getRecommendedJobs
+);
+
+router.get(
+  '/moderation',
+  protectServer,
+  authorizeServerRoles('isAdmin'),
+  getModerationQueue
+);
+router
+  .route('/moderation/settings')
+  .get(protectServer, authorizeServerRoles('isAdmin'), getModerationSettings)
+  .patch(
+    protectServer,
+    authorizeServerRoles('isAdmin'),
+    updateModerationSettings
+  );
+
+router.get('/slug/:slug', getJobBySlug);
+
+router.get('/:id/similar', getSimilarJobs);
+
+router.post('/:id/events', createJobEvent);
+router.get(
+  '/:id/analytics',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  getJobAnalytics
+);
+
+router
+  .route('/:id/pipeline')
+  .get(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isAdmin'),
+    getJobPipeline
+  )
+  .put(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isAdmin'),
+    updateJobPipeline
+  );
+
+router.patch(
+  '/:id/moderation',
+  protectServer,
+  authorizeServerRoles('isAdmin'),
+  reviewJob
+);
+
+router.get(
+  '/:id/versions',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  getJobVersions
+);
+router.get(
+  '/:id/versions/diff',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  getJobVersionDiff
+);
 
 router
   .route('/:id')
-  .get(getJobById)
+  .get(optionalProtectServer, getJobById)
   .patch(
     protectServer,
     authorizeServerRoles('isRecruiter', 'isAdmin'),
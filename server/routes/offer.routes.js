@@ -0,0 +1,51 @@
+const { Router } = require('express');
+
+const {
+  protectServer,
+  authorizeServerRoles,
+} = require('../middlewares/auth.middleware');
+
+const {
+  createOffer,
+  getOffers,
+  getOfferById,
+  downloadOfferLetter,
+  acceptOffer,
+  declineOffer,
+  rescindOffer,
+} = require('../controllers/offer.controller');
+
+const router = Router();
+
+router
+  .route('/')
+  .post(
+    protectServer,
+    authorizeServerRoles('isRecruiter', 'isAdmin'),
+    createOffer
+  )
+  .get(protectServer, getOffers);
+
+router.get('/:id', protectServer, getOfferById);
+router.get('/:id/letter', protectServer, downloadOfferLetter);
+
+router.patch(
+  '/:id/accept',
+  protectServer,
+  authorizeServerRoles('isCandidate'),
+  acceptOffer
+);
+router.patch(
+  '/:id/decline',
+  protectServer,
+  authorizeServerRoles('isCandidate'),
+  declineOffer
+);
+router.patch(
+  '/:id/rescind',
+  protectServer,
+  authorizeServerRoles('isRecruiter', 'isAdmin'),
+  rescindOffer
+);
+
+module.exports = router;
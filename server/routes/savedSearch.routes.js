@@ -0,0 +1,34 @@
+const { Router } = require('express');
+
+const {
+  protectServer,
+  authorizeServerRoles,
+} = require('../middlewares/auth.middleware');
+
+const {
+  createSavedSearch,
+  getMySavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+} = require('../controllers/savedSearch.controller');
+
+const router = Router();
+
+router
+  .route('/')
+  .post(protectServer, authorizeServerRoles('isCandidate'), createSavedSearch)
+  .get(protectServer, authorizeServerRoles('isCandidate'), getMySavedSearches);
+
+router.post('/unsubscribe/:token', unsubscribeSavedSearch);
+
+router
+  .route('/:id')
+  .put(protectServer, authorizeServerRoles('isCandidate'), updateSavedSearch)
+  .delete(
+    protectServer,
+    authorizeServerRoles('isCandidate'),
+    deleteSavedSearch
+  );
+
+module.exports = router;
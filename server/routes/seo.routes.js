@@ -0,0 +1,9 @@
+const { Router } = require('express');
+
+const { getSitemap } = require('../controllers/seo.controller');
+
+const router = Router();
+
+router.get('/sitemap.xml', getSitemap);
+
+module.exports = router;
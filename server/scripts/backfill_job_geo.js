@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Job } = require('../models');
+const { getJobLocations } = require('../utils/location.utils');
+const { buildLocationsGeo } = require('../utils/geo.utils');
+
+// Jobs created before radius search have no coordinates; look their cities up
+// in the gazetteer so `near`/`radius` filters and the distance sort find them.
+// Jobs whose cities are all unknown (or that are remote) are stored as null.
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  console.log('Searching for jobs missing coordinates...');
+
+  const col = Job.collection;
+  const jobs = await col
+    .find({ geo: { $exists: false } })
+    .project({ _id: 1, location: 1, locations: 1 })
+    .toArray();
+
+  console.log(`Found ${jobs.length} job(s) needing coordinates`);
+
+  let located = 0;
+  for (const job of jobs) {
+    const geo = buildLocationsGeo(getJobLocations(job));
+    if (geo) located += 1;
+
+    if (!dryRun) {
+      await col.updateOne({ _id: job._id }, { $set: { geo } });
+    }
+
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}Job ${job._id}: ${
+        geo ? `${geo.coordinates.length} point(s)` : 'no known city'
+      }`
+    );
+  }
+
+  console.log(`Geo backfill completed: ${located} of ${jobs.length} job(s) located.`);
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Geo backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Job } = require('../models');
+
+// Jobs created before multi-location support only have the single `location`
+// string; copy it into `locations` and mark them onsite so the location and
+// work mode filters find them.
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  console.log('Searching for jobs missing locations or workMode...');
+
+  const col = Job.collection;
+  const jobs = await col
+    .find({
+      $or: [
+        { locations: { $exists: false } },
+        { workMode: { $exists: false } },
+      ],
+    })
+    .project({ _id: 1, location: 1, locations: 1, workMode: 1 })
+    .toArray();
+
+  console.log(`Found ${jobs.length} job(s) needing location backfill`);
+
+  for (const job of jobs) {
+    const update = {};
+    if (!Array.isArray(job.locations)) {
+      update.locations = job.location ? [job.location] : [];
+    }
+    if (!job.workMode) {
+      update.workMode = 'onsite';
+    }
+
+    if (!dryRun) {
+      await col.updateOne({ _id: job._id }, { $set: update });
+    }
+
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}Backfilled job ${job._id}: ${JSON.stringify(update)}`
+    );
+  }
+
+  console.log('Location backfill completed.');
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Location backfill failed:', err);
+  process.exit(1);
+});
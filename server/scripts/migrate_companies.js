@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Company, Job, Resume } = require('../models');
+const { slugifyCompany } = require('../utils/company.utils');
+
+// Jobs used to store the company as free text, so one employer shows up as
+// "Acme", "ACME Ltd" and "Acme Limited". Group those spellings into one
+// company per slug, owned by every recruiter who posted for it, then link the
+// jobs (and the resumes that mention it) to that company.
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  const jobCompanies = await Job.collection
+    .aggregate([
+      { $match: { company: { $type: 'string' } } },
+      {
+        $group: {
+          _id: '$company',
+          count: { $sum: 1 },
+          recruiterIds: { $addToSet: '$recruiterId' },
+        },
+      },
+    ])
+    .toArray();
+
+  const groups = new Map();
+
+  jobCompanies.forEach(({ _id: name, count, recruiterIds }) => {
+    const slug = slugifyCompany(name);
+    if (!slug) return;
+
+    const group = groups.get(slug) || {
+      spellings: [],
+      owners: new Map(),
+    };
+    group.spellings.push({ name: name.trim(), original: name, count });
+    recruiterIds
+      .filter(Boolean)
+      .forEach((id) => group.owners.set(String(id), id));
+    groups.set(slug, group);
+  });
+
+  const companiesBySlug = new Map(
+    (await Company.find().lean()).map((company) => [company.slug, company])
+  );
+
+  for (const [slug, group] of groups) {
+    // The spelling used on the most jobs becomes the company name
+    const [{ name }] = group.spellings.sort((a, b) => b.count - a.count);
+    const existing = companiesBySlug.get(slug);
+    const owners = [...group.owners.values()];
+
+    if (dryRun) {
+      console.log(
+        `[dry-run] ${existing ? 'Would link' : 'Would create'} "${
+          existing ? existing.name : name
+        }" from ${group.spellings.map((s) => `"${s.name}"`).join(', ')}`
+      );
+      continue;
+    }
+
+    let company = existing;
+    if (!company) {
+      company = (await Company.create({ name, slug, owners })).toObject();
+      companiesBySlug.set(slug, company);
+      console.log(`Created company "${name}" with ${owners.length} owner(s)`);
+    } else if (owners.length) {
+      await Company.updateOne(
+        { _id: company._id },
+        { $addToSet: { owners: { $each: owners } } }
+      );
+    }
+
+    const result = await Job.collection.updateMany(
+      { company: { $in: group.spellings.map((s) => s.original) } },
+      { $set: { company: company.name, companyId: company._id } }
+    );
+    console.log(`Linked ${result.modifiedCount} job(s) to "${company.name}"`);
+  }
+
+  // Resumes matching a company take its name, as they do when saved
+  const resumes = await Resume.collection
+    .find(
+      { company: { $type: 'string' }, companyId: { $exists: false } },
+      { projection: { company: 1 } }
+    )
+    .toArray();
+
+  let linkedResumes = 0;
+  for (const resume of resumes) {
+    const company = companiesBySlug.get(slugifyCompany(resume.company));
+    if (!company) continue;
+
+    linkedResumes += 1;
+    if (!dryRun) {
+      await Resume.collection.updateOne(
+        { _id: resume._id },
+        { $set: { company: company.name, companyId: company._id } }
+      );
+    }
+  }
+  console.log(
+    `${dryRun ? '[dry-run] Would link' : 'Linked'} ${linkedResumes} resume(s)`
+  );
+
+  console.log('Company migration completed.');
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Company migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Category, Job } = require('../models');
+const {
+  DEFAULT_CATEGORIES,
+  slugifyCategory,
+} = require('../utils/category.utils');
+
+// Job categories used to be a fixed list on the Job model. Create the
+// taxonomy from that list plus any other names found on jobs, then link every
+// job to its category so filters and reports can read from the taxonomy.
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  const jobCategoryNames = (await Job.collection.distinct('category')).filter(
+    (name) => typeof name === 'string' && name.trim()
+  );
+
+  const wanted = [
+    ...DEFAULT_CATEGORIES,
+    ...jobCategoryNames.map((name) => ({ name: name.trim() })),
+  ];
+
+  const categoriesBySlug = new Map(
+    (await Category.find().lean()).map((category) => [category.slug, category])
+  );
+
+  for (const { name, assessmentKey } of wanted) {
+    const slug = slugifyCategory(name);
+    if (!slug || categoriesBySlug.has(slug)) continue;
+
+    const fields = {
+      name,
+      slug,
+      assessmentKey,
+      order: categoriesBySlug.size,
+    };
+
+    if (!dryRun) {
+      categoriesBySlug.set(slug, (await Category.create(fields)).toObject());
+    } else {
+      categoriesBySlug.set(slug, fields);
+    }
+
+    console.log(`${dryRun ? '[dry-run] ' : ''}Created category "${name}"`);
+  }
+
+  for (const name of jobCategoryNames) {
+    const category = categoriesBySlug.get(slugifyCategory(name));
+    const filter = { category: name, categoryId: { $exists: false } };
+
+    if (dryRun) {
+      const count = await Job.collection.countDocuments(filter);
+      console.log(`[dry-run] Would link ${count} job(s) to "${category.name}"`);
+      continue;
+    }
+
+    // Names that differ only in case or spacing are merged into one category
+    const result = await Job.collection.updateMany(filter, {
+      $set: { category: category.name, categoryId: category._id },
+    });
+    console.log(`Linked ${result.modifiedCount} job(s) to "${category.name}"`);
+  }
+
+  console.log('Job category migration completed.');
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Job category migration failed:', err);
+  process.exit(1);
+});
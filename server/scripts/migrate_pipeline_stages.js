@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Application, Job } = require('../models');
+const {
+  getApplicationStage,
+  getPipelineStages,
+} = require('../utils/pipeline.utils');
+
+// Applications from before pipelines existed only have a status. Store the
+// stage each one is shown in, so later pipeline edits can't move them.
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  const groups = await Application.aggregate([
+    { $match: { stage: { $exists: false } } },
+    {
+      $group: {
+        _id: { jobId: '$jobId', status: '$status' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const jobs = await Job.find({
+    _id: { $in: [...new Set(groups.map(({ _id }) => String(_id.jobId)))] },
+  })
+    .select('pipelineStages')
+    .lean();
+  const jobsById = new Map(jobs.map((job) => [String(job._id), job]));
+
+  let migrated = 0;
+  for (const { _id, count } of groups) {
+    const stage = getApplicationStage(
+      { status: _id.status },
+      getPipelineStages(jobsById.get(String(_id.jobId)))
+    );
+
+    migrated += count;
+    if (dryRun) continue;
+
+    await Application.updateMany(
+      { jobId: _id.jobId, status: _id.status, stage: { $exists: false } },
+      { $set: { stage: stage.key } }
+    );
+  }
+
+  console.log(
+    `${dryRun ? '[dry-run] Would set' : 'Set'} the pipeline stage of ${migrated} application(s)`
+  );
+  console.log('Pipeline stage migration completed.');
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Pipeline stage migration failed:', err);
+  process.exit(1);
+});
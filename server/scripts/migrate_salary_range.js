@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { Job } = require('../models');
+const { parseSalaryRange } = require('../utils/salary.utils');
+
+// Legacy ranges were validated as "$XXk - $XXXk", i.e. US dollars per year
+const LEGACY_DEFAULTS = { currency: 'USD', period: 'year' };
+
+const main = async () => {
+  await connectDB();
+
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  console.log('Searching for jobs with a legacy salaryRange string...');
+
+  // salaryRange is no longer part of the schema, so read it from the raw collection
+  const col = Job.collection;
+  const jobs = await col
+    .find({ salaryRange: { $type: 'string' } })
+    .project({ _id: 1, salaryRange: 1 })
+    .toArray();
+
+  console.log(`Found ${jobs.length} job(s) needing salary migration`);
+
+  let migrated = 0;
+  const skipped = [];
+
+  for (const job of jobs) {
+    const salary = parseSalaryRange(job.salaryRange, LEGACY_DEFAULTS);
+
+    if (!salary || salary.min <= 0) {
+      skipped.push(job);
+      console.log(`Skipped job ${job._id}: could not parse '${job.salaryRange}'`);
+      continue;
+    }
+
+    if (!dryRun) {
+      await col.updateOne(
+        { _id: job._id },
+        { $set: { salary }, $unset: { salaryRange: '' } }
+      );
+    }
+
+    migrated += 1;
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}Migrated job ${job._id}: '${job.salaryRange}' -> ${salary.currency} ${salary.min}-${salary.max}/${salary.period}`
+    );
+  }
+
+  console.log(
+    `Salary migration completed. Migrated: ${migrated}, skipped: ${skipped.length}.`
+  );
+  if (skipped.length > 0) {
+    console.log(
+      'Skipped jobs keep their salaryRange string; set their salary manually and re-run.'
+    );
+  }
+  process.exit(0);
+};
+
+main().catch((err) => {
+  console.error('Salary migration failed:', err);
+  process.exit(1);
+});
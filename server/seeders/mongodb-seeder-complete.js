@@ -17,6 +17,7 @@ const InterviewerRating = require('../models/interviewerrating');
 const Transaction = require('../models/transaction');
 
 const { generateRoomId, generateRemarks } = require('../utils/interview.utils');
+const { normalizeSalary } = require('../utils/salary.utils');
 
 const connectDB = async () => {
   try {
@@ -422,7 +423,12 @@ const seedJobs = async (users) => {
           'Yearly performance bonuses',
           'Paid time off and holidays',
         ],
-        salaryRange: `$${minSalary}k - $${maxSalary}k`,
+        salary: normalizeSalary({
+          min: minSalary * 1000,
+          max: maxSalary * 1000,
+          currency: 'USD',
+          period: 'year',
+        }),
         category,
         location,
         recruiterId: recruiter._id,
@@ -3,6 +3,7 @@ const {
   sendEmail,
   generateEmailTemplate,
 } = require('../utils/nodemailer.utils');
+const { getAssessmentKey } = require('../utils/category.utils');
 const crypto = require('crypto');
 
 /**
@@ -92,7 +93,9 @@ const createAssessmentForApplication = async (applicationId, timeLimit = 60) =>
     }
 
     // Generate questions
-    const questions = generateAssessmentQuestions(application.jobId?.category);
+    const questions = generateAssessmentQuestions(
+      await getAssessmentKey(application.jobId)
+    );
 
     // Set expiration time (default 7 days from now)
     const expiresAt = new Date();
@@ -0,0 +1,58 @@
+const { createLocalStorage } = require('./storage/local.storage');
+
+/**
+ * Files uploaded by users (e.g. application attachments) go through a storage
+ * driver chosen with `STORAGE_DRIVER`, so they can move to object storage
+ * without touching the controllers. A driver is an object with:
+ *
+ * - `save(key, buffer)` - Stores the file; fails if the key is taken.
+ * - `createReadStream(key)` - Resolves to a readable stream, or null when the file is gone.
+ * - `remove(key)` - Deletes the file; missing files are ignored.
+ */
+
+const STORAGE_DRIVERS = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+/**
+ * @desc Adds a storage driver that `STORAGE_DRIVER` can select.
+ *
+ * @param {string} name - The driver name.
+ * @param {Function} factory - Creates the driver.
+ *
+ * @returns {void}
+ */
+
+const registerStorageDriver = (name, factory) => {
+  STORAGE_DRIVERS[name] = factory;
+};
+
+/**
+ * @desc The configured storage driver, created on first use.
+ *
+ * @returns {Object} The storage driver.
+ */
+
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const factory = STORAGE_DRIVERS[driverName];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driverName}". Available drivers: ${Object.keys(STORAGE_DRIVERS).join(', ')}.`
+      );
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+};
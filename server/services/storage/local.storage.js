@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_STORAGE_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * @desc Stores files on the server's disk, under `LOCAL_STORAGE_DIR` (or
+ * `server/uploads`). Keys are relative paths inside that directory.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - The directory files are kept in.
+ *
+ * @returns {Object} A storage driver (see services/storage.service.js).
+ */
+
+const createLocalStorage = ({
+  root = process.env.LOCAL_STORAGE_DIR || DEFAULT_LOCAL_STORAGE_DIR,
+} = {}) => {
+  const rootDir = path.resolve(root);
+
+  // Keys are built by the server, but a key must never reach outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+};
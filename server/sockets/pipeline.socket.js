@@ -0,0 +1,143 @@
+const colors = require('colors');
+const mongoose = require('mongoose');
+
+const { Job } = require('../models');
+
+const {
+  protectSocket,
+  authorizeSocketRoles,
+} = require('../middlewares/auth.middleware');
+
+// Set once the socket server starts; stays null on serverless deployments,
+// where boards fall back to refetching
+let pipelineNamespace = null;
+
+const getJobRoom = (jobId) => `job:${jobId}`;
+
+const setupPipelineSocket = (io) => {
+  console.log('\n' + '='.repeat(86).cyan);
+  console.log(`📋 PIPELINE SOCKET INITIALIZATION`.bold.cyan);
+  console.log('='.repeat(86).cyan);
+  console.log(`🚀 Setting up pipeline socket...`.green);
+
+  pipelineNamespace = io.of('/pipeline');
+  console.log(`🌐 Pipeline namespace created: ${pipelineNamespace.name}`.green);
+
+  pipelineNamespace.use(protectSocket);
+  pipelineNamespace.use(authorizeSocketRoles('isRecruiter', 'isAdmin'));
+  console.log(`🔒 Socket authentication middleware applied`.green);
+
+  pipelineNamespace.on('connection', (socket) => {
+    console.log(
+      `👤 User connected to pipeline: ${socket.user.id} (Socket ID: ${socket.id})`
+        .green
+    );
+
+    // Watch a job's board
+    socket.on('join-job', async (jobId) => {
+      if (!mongoose.isValidObjectId(jobId)) {
+        socket.emit('error', {
+          success: false,
+          message: 'Invalid job ID provided',
+        });
+        return;
+      }
+
+      try {
+        const job = await Job.findById(jobId).select('recruiterId').lean();
+
+        if (!job) {
+          socket.emit('error', {
+            success: false,
+            message: 'Job posting not found',
+          });
+          return;
+        }
+
+        if (
+          !socket.user.isAdmin &&
+          job.recruiterId?.toString() !== socket.user.id.toString()
+        ) {
+          socket.emit('error', {
+            success: false,
+            message: 'You are not authorized to view this job pipeline',
+          });
+          return;
+        }
+
+        socket.join(getJobRoom(jobId));
+        socket.emit('job-joined', {
+          success: true,
+          message: 'Watching the job pipeline',
+          data: { jobId },
+        });
+      } catch (error) {
+        console.error(
+          `❌ Error joining pipeline of job ${jobId}: ${error.message}`.red
+        );
+        socket.emit('error', {
+          success: false,
+          message: 'Failed to watch the job pipeline',
+          error: error.message,
+        });
+      }
+    });
+
+    socket.on('leave-job', (jobId) => {
+      socket.leave(getJobRoom(jobId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log(
+        `👋 User disconnected from pipeline: ${socket.user.id} (Socket ID: ${socket.id})`
+          .red
+      );
+    });
+  });
+
+  console.log('-'.repeat(86).cyan);
+  console.log(`✅ Pipeline socket setup complete`.green.bold);
+  console.log('='.repeat(86).cyan);
+
+  return pipelineNamespace;
+};
+
+/**
+ * @desc Tells everyone watching a job's board that an application moved.
+ *
+ * @param {string} jobId - The job ID.
+ * @param {Object} data - The moved application's `applicationId`, `stage`, `status`, and who moved it.
+ *
+ * @returns {void}
+ */
+
+const emitApplicationMoved = (jobId, data) => {
+  pipelineNamespace?.to(getJobRoom(jobId)).emit('application-moved', {
+    success: true,
+    message: 'Application moved',
+    data: { jobId: String(jobId), ...data },
+  });
+};
+
+/**
+ * @desc Tells everyone watching a job's board to reload it, for changes that
+ * touch more than one card (new applications, AI shortlisting, pipeline edits).
+ *
+ * @param {string} jobId - The job ID.
+ *
+ * @returns {void}
+ */
+
+const emitBoardChanged = (jobId) => {
+  pipelineNamespace?.to(getJobRoom(jobId)).emit('board-changed', {
+    success: true,
+    message: 'Job pipeline changed',
+    data: { jobId: String(jobId) },
+  });
+};
+
+module.exports = {
+  setupPipelineSocket,
+  emitApplicationMoved,
+  emitBoardChanged,
+};
@@ -0,0 +1,79 @@
+const { after, before, beforeEach, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { authHeaders, fakeQuery, startServer } = require('./helpers');
+
+const { Application, Job, User } = require('../models');
+const applicationRoutes = require('../routes/application.routes');
+
+const recruiter = new User({
+  firstName: 'Rida',
+  lastName: 'Recruiter',
+  email: 'rida@example.com',
+  isRecruiter: true,
+});
+const candidate = new User({
+  firstName: 'Cyrus',
+  lastName: 'Candidate',
+  email: 'cyrus@example.com',
+  isCandidate: true,
+});
+
+const job = new Job({ title: 'Backend Engineer', recruiterId: recruiter });
+
+let application;
+let updateFilters;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(User, 'findById', (id) => ({
+    select: async () =>
+      [recruiter, candidate].find((user) => user.id === String(id)) || null,
+  }));
+  mock.method(Application, 'findById', () => fakeQuery(application));
+  // Someone else moved or withdrew the application first
+  mock.method(Application, 'findOneAndUpdate', (filter) => {
+    updateFilters.push(filter);
+    return fakeQuery(null);
+  });
+
+  ({ server, baseUrl } = await startServer(
+    '/api/v1/applications',
+    applicationRoutes
+  ));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+beforeEach(() => {
+  application = new Application({
+    jobId: job,
+    candidateId: candidate,
+    status: 'applied',
+    stage: 'applied',
+  });
+  updateFilters = [];
+});
+
+describe('PATCH /api/v1/applications/:id', () => {
+  it('only moves the application from the stage it was read in', async () => {
+    const response = await fetch(`${baseUrl}/${application.id}`, {
+      method: 'PATCH',
+      headers: {
+        ...authHeaders(recruiter),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ stage: 'shortlisted' }),
+    });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(updateFilters, [
+      { _id: application._id, stage: 'applied', status: 'applied' },
+    ]);
+  });
+});
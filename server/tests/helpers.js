@@ -0,0 +1,45 @@
+const express = require('express');
+const cron = require('node-cron');
+
+process.env.JWT_ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+// The controllers schedule their sweeps when loaded; keep them from running
+cron.schedule = () => ({ stop() {} });
+
+const { errorHandler } = require('../middlewares/error.middleware');
+
+// Stands in for a Mongoose query: chainable, and resolves to `docs`
+const fakeQuery = (docs) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+  };
+  ['select', 'sort', 'skip', 'limit', 'populate', 'lean'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Serves `router` at `path` on a free port; resolves to `{ server, baseUrl }`
+const startServer = async (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}${path}`,
+  };
+};
+
+const authHeaders = (user) =>
+  user ? { Authorization: `Bearer ${user.generateAccessToken()}` } : {};
+
+module.exports = {
+  fakeQuery,
+  startServer,
+  authHeaders,
+};
@@ -0,0 +1,174 @@
+const { after, before, beforeEach, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sift = require('sift').default;
+
+const { authHeaders, fakeQuery, startServer } = require('./helpers');
+
+const { Job, Resume, User } = require('../models');
+const jobRoutes = require('../routes/job.routes');
+const {
+  buildCityPoint,
+  buildLocationsGeo,
+  getDistanceKm,
+} = require('../utils/geo.utils');
+
+const EARTH_RADIUS_KM = 6371;
+
+const recruiter = new User({
+  firstName: 'Rida',
+  lastName: 'Recruiter',
+  email: 'rida@example.com',
+  isRecruiter: true,
+});
+const candidate = new User({
+  firstName: 'Cyrus',
+  lastName: 'Candidate',
+  email: 'cyrus@example.com',
+  isCandidate: true,
+});
+const users = [recruiter, candidate];
+
+const buildJob = (fields) =>
+  new Job({
+    description: 'A role on a small team shipping the product every week.',
+    company: 'Acme',
+    category: 'Engineering',
+    recruiterId: recruiter._id,
+    isClosed: false,
+    status: 'published',
+    locations: ['Lahore'],
+    ...fields,
+  });
+
+let jobs = [];
+let candidateProfile = null;
+
+// Runs the list filter against the in-memory jobs. Radius filters are
+// measured with getDistanceKm, which sift doesn't know about.
+const findJobs = ({ geo, ...filter }) =>
+  jobs.filter((job) => {
+    const plainJob = JSON.parse(JSON.stringify(job.toObject()));
+    if (!sift(filter)(plainJob)) return false;
+    if (!geo?.$geoWithin) return true;
+
+    const [coordinates, radius] = geo.$geoWithin.$centerSphere;
+    const distanceKm = getDistanceKm({ type: 'Point', coordinates }, job.geo);
+    return distanceKm !== null && distanceKm <= radius * EARTH_RADIUS_KM;
+  });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(User, 'findById', (id) => ({
+    select: async () => users.find((user) => user.id === String(id)) || null,
+  }));
+  mock.method(Job, 'find', (filter) => fakeQuery(findJobs(filter)));
+  mock.method(Job, 'findById', (id) =>
+    fakeQuery(jobs.find((job) => job.id === String(id)) || null)
+  );
+  mock.method(Job, 'aggregate', async () => []);
+  mock.method(Resume, 'findOne', () => fakeQuery(candidateProfile));
+
+  ({ server, baseUrl } = await startServer('/api/v1/jobs', jobRoutes));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+beforeEach(() => {
+  jobs = [];
+  candidateProfile = null;
+});
+
+const getJobs = async (query, user) => {
+  const response = await fetch(`${baseUrl}?${new URLSearchParams(query)}`, {
+    headers: authHeaders(user),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('GET /api/v1/jobs', () => {
+  it("lists a recruiter's drafts under ?status=draft", async () => {
+    const draft = buildJob({ title: 'Draft Engineer', status: 'draft' });
+    jobs = [draft, buildJob({ title: 'Live Engineer' })];
+
+    const { status, body } = await getJobs({ status: 'draft' }, recruiter);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.jobs.map((job) => job._id),
+      [draft.id]
+    );
+  });
+
+  it('keeps drafts out of the anonymous listing', async () => {
+    const live = buildJob({ title: 'Live Engineer' });
+    jobs = [buildJob({ title: 'Draft Engineer', status: 'draft' }), live];
+
+    const { status, body } = await getJobs({ status: 'draft' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.jobs.map((job) => job._id),
+      [live.id]
+    );
+  });
+
+  it('shows a recruiter the knockout rules of their jobs', async () => {
+    jobs = [
+      buildJob({
+        title: 'Screened Engineer',
+        screeningQuestions: [
+          {
+            question: 'Years of experience?',
+            type: 'number',
+            knockout: { enabled: true, min: 2 },
+          },
+        ],
+      }),
+    ];
+
+    const { body: recruiterBody } = await getJobs({}, recruiter);
+    const { body: publicBody } = await getJobs({});
+
+    assert.equal(recruiterBody.jobs[0].screeningQuestions[0].knockout.min, 2);
+    assert.equal(publicBody.jobs[0].screeningQuestions[0].knockout, undefined);
+  });
+
+  it('rejects an invalid token instead of treating it as anonymous', async () => {
+    const response = await fetch(baseUrl, {
+      headers: { Authorization: 'Bearer not-a-token' },
+    });
+
+    assert.equal(response.status, 401);
+  });
+
+  it("measures a candidate's radius search from their profile city", async () => {
+    candidateProfile = { geo: buildCityPoint('Lahore') };
+    const nearby = buildJob({
+      title: 'Lahore Engineer',
+      geo: buildLocationsGeo(['Lahore']),
+    });
+    jobs = [
+      nearby,
+      buildJob({
+        title: 'Karachi Engineer',
+        locations: ['Karachi'],
+        geo: buildLocationsGeo(['Karachi']),
+      }),
+    ];
+
+    const { status, body } = await getJobs({ radius: '50' }, candidate);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.jobs.map((job) => job._id),
+      [nearby.id]
+    );
+    assert.equal(body.jobs[0].distanceKm, 0);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Job } = require('../models');
+const { normalizeScreeningQuestions } = require('../utils/screening.utils');
+
+const res = { status() {} };
+
+const { screeningQuestions: storedQuestions } = new Job({
+  screeningQuestions: [
+    {
+      question: 'Which shift can you work?',
+      type: 'single_choice',
+      options: ['Day', 'Night'],
+      knockout: { enabled: true, acceptedOptions: ['Day'] },
+    },
+    {
+      question: 'Years of experience?',
+      type: 'number',
+      knockout: { enabled: true, min: 2 },
+    },
+  ],
+});
+const [shiftQuestion, experienceQuestion] = storedQuestions;
+
+describe('normalizeScreeningQuestions', () => {
+  it('keeps the stored rule of a question sent back without one', () => {
+    const [question] = normalizeScreeningQuestions(
+      res,
+      [
+        {
+          _id: experienceQuestion.id,
+          question: 'Years of experience?',
+          type: 'number',
+        },
+      ],
+      storedQuestions
+    );
+
+    assert.equal(question.knockout.enabled, true);
+    assert.equal(question.knockout.min, 2);
+    assert.equal(question.isRequired, true);
+  });
+
+  it('drops removed choices from a kept rule', () => {
+    const [question] = normalizeScreeningQuestions(
+      res,
+      [
+        {
+          _id: shiftQuestion.id,
+          question: 'Which shift can you work?',
+          type: 'single_choice',
+          options: ['Night', 'Weekend'],
+        },
+      ],
+      storedQuestions
+    );
+
+    assert.deepEqual(question.knockout, { enabled: false });
+  });
+
+  it('turns a rule off when the question sends it disabled', () => {
+    const [question] = normalizeScreeningQuestions(
+      res,
+      [
+        {
+          _id: experienceQuestion.id,
+          question: 'Years of experience?',
+          type: 'number',
+          knockout: { enabled: false },
+        },
+      ],
+      storedQuestions
+    );
+
+    assert.deepEqual(question.knockout, { enabled: false });
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTE_MENTIONS = 10;
+const MAX_APPLICATION_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tags are compared case-insensitively, so they're stored lowercased
+const normalizeTag = (tag) =>
+  String(tag ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+/**
+ * @desc Validates the tags of an application.
+ *
+ * @param {Object} res - The response object.
+ * @param {string[]} tags - The tags, in any case.
+ *
+ * @returns {string[]} The normalized tags, without duplicates.
+ */
+
+const parseApplicationTags = (res, tags) => {
+  if (!Array.isArray(tags)) {
+    badRequest(res, 'Please provide the tags as a list.');
+  }
+
+  const uniqueTags = [];
+  tags.forEach((tag) => {
+    if (typeof tag !== 'string') {
+      badRequest(res, 'Tags should be text.');
+    }
+    const normalized = normalizeTag(tag);
+    if (!normalized || normalized.length > MAX_TAG_LENGTH) {
+      badRequest(
+        res,
+        `Tags should be between 1 and ${MAX_TAG_LENGTH} characters.`
+      );
+    }
+    if (!uniqueTags.includes(normalized)) uniqueTags.push(normalized);
+  });
+
+  if (uniqueTags.length > MAX_APPLICATION_TAGS) {
+    badRequest(
+      res,
+      `An application can have at most ${MAX_APPLICATION_TAGS} tags.`
+    );
+  }
+
+  return uniqueTags;
+};
+
+/**
+ * @desc Reads the `tags` filter of an application list, given as a comma
+ * separated string or repeated query parameters.
+ *
+ * @param {string|string[]} value - The query value.
+ *
+ * @returns {string[]} The normalized tags; empty when not filtering.
+ */
+
+const parseTagFilter = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const tags = values
+    .filter((item) => typeof item === 'string')
+    .flatMap((item) => item.split(','))
+    .map(normalizeTag)
+    .filter(Boolean);
+
+  return [...new Set(tags)];
+};
+
+/**
+ * @desc Builds the case-insensitive match of a note search.
+ *
+ * @param {string} search - The text to look for in note bodies.
+ *
+ * @returns {Object} A `$regex` condition for the note `body`.
+ */
+
+const buildNoteSearchFilter = (search) => ({
+  $regex: escapeRegex(search.trim()),
+  $options: 'i',
+});
+
+/**
+ * @desc Validates the users mentioned in a note against the job's hiring team.
+ *
+ * @param {Object} res - The response object.
+ * @param {string[]} [mentions] - IDs of the mentioned users.
+ * @param {Object[]} team - The hiring team (see getHiringTeam).
+ * @param {string} authorId - The note's author, who isn't notified of their own note.
+ *
+ * @returns {Object[]} The mentioned team members, without duplicates.
+ */
+
+const resolveMentions = (res, mentions, team, authorId) => {
+  if (mentions === undefined || mentions === null) return [];
+
+  if (!Array.isArray(mentions)) {
+    badRequest(res, 'Please provide the mentioned users as a list.');
+  }
+
+  const uniqueIds = [...new Set(mentions.map(String))];
+  if (uniqueIds.length > MAX_NOTE_MENTIONS) {
+    badRequest(res, `A note can mention at most ${MAX_NOTE_MENTIONS} people.`);
+  }
+
+  return uniqueIds
+    .map((id) => {
+      const member =
+        mongoose.isValidObjectId(id) &&
+        team.find((teamMember) => teamMember._id.toString() === id);
+      if (!member) {
+        badRequest(
+          res,
+          'You can only mention the recruiter and interviewers of this job.'
+        );
+      }
+      return member;
+    })
+    .filter((member) => member._id.toString() !== authorId.toString());
+};
+
+module.exports = {
+  MAX_APPLICATION_TAGS,
+  MAX_NOTE_LENGTH,
+  MAX_NOTE_MENTIONS,
+  MAX_TAG_LENGTH,
+  buildNoteSearchFilter,
+  normalizeTag,
+  parseApplicationTags,
+  parseTagFilter,
+  resolveMentions,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const path = require('path');
+const { StatusCodes } = require('http-status-codes');
+
+const { getStorage } = require('../services/storage.service');
+
+const MAX_COVER_LETTER_LENGTH = 5000;
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+// Accepted attachment types. The declared type must match the file's leading
+// bytes, so a renamed executable can't pass as a PDF.
+const ATTACHMENT_TYPES = {
+  'application/pdf': {
+    extension: '.pdf',
+    signatures: [[0x25, 0x50, 0x44, 0x46, 0x2d]],
+  },
+  'image/png': {
+    extension: '.png',
+    signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  },
+  'image/jpeg': {
+    extension: '.jpg',
+    signatures: [[0xff, 0xd8, 0xff]],
+  },
+  'application/msword': {
+    extension: '.doc',
+    signatures: [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]],
+  },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: '.docx',
+    signatures: [[0x50, 0x4b, 0x03, 0x04]],
+  },
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+const matchesSignature = (buffer, signatures) =>
+  signatures.some((signature) =>
+    signature.every((byte, index) => buffer[index] === byte)
+  );
+
+const sanitizeFileName = (name) =>
+  path
+    .basename(name)
+    .replace(/[^\w.\- ]+/g, '_')
+    .trim()
+    .slice(0, 100) || 'attachment';
+
+/**
+ * @desc Validates the files a candidate attaches to an application. Each file
+ * is sent as `{ name, contentType, data }` with `data` base64 encoded (a data
+ * URL prefix is accepted).
+ *
+ * @param {Object} res - The response object.
+ * @param {Object[]} [attachments] - The attachments input.
+ *
+ * @returns {Object[]} `{ name, contentType, size, buffer }` per file.
+ */
+
+const parseAttachments = (res, attachments) => {
+  if (attachments === undefined || attachments === null) return [];
+
+  if (!Array.isArray(attachments)) {
+    badRequest(res, 'Attachments must be a list of files.');
+  }
+
+  if (attachments.length > MAX_ATTACHMENTS) {
+    badRequest(res, `You can attach at most ${MAX_ATTACHMENTS} files.`);
+  }
+
+  return attachments.map((attachment, index) => {
+    const name =
+      typeof attachment?.name === 'string' ? attachment.name.trim() : '';
+    if (!name) {
+      badRequest(res, `Attachment ${index + 1} is missing a file name.`);
+    }
+
+    const type = ATTACHMENT_TYPES[attachment.contentType];
+    if (!type) {
+      badRequest(
+        res,
+        `"${name}" is not a supported file type. Please attach a PDF, Word document, PNG or JPEG.`
+      );
+    }
+
+    const data =
+      typeof attachment.data === 'string'
+        ? attachment.data.replace(/^data:[^;,]*;base64,/, '')
+        : '';
+    if (!data || !BASE64_PATTERN.test(data)) {
+      badRequest(res, `"${name}" could not be read. Please attach it again.`);
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+      badRequest(res, `"${name}" is empty.`);
+    }
+    if (buffer.length > MAX_ATTACHMENT_SIZE) {
+      badRequest(
+        res,
+        `"${name}" is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB.`
+      );
+    }
+    if (!matchesSignature(buffer, type.signatures)) {
+      badRequest(
+        res,
+        `"${name}" does not look like a ${type.extension.slice(1).toUpperCase()} file.`
+      );
+    }
+
+    return {
+      name: sanitizeFileName(name),
+      contentType: attachment.contentType,
+      size: buffer.length,
+      buffer,
+    };
+  });
+};
+
+/**
+ * @desc Deletes stored attachment files. Failures are logged so a missing file
+ * never blocks the caller.
+ *
+ * @param {Object[]} attachments - Attachments with a `storageKey`.
+ *
+ * @returns {Promise<void>}
+ */
+
+const removeStoredAttachments = async (attachments) => {
+  await Promise.all(
+    attachments.map(async ({ storageKey }) => {
+      try {
+        await getStorage().remove(storageKey);
+      } catch (error) {
+        console.error(
+          `Failed to remove stored attachment ${storageKey}:`,
+          error.message
+        );
+      }
+    })
+  );
+};
+
+/**
+ * @desc Saves parsed attachments for an application. If any file fails, the
+ * ones already saved are removed.
+ *
+ * @param {Object[]} files - The output of `parseAttachments`.
+ * @param {string} applicationId - The application the files belong to.
+ *
+ * @returns {Promise<Object[]>} Attachment metadata as stored on the Application model.
+ */
+
+const storeAttachments = async (files, applicationId) => {
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const storageKey = `applications/${applicationId}/${crypto.randomUUID()}${
+        ATTACHMENT_TYPES[file.contentType].extension
+      }`;
+      await getStorage().save(storageKey, file.buffer);
+      stored.push({
+        name: file.name,
+        contentType: file.contentType,
+        size: file.size,
+        storageKey,
+      });
+    }
+  } catch (error) {
+    await removeStoredAttachments(stored);
+    throw error;
+  }
+
+  return stored;
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE,
+  MAX_COVER_LETTER_LENGTH,
+  parseAttachments,
+  storeAttachments,
+  removeStoredAttachments,
+};
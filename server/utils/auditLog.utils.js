@@ -0,0 +1,34 @@
+const { AuditLog } = require('../models');
+
+/**
+ * @desc Records an action a user took through the API. Auditing is
+ * best-effort: a failed write is logged and never fails the request.
+ *
+ * @param {Object} req - The request object of the authenticated user.
+ * @param {string} action - What happened, e.g. `job_approved`.
+ * @param {Object} [details] - Extra context to store with the entry.
+ *
+ * @returns {Promise<Object|null>} The audit entry, or null when it could not be saved.
+ */
+
+const recordAuditLog = async (req, action, details) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actorId: req.user.id,
+      actorType: 'user',
+      route: req.originalUrl || req.url,
+      method: req.method,
+      ip: req.ip || req.headers['x-forwarded-for'] || null,
+      userAgent: req.headers['user-agent'] || null,
+      details,
+    });
+  } catch (error) {
+    console.warn(`AuditLog create failed for ${action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAuditLog,
+};
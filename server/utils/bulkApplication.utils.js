@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const { MAX_TRANSITION_REASON_LENGTH } = require('./pipeline.utils');
+const { validateString } = require('./validation.utils');
+const { escapeEmailText } = require('./nodemailer.utils');
+
+const MAX_BULK_APPLICATIONS = 100;
+
+// What a bulk request can do to each selected application. `shortlist` and
+// `reject` move it to the first allowed next stage with that status.
+const BULK_APPLICATION_ACTIONS = {
+  shortlist: { status: 'shortlisted' },
+  reject: { status: 'rejected' },
+  move: {},
+  email: {},
+};
+
+// Placeholders recruiters can use in a bulk email's subject and message
+const EMAIL_PLACEHOLDERS = ['firstName', 'lastName', 'jobTitle', 'company'];
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+/**
+ * @desc Validates a bulk application request.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body: `applicationIds`, `action` and the
+ * action's options (`stage`, `reason`, `email: { subject, message }`).
+ *
+ * @returns {Object} `{ applicationIds, action, stageKey, status, reason, email }`,
+ * with duplicate IDs removed.
+ */
+
+const parseBulkApplicationRequest = (res, body = {}) => {
+  const { applicationIds, action, stage, reason, email } = body;
+
+  if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+    badRequest(res, 'Please select at least one application.');
+  }
+
+  const uniqueIds = [...new Set(applicationIds.map(String))];
+  if (uniqueIds.length > MAX_BULK_APPLICATIONS) {
+    badRequest(
+      res,
+      `You can update at most ${MAX_BULK_APPLICATIONS} applications at once.`
+    );
+  }
+
+  const invalidId = uniqueIds.find((id) => !mongoose.isValidObjectId(id));
+  if (invalidId) {
+    badRequest(res, `"${invalidId}" is not a valid application ID.`);
+  }
+
+  if (!Object.hasOwn(BULK_APPLICATION_ACTIONS, action)) {
+    badRequest(
+      res,
+      `Action should be one of: ${Object.keys(BULK_APPLICATION_ACTIONS).join(', ')}.`
+    );
+  }
+
+  const request = {
+    applicationIds: uniqueIds,
+    action,
+    status: BULK_APPLICATION_ACTIONS[action].status,
+  };
+
+  if (action === 'move') {
+    if (typeof stage !== 'string' || !stage.trim()) {
+      badRequest(res, 'Please choose the stage to move the applications to.');
+    }
+    request.stageKey = stage.trim();
+  }
+
+  if (action === 'email') {
+    request.email = {
+      subject: validateString(res, email?.subject, 'Subject', 2, 150),
+      message: validateString(res, email?.message, 'Message', 10, 5000),
+    };
+  } else if (typeof reason === 'string' && reason.trim()) {
+    request.reason = validateString(
+      res,
+      reason,
+      'Reason',
+      2,
+      MAX_TRANSITION_REASON_LENGTH
+    );
+  }
+
+  return request;
+};
+
+/**
+ * @desc Fills the `{{placeholder}}` slots of a bulk email. When `isHtml` is
+ * set, the template and values are escaped with `escapeEmailText`.
+ *
+ * @param {string} template - The subject or message.
+ * @param {Object} values - A value for each of `EMAIL_PLACEHOLDERS`.
+ * @param {Object} [options]
+ * @param {boolean} [options.isHtml] - Escape the template and keep its line breaks.
+ *
+ * @returns {string}
+ */
+
+const renderBulkEmail = (template, values, { isHtml = false } = {}) => {
+  const text = isHtml ? escapeEmailText(template) : template;
+  return text.replace(/{{\s*(\w+)\s*}}/g, (placeholder, key) =>
+    EMAIL_PLACEHOLDERS.includes(key)
+      ? isHtml
+        ? escapeEmailText(values[key])
+        : String(values[key] ?? '')
+      : placeholder
+  );
+};
+
+module.exports = {
+  BULK_APPLICATION_ACTIONS,
+  EMAIL_PLACEHOLDERS,
+  MAX_BULK_APPLICATIONS,
+  parseBulkApplicationRequest,
+  renderBulkEmail,
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const { Category } = require('../models');
+
+const DEFAULT_ASSESSMENT_KEY = 'general';
+
+// The categories jobs used before the taxonomy became admin-managed
+const DEFAULT_CATEGORIES = [
+  { name: 'IT', assessmentKey: 'it' },
+  { name: 'Engineering', assessmentKey: 'engineering' },
+  { name: 'Sales', assessmentKey: 'sales' },
+  { name: 'Marketing', assessmentKey: 'marketing' },
+  { name: 'Finance', assessmentKey: 'finance' },
+  { name: 'Other', assessmentKey: DEFAULT_ASSESSMENT_KEY },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const slugifyCategory = (name) =>
+  String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * @desc Finds a category by ID or by name (case-insensitive).
+ *
+ * @param {string} value - The category ID or name.
+ *
+ * @returns {Promise<Object|null>} The category, or null.
+ */
+
+const findCategory = (value) => {
+  if (!value) return Promise.resolve(null);
+  if (mongoose.isValidObjectId(value) && /^[a-f0-9]{24}$/i.test(value)) {
+    return Category.findById(value);
+  }
+  return Category.findOne({ slug: slugifyCategory(value) });
+};
+
+/**
+ * @desc Resolves the category picked for a job. New picks must be active (and
+ * so must their parent); a job may keep a category that has since been deactivated.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} value - The category ID or name from the request.
+ * @param {Object} [currentJob] - The job being updated, if any.
+ *
+ * @returns {Promise<Object>} The `category` name and `categoryId` to persist.
+ */
+
+const resolveJobCategory = async (res, value, currentJob) => {
+  const category = await findCategory(value);
+  const parent = category?.parent
+    ? await Category.findById(category.parent).select('isActive').lean()
+    : null;
+  const isActive = Boolean(category?.isActive) && parent?.isActive !== false;
+
+  const isCurrent =
+    category &&
+    currentJob &&
+    (String(currentJob.categoryId) === String(category._id) ||
+      currentJob.category === category.name);
+
+  if (!category || (!isActive && !isCurrent)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please choose one of the available job categories.');
+  }
+
+  return { category: category.name, categoryId: category._id };
+};
+
+/**
+ * @desc Builds the `Job.category` condition for a category filter. A known
+ * category also matches its sub-categories; unknown text falls back to a
+ * partial name match.
+ *
+ * @param {string} value - The category ID or name to filter by.
+ *
+ * @returns {Promise<Object>} The condition for the `category` field.
+ */
+
+const buildCategoryFilter = async (value) => {
+  const category = await findCategory(String(value).trim());
+
+  if (!category) {
+    return { $regex: escapeRegex(String(value).trim()), $options: 'i' };
+  }
+
+  const children = await Category.find({ parent: category._id })
+    .select('name')
+    .lean();
+
+  return { $in: [category.name, ...children.map((child) => child.name)] };
+};
+
+/**
+ * @desc Looks up the pre-assessment question bank for a job from its category,
+ * falling back to the parent category and then the general bank.
+ *
+ * @param {Object} job - The job (document or plain object).
+ *
+ * @returns {Promise<string>} The assessment key.
+ */
+
+const getAssessmentKey = async (job) => {
+  const category = await findCategory(
+    job?.categoryId ? String(job.categoryId) : job?.category
+  );
+
+  if (!category) return DEFAULT_ASSESSMENT_KEY;
+  if (category.assessmentKey) return category.assessmentKey;
+
+  const parent = category.parent
+    ? await Category.findById(category.parent).select('assessmentKey').lean()
+    : null;
+
+  return parent?.assessmentKey || DEFAULT_ASSESSMENT_KEY;
+};
+
+module.exports = {
+  DEFAULT_ASSESSMENT_KEY,
+  DEFAULT_CATEGORIES,
+  slugifyCategory,
+  findCategory,
+  resolveJobCategory,
+  buildCategoryFilter,
+  getAssessmentKey,
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const { Company } = require('../models');
+
+const { validateString } = require('./validation.utils');
+
+// Trailing words that don't tell two employers apart ("Acme Pvt Ltd" is "Acme")
+const LEGAL_SUFFIXES = new Set([
+  'co',
+  'company',
+  'corp',
+  'corporation',
+  'gmbh',
+  'inc',
+  'incorporated',
+  'limited',
+  'llc',
+  'llp',
+  'ltd',
+  'plc',
+  'private',
+  'pvt',
+  'smc',
+]);
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * @desc Builds the slug that identifies a company. Case, punctuation and legal
+ * suffixes are ignored, so different spellings of one employer share a slug.
+ *
+ * @param {string} name - The company name.
+ *
+ * @returns {string} The slug, or an empty string when the name has no letters or numbers.
+ */
+
+const slugifyCompany = (name) => {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join('-');
+};
+
+/**
+ * @desc Finds a company by ID or by name.
+ *
+ * @param {string} value - The company ID or name.
+ * @param {string} [fields] - The fields to select, e.g. `-owners`.
+ *
+ * @returns {Promise<Object|null>} The company, or null.
+ */
+
+const findCompany = (value, fields) => {
+  if (!value) return Promise.resolve(null);
+  const query =
+    mongoose.isValidObjectId(value) && /^[a-f0-9]{24}$/i.test(value)
+      ? Company.findById(value)
+      : Company.findOne({ slug: slugifyCompany(value) });
+  return fields ? query.select(fields) : query;
+};
+
+/**
+ * @desc Resolves the company a job is posted for, from `companyId` or a
+ * `company` name. Recruiters can only post for companies they own; a name no
+ * company uses yet is accepted and the company is created with the job (see
+ * `createJobCompany`).
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body with `companyId` and/or `company`.
+ * @param {Object} user - The user posting or editing the job.
+ * @param {Object} [currentJob] - The job being updated, if any.
+ *
+ * @returns {Promise<Object>} The `company` name and `companyId` (null for a new company).
+ */
+
+const resolveJobCompany = async (res, body, user, currentJob) => {
+  const { companyId } = body;
+
+  if (companyId && !mongoose.isValidObjectId(companyId)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please choose one of your companies.');
+  }
+
+  const name = companyId
+    ? null
+    : validateString(res, body.company, 'Company', 2, 100);
+  const company = await findCompany(companyId || name);
+
+  if (!company) {
+    if (companyId || !slugifyCompany(name)) {
+      res.status(StatusCodes.BAD_REQUEST);
+      throw new Error('Please choose one of your companies.');
+    }
+    return { company: name, companyId: null };
+  }
+
+  const isCurrent =
+    currentJob && String(currentJob.companyId) === String(company._id);
+
+  if (!isCurrent && !user.isAdmin && !company.isOwnedBy(user.id)) {
+    res.status(StatusCodes.FORBIDDEN);
+    throw new Error(
+      `${company.name} is managed by other recruiters. Ask one of them to add you as an owner.`
+    );
+  }
+
+  return { company: company.name, companyId: company._id };
+};
+
+/**
+ * @desc Creates the company for a job posted under a new company name, with
+ * the recruiter as its owner.
+ *
+ * @param {Object} jobData - The validated job data from `resolveJobCompany`.
+ * @param {string} recruiterId - The recruiter who owns the job.
+ * @param {Object[]} [createdCompanyIds] - Collects the ID of the company when
+ * this call creates it, so a batch of jobs can be rolled back.
+ *
+ * @returns {Promise<Object>} The `company` name and `companyId` to persist.
+ */
+
+const createJobCompany = async (jobData, recruiterId, createdCompanyIds) => {
+  if (jobData.companyId) {
+    return { company: jobData.company, companyId: jobData.companyId };
+  }
+
+  const slug = slugifyCompany(jobData.company);
+  let company;
+
+  try {
+    company = await Company.create({
+      name: jobData.company,
+      slug,
+      owners: [recruiterId],
+    });
+    createdCompanyIds?.push(company._id);
+  } catch (error) {
+    // Another job (e.g. an earlier row of the same import) created it first
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    company = await Company.findOne({ slug });
+  }
+
+  return { company: company.name, companyId: company._id };
+};
+
+module.exports = {
+  slugifyCompany,
+  findCompany,
+  resolveJobCompany,
+  createJobCompany,
+};
@@ -0,0 +1,138 @@
+const { StatusCodes } = require('http-status-codes');
+
+const PAKISTAN_CITIES = require('../data/pakistanCities.json');
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 1000;
+
+const normalize = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+const CITIES_BY_NAME = new Map(
+  PAKISTAN_CITIES.map((city) => [normalize(city.name), city])
+);
+
+/**
+ * @desc Looks up a city from the gazetteer shared with the client's location
+ * picker (client/src/data/pakistanCities.json).
+ *
+ * @param {string} name - The city name (case-insensitive).
+ *
+ * @returns {Object|null} `{ name, coordinates }` with `[lng, lat]` coordinates, or null.
+ */
+
+const findCity = (name) => {
+  const city = CITIES_BY_NAME.get(normalize(name));
+  return city ? { name: city.name, coordinates: [city.lng, city.lat] } : null;
+};
+
+/**
+ * @desc Builds the GeoJSON point stored on a candidate profile for their city.
+ *
+ * @param {string} name - The city name.
+ *
+ * @returns {Object|null} A GeoJSON Point, or null for an unknown city.
+ */
+
+const buildCityPoint = (name) => {
+  const city = findCity(name);
+  return city ? { type: 'Point', coordinates: city.coordinates } : null;
+};
+
+/**
+ * @desc Builds the GeoJSON stored on a job for its cities. Cities missing from
+ * the gazetteer are skipped, so remote jobs and unknown cities have no coordinates.
+ *
+ * @param {string[]} locations - The job's cities.
+ *
+ * @returns {Object|null} A GeoJSON MultiPoint, or null when no city is known.
+ */
+
+const buildLocationsGeo = (locations = []) => {
+  const coordinates = locations
+    .map(findCity)
+    .filter(Boolean)
+    .map((city) => city.coordinates);
+
+  return coordinates.length > 0 ? { type: 'MultiPoint', coordinates } : null;
+};
+
+/**
+ * @desc Reads a search radius in kilometres from the query string.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} radius - The requested radius.
+ *
+ * @returns {number} The radius in kilometres.
+ */
+
+const parseRadius = (res, radius) => {
+  const value = Number(radius);
+
+  if (!Number.isFinite(value) || value < 1 || value > MAX_RADIUS_KM) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Radius must be a number of kilometres between 1 and ${MAX_RADIUS_KM}.`
+    );
+  }
+
+  return value;
+};
+
+/**
+ * @desc Builds the condition matching geometries with a point within `radiusKm`
+ * of `point`.
+ *
+ * @param {Object} point - A GeoJSON Point.
+ * @param {number} radiusKm - The radius in kilometres.
+ *
+ * @returns {Object} A `$geoWithin` condition.
+ */
+
+const buildWithinFilter = (point, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM],
+  },
+});
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * @desc Great-circle distance from a point to the nearest point of a geometry.
+ *
+ * @param {Object} point - A GeoJSON Point.
+ * @param {Object} geo - A GeoJSON Point or MultiPoint.
+ *
+ * @returns {number|null} The distance in kilometres (one decimal), or null
+ * when the geometry has no coordinates.
+ */
+
+const getDistanceKm = (point, geo) => {
+  if (!point || !geo?.coordinates?.length) return null;
+
+  const [lng1, lat1] = point.coordinates;
+  const targets = geo.type === 'Point' ? [geo.coordinates] : geo.coordinates;
+
+  const distances = targets.map(([lng2, lat2]) => {
+    const a =
+      Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+      Math.cos(toRadians(lat1)) *
+        Math.cos(toRadians(lat2)) *
+        Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  });
+
+  return Math.round(Math.min(...distances) * 10) / 10;
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  findCity,
+  buildCityPoint,
+  buildLocationsGeo,
+  parseRadius,
+  buildWithinFilter,
+  getDistanceKm,
+};
@@ -0,0 +1,93 @@
+const { JobEvent } = require('../models');
+
+// Events the browser reports; completed applications are recorded by the server
+const TRACKED_EVENT_TYPES = ['view', 'apply_click'];
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const UTM_FIELDS = ['source', 'medium', 'campaign'];
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * @desc Cleans the campaign parameters sent with an event. Source and medium
+ * are lowercased so "LinkedIn" and "linkedin" are reported together.
+ *
+ * @param {Object} utm - `{ source, medium, campaign }` from the request.
+ *
+ * @returns {Object|undefined} The parameters, or undefined when none are set.
+ */
+
+const normalizeUtm = (utm) => {
+  if (!utm || typeof utm !== 'object') return undefined;
+
+  const normalized = {};
+  UTM_FIELDS.forEach((field) => {
+    const value =
+      typeof utm[field] === 'string' ? utm[field].trim().slice(0, 100) : '';
+    if (value) {
+      normalized[field] = field === 'campaign' ? value : value.toLowerCase();
+    }
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : undefined;
+};
+
+/**
+ * @desc Stores a job event. A repeat of an event already recorded for the
+ * session is ignored.
+ *
+ * @param {Object} event - `{ jobId, type, sessionId, userId, utm }`.
+ *
+ * @returns {Promise<boolean>} Whether the event was new.
+ */
+
+const recordJobEvent = async (event) => {
+  try {
+    await JobEvent.create(event);
+    return true;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) return false;
+    throw error;
+  }
+};
+
+/**
+ * @desc Records a completed application, crediting it to the campaign that
+ * brought the candidate's session to the job. Failures are logged rather than
+ * thrown so they never fail the application itself.
+ *
+ * @param {Object} application - `{ jobId, userId, sessionId }`.
+ *
+ * @returns {Promise<void>}
+ */
+
+const recordApplicationEvent = async ({ jobId, userId, sessionId }) => {
+  try {
+    const hasSession = SESSION_ID_PATTERN.test(String(sessionId || ''));
+    const firstEvent = hasSession
+      ? await JobEvent.findOne({ jobId, sessionId, utm: { $exists: true } })
+          .sort({ createdAt: 1 })
+          .select('utm')
+          .lean()
+      : null;
+
+    await recordJobEvent({
+      jobId,
+      type: 'application',
+      userId,
+      ...(hasSession && { sessionId }),
+      utm: firstEvent?.utm,
+    });
+  } catch (error) {
+    console.error('Failed to record application event:', error.message);
+  }
+};
+
+module.exports = {
+  TRACKED_EVENT_TYPES,
+  SESSION_ID_PATTERN,
+  normalizeUtm,
+  recordJobEvent,
+  recordApplicationEvent,
+};
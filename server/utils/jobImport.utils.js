@@ -0,0 +1,217 @@
+const { StatusCodes } = require('http-status-codes');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 100;
+
+// CSV headers (compared case-insensitively, ignoring spaces and underscores)
+// mapped to the createJob field they fill
+const CSV_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  requirements: 'requirements',
+  benefits: 'benefits',
+  company: 'company',
+  category: 'category',
+  salarymin: 'salaryMin',
+  salarymax: 'salaryMax',
+  salarycurrency: 'salaryCurrency',
+  salaryperiod: 'salaryPeriod',
+  salaryrange: 'salaryRange',
+  workmode: 'workMode',
+  locations: 'locations',
+  location: 'locations',
+  status: 'status',
+  publishat: 'publishAt',
+  applicationdeadline: 'applicationDeadline',
+};
+
+// Cities may contain commas ("Lahore, Pakistan"), so CSV cells list them with semicolons
+const CSV_LOCATION_SEPARATOR = ';';
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+/**
+ * @desc Splits CSV text into rows of cells. Supports quoted cells with
+ * embedded commas, line breaks and doubled quotes.
+ *
+ * @param {string} text - The CSV text.
+ *
+ * @returns {string[][]} The rows, without blank lines.
+ */
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * @desc Turns one CSV record into a createJob request body.
+ *
+ * @param {Object} record - Cell values keyed by CSV_COLUMNS field.
+ *
+ * @returns {Object} The job body.
+ */
+
+const csvRecordToJob = (record) => {
+  const job = {};
+
+  [
+    'title',
+    'description',
+    'requirements',
+    'benefits',
+    'company',
+    'category',
+    'salaryRange',
+    'workMode',
+    'status',
+    'publishAt',
+    'applicationDeadline',
+  ].forEach((field) => {
+    if (record[field]) job[field] = record[field];
+  });
+
+  if (record.salaryMin || record.salaryMax) {
+    job.salary = {
+      min: record.salaryMin,
+      max: record.salaryMax || record.salaryMin,
+      currency: record.salaryCurrency || undefined,
+      period: record.salaryPeriod || undefined,
+    };
+  }
+
+  if (record.locations) {
+    job.locations = record.locations
+      .split(CSV_LOCATION_SEPARATOR)
+      .map((city) => city.trim())
+      .filter(Boolean);
+  }
+
+  return job;
+};
+
+/**
+ * @desc Reads an uploaded import file into createJob request bodies, one per row.
+ * JSON files hold an array of jobs (or `{ jobs: [...] }`) in the createJob shape;
+ * CSV files have a header row using the CSV_COLUMNS names.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} format - One of IMPORT_FORMATS.
+ * @param {string} content - The file contents.
+ *
+ * @returns {Object[]} The job bodies in file order.
+ */
+
+const parseJobImport = (res, format, content) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    badRequest(
+      res,
+      `Import format should be one of: ${IMPORT_FORMATS.join(', ')}.`
+    );
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    badRequest(res, 'The import file is empty. Please choose another file.');
+  }
+
+  let jobs;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      badRequest(res, 'The import file is not valid JSON.');
+    }
+    jobs = Array.isArray(parsed) ? parsed : parsed?.jobs;
+    if (
+      !Array.isArray(jobs) ||
+      jobs.some((job) => !job || typeof job !== 'object' || Array.isArray(job))
+    ) {
+      badRequest(
+        res,
+        'JSON imports should contain a list of job objects or a "jobs" list.'
+      );
+    }
+  } else {
+    const [header = [], ...records] = parseCsv(content);
+    const fields = header.map(
+      (name) => CSV_COLUMNS[name.toLowerCase().replace(/[\s_]+/g, '')]
+    );
+
+    if (!fields.includes('title')) {
+      badRequest(
+        res,
+        'The CSV file needs a header row with at least a "title" column.'
+      );
+    }
+
+    jobs = records.map((cells) => {
+      const record = {};
+      fields.forEach((field, index) => {
+        if (field && cells[index] !== undefined) {
+          record[field] = cells[index].trim();
+        }
+      });
+      return csvRecordToJob(record);
+    });
+  }
+
+  if (jobs.length === 0) {
+    badRequest(res, 'The import file does not contain any jobs.');
+  }
+  if (jobs.length > MAX_IMPORT_ROWS) {
+    badRequest(
+      res,
+      `You can import at most ${MAX_IMPORT_ROWS} jobs at a time. Please split the file and try again.`
+    );
+  }
+
+  return jobs;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseJobImport,
+};
@@ -0,0 +1,182 @@
+// Common words that say nothing about a role
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+  'years',
+  'year',
+  'experience',
+  'knowledge',
+  'good',
+  'strong',
+  'ability',
+  'skills',
+  'plus',
+]);
+
+const DEFAULT_MATCH_LIMIT = 6;
+const MAX_MATCH_LIMIT = 20;
+
+// Open jobs scored per request; the newest are kept when there are more
+const MATCH_POOL_SIZE = 500;
+
+const normalizePhrase = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * @desc Splits text into lowercase terms, keeping symbols used in skill names
+ * (e.g. "c++", "c#", "node.js") and dropping stop words.
+ *
+ * @param {string} text - The text to split.
+ *
+ * @returns {Set<string>} The terms.
+ */
+
+const tokenize = (text) =>
+  new Set(
+    (
+      normalizePhrase(text).match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) ||
+      []
+    ).filter((term) => term.length > 1 && !STOP_WORDS.has(term))
+  );
+
+const toList = (value) =>
+  Array.isArray(value) ? value : String(value || '').split(',');
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((term) => {
+    if (b.has(term)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * @desc Builds the terms a job is compared on.
+ *
+ * @param {Object} job - A job document or plain object.
+ *
+ * @returns {Object} `{ skills, requirementTerms, titleTerms, allTerms }` where
+ * `skills` maps each normalized requirement to its original wording.
+ */
+
+const getJobProfile = (job) => {
+  const requirements = toList(job.requirements).filter((item) =>
+    String(item).trim()
+  );
+  const skills = new Map(
+    requirements.map((item) => [normalizePhrase(item), String(item).trim()])
+  );
+  const requirementTerms = tokenize(requirements.join(' '));
+  const titleTerms = tokenize(job.title);
+
+  return {
+    skills,
+    requirementTerms,
+    titleTerms,
+    allTerms: new Set([
+      ...requirementTerms,
+      ...titleTerms,
+      ...tokenize(job.description),
+    ]),
+  };
+};
+
+/**
+ * @desc Scores how similar a job is to the one being viewed. Category counts
+ * most, then shared requirements (as whole skills and as terms), then title.
+ *
+ * @param {Object} reference - `getJobProfile` of the viewed job plus its
+ * `category` and `groupId` (the ID of its top-level category).
+ * @param {Object} job - The job to score, with its `groupId`.
+ *
+ * @returns {Object} `{ score, sameCategory, sharedSkills }`; score is 0 to 100.
+ */
+
+const scoreSimilarJob = (reference, job) => {
+  const profile = getJobProfile(job);
+
+  const sameCategory =
+    Boolean(job.category) && job.category === reference.category;
+  // Sub-categories of the same top-level category are related
+  const sameGroup =
+    !sameCategory &&
+    Boolean(reference.groupId) &&
+    String(job.groupId) === String(reference.groupId);
+
+  const sharedSkills = [...profile.skills.keys()]
+    .filter((skill) => reference.skills.has(skill))
+    .map((skill) => profile.skills.get(skill));
+  const skillOverlap = sharedSkills.length / Math.max(reference.skills.size, 1);
+
+  const score =
+    (sameCategory ? 30 : 0) +
+    (sameGroup ? 15 : 0) +
+    Math.min(skillOverlap, 1) * 30 +
+    jaccard(reference.requirementTerms, profile.requirementTerms) * 25 +
+    jaccard(reference.titleTerms, profile.titleTerms) * 15;
+
+  return { score: Math.round(score), sameCategory, sharedSkills };
+};
+
+/**
+ * @desc Scores a job against a candidate's resume: the share of their skills the
+ * job asks for, and whether their industry matches the job's category.
+ *
+ * @param {Object} resume - `{ skills, industryTerms }` for the candidate.
+ * @param {Object} job - The job to score, with `categoryTerms` for its category and parent.
+ *
+ * @returns {Object} `{ score, matchedSkills, industryMatch }`; score is 0 to 100.
+ */
+
+const scoreRecommendedJob = (resume, job) => {
+  const profile = getJobProfile(job);
+
+  // A skill matches a requirement worded the same, or all of its terms appear in the job
+  const matchedSkills = resume.skills.filter((skill) => {
+    if (profile.skills.has(normalizePhrase(skill))) return true;
+    const terms = tokenize(skill);
+    return (
+      terms.size > 0 && [...terms].every((term) => profile.allTerms.has(term))
+    );
+  });
+
+  const industryMatch = [...resume.industryTerms].some((term) =>
+    job.categoryTerms.has(term)
+  );
+
+  const score =
+    (matchedSkills.length / Math.max(resume.skills.length, 1)) * 75 +
+    (industryMatch ? 25 : 0);
+
+  return { score: Math.round(score), matchedSkills, industryMatch };
+};
+
+module.exports = {
+  DEFAULT_MATCH_LIMIT,
+  MAX_MATCH_LIMIT,
+  MATCH_POOL_SIZE,
+  tokenize,
+  getJobProfile,
+  scoreSimilarJob,
+  scoreRecommendedJob,
+};
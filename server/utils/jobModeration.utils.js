@@ -0,0 +1,76 @@
+const { Setting } = require('../models');
+
+const { buildJobSnapshot, diffJobSnapshots } = require('./jobVersion.utils');
+
+const JOB_MODERATION_SETTING = 'jobModeration.enabled';
+
+// Edits to these fields send a live job back for review; lifecycle, salary
+// and location changes don't
+const MODERATED_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'benefits',
+  'company',
+  'category',
+  'screeningQuestions',
+];
+
+/**
+ * @desc Whether new and substantially edited jobs need an admin's approval
+ * before they are listed. Off until an admin switches it on.
+ *
+ * @returns {Promise<boolean>}
+ */
+
+const isJobModerationEnabled = async () =>
+  Boolean(await Setting.getValue(JOB_MODERATION_SETTING, false));
+
+/**
+ * @desc Decides whether a job being created or updated by a recruiter goes to
+ * the moderation queue. Drafts are only queued once they are published or
+ * scheduled, a rejected job is queued again on its next edit, and an approved
+ * job only when one of `MODERATED_FIELDS` changes. Admins' jobs are never
+ * queued.
+ *
+ * @param {Object} data - The validated job fields being saved.
+ * @param {Object} user - The user saving the job.
+ * @param {Object} [currentJob] - The job being updated, if any.
+ *
+ * @returns {Promise<Object>} `{ moderation }` to persist, or an empty object
+ * when the moderation state doesn't change.
+ */
+
+const resolveJobModeration = async (data, user, currentJob) => {
+  if (user.isAdmin || !(await isJobModerationEnabled())) return {};
+
+  const nextStatus = data.status || currentJob?.status || 'published';
+  const currentModeration = currentJob?.moderation?.status;
+
+  if (nextStatus === 'draft' || currentModeration === 'pending') return {};
+
+  const pending = {
+    moderation: { status: 'pending', submittedAt: new Date() },
+  };
+
+  if (!currentJob || currentModeration === 'rejected') return pending;
+
+  if (currentJob.status === 'draft' && currentModeration !== 'approved') {
+    return pending;
+  }
+
+  const before = buildJobSnapshot(currentJob);
+  const after = buildJobSnapshot({ ...currentJob.toObject(), ...data });
+  const isSubstantialEdit = diffJobSnapshots(before, after).some(({ field }) =>
+    MODERATED_FIELDS.includes(field)
+  );
+
+  return isSubstantialEdit ? pending : {};
+};
+
+module.exports = {
+  JOB_MODERATION_SETTING,
+  MODERATED_FIELDS,
+  isJobModerationEnabled,
+  resolveJobModeration,
+};
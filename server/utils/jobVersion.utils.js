@@ -0,0 +1,119 @@
+const { JobVersion } = require('../models');
+
+// Editable job fields tracked in the edit history, in display order
+const JOB_VERSION_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'benefits',
+  'company',
+  'salary',
+  'category',
+  'workMode',
+  'locations',
+  'location',
+  'status',
+  'isClosed',
+  'publishAt',
+  'applicationDeadline',
+  'screeningQuestions',
+];
+
+// Fields diffed item by item so the history can show what was added or removed
+const LIST_FIELDS = ['requirements', 'benefits', 'locations'];
+
+/**
+ * @desc Copies the tracked fields of a job into a plain, JSON-safe object.
+ * Dates become ISO strings and ObjectIds become strings so snapshots compare
+ * the same way whether they were just built or read back from the database.
+ *
+ * @param {Object} job - A job document or plain object.
+ *
+ * @returns {Object} The job snapshot.
+ */
+
+const buildJobSnapshot = (job) => {
+  const source = typeof job.toObject === 'function' ? job.toObject() : job;
+
+  const snapshot = {};
+  JOB_VERSION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      snapshot[field] = source[field];
+    }
+  });
+
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * @desc Compares two job snapshots field by field.
+ *
+ * @param {Object} fromSnapshot - The older snapshot.
+ * @param {Object} toSnapshot - The newer snapshot.
+ *
+ * @returns {Object[]} One `{ field, from, to }` entry per changed field. List
+ * fields also carry the `added` and `removed` items.
+ */
+
+const diffJobSnapshots = (fromSnapshot = {}, toSnapshot = {}) =>
+  JOB_VERSION_FIELDS.filter(
+    (field) => !isSameValue(fromSnapshot[field], toSnapshot[field])
+  ).map((field) => {
+    const change = {
+      field,
+      from: fromSnapshot[field] ?? null,
+      to: toSnapshot[field] ?? null,
+    };
+
+    if (LIST_FIELDS.includes(field)) {
+      const before = Array.isArray(change.from) ? change.from : [];
+      const after = Array.isArray(change.to) ? change.to : [];
+      change.added = after.filter((item) => !before.includes(item));
+      change.removed = before.filter((item) => !after.includes(item));
+    }
+
+    return change;
+  });
+
+/**
+ * @desc Stores the job's current state as its next version. Nothing is written
+ * when the job matches its latest version, so calling this before an update
+ * only records a baseline for jobs created before edit history existed, or
+ * changes made outside the API (e.g. the auto-close cron).
+ *
+ * @param {Object} job - The job document.
+ * @param {string} [editorId] - The user who made the change, if known.
+ *
+ * @returns {Promise<Object|null>} The created version, or null when unchanged.
+ */
+
+const recordJobVersion = async (job, editorId) => {
+  const snapshot = buildJobSnapshot(job);
+
+  const latest = await JobVersion.findOne({ jobId: job._id })
+    .sort({ version: -1 })
+    .lean();
+
+  const changedFields = latest
+    ? diffJobSnapshots(latest.snapshot, snapshot).map(({ field }) => field)
+    : [];
+
+  if (latest && changedFields.length === 0) return null;
+
+  return JobVersion.create({
+    jobId: job._id,
+    version: latest ? latest.version + 1 : 1,
+    editedBy: editorId,
+    changedFields,
+    snapshot,
+  });
+};
+
+module.exports = {
+  JOB_VERSION_FIELDS,
+  buildJobSnapshot,
+  diffJobSnapshots,
+  recordJobVersion,
+};
@@ -0,0 +1,60 @@
+const WORK_MODES = ['onsite', 'hybrid', 'remote'];
+const MAX_JOB_LOCATIONS = 10;
+const LOCATION_PATTERN = /^[a-zA-Z0-9\s\-,]+$/;
+
+// Number of cities spelled out in the `location` summary before "and N more"
+const SUMMARY_LOCATION_COUNT = 3;
+const MAX_SUMMARY_LENGTH = 100;
+
+/**
+ * @desc Builds the single-line `location` label kept on every job for emails,
+ * feeds and older clients, e.g. "Lahore, Karachi and 2 more" or "Remote".
+ *
+ * @param {string} workMode - One of WORK_MODES.
+ * @param {string[]} locations - The job's cities.
+ *
+ * @returns {string} The location summary.
+ */
+
+const formatLocationSummary = (workMode, locations = []) => {
+  if (locations.length === 0) {
+    return workMode === 'remote' ? 'Remote' : '';
+  }
+
+  const shown = locations.slice(0, SUMMARY_LOCATION_COUNT);
+  const remaining = locations.length - shown.length;
+  const summary = `${shown.join(', ')}${remaining > 0 ? ` and ${remaining} more` : ''}`;
+
+  if (summary.length <= MAX_SUMMARY_LENGTH) return summary;
+
+  return locations.length > 1
+    ? `${locations[0]} and ${locations.length - 1} more`
+    : locations[0];
+};
+
+/**
+ * @desc Reads a job's locations, falling back to the single `location` string
+ * for jobs created before multi-location support.
+ *
+ * @param {Object} job - A job document or plain object.
+ *
+ * @returns {string[]} The job's cities.
+ */
+
+const getJobLocations = (job) => {
+  if (Array.isArray(job.locations) && job.locations.length > 0) {
+    return job.locations;
+  }
+  if (job.location && job.location !== 'Remote') {
+    return [job.location];
+  }
+  return [];
+};
+
+module.exports = {
+  WORK_MODES,
+  MAX_JOB_LOCATIONS,
+  LOCATION_PATTERN,
+  formatLocationSummary,
+  getJobLocations,
+};
@@ -3,6 +3,8 @@ const dotenv = require('dotenv');
 const nodemailer = require('nodemailer');
 const { StatusCodes } = require('http-status-codes');
 
+const { escapeXml } = require('./xml.utils');
+
 dotenv.config();
 
 /**
@@ -67,6 +69,19 @@ const sendEmail = asyncHandler(async (optionsOrRes, maybeOptions) => {
   }
 });
 
+/**
+ * @desc Escapes user-written text (names, titles, reasons, notes) for an email
+ * built with `generateEmailTemplate`. xss-clean has already turned `<` into
+ * `&lt;` in request data, so that is undone first to avoid escaping it twice;
+ * text that never went through a request is escaped the same way.
+ *
+ * @param {*} value - The text to escape.
+ *
+ * @returns {string} The escaped text, with line breaks kept as `<br>`.
+ */
+
+const escapeEmailText = (value) =>
+  escapeXml(String(value ?? '').replace(/&lt;/g, '<')).replace(/\r?\n/g, '<br>');
 
 /**
  * @desc Generates a universal HTML email template. This template is adaptable to various use cases (OTP, CTA, headings, lists, etc.)
@@ -301,4 +316,4 @@ const generateEmailTemplate = ({ firstName, subject, content = [] }) => {
   `;
 };
 
-module.exports = { sendEmail, generateEmailTemplate };
+module.exports = { sendEmail, generateEmailTemplate, escapeEmailText };
@@ -0,0 +1,118 @@
+const { StatusCodes } = require('http-status-codes');
+
+const {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  formatSalary,
+} = require('./salary.utils');
+const { validateDate, validateString } = require('./validation.utils');
+
+// `pending` offers await the candidate's answer until `expiresAt`; the rest
+// are final
+const OFFER_STATUSES = [
+  'pending',
+  'accepted',
+  'declined',
+  'expired',
+  'rescinded',
+];
+
+const MIN_OFFER_TERMS_LENGTH = 20;
+const MAX_OFFER_TERMS_LENGTH = 10000;
+const MAX_OFFER_VALIDITY_DAYS = 60;
+const MAX_DECLINE_REASON_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+/**
+ * @desc Validates the fields of a new offer.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} body - The request body: `salary: { amount, currency, period }`,
+ * `startDate`, `expiresAt` and `terms`.
+ * @param {Date} [now] - The current time.
+ *
+ * @returns {Object} `{ salary, startDate, expiresAt, terms }`.
+ */
+
+const parseOfferRequest = (res, body = {}, now = new Date()) => {
+  const { salary, startDate, expiresAt, terms } = body;
+
+  const amount = Number(salary?.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    badRequest(res, 'Please provide a salary greater than 0.');
+  }
+
+  const currency = String(salary?.currency || 'PKR').toUpperCase();
+  if (!SALARY_CURRENCIES.includes(currency)) {
+    badRequest(
+      res,
+      `Salary currency should be one of: ${SALARY_CURRENCIES.join(', ')}.`
+    );
+  }
+
+  const period = salary?.period || 'month';
+  if (!SALARY_PERIODS.includes(period)) {
+    badRequest(
+      res,
+      `Salary period should be one of: ${SALARY_PERIODS.join(', ')}.`
+    );
+  }
+
+  const offerStartDate = validateDate(res, startDate, 'Start date');
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  if (offerStartDate < startOfToday) {
+    badRequest(res, 'The start date cannot be in the past.');
+  }
+
+  const offerExpiresAt = validateDate(res, expiresAt, 'Expiry date');
+  if (offerExpiresAt <= now) {
+    badRequest(res, 'The offer should expire in the future.');
+  }
+  if (offerExpiresAt - now > MAX_OFFER_VALIDITY_DAYS * DAY_MS) {
+    badRequest(
+      res,
+      `An offer can stay open for at most ${MAX_OFFER_VALIDITY_DAYS} days.`
+    );
+  }
+
+  return {
+    salary: { amount, currency, period },
+    startDate: offerStartDate,
+    expiresAt: offerExpiresAt,
+    terms: validateString(
+      res,
+      typeof terms === 'string' ? terms.trim() : terms,
+      'Terms',
+      MIN_OFFER_TERMS_LENGTH,
+      MAX_OFFER_TERMS_LENGTH
+    ),
+  };
+};
+
+/**
+ * @desc Formats an offer's salary, e.g. "PKR 250,000 / month".
+ *
+ * @param {Object} salary - The offer's `{ amount, currency, period }`.
+ *
+ * @returns {string}
+ */
+
+const formatOfferSalary = ({ amount, currency, period }) =>
+  formatSalary({ min: amount, currency, period });
+
+module.exports = {
+  MAX_DECLINE_REASON_LENGTH,
+  MAX_OFFER_TERMS_LENGTH,
+  MAX_OFFER_VALIDITY_DAYS,
+  MIN_OFFER_TERMS_LENGTH,
+  OFFER_STATUSES,
+  formatOfferSalary,
+  parseOfferRequest,
+};
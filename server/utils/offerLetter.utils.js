@@ -0,0 +1,182 @@
+const PDFDocument = require('pdfkit');
+
+const { formatOfferSalary } = require('./offer.utils');
+
+const COLORS = {
+  primary: '#0EB0E3',
+  secondary: '#3946AE',
+  text: '#2D3748',
+  border: '#E2E8F0',
+  muted: '#718096',
+};
+
+const PAGE_MARGIN = 50;
+const DETAIL_LABEL_WIDTH = 120;
+
+// xss-clean stores `<` as `&lt;`; the letter is plain text, so show it as typed
+const toPlainText = (value) => String(value ?? '').replace(/&lt;/g, '<');
+
+const formatName = (user) =>
+  [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+/**
+ * @desc Builds the offer's file name, e.g. "EZYJobs_Offer_Backend_Engineer_<id>.pdf".
+ *
+ * @param {Object} offer - The offer, with `jobId` populated.
+ *
+ * @returns {string}
+ */
+
+const getOfferLetterFileName = (offer) =>
+  `EZYJobs_Offer_${toPlainText(offer.jobId?.title || 'Letter').replace(
+    /\s+/g,
+    '_'
+  )}_${offer._id}.pdf`;
+
+/**
+ * @desc Renders an offer as a PDF letter from the stored offer.
+ *
+ * @param {Object} offer - The offer, with `jobId`, `candidateId` and
+ * `recruiterId` populated.
+ *
+ * @returns {PDFDocument} The finished document, to be piped to the response.
+ */
+
+const buildOfferLetter = (offer) => {
+  const title = toPlainText(offer.jobId?.title);
+  const company = toPlainText(offer.jobId?.company);
+  const location = toPlainText(offer.jobId?.location);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `Offer Letter - ${title}`, Author: company },
+  });
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.lineGap(4).fillColor(COLORS.text);
+
+  // Letterhead
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(22)
+    .fillColor(COLORS.primary)
+    .text(company);
+  if (location) {
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(COLORS.secondary)
+      .text(location);
+  }
+  doc
+    .moveTo(PAGE_MARGIN, doc.y + 6)
+    .lineTo(PAGE_MARGIN + contentWidth, doc.y + 6)
+    .lineWidth(2)
+    .strokeColor(COLORS.primary)
+    .stroke();
+  doc.moveDown(2);
+
+  doc
+    .font('Helvetica')
+    .fontSize(11)
+    .fillColor(COLORS.text)
+    .text(new Date(offer.createdAt).toLocaleDateString(), { align: 'right' })
+    .moveDown();
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(16)
+    .fillColor(COLORS.secondary)
+    .text('Offer of Employment')
+    .moveDown();
+
+  doc
+    .font('Helvetica')
+    .fontSize(11)
+    .fillColor(COLORS.text)
+    .text(`Dear ${toPlainText(formatName(offer.candidateId))},`)
+    .moveDown(0.5)
+    .text(
+      `We are pleased to offer you the position of ${title} at ${company}, on the terms set out below.`
+    )
+    .moveDown();
+
+  // Details box
+  const details = [
+    ['Position', title],
+    ['Company', company],
+    ['Location', location],
+    ['Salary', formatOfferSalary(offer.salary)],
+    ['Start Date', new Date(offer.startDate).toLocaleDateString()],
+    ['Respond By', new Date(offer.expiresAt).toLocaleString()],
+  ].filter(([, value]) => value);
+
+  const boxTop = doc.y;
+  doc.y += 12;
+  details.forEach(([label, value]) => {
+    const rowTop = doc.y;
+    doc
+      .font('Helvetica-Bold')
+      .text(label, PAGE_MARGIN + 12, rowTop, { width: DETAIL_LABEL_WIDTH });
+    const labelBottom = doc.y;
+    doc
+      .font('Helvetica')
+      .text(value, PAGE_MARGIN + 12 + DETAIL_LABEL_WIDTH, rowTop, {
+        width: contentWidth - DETAIL_LABEL_WIDTH - 24,
+      });
+    doc.y = Math.max(doc.y, labelBottom);
+  });
+  doc.y += 8;
+  doc
+    .roundedRect(PAGE_MARGIN, boxTop, contentWidth, doc.y - boxTop, 4)
+    .lineWidth(1)
+    .strokeColor(COLORS.border)
+    .stroke();
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Terms').moveDown(0.25);
+  doc
+    .font('Helvetica')
+    .fontSize(11)
+    .text(toPlainText(offer.terms), { width: contentWidth })
+    .moveDown()
+    .text(
+      'Please accept or decline this offer from your EZY Jobs dashboard before it expires.',
+      { width: contentWidth }
+    )
+    .moveDown(2);
+
+  doc
+    .text('Sincerely,')
+    .text(toPlainText(formatName(offer.recruiterId)))
+    .text(company);
+
+  // Footer on every page; the bottom margin is lifted so it doesn't add a page
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page += 1) {
+    doc.switchToPage(page);
+    doc.page.margins.bottom = 0;
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(
+        `Sent through EZY Jobs. Offer reference: ${offer._id}`,
+        PAGE_MARGIN,
+        doc.page.height - 30 - 8,
+        { width: contentWidth, align: 'center', lineBreak: false }
+      );
+  }
+
+  doc.end();
+
+  return doc;
+};
+
+module.exports = {
+  buildOfferLetter,
+  getOfferLetterFileName,
+};
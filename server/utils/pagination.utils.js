@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort key for text searches ranked by MongoDB's text score
+const RELEVANCE_SORT = 'relevance';
+// Sort key for nearest first, from the point given in the `near` option
+const DISTANCE_SORT = 'distance';
+
+// Sorts whose order is computed by MongoDB, so their cursors hold an offset
+const OFFSET_SORTS = [RELEVANCE_SORT, DISTANCE_SORT];
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+const getPath = (doc, path) =>
+  typeof doc.get === 'function'
+    ? doc.get(path)
+    : path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Cursors are base64url JSON so clients treat them as opaque tokens
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (res, cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    payload = null;
+  }
+
+  if (
+    !payload ||
+    payload.s !== sort ||
+    (!OFFSET_SORTS.includes(sort) && !mongoose.isValidObjectId(payload.id))
+  ) {
+    badRequest(
+      res,
+      'This page link has expired or does not match the selected sort. Please reload the list.'
+    );
+  }
+
+  return payload;
+};
+
+/**
+ * @desc Reads the `sort` parameter, e.g. `-createdAt` for newest first.
+ *
+ * @param {Object} res - The response object.
+ * @param {string} sort - The requested sort.
+ * @param {Object} sortFields - Sortable names mapped to document paths.
+ * @param {string} defaultSort - Sort used when none is requested.
+ *
+ * @returns {Object} `{ key, field, direction }`, or `{ key }` for the
+ * relevance and distance sorts.
+ */
+
+const parseSort = (res, sort, sortFields, defaultSort) => {
+  const value =
+    typeof sort === 'string' && sort.trim() ? sort.trim() : defaultSort;
+
+  if (OFFSET_SORTS.includes(value)) {
+    return { key: value };
+  }
+
+  const name = value.replace(/^-/, '');
+  if (!Object.prototype.hasOwnProperty.call(sortFields, name)) {
+    badRequest(
+      res,
+      `Sort should be one of: ${Object.keys(sortFields).join(', ')} (prefix with "-" for descending).`
+    );
+  }
+
+  return {
+    key: value,
+    field: sortFields[name],
+    direction: value.startsWith('-') ? -1 : 1,
+  };
+};
+
+/**
+ * @desc Builds the filter matching every document after the cursor position
+ * for a keyset sort on `field` with `_id` as the tie-breaker. Missing values
+ * sort first ascending and last descending, as in MongoDB.
+ *
+ * @param {Object} sort - The parsed sort.
+ * @param {*} value - The sort value of the last document on the previous page.
+ * @param {Object} id - The `_id` of that document.
+ *
+ * @returns {Object} The cursor filter.
+ */
+
+const buildKeysetFilter = ({ field, direction }, value, id) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const tieBreaker = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [tieBreaker, { [field]: { $ne: null } }] }
+      : tieBreaker;
+  }
+
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      tieBreaker,
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+/**
+ * @desc Runs a list query with optional cursor pagination and sorting. Lists
+ * are paged when the request sends `limit` or `cursor`; otherwise the whole
+ * result set is returned in the requested order.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} options - The list options.
+ * @param {Object} options.model - The Mongoose model to query.
+ * @param {Object} options.filter - The list filter.
+ * @param {Object} options.query - The request query (`limit`, `cursor`, `sort`).
+ * @param {Object} options.sortFields - Sortable names mapped to document paths.
+ * @param {string} options.defaultSort - Sort used when none is requested.
+ * @param {Function} [options.buildQuery] - Adds populate/select calls to the query.
+ * @param {Object} [options.near] - For the distance sort: `{ field, point, maxDistanceKm }`
+ * where `field` has a 2dsphere index. Documents without coordinates are left out.
+ *
+ * @returns {Promise<Object>} `{ docs, pagination }` where pagination is
+ * `{ total, limit, sort, nextCursor, hasNextPage }`.
+ */
+
+const paginate = async (
+  res,
+  { model, filter, query, sortFields, defaultSort, buildQuery = (q) => q, near }
+) => {
+  const sort = parseSort(res, query.sort, sortFields, defaultSort);
+
+  if (sort.key === DISTANCE_SORT && !near) {
+    badRequest(res, 'Sorting by distance requires a location.');
+  }
+
+  const isPaged = query.limit !== undefined || query.cursor !== undefined;
+
+  let limit = 0;
+  if (isPaged) {
+    limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      badRequest(res, 'Limit must be a positive whole number.');
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  const cursor = query.cursor
+    ? decodeCursor(res, query.cursor, sort.key)
+    : null;
+
+  const offset = cursor ? Number(cursor.o) || 0 : 0;
+
+  let findQuery;
+  if (sort.key === RELEVANCE_SORT) {
+    findQuery = model
+      .find(filter)
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset);
+  } else if (sort.key === DISTANCE_SORT) {
+    // $near returns documents nearest first; it replaces any radius filter on
+    // the same field with the equivalent $maxDistance
+    findQuery = model
+      .find({
+        ...filter,
+        [near.field]: {
+          $near: {
+            $geometry: near.point,
+            ...(near.maxDistanceKm && {
+              $maxDistance: near.maxDistanceKm * 1000,
+            }),
+          },
+        },
+      })
+      .skip(offset);
+  } else {
+    const pageFilter = cursor
+      ? {
+          ...filter,
+          $and: [
+            ...(filter.$and || []),
+            buildKeysetFilter(
+              sort,
+              cursor.v && cursor.v.$date ? new Date(cursor.v.$date) : cursor.v,
+              new mongoose.Types.ObjectId(String(cursor.id))
+            ),
+          ],
+        }
+      : filter;
+    findQuery = model
+      .find(pageFilter)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction });
+  }
+
+  // One extra document tells us whether another page exists
+  findQuery = buildQuery(findQuery.limit(limit ? limit + 1 : 0));
+
+  const [docs, total] = await Promise.all([
+    findQuery,
+    isPaged
+      ? model.countDocuments(
+          sort.key === DISTANCE_SORT && !near.maxDistanceKm
+            ? { ...filter, [near.field]: { $ne: null } }
+            : filter
+        )
+      : null,
+  ]);
+
+  const hasNextPage = Boolean(limit) && docs.length > limit;
+  if (hasNextPage) docs.pop();
+
+  let nextCursor = null;
+  if (hasNextPage) {
+    const last = docs[docs.length - 1];
+    if (OFFSET_SORTS.includes(sort.key)) {
+      nextCursor = encodeCursor({ s: sort.key, o: offset + docs.length });
+    } else {
+      const value = getPath(last, sort.field);
+      nextCursor = encodeCursor({
+        s: sort.key,
+        v:
+          value instanceof Date
+            ? { $date: value.toISOString() }
+            : (value ?? null),
+        id: String(last._id),
+      });
+    }
+  }
+
+  return {
+    docs,
+    pagination: {
+      total: total ?? docs.length,
+      limit: limit || null,
+      sort: sort.key,
+      nextCursor,
+      hasNextPage,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  RELEVANCE_SORT,
+  DISTANCE_SORT,
+  paginate,
+};
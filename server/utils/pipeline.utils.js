@@ -0,0 +1,358 @@
+const { StatusCodes } = require('http-status-codes');
+
+// Coarse application statuses. Every pipeline stage counts as one of these,
+// so filters such as "shortlisted applications" work across custom pipelines.
+const APPLICATION_STATUSES = ['applied', 'shortlisted', 'rejected', 'hired'];
+
+const MIN_PIPELINE_STAGES = 2;
+const MAX_PIPELINE_STAGES = 15;
+const MAX_TRANSITION_REASON_LENGTH = 500;
+
+const STAGE_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Used by jobs whose recruiter never customised their pipeline. Its keys match
+// the old statuses, so applications from before pipelines existed keep their
+// place (see scripts/migrate_pipeline_stages.js).
+const DEFAULT_PIPELINE_STAGES = [
+  {
+    key: 'applied',
+    name: 'Applied',
+    status: 'applied',
+    transitions: ['shortlisted', 'assessment', 'interview', 'rejected'],
+  },
+  {
+    key: 'shortlisted',
+    name: 'Shortlisted',
+    status: 'shortlisted',
+    transitions: ['assessment', 'interview', 'offer', 'rejected'],
+  },
+  {
+    key: 'assessment',
+    name: 'Assessment',
+    status: 'shortlisted',
+    transitions: ['interview', 'rejected'],
+    automation: { createAssessment: true },
+  },
+  {
+    key: 'interview',
+    name: 'Interview',
+    status: 'shortlisted',
+    transitions: ['offer', 'rejected'],
+  },
+  {
+    key: 'offer',
+    name: 'Offer',
+    status: 'shortlisted',
+    transitions: ['hired', 'rejected'],
+  },
+  { key: 'hired', name: 'Hired', status: 'hired', transitions: [] },
+  {
+    key: 'rejected',
+    name: 'Rejected',
+    status: 'rejected',
+    transitions: ['applied'],
+  },
+];
+
+// Where an application goes when the candidate withdraws it. It sits outside
+// every pipeline: recruiters can't add it to theirs or move applications out
+// of it.
+const WITHDRAWN_STAGE = {
+  key: 'withdrawn',
+  name: 'Withdrawn',
+  status: 'withdrawn',
+  transitions: [],
+  automation: { createAssessment: false },
+};
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+const slugifyStageName = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+
+const toPlainStage = (stage) => ({
+  key: stage.key,
+  name: stage.name,
+  status: stage.status,
+  transitions: [...(stage.transitions || [])],
+  automation: { createAssessment: Boolean(stage.automation?.createAssessment) },
+});
+
+/**
+ * @desc The ordered stages applications to a job move through.
+ *
+ * @param {Object} job - The job (document or lean object).
+ *
+ * @returns {Object[]} The job's own stages, or the default pipeline.
+ */
+
+const getPipelineStages = (job) =>
+  (job?.pipelineStages?.length
+    ? job.pipelineStages
+    : DEFAULT_PIPELINE_STAGES
+  ).map(toPlainStage);
+
+/**
+ * @desc Validates the pipeline a recruiter defines for a job. The first stage
+ * is where new applications land, so it must count as `applied`, and there
+ * must be a `rejected` stage for applicants who fail a knockout question.
+ * Assessments can only be created for shortlisted candidates, so only
+ * shortlisted stages may create one.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object[]} stages - The stages input, in order.
+ *
+ * @returns {Object[]} The stages as persisted on the Job model.
+ */
+
+const normalizePipelineStages = (res, stages) => {
+  if (
+    !Array.isArray(stages) ||
+    stages.length < MIN_PIPELINE_STAGES ||
+    stages.length > MAX_PIPELINE_STAGES
+  ) {
+    badRequest(
+      res,
+      `A pipeline needs between ${MIN_PIPELINE_STAGES} and ${MAX_PIPELINE_STAGES} stages.`
+    );
+  }
+
+  const normalized = stages.map((input, index) => {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (name.length < 2 || name.length > 50) {
+      badRequest(
+        res,
+        `Stage ${index + 1} name must be between 2 and 50 characters.`
+      );
+    }
+
+    const key =
+      typeof input.key === 'string' && input.key.trim()
+        ? input.key.trim().toLowerCase()
+        : slugifyStageName(name);
+    if (!STAGE_KEY_PATTERN.test(key) || key.length > 40) {
+      badRequest(
+        res,
+        `The key of "${name}" can only contain lowercase letters, numbers, and hyphens.`
+      );
+    }
+
+    if (key === WITHDRAWN_STAGE.key) {
+      badRequest(
+        res,
+        `"${WITHDRAWN_STAGE.key}" is reserved for withdrawn applications; please choose another key for "${name}".`
+      );
+    }
+
+    if (!APPLICATION_STATUSES.includes(input.status)) {
+      badRequest(
+        res,
+        `The status of "${name}" should be one of: ${APPLICATION_STATUSES.join(', ')}.`
+      );
+    }
+
+    if (
+      input.transitions !== undefined &&
+      (!Array.isArray(input.transitions) ||
+        input.transitions.some((transition) => typeof transition !== 'string'))
+    ) {
+      badRequest(res, `The next stages of "${name}" must be a list of keys.`);
+    }
+
+    const createAssessment = Boolean(input.automation?.createAssessment);
+    if (createAssessment && input.status !== 'shortlisted') {
+      badRequest(
+        res,
+        `"${name}" must count as shortlisted to create an assessment.`
+      );
+    }
+
+    return {
+      key,
+      name,
+      status: input.status,
+      transitions: [...new Set(input.transitions || [])],
+      automation: { createAssessment },
+    };
+  });
+
+  const keys = normalized.map((stage) => stage.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    badRequest(res, `Stage keys must be unique; "${duplicate}" is used twice.`);
+  }
+
+  normalized.forEach((stage) => {
+    const unknown = stage.transitions.find(
+      (transition) => transition === stage.key || !keys.includes(transition)
+    );
+    if (unknown) {
+      badRequest(
+        res,
+        `"${stage.name}" can't move to "${unknown}"; next stages must be other stages in this pipeline.`
+      );
+    }
+  });
+
+  if (normalized[0].status !== 'applied') {
+    badRequest(res, 'The first stage must count as applied.');
+  }
+
+  if (!normalized.some((stage) => stage.status === 'rejected')) {
+    badRequest(res, 'A pipeline needs at least one rejected stage.');
+  }
+
+  return normalized;
+};
+
+/**
+ * @desc The stage an application is in. Applications saved before pipelines
+ * existed, or whose stage was since removed, fall back to the first stage
+ * with their status. Withdrawn applications are always in `WITHDRAWN_STAGE`.
+ *
+ * @param {Object} application - The application.
+ * @param {Object[]} stages - The job's pipeline.
+ *
+ * @returns {Object} The stage.
+ */
+
+const getApplicationStage = (application, stages) =>
+  (application.status === WITHDRAWN_STAGE.status && WITHDRAWN_STAGE) ||
+  stages.find((stage) => stage.key === application.stage) ||
+  stages.find((stage) => stage.status === application.status) ||
+  stages[0];
+
+/**
+ * @desc The first stage of a pipeline that counts as the given status, used
+ * when the platform (not a recruiter) moves an application, e.g. knockout
+ * rejections and AI shortlisting.
+ *
+ * @param {Object[]} stages - The job's pipeline.
+ * @param {string} status - One of `APPLICATION_STATUSES`.
+ *
+ * @returns {Object|undefined} The stage, if the pipeline has one.
+ */
+
+const findStageByStatus = (stages, status) =>
+  stages.find((stage) => stage.status === status);
+
+/**
+ * @desc The stages an application in `stage` may move to next.
+ *
+ * @param {Object[]} stages - The job's pipeline.
+ * @param {Object} stage - The current stage.
+ *
+ * @returns {Object[]} The allowed stages, in pipeline order.
+ */
+
+const getNextStages = (stages, stage) =>
+  stages.filter((next) => stage.transitions.includes(next.key));
+
+/**
+ * @desc Works out which stage a move request takes an application to: the
+ * stage with `stageKey`, or (for older clients) the first allowed next stage
+ * with `status`.
+ *
+ * @param {Object[]} stages - The job's pipeline.
+ * @param {Object} currentStage - The application's current stage.
+ * @param {Object} target
+ * @param {string} [target.stageKey] - The stage to move to.
+ * @param {string} [target.status] - The status to move to, when no stage is given.
+ *
+ * @returns {Object} `{ stage }`, or `{ statusCode, message }` when the move isn't allowed.
+ */
+
+const resolveStageMove = (stages, currentStage, { stageKey, status }) => {
+  const nextStages = getNextStages(stages, currentStage);
+  const targetStage = stageKey
+    ? stages.find((stage) => stage.key === stageKey)
+    : nextStages.find((stage) => stage.status === status);
+
+  if (stageKey && !targetStage) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message: "This stage is not part of the job's pipeline.",
+    };
+  }
+
+  if (targetStage?.key === currentStage.key) {
+    return {
+      statusCode: StatusCodes.CONFLICT,
+      message: `This application is already in "${currentStage.name}".`,
+    };
+  }
+
+  if (!targetStage || !nextStages.includes(targetStage)) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message:
+        nextStages.length > 0
+          ? `Applications in "${currentStage.name}" can only move to: ${nextStages
+              .map((stage) => stage.name)
+              .join(', ')}.`
+          : `Applications in "${currentStage.name}" can't be moved to another stage.`,
+    };
+  }
+
+  return { stage: targetStage };
+};
+
+/**
+ * @desc A stage history entry, as stored on the Application model.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.from - The stage being left (null for new applications).
+ * @param {Object} options.to - The stage being entered.
+ * @param {string} [options.actorId] - The user who moved it; omit for system moves.
+ * @param {string} [options.reason] - Why it was moved.
+ *
+ * @returns {Object}
+ */
+
+const buildStageTransition = ({ from, to, actorId, reason }) => ({
+  fromStage: from?.key || null,
+  toStage: to.key,
+  toStageName: to.name,
+  status: to.status,
+  actorId: actorId || null,
+  actorType: actorId ? 'user' : 'system',
+  reason: reason || undefined,
+  changedAt: new Date(),
+});
+
+/**
+ * @desc Builds the `$set`/`$push` update that moves an application into a
+ * stage and records the transition in its history.
+ *
+ * @param {Object} options - See `buildStageTransition`.
+ *
+ * @returns {Object} A MongoDB update.
+ */
+
+const buildStageUpdate = ({ from, to, actorId, reason }) => ({
+  $set: { stage: to.key, status: to.status },
+  $push: { stageHistory: buildStageTransition({ from, to, actorId, reason }) },
+});
+
+module.exports = {
+  APPLICATION_STATUSES,
+  DEFAULT_PIPELINE_STAGES,
+  WITHDRAWN_STAGE,
+  MAX_TRANSITION_REASON_LENGTH,
+  getPipelineStages,
+  normalizePipelineStages,
+  getApplicationStage,
+  findStageByStatus,
+  getNextStages,
+  resolveStageMove,
+  buildStageUpdate,
+  buildStageTransition,
+};
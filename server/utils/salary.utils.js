@@ -0,0 +1,142 @@
+const SALARY_CURRENCIES = ['PKR', 'USD', 'EUR', 'GBP', 'AED', 'SAR'];
+const SALARY_PERIODS = ['hour', 'month', 'year'];
+
+// Multipliers that convert an amount in the given period into a monthly amount
+// (hourly assumes a 40-hour week).
+const MONTHLY_MULTIPLIERS = {
+  hour: (40 * 52) / 12,
+  month: 1,
+  year: 1 / 12,
+};
+
+// Currency markers recognised in legacy free-text salary ranges
+const CURRENCY_PATTERNS = [
+  [/\$/, 'USD'],
+  [/€/, 'EUR'],
+  [/£/, 'GBP'],
+  [/\brs\.?(?=[\s\d]|$)|\brupees?\b/, 'PKR'],
+];
+
+/**
+ * @desc Converts an amount for the given pay period into a monthly amount.
+ *
+ * @param {number} amount - The salary amount.
+ * @param {string} period - One of SALARY_PERIODS.
+ *
+ * @returns {number} The monthly amount, rounded to the nearest whole unit.
+ */
+
+const toMonthlyAmount = (amount, period = 'month') => {
+  const multiplier = MONTHLY_MULTIPLIERS[period] || 1;
+  return Math.round(Number(amount) * multiplier);
+};
+
+/**
+ * @desc Builds the stored salary object, including the derived monthly amounts
+ * used for range filtering across pay periods.
+ *
+ * @param {Object} salary - Salary input.
+ * @param {number} salary.min - Minimum salary.
+ * @param {number} salary.max - Maximum salary.
+ * @param {string} salary.currency - ISO currency code.
+ * @param {string} salary.period - Pay period.
+ *
+ * @returns {Object} The salary object as persisted on the Job model.
+ */
+
+const normalizeSalary = ({ min, max, currency = 'PKR', period = 'month' }) => {
+  const minValue = Number(min);
+  const maxValue = Number(max);
+  const normalizedCurrency = String(currency).toUpperCase();
+
+  return {
+    min: minValue,
+    max: maxValue,
+    currency: normalizedCurrency,
+    period,
+    monthlyMin: toMonthlyAmount(minValue, period),
+    monthlyMax: toMonthlyAmount(maxValue, period),
+  };
+};
+
+/**
+ * @desc Formats a structured salary for display, e.g. "PKR 150,000 - 200,000 / month".
+ *
+ * @param {Object} salary - The stored salary object.
+ *
+ * @returns {string} Human readable salary range, or an empty string when unset.
+ */
+
+const formatSalary = (salary) => {
+  if (!salary || salary.min === undefined || salary.min === null) return '';
+
+  const format = (value) => Number(value).toLocaleString('en-US');
+  const range =
+    salary.max && salary.max !== salary.min
+      ? `${format(salary.min)} - ${format(salary.max)}`
+      : format(salary.min);
+
+  return `${salary.currency} ${range} / ${salary.period}`;
+};
+
+/**
+ * @desc Parses a legacy free-text salary range such as "$80k - $120k",
+ * "PKR 150,000-200,000 per month" or "Rs. 100k/month" into structured fields.
+ *
+ * @param {string} text - The legacy salary range string.
+ * @param {Object} [defaults] - Fallback currency and period when the text does not specify them.
+ *
+ * @returns {Object|null} The normalized salary, or null when no amount could be found.
+ */
+
+const parseSalaryRange = (text, defaults = {}) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const lower = text.toLowerCase();
+
+  const amounts = [];
+  const amountPattern = /(\d[\d,]*(?:\.\d+)?)(?:\s*(k|m|lac|lakh)\b)?/gi;
+  let match;
+  while ((match = amountPattern.exec(lower)) !== null) {
+    let value = parseFloat(match[1].replace(/,/g, ''));
+    if (Number.isNaN(value)) continue;
+
+    const unit = match[2];
+    if (unit === 'k') value *= 1000;
+    if (unit === 'm') value *= 1000000;
+    if (unit === 'lac' || unit === 'lakh') value *= 100000;
+
+    amounts.push(Math.round(value));
+  }
+
+  if (amounts.length === 0) return null;
+
+  let currency = SALARY_CURRENCIES.find((code) =>
+    lower.includes(code.toLowerCase())
+  );
+  if (!currency) {
+    const marker = CURRENCY_PATTERNS.find(([pattern]) => pattern.test(lower));
+    currency = marker ? marker[1] : defaults.currency || 'USD';
+  }
+
+  let period = defaults.period || 'year';
+  if (/(\/|per|an?)\s*(hr|hour)|hourly/.test(lower)) period = 'hour';
+  else if (/(\/|per|a)\s*(mo|month)|monthly|pm\b/.test(lower)) period = 'month';
+  else if (/(\/|per|a)\s*(yr|year|annum)|yearly|annual|pa\b/.test(lower)) {
+    period = 'year';
+  }
+
+  const min = Math.min(...amounts.slice(0, 2));
+  const max = Math.max(...amounts.slice(0, 2));
+
+  return normalizeSalary({ min, max, currency, period });
+};
+
+module.exports = {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  toMonthlyAmount,
+  normalizeSalary,
+  formatSalary,
+  parseSalaryRange,
+};
@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+
+const SCREENING_QUESTION_TYPES = ['yes_no', 'number', 'single_choice', 'text'];
+const MAX_SCREENING_QUESTIONS = 10;
+const MAX_CHOICE_OPTIONS = 10;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+const YES_ANSWERS = [true, 'true', 'yes'];
+const NO_ANSWERS = [false, 'false', 'no'];
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+const badRequest = (res, message) => {
+  res.status(StatusCodes.BAD_REQUEST);
+  throw new Error(message);
+};
+
+/**
+ * @desc Validates the knockout rule of a screening question.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} knockout - The knockout rule input.
+ * @param {Object} question - The already validated question.
+ *
+ * @returns {Object} The knockout rule as persisted on the Job model.
+ */
+
+const normalizeKnockout = (res, knockout, question) => {
+  if (!knockout || !knockout.enabled) {
+    return { enabled: false };
+  }
+
+  const label = `"${question.question}"`;
+
+  switch (question.type) {
+    case 'yes_no': {
+      if (typeof knockout.expectedAnswer !== 'boolean') {
+        badRequest(res, `Please choose the required answer for ${label}.`);
+      }
+      return { enabled: true, expectedAnswer: knockout.expectedAnswer };
+    }
+    case 'number': {
+      const rule = { enabled: true };
+      ['min', 'max'].forEach((bound) => {
+        if (isBlank(knockout[bound])) return;
+        const value = Number(knockout[bound]);
+        if (!Number.isFinite(value)) {
+          badRequest(
+            res,
+            `Please provide a valid ${bound} value for ${label}.`
+          );
+        }
+        rule[bound] = value;
+      });
+      if (rule.min === undefined && rule.max === undefined) {
+        badRequest(
+          res,
+          `Please provide a minimum or maximum accepted value for ${label}.`
+        );
+      }
+      if (
+        rule.min !== undefined &&
+        rule.max !== undefined &&
+        rule.max < rule.min
+      ) {
+        badRequest(
+          res,
+          `The maximum accepted value for ${label} must not be below the minimum.`
+        );
+      }
+      return rule;
+    }
+    case 'single_choice': {
+      const acceptedOptions = Array.isArray(knockout.acceptedOptions)
+        ? [...new Set(knockout.acceptedOptions.map((o) => String(o).trim()))]
+        : [];
+      if (
+        acceptedOptions.length === 0 ||
+        acceptedOptions.some((option) => !question.options.includes(option))
+      ) {
+        badRequest(
+          res,
+          `Please choose at least one accepted option for ${label} from its options.`
+        );
+      }
+      return { enabled: true, acceptedOptions };
+    }
+    default:
+      return badRequest(
+        res,
+        `Free-text questions cannot have a knockout rule (${label}).`
+      );
+  }
+};
+
+// A stored rule still applies while the question keeps its type; choices that
+// were removed drop out of the accepted options
+const keepKnockout = (existing, question) => {
+  const { knockout } = existing.toObject ? existing.toObject() : existing;
+
+  if (!knockout?.enabled || existing.type !== question.type) {
+    return { enabled: false };
+  }
+
+  if (question.type !== 'single_choice') return knockout;
+
+  const acceptedOptions = (knockout.acceptedOptions || []).filter((option) =>
+    question.options.includes(option)
+  );
+  return acceptedOptions.length > 0
+    ? { enabled: true, acceptedOptions }
+    : { enabled: false };
+};
+
+/**
+ * @desc Validates the screening questions of a job posting.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object[]} questions - The screening questions input.
+ * @param {Object[]} [existingQuestions] - The job's stored questions. A
+ * question sent back with its `_id` but without `knockout` keeps its stored
+ * rule, as clients that were shown the job without its rules can't resend them.
+ *
+ * @returns {Object[]} The questions as persisted on the Job model.
+ */
+
+const normalizeScreeningQuestions = (
+  res,
+  questions,
+  existingQuestions = []
+) => {
+  if (!Array.isArray(questions)) {
+    badRequest(res, 'Screening questions must be a list.');
+  }
+
+  if (questions.length > MAX_SCREENING_QUESTIONS) {
+    badRequest(
+      res,
+      `A job can have at most ${MAX_SCREENING_QUESTIONS} screening questions.`
+    );
+  }
+
+  return questions.map((input, index) => {
+    const text =
+      typeof input?.question === 'string' ? input.question.trim() : '';
+    if (text.length < 5 || text.length > 300) {
+      badRequest(
+        res,
+        `Screening question ${index + 1} must be between 5 and 300 characters.`
+      );
+    }
+
+    if (!SCREENING_QUESTION_TYPES.includes(input.type)) {
+      badRequest(
+        res,
+        `Screening question type should be one of: ${SCREENING_QUESTION_TYPES.join(', ')}.`
+      );
+    }
+
+    const question = {
+      question: text,
+      type: input.type,
+      options: [],
+      isRequired: input.isRequired !== false,
+    };
+
+    // Keep existing IDs so answers on earlier applications still line up
+    if (input._id && mongoose.isValidObjectId(input._id)) {
+      question._id = input._id;
+    }
+
+    if (input.type === 'single_choice') {
+      const options = Array.isArray(input.options)
+        ? [
+            ...new Set(
+              input.options.map((o) => String(o).trim()).filter(Boolean)
+            ),
+          ]
+        : [];
+      if (options.length < 2 || options.length > MAX_CHOICE_OPTIONS) {
+        badRequest(
+          res,
+          `"${text}" needs between 2 and ${MAX_CHOICE_OPTIONS} distinct options.`
+        );
+      }
+      if (options.some((option) => option.length > 100)) {
+        badRequest(
+          res,
+          `Options for "${text}" must not exceed 100 characters.`
+        );
+      }
+      question.options = options;
+    }
+
+    const existing =
+      input.knockout === undefined && question._id
+        ? existingQuestions.find(
+            (stored) => String(stored._id) === String(question._id)
+          )
+        : null;
+
+    question.knockout = existing
+      ? keepKnockout(existing, question)
+      : normalizeKnockout(res, input.knockout, question);
+
+    // An unanswered knockout question could not be evaluated
+    if (question.knockout.enabled) {
+      question.isRequired = true;
+    }
+
+    return question;
+  });
+};
+
+/**
+ * @desc Whether an answer fails the question's knockout rule.
+ *
+ * @param {Object} question - The screening question.
+ * @param {*} answer - The normalized answer.
+ *
+ * @returns {boolean} True when the applicant should be rejected.
+ */
+
+const failsKnockout = (question, answer) => {
+  const knockout = question.knockout;
+  if (!knockout?.enabled || answer === undefined) return false;
+
+  switch (question.type) {
+    case 'yes_no':
+      return answer !== knockout.expectedAnswer;
+    case 'number':
+      return (
+        (knockout.min != null && answer < knockout.min) ||
+        (knockout.max != null && answer > knockout.max)
+      );
+    case 'single_choice':
+      return !knockout.acceptedOptions.includes(answer);
+    default:
+      return false;
+  }
+};
+
+/**
+ * @desc Validates an applicant's answers against the job's screening questions
+ * and applies the knockout rules.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object[]} questions - The job's screening questions.
+ * @param {Object[]} answers - The answers input, as `{ questionId, answer }`.
+ *
+ * @returns {Object} `{ screeningAnswers, isKnockedOut }` to store on the application.
+ */
+
+const evaluateScreeningAnswers = (res, questions = [], answers = []) => {
+  if (!Array.isArray(answers)) {
+    badRequest(res, 'Screening answers must be a list.');
+  }
+
+  const answersById = new Map(
+    answers
+      .filter((entry) => entry && entry.questionId)
+      .map((entry) => [String(entry.questionId), entry.answer])
+  );
+
+  const screeningAnswers = [];
+
+  questions.forEach((question) => {
+    const raw = answersById.get(String(question._id));
+
+    if (isBlank(raw)) {
+      if (question.isRequired) {
+        badRequest(res, `Please answer the question: "${question.question}"`);
+      }
+      return;
+    }
+
+    let answer;
+    switch (question.type) {
+      case 'yes_no': {
+        const value = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+        if (YES_ANSWERS.includes(value)) answer = true;
+        else if (NO_ANSWERS.includes(value)) answer = false;
+        else
+          badRequest(res, `Please answer yes or no to "${question.question}"`);
+        break;
+      }
+      case 'number':
+        answer = Number(raw);
+        if (!Number.isFinite(answer)) {
+          badRequest(res, `Please enter a number for "${question.question}"`);
+        }
+        break;
+      case 'single_choice':
+        answer = String(raw);
+        if (!question.options.includes(answer)) {
+          badRequest(
+            res,
+            `Please choose one of the options for "${question.question}"`
+          );
+        }
+        break;
+      default:
+        answer = String(raw).trim();
+        if (answer.length > MAX_TEXT_ANSWER_LENGTH) {
+          badRequest(
+            res,
+            `Your answer to "${question.question}" must not exceed ${MAX_TEXT_ANSWER_LENGTH} characters.`
+          );
+        }
+    }
+
+    screeningAnswers.push({
+      questionId: question._id,
+      question: question.question,
+      type: question.type,
+      answer,
+      failedKnockout: failsKnockout(question, answer),
+    });
+  });
+
+  return {
+    screeningAnswers,
+    isKnockedOut: screeningAnswers.some((entry) => entry.failedKnockout),
+  };
+};
+
+/**
+ * @desc Removes the knockout rules from a job's screening questions so they are
+ * not exposed to applicants.
+ *
+ * @param {Object} jobData - A plain job object.
+ *
+ * @returns {Object} The job object without knockout rules.
+ */
+
+const hideKnockoutRules = (jobData) => {
+  if (!Array.isArray(jobData.screeningQuestions)) return jobData;
+
+  return {
+    ...jobData,
+    screeningQuestions: jobData.screeningQuestions.map((question) => {
+      const publicQuestion = { ...question };
+      delete publicQuestion.knockout;
+      return publicQuestion;
+    }),
+  };
+};
+
+module.exports = {
+  SCREENING_QUESTION_TYPES,
+  normalizeScreeningQuestions,
+  evaluateScreeningAnswers,
+  hideKnockoutRules,
+};
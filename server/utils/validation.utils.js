@@ -1,5 +1,12 @@
 const { StatusCodes } = require('http-status-codes');
 
+const {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  normalizeSalary,
+  parseSalaryRange,
+} = require('./salary.utils');
+
 const validateString = (
   res,
   str,
@@ -30,7 +37,65 @@ const validateArray = (res, arr, fieldName, minItems = 1, maxItems = 50) => {
   return arr.map((item) => validateString(res, item, `${fieldName} item`));
 };
 
+const validateSalary = (res, salary, legacySalaryRange) => {
+  let input = null;
+
+  if (salary && typeof salary === 'object') {
+    input = {
+      min: Number(salary.min),
+      max: Number(salary.max ?? salary.min),
+      currency: String(salary.currency || 'PKR').toUpperCase(),
+      period: salary.period || 'month',
+    };
+  } else if (typeof legacySalaryRange === 'string' && legacySalaryRange.trim()) {
+    // Older clients still send a free-text range such as "$80k - $120k"
+    input = parseSalaryRange(legacySalaryRange);
+  }
+
+  if (!input || !Number.isFinite(input.min) || !Number.isFinite(input.max)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error('Please provide a valid minimum and maximum salary.');
+  }
+  if (input.min <= 0 || input.max <= 0) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'Salary must be greater than 0. Please provide a valid salary range.'
+    );
+  }
+  if (input.max < input.min) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      'Maximum salary should be greater than or equal to the minimum salary.'
+    );
+  }
+  if (!SALARY_CURRENCIES.includes(input.currency)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Salary currency should be one of: ${SALARY_CURRENCIES.join(', ')}.`
+    );
+  }
+  if (!SALARY_PERIODS.includes(input.period)) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(
+      `Salary period should be one of: ${SALARY_PERIODS.join(', ')}.`
+    );
+  }
+
+  return normalizeSalary(input);
+};
+
+const validateDate = (res, value, fieldName) => {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) {
+    res.status(StatusCodes.BAD_REQUEST);
+    throw new Error(`Please provide a valid ${fieldName.toLowerCase()}.`);
+  }
+  return date;
+};
+
 module.exports = {
   validateString,
   validateArray,
+  validateSalary,
+  validateDate,
 };
@@ -0,0 +1,31 @@
+/**
+ * @desc Escapes a value for use in XML text content or attribute values.
+ *
+ * @param {*} value - The value to escape.
+ *
+ * @returns {string} The escaped string.
+ */
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * @desc Wraps a value in a CDATA section, splitting any "]]>" it contains.
+ *
+ * @param {*} value - The value to wrap.
+ *
+ * @returns {string} The CDATA section.
+ */
+
+const cdata = (value) =>
+  `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+module.exports = {
+  escapeXml,
+  cdata,
+};